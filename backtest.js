@@ -0,0 +1,121 @@
+import HyperliquidConnector from './hyperliquid.js';
+import { fetchBacktestData, runParameterSweep, formatBacktestReport } from './utils/backtest.js';
+import { resolvePairs } from './utils/pairs.js';
+import fs from 'fs';
+
+/**
+ * BACKTEST - Replay the funding-rate rotation strategy on stored history
+ *
+ * Commands:
+ *   fetch  Download funding history + hourly candles for config.trading.pairs
+ *   run    Replay the stored data for one or more parameter sets
+ *
+ * Usage:
+ *   node backtest.js fetch [--days 90] [--out backtest-data.json]
+ *   node backtest.js run [--data backtest-data.json] [--hold 7,14,21] [--factor 1.5,2,3]
+ *                        [--min-funding 5,10] [--capital 10000] [--verbose]
+ *
+ * Comma-separated values are swept as a grid. Parameters that are not given
+ * default to config.bot / config.thresholds.
+ */
+
+const config = JSON.parse(fs.readFileSync('./config.json', 'utf8'));
+const DEFAULT_DATA_FILE = 'backtest-data.json';
+
+function parseArgs(argv) {
+  const args = { _: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        args[key] = true;
+      } else {
+        args[key] = next;
+        i++;
+      }
+    } else {
+      args._.push(arg);
+    }
+  }
+
+  return args;
+}
+
+function parseList(value, fallback) {
+  if (value === undefined || value === true) {
+    return [fallback];
+  }
+  return String(value).split(',').map(v => parseFloat(v)).filter(v => Number.isFinite(v));
+}
+
+async function fetchCommand(args) {
+  const days = parseInt(args.days || 30);
+  const out = args.out || DEFAULT_DATA_FILE;
+
+  const hyperliquid = new HyperliquidConnector({ testnet: false });
+  const { pairs } = await resolvePairs(hyperliquid, config, { verbose: true });
+
+  console.log(`[Backtest] Fetching ${days} days of history for ${pairs.length} pairs: ${pairs.join(', ')}`);
+  const dataset = await fetchBacktestData(hyperliquid, pairs, {
+    days,
+    delayMs: config.rateLimit?.delayBetweenRequests ?? 250,
+    verbose: true
+  });
+
+  fs.writeFileSync(out, JSON.stringify(dataset));
+  console.log(`[Backtest] 💾 Saved ${Object.keys(dataset.symbols).length} symbols to ${out}`);
+}
+
+function runCommand(args) {
+  const file = args.data || DEFAULT_DATA_FILE;
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`Dataset ${file} not found. Run "node backtest.js fetch" first.`);
+  }
+
+  const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const grid = {
+    minHoldTimeDays: parseList(args.hold, config.bot?.minHoldTimeDays ?? 14),
+    improvementFactor: parseList(args.factor, config.bot?.improvementFactor ?? 2),
+    minFundingRatePercent: parseList(args['min-funding'], config.thresholds?.minFundingRatePercent ?? 5)
+  };
+
+  const combos = grid.minHoldTimeDays.length * grid.improvementFactor.length * grid.minFundingRatePercent.length;
+  console.log(`[Backtest] Running ${combos} parameter set(s) on ${file}...`);
+  console.log();
+
+  const results = runParameterSweep(dataset, grid, {
+    initialCapital: parseFloat(args.capital || 10000),
+    utilizationPercent: config.trading.balanceUtilizationPercent,
+    thresholds: config.thresholds,
+    verbose: args.verbose === true
+  });
+
+  console.log(formatBacktestReport(results));
+  console.log();
+
+  const best = results[0];
+  console.log(`[Backtest] 🏆 Best: hold ${best.params.minHoldTimeDays}d, factor ${best.params.improvementFactor}x, min funding ${best.params.minFundingRatePercent}% → ${best.netApyPercent.toFixed(2)}% net APY`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const command = args._[0] || 'run';
+
+  if (command === 'fetch') {
+    await fetchCommand(args);
+  } else if (command === 'run') {
+    runCommand(args);
+  } else {
+    throw new Error(`Unknown command "${command}" (expected fetch or run)`);
+  }
+}
+
+main().catch(error => {
+  console.error('[Backtest] ❌', error.message);
+  process.exit(1);
+});
@@ -1,11 +1,24 @@
 import HyperliquidConnector from './hyperliquid.js';
-import { loadState, saveState, hasPosition, getCurrentPosition, recordPosition, closePosition as closePositionState, updateCheckTime, canClosePosition, getPositionAge, formatPosition, getHistoryStats } from './utils/state.js';
-import { checkAndReportBalances } from './utils/balance.js';
-import { findBestOpportunities, isSignificantlyBetter } from './utils/opportunity.js';
+import { loadState, saveState, hasPosition, getCurrentPosition, recordPosition, closePosition as closePositionState, updateCheckTime, canClosePosition, getPositionAge, formatPosition, getHistoryStats, getPositions, addPortfolioPosition, closePortfolioPosition, updatePortfolioCheckTime, recordPendingOrder, clearPendingOrders, appendEvent, trimPosition, getControls, updateControls } from './utils/state.js';
+import { reconcilePendingOrders } from './utils/cloid.js';
+import { checkAndReportBalances, getBalances } from './utils/balance.js';
+import { findBestOpportunities, getRankingFundingRate, applySymbolControls } from './utils/opportunity.js';
 import { getPerpPositions, getSpotBalances, analyzeDeltaNeutral } from './utils/positions.js';
-import { openDeltaNeutralPosition, closeDeltaNeutralPosition } from './utils/trade.js';
+import { openDeltaNeutralPosition, closeDeltaNeutralPosition, calculateAvailableNotional } from './utils/trade.js';
+import { formatPnlAttribution } from './utils/pnl.js';
+import { planPortfolio, allocateCapital, formatPortfolioPlan, resolvePositionFunding } from './utils/portfolio.js';
+import { assessSwitch, formatSwitchDecision, getSwitchingConfig, getTakerFees } from './utils/switching.js';
 import { logStatistics } from './utils/statistics.js';
 import { autoHedgeAll } from './utils/hedge.js';
+import { DeltaDriftMonitor, getDriftMonitorSettings } from './utils/drift-monitor.js';
+import { LiquidationGuard, getLiquidationGuardSettings } from './utils/liquidation-guard.js';
+import { getLeverageConfig, getTargetPerpPercent, planCapital } from './utils/capital.js';
+import { ControlApi, getControlApiSettings, summarizeAnalysis } from './utils/control-api.js';
+import { MetricsExporter, getMetricsSettings } from './utils/metrics.js';
+import { Notifier, getNotificationSettings, setNotifier, notify, buildFundingSummary, msUntilHourUTC } from './utils/notifier.js';
+import { installLogger, getLoggingSettings, withCorrelation, createCorrelationId } from './utils/logger.js';
+import { PaperExchange } from './utils/paper.js';
+import { resolvePairs } from './utils/pairs.js';
 import { getFundingRates, getFundingRatesWithHistory } from './utils/funding.js';
 import { get24HourVolumes, convertVolumesToUSDC } from './utils/volume.js';
 import { getBidAskSpreads } from './utils/spread.js';
@@ -22,6 +35,11 @@ import fs from 'fs';
  * - Minimum hold time: 2 weeks
  * - Check cycle: Every 1 hour
  * - Switch positions if funding becomes negative or significantly better opportunity exists (2x+)
+ * - Portfolio mode (config.portfolio.enabled): hold up to N pairs at once, each with its own hold timer
+ * - Paper mode (--paper or PAPER_TRADING=true): real market data, simulated fills/balances/funding
+ * - Control API (config.controlApi.enabled): localhost JSON status and pause/cycle/close/pin/ban endpoints
+ * - Metrics (config.metrics.enabled): Prometheus /metrics endpoint
+ * - Logging (config.logging, LOG_LEVEL/LOG_FORMAT/LOG_FILE): levels, JSON lines, one correlation ID per cycle
  */
 
 /**
@@ -69,20 +87,125 @@ async function retryWithExponentialBackoff(fn, options = {}) {
 // Configuration
 const config = JSON.parse(fs.readFileSync('./config.json', 'utf8'));
 
+// Before anything logs
+const LOGGING = getLoggingSettings(config);
+installLogger(LOGGING);
+
 // Bot parameters
 const CHECK_INTERVAL_MS = 60 * 60 * 1000;  // 1 hour
 const MIN_HOLD_TIME_MS = process.env.MIN_HOLD_TIME_MS
   ? parseInt(process.env.MIN_HOLD_TIME_MS)
   : (config.bot?.minHoldTimeDays ? config.bot.minHoldTimeDays * 24 * 60 * 60 * 1000 : 14 * 24 * 60 * 60 * 1000);  // Default: 2 weeks
-const IMPROVEMENT_FACTOR = config.bot?.improvementFactor || 2;  // Require 2x better funding to switch
+const IMPROVEMENT_FACTOR = config.bot?.improvementFactor || 2;  // Fallback rule: require 2x better funding to switch
+const SWITCHING = getSwitchingConfig(config);
+const DRIFT_MONITOR = getDriftMonitorSettings(config);
+const LIQUIDATION_GUARD = getLiquidationGuardSettings(config);
+const LEVERAGE = getLeverageConfig(config);
+const CONTROL_API = getControlApiSettings(config);
+const METRICS = getMetricsSettings(config);
+const NOTIFICATIONS = getNotificationSettings(config);
+const TARGET_PERP_PERCENT = getTargetPerpPercent(LEVERAGE.default);  // Balance report target; per-coin splits are logged when opening
 const STATS_LOG_INTERVAL = 6;  // Log statistics every N cycles (6 cycles = 6 hours)
 const STATUS_DISPLAY_INTERVAL_MS = 2 * 60 * 1000;  // 2 minutes
+const PORTFOLIO_MODE = config.portfolio?.enabled === true;
+const MAX_POSITIONS = config.portfolio?.maxPositions || 3;
+const ALLOCATION_RULE = config.portfolio?.allocation || 'equal';
+const MAX_PER_COIN_PERCENT = config.portfolio?.maxPerCoinPercent ?? 100;
+const PAPER_MODE = process.argv.includes('--paper') || process.env.PAPER_TRADING === 'true';
+const STATE_FILE = PAPER_MODE ? (config.paper?.stateFile || './bot-state.paper.json') : './bot-state.json';
 
 // Global state
 let state = null;
 let hyperliquid = null;
+let paper = null;
+let driftMonitor = null;
+let liquidationGuard = null;
+let controlApi = null;
+let metrics = null;
+let fundingSummaryTimer = null;
 let isRunning = false;
 let cycleCount = 0;
+let cycleError = null;  // Error a cycle caught and logged itself
+
+// Kept for the control API
+let lastAnalysis = null;
+let cycleHistory = [];
+let botStartedAt = null;
+let nextCycleAt = null;
+
+/**
+ * Journal a position opening (see appendEvent in utils/state.js)
+ * @param {Object} position - Result of openDeltaNeutralPosition()
+ */
+function journalOpened(position) {
+  appendEvent('position_opened', {
+    symbol: position.symbol,
+    perpSize: position.perpSize,
+    spotSize: position.spotSize,
+    perpEntryPrice: position.perpEntryPrice,
+    spotEntryPrice: position.spotEntryPrice,
+    positionValue: position.positionValue
+  }, STATE_FILE);
+
+  notify({
+    severity: 'info',
+    event: 'position_opened',
+    title: `Opened ${position.symbol}: $${position.positionValue.toFixed(2)}`,
+    message: `PERP ${position.perpSize} @ $${position.perpEntryPrice}, SPOT ${position.spotSize} @ $${position.spotEntryPrice}` +
+      (position.annualizedFunding != null ? `, ${(position.annualizedFunding * 100).toFixed(2)}% APY` : ''),
+    data: { symbol: position.symbol, positionValue: position.positionValue }
+  });
+}
+
+/**
+ * Journal a position closing
+ * @param {string} symbol - Position symbol
+ * @param {Object} closeData - Result of closeDeltaNeutralPosition() or a { reason, totalPnl } stand-in
+ */
+function journalClosed(symbol, closeData) {
+  appendEvent('position_closed', {
+    symbol,
+    reason: closeData.reason || null,
+    perpClosePrice: closeData.perpClosePrice ?? null,
+    spotClosePrice: closeData.spotClosePrice ?? null,
+    totalPnl: closeData.totalPnl ?? 0,
+    pnl: closeData.pnl ? {
+      fundingUSD: closeData.pnl.fundingUSD,
+      basisUSD: closeData.pnl.basisUSD,
+      deltaUSD: closeData.pnl.deltaUSD,
+      feesUSD: closeData.pnl.feesUSD,
+      slippageUSD: closeData.pnl.slippageUSD,
+      netUSD: closeData.pnl.netUSD
+    } : null
+  }, STATE_FILE);
+
+  // A position missing on-chain was closed by someone or something else
+  const external = closeData.perpClosePrice == null;
+  notify({
+    severity: external ? 'warning' : 'info',
+    event: 'position_closed',
+    title: `Closed ${symbol}` + (external ? '' : `: PnL $${(closeData.totalPnl ?? 0).toFixed(2)}`),
+    message: [closeData.reason, closeData.pnl && formatPnlAttribution(closeData.pnl)].filter(Boolean).join('\n'),
+    data: { symbol, reason: closeData.reason || null, totalPnl: closeData.totalPnl ?? 0 }
+  });
+}
+
+/**
+ * Notify that a pair was (or was meant to be) swapped for another
+ * @param {string} from - Closed symbol
+ * @param {string} to - Replacement symbol
+ * @param {string} reason - Why it switched
+ * @param {boolean} opened - Whether the replacement opened
+ */
+function notifySwitch(from, to, reason, opened) {
+  notify({
+    severity: opened ? 'info' : 'warning',
+    event: 'position_switched',
+    title: opened ? `Switched ${from} → ${to}` : `Closed ${from} but ${to} did not open`,
+    message: opened ? reason : `${reason}. The capital is idle until the next cycle.`,
+    data: { from, to, reason, opened }
+  });
+}
 
 /**
  * Initialize bot
@@ -96,35 +219,144 @@ async function initialize() {
   // Log configuration
   console.log('[Bot] Configuration:');
   console.log(`[Bot]   Min Hold Time: ${MIN_HOLD_TIME_MS / (1000 * 60 * 60 * 24)} days`);
-  console.log(`[Bot]   Improvement Factor: ${IMPROVEMENT_FACTOR}x`);
+  if (SWITCHING.enabled) {
+    console.log(`[Bot]   Switching: when ${SWITCHING.horizonDays}-day funding gain ≥ ${SWITCHING.marginFactor}x fees + slippage + basis (fallback ${IMPROVEMENT_FACTOR}x funding)`);
+  } else {
+    console.log(`[Bot]   Improvement Factor: ${IMPROVEMENT_FACTOR}x`);
+  }
   console.log(`[Bot]   Check Interval: ${CHECK_INTERVAL_MS / (1000 * 60 * 60)} hour(s)`);
+  const perCoinLeverage = Object.entries(LEVERAGE.perCoin).map(([coin, lev]) => `${coin} ${lev}x`).join(', ');
+  console.log(`[Bot]   Leverage: ${LEVERAGE.default}x${perCoinLeverage ? ` (${perCoinLeverage})` : ''}, min ${LEVERAGE.minLiquidationBufferPercent}% to liquidation, PERP/SPOT split ${TARGET_PERP_PERCENT.toFixed(0)}/${(100 - TARGET_PERP_PERCENT).toFixed(0)}`);
+  if (PORTFOLIO_MODE) {
+    console.log(`[Bot]   Portfolio Mode: up to ${MAX_POSITIONS} positions, ${ALLOCATION_RULE} allocation, max ${MAX_PER_COIN_PERCENT}% per coin`);
+  }
+  if (DRIFT_MONITOR.enabled) {
+    console.log(`[Bot]   Drift Monitor: every ${DRIFT_MONITOR.intervalSeconds}s, re-hedge above $${DRIFT_MONITOR.maxDriftUSD} or ${DRIFT_MONITOR.maxDriftPercent}% net delta (budget $${DRIFT_MONITOR.maxDailyCorrectionUSD}/day)`);
+  }
+  if (LIQUIDATION_GUARD.enabled && !PAPER_MODE) {
+    console.log(`[Bot]   Liquidation Guard: every ${LIQUIDATION_GUARD.intervalSeconds}s, add margin below ${LIQUIDATION_GUARD.minDistancePercent}% from liquidation (restore ${LIQUIDATION_GUARD.targetDistancePercent}%)`);
+  }
+  if (PAPER_MODE) {
+    console.log(`[Bot]   📝 PAPER TRADING: no orders are sent (state: ${STATE_FILE})`);
+  }
+  console.log(`[Bot]   Logging: ${LOGGING.level} and above as ${LOGGING.format}${LOGGING.file ? `, also to ${LOGGING.file} (${LOGGING.maxFileSizeMB} MB x ${LOGGING.maxFiles + 1})` : ''}`);
   console.log();
 
   // Load state
-  state = loadState();
+  state = loadState(STATE_FILE);
   console.log('[Bot] State loaded');
 
+  // Carry a single-mode position over into the portfolio
+  if (PORTFOLIO_MODE && state.position) {
+    console.log(`[Bot] Moving ${state.position.symbol} position into portfolio`);
+    state = {
+      ...state,
+      positions: [...getPositions(state).filter(p => p.symbol !== state.position.symbol), state.position],
+      position: null
+    };
+    saveState(state, STATE_FILE);
+  }
+
   if (state.history && state.history.length > 0) {
     const stats = getHistoryStats(state);
     console.log(`[Bot] Historical stats: ${stats.totalPositions} positions, Total PnL: $${stats.totalPnl.toFixed(2)}`);
+    if (stats.attribution.attributed > 0) {
+      console.log(`[Bot]   ${stats.attribution.attributed} attributed: ${formatPnlAttribution(stats.attribution)}`);
+    }
   }
 
   // Initialize Hyperliquid connector
   hyperliquid = new HyperliquidConnector({ testnet: false });
 
-  if (!hyperliquid.wallet) {
+  if (PAPER_MODE) {
+    // Orders, balances and funding come from the simulated account; market data stays live
+    paper = new PaperExchange(hyperliquid, {
+      accountFile: config.paper?.accountFile,
+      initialPerpUsdc: config.paper?.initialPerpUsdc,
+      initialSpotUsdc: config.paper?.initialSpotUsdc,
+      perpFeePercent: config.paper?.perpFeePercent,
+      spotFeePercent: config.paper?.spotFeePercent,
+      perpMakerFeePercent: config.paper?.perpMakerFeePercent,
+      spotMakerFeePercent: config.paper?.spotMakerFeePercent
+    }).attach();
+
+    console.log(`[Bot] Paper account: ${paper.accountFile} (PERP $${paper.account.perpUsdc.toFixed(2)}, SPOT $${paper.account.spotUsdc.toFixed(2)})`);
+  } else if (!hyperliquid.wallet) {
     console.error('❌ Error: Wallet address not configured');
     console.error('   Please set HL_WALLET in .env file');
     process.exit(1);
+  } else {
+    console.log(`[Bot] Wallet: ${hyperliquid.wallet}`);
   }
-
-  console.log(`[Bot] Wallet: ${hyperliquid.wallet}`);
   console.log();
 
   // Connect to WebSocket for orderbook streaming
   await hyperliquid.connect();
   console.log('[Bot] Connected to Hyperliquid');
   console.log();
+
+  // Perp/spot mapping comes from spotMeta; trading.pairs "*" scans every discovered pair
+  const { pairs } = await resolvePairs(hyperliquid, config, { verbose: true });
+  config.trading.pairs = pairs;
+  console.log(`[Bot] Trading pairs: ${pairs.join(', ')}`);
+  console.log();
+
+  if (paper) {
+    // Catch up on funding missed while the bot was stopped, then accrue hourly
+    try {
+      await paper.accrueFunding();
+    } catch (error) {
+      console.error('[Bot] ⚠️  Paper funding catch-up failed:', error.message);
+    }
+    paper.start();
+  } else {
+    // Fills and order updates stream into hyperliquid.orderLedger (resting and partial fills included)
+    await hyperliquid.subscribeUserEvents();
+    hyperliquid.on('fill', (fill) => {
+      console.log(`[Bot] Fill: ${fill.side === 'B' ? 'BUY' : 'SELL'} ${fill.sz} ${fill.coin} @ ${fill.px} (oid ${fill.oid}${fill.crossed ? '' : ', maker'})`);
+    });
+  }
+
+  hyperliquid.on('fill', (fill) => {
+    appendEvent('leg_filled', {
+      coin: fill.coin,
+      side: fill.side,
+      sz: fill.sz,
+      px: fill.px,
+      fee: fill.fee ?? null,
+      oid: fill.oid,
+      cloid: fill.cloid || null,
+      crossed: fill.crossed ?? true
+    }, STATE_FILE);
+  });
+
+  // Orders with a cloid are written to state before they are sent and cleared once confirmed
+  hyperliquid.orderJournal = {
+    record: (order) => {
+      state = recordPendingOrder(state, order);
+      saveState(state, STATE_FILE);
+    },
+    resolve: (cloid) => {
+      state = clearPendingOrders(state, cloid);
+      saveState(state, STATE_FILE);
+    }
+  };
+
+  // Settle anything the previous run left in flight before trading again
+  if (state.pendingOrders.length > 0) {
+    console.log(`[Bot] Reconciling ${state.pendingOrders.length} in-flight order(s) from the previous run...`);
+    const { resolved, unresolved, filled } = await reconcilePendingOrders(hyperliquid, state.pendingOrders, { verbose: true });
+
+    state = clearPendingOrders(state, resolved.map(r => r.cloid));
+    saveState(state, STATE_FILE);
+
+    if (unresolved.length > 0) {
+      throw new Error(`Could not reconcile ${unresolved.length} in-flight order(s); they stay in ${STATE_FILE} for the next start`);
+    }
+    if (filled.length > 0) {
+      console.warn(`[Bot] ⚠️  ${filled.length} in-flight order(s) had filled; positions are re-checked before the first cycle`);
+    }
+  }
 }
 
 /**
@@ -183,11 +415,12 @@ async function cleanupImbalancedPositions() {
   console.log();
 
   try {
-    const results = await autoHedgeAll(hyperliquid, config, {
+    // Hedging reads and orders must not wait behind statistics fetches
+    const results = await hyperliquid.withPriority('high', () => autoHedgeAll(hyperliquid, config, {
       verbose: true,
       minValueUSD: 1,
       fallbackToClose: true
-    });
+    }));
 
     if (results.totalProcessed === 0) {
       console.log('[Bot] ✅ No positions need hedging');
@@ -195,6 +428,25 @@ async function cleanupImbalancedPositions() {
       return;
     }
 
+    for (const { hedgeNeed, fillSize, fillPrice } of results.hedged) {
+      appendEvent('hedged', {
+        perpSymbol: hedgeNeed.perpSymbol,
+        spotSymbol: hedgeNeed.spotSymbol,
+        type: hedgeNeed.type,
+        outcome: 'hedged',
+        size: fillSize,
+        price: fillPrice
+      }, STATE_FILE);
+    }
+    for (const { hedgeNeed } of results.closed) {
+      appendEvent('hedged', {
+        perpSymbol: hedgeNeed.perpSymbol,
+        spotSymbol: hedgeNeed.spotSymbol,
+        type: hedgeNeed.type,
+        outcome: 'closed'
+      }, STATE_FILE);
+    }
+
     // Log summary
     if (results.hedged.length > 0) {
       console.log(`[Bot] ✅ Successfully hedged ${results.hedged.length} position(s)`);
@@ -213,6 +465,37 @@ async function cleanupImbalancedPositions() {
   }
 }
 
+/**
+ * Open positions: the single position, or the portfolio
+ * @returns {Array<Object>} Positions (empty if none)
+ */
+function getOpenPositions() {
+  if (PORTFOLIO_MODE) {
+    return getPositions(state);
+  }
+  return hasPosition(state) ? [getCurrentPosition(state)] : [];
+}
+
+/**
+ * Find opportunities, then apply the operator's pins and bans (see utils/control-api.js)
+ * The summary is kept for GET /analysis.
+ * @returns {Promise<Object>} findBestOpportunities() result
+ */
+async function analyzeOpportunities() {
+  const { pinned, banned } = getControls(state);
+  const analysis = applySymbolControls(
+    await findBestOpportunities(hyperliquid, config.trading.pairs, config, { verbose: true }),
+    { pinned, banned }
+  );
+
+  if (pinned.length > 0 || banned.length > 0) {
+    console.log(`[Bot] Symbol controls: pinned ${pinned.join(', ') || 'none'}, banned ${banned.join(', ') || 'none'} -> best ${analysis.best?.symbol || 'none'}`);
+  }
+
+  lastAnalysis = summarizeAnalysis(analysis);
+  return analysis;
+}
+
 /**
  * Main bot cycle
  */
@@ -231,7 +514,7 @@ async function runCycle() {
     console.log(`${timestamp()} [Bot] Logging market statistics...`);
     try {
       await retryWithExponentialBackoff(
-        async () => logStatistics(hyperliquid, config.trading.pairs, config, { verbose: false }),
+        async () => hyperliquid.withPriority('low', () => logStatistics(hyperliquid, config.trading.pairs, config, { verbose: false })),
         {
           maxRetries: 5,
           initialDelay: 2000,
@@ -246,6 +529,11 @@ async function runCycle() {
     }
   }
 
+  if (PORTFOLIO_MODE) {
+    await runPortfolioCycle();
+    return;
+  }
+
   try {
     // Step 1: Check existing position
     if (hasPosition(state)) {
@@ -259,13 +547,14 @@ async function runCycle() {
 
       if (!onChainPosition) {
         console.log(`${timestamp()} [Bot] ⚠️  Position in state but not on-chain! Clearing state.`);
+        journalClosed(position.symbol, { reason: 'Position not found on-chain' });
         state = closePositionState(state, {
           reason: 'Position not found on-chain',
           perpClosePrice: 0,
           spotClosePrice: 0,
           totalPnl: 0
         });
-        saveState(state);
+        saveState(state, STATE_FILE);
       } else {
         // Check if we should close position
         const age = getPositionAge(position);
@@ -278,7 +567,7 @@ async function runCycle() {
         if (canClose) {
           // Check current funding rate
           console.log(`${timestamp()} [3/6] Checking current opportunities...`);
-          const analysis = await findBestOpportunities(hyperliquid, config.trading.pairs, config, { verbose: true });
+          const analysis = await analyzeOpportunities();
           console.log();
           console.log(analysis.report);
           console.log();
@@ -357,19 +646,17 @@ async function runCycle() {
               return;
             }
 
-            // Check if significantly better opportunity exists
+            // Check if a better opportunity pays for the cost of switching
             if (analysis.best && analysis.best.symbol !== position.symbol) {
-              const isBetter = isSignificantlyBetter(
-                { avgFundingRate: position.annualizedFunding },
-                { avgFundingRate: analysis.best.primaryFundingRate },  // Use primaryFundingRate for comparison
-                IMPROVEMENT_FACTOR
-              );
-
-              if (isBetter) {
-                console.log(`${timestamp()} [4/6] ✅ Found significantly better opportunity: ${analysis.best.symbol}`);
-                console.log(`${timestamp()} [4/6]   Current: ${(position.annualizedFunding * 100).toFixed(2)}% APY`);
+              const decision = await assessSwitch(hyperliquid, position, analysis.best, config, {
+                currentRate: getRankingFundingRate(currentSymbolOpp)
+              });
+              console.log(`${timestamp()} [4/6] ${formatSwitchDecision(decision)}`);
+
+              if (decision.switch) {
+                console.log(`${timestamp()} [4/6] ✅ Found better opportunity: ${analysis.best.symbol}`);
+                console.log(`${timestamp()} [4/6]   Current: ${currentFunding.toFixed(2)}% APY`);
                 console.log(`${timestamp()} [4/6]   New: ${analysis.best.primaryFundingPercent.toFixed(2)}% APY`);
-                console.log(`${timestamp()} [4/6]   Improvement: ${(analysis.best.primaryFundingRate / position.annualizedFunding).toFixed(2)}x`);
                 await closeAndReopen(position, 'Switching to better opportunity', analysis.best);
                 return;
               } else {
@@ -385,7 +672,7 @@ async function runCycle() {
 
         // Update check time
         state = updateCheckTime(state);
-        saveState(state);
+        saveState(state, STATE_FILE);
 
         console.log(`${timestamp()} [6/6] Next check in 1 hour`);
         console.log();
@@ -408,13 +695,13 @@ async function runCycle() {
 
     // Step 2: Check balance distribution
     console.log(`${timestamp()} [2/6] Checking Balance Distribution...`);
-    const balanceReport = await checkAndReportBalances(hyperliquid, 10);
+    const balanceReport = await checkAndReportBalances(hyperliquid, 10, TARGET_PERP_PERCENT);
     console.log(balanceReport.report);
     console.log();
 
     // Step 3: Find best opportunity
     console.log(`${timestamp()} [3/6] Finding Best Opportunities...`);
-    const analysis = await findBestOpportunities(hyperliquid, config.trading.pairs, config, { verbose: true });
+    const analysis = await analyzeOpportunities();
     console.log();
     console.log(analysis.report);
     console.log();
@@ -454,8 +741,9 @@ async function runCycle() {
         console.log();
 
         // Record position in state
+        journalOpened(positionResult);
         state = recordPosition(state, positionResult);
-        saveState(state);
+        saveState(state, STATE_FILE);
         console.log(`${timestamp()} [5/6] Position recorded in state`);
       } else {
         console.log(`${timestamp()} [5/6] ❌ Failed to open position`);
@@ -468,11 +756,255 @@ async function runCycle() {
     console.log();
 
   } catch (error) {
+    cycleError = error.message;
     console.error(`${timestamp()} [Bot] ❌ Error in cycle:`, error.message);
     console.error(error.stack);
   }
 }
 
+/**
+ * Cost-aware switching decisions for the portfolio planner
+ * Each position that planPortfolio() may rotate (past its hold time, funding at or
+ * above the minimum) is assessed against the unheld candidates it could be given.
+ * @param {Array<Object>} positions - Open portfolio positions
+ * @param {Object} analysis - Result from findBestOpportunities()
+ * @returns {Promise<Map>} 'HELD>CANDIDATE' -> assessSwitch() result
+ */
+async function assessPortfolioSwitches(positions, analysis) {
+  const timestamp = () => `[${new Date().toLocaleTimeString()}]`;
+  const decisions = new Map();
+
+  const held = new Set(positions.map(p => p.symbol));
+  const candidates = analysis.rankedOpportunities
+    .filter(o => !held.has(o.symbol) && o.primaryFundingPercent > 0)
+    .slice(0, positions.length);
+  const rotatable = positions.filter(position => {
+    const funding = resolvePositionFunding(analysis, position.symbol);
+    return canClosePosition(position, MIN_HOLD_TIME_MS) && funding && funding.fundingPercent >= config.thresholds.minFundingRatePercent;
+  });
+
+  if (rotatable.length === 0 || candidates.length === 0) {
+    return decisions;
+  }
+
+  const fees = getSwitchingConfig(config).enabled ? await getTakerFees(hyperliquid) : null;
+
+  for (const position of rotatable) {
+    // Compare like with like: the held pair's forecast when it is still ranked
+    const funding = resolvePositionFunding(analysis, position.symbol);
+    const currentRate = funding.opportunity ? getRankingFundingRate(funding.opportunity) : funding.fundingRate;
+    for (const candidate of candidates) {
+      const decision = await assessSwitch(hyperliquid, position, candidate, config, { fees, currentRate });
+      decisions.set(`${position.symbol}>${candidate.symbol}`, decision);
+      console.log(`${timestamp()} [Bot] ${formatSwitchDecision(decision)}`);
+    }
+  }
+
+  return decisions;
+}
+
+/**
+ * Portfolio cycle
+ * Manages each open pair independently: hold, close or switch per position,
+ * then fills free slots with the best remaining opportunities.
+ */
+async function runPortfolioCycle() {
+  const timestamp = () => `[${new Date().toLocaleTimeString()}]`;
+
+  try {
+    // Step 1: Reconcile portfolio with on-chain positions
+    const positions = getPositions(state);
+    console.log(`${timestamp()} [1/6] Portfolio: ${positions.length}/${MAX_POSITIONS} position(s)`);
+    for (const position of positions) {
+      console.log(formatPosition(position));
+    }
+    console.log();
+
+    const onChainSymbols = await verifyPortfolioOnChain();
+
+    for (const position of positions) {
+      if (!onChainSymbols.has(position.symbol)) {
+        console.log(`${timestamp()} [Bot] ⚠️  ${position.symbol} in state but not on-chain! Removing from portfolio.`);
+        journalClosed(position.symbol, { reason: 'Position not found on-chain' });
+        state = closePortfolioPosition(state, position.symbol, {
+          reason: 'Position not found on-chain',
+          perpClosePrice: 0,
+          spotClosePrice: 0,
+          totalPnl: 0
+        });
+      }
+    }
+    saveState(state, STATE_FILE);
+
+    const trackedSymbols = new Set(getPositions(state).map(p => p.symbol));
+    const untracked = [...onChainSymbols].filter(symbol => !trackedSymbols.has(symbol));
+    if (untracked.length > 0) {
+      console.log(`${timestamp()} [Bot] ⚠️  Found untracked delta-neutral position(s) on-chain: ${untracked.join(', ')}`);
+      console.log(`${timestamp()} [Bot]    These are left alone and excluded from new entries.`);
+    }
+
+    // Step 2: Find opportunities
+    console.log(`${timestamp()} [2/6] Finding Best Opportunities...`);
+    const analysis = await analyzeOpportunities();
+    console.log();
+    console.log(analysis.report);
+    console.log();
+
+    // Never open a second pair on a coin we already hold outside the portfolio
+    const plannedAnalysis = {
+      ...analysis,
+      rankedOpportunities: analysis.rankedOpportunities.filter(o => !untracked.includes(o.symbol))
+    };
+
+    // Step 3: Per-position decisions
+    const switchDecisions = await assessPortfolioSwitches(getPositions(state), plannedAnalysis);
+    const plan = planPortfolio(getPositions(state), plannedAnalysis, {
+      maxPositions: MAX_POSITIONS,
+      minHoldTimeMs: MIN_HOLD_TIME_MS,
+      improvementFactor: IMPROVEMENT_FACTOR,
+      minFundingRatePercent: config.thresholds.minFundingRatePercent,
+      shouldSwitch: (position, candidate) => switchDecisions.get(`${position.symbol}>${candidate.symbol}`)?.switch ?? false
+    });
+
+    // Step 4: Close positions that should be closed or switched
+    const exits = plan.decisions.filter(d => d.action === 'close' || d.action === 'switch');
+    console.log(`${timestamp()} [3/6] Closing ${exits.length} position(s)...`);
+    const failedExits = new Set();
+
+    for (const decision of exits) {
+      const { position, reason } = decision;
+      console.log(`${timestamp()} [3/6] Closing ${position.symbol}: ${reason}`);
+      try {
+        const closeResult = await closeDeltaNeutralPosition(hyperliquid, position, config, { verbose: true, reason });
+        if (closeResult.success) {
+          console.log(`${timestamp()} [3/6] ✅ ${position.symbol} closed, PnL: $${closeResult.totalPnl.toFixed(2)}`);
+          journalClosed(position.symbol, { ...closeResult, reason });
+          state = closePortfolioPosition(state, position.symbol, closeResult);
+          saveState(state, STATE_FILE);
+        } else {
+          failedExits.add(position.symbol);
+        }
+      } catch (error) {
+        console.error(`${timestamp()} [3/6] ❌ Error closing ${position.symbol}:`, error.message);
+        failedExits.add(position.symbol);
+      }
+    }
+    console.log();
+
+    // Reported once the replacements have had their chance to open
+    const switched = exits.filter(d => d.action === 'switch' && !failedExits.has(d.position.symbol));
+    const notifySwitches = () => {
+      const held = new Set(getPositions(state).map(p => p.symbol));
+      for (const d of switched) {
+        notifySwitch(d.position.symbol, d.replacement.symbol, d.reason, held.has(d.replacement.symbol));
+      }
+    };
+
+    // A failed close keeps its slot, so drop replacements that no longer fit
+    const openSlots = Math.max(MAX_POSITIONS - getPositions(state).length, 0);
+    const toOpen = plan.toOpen.slice(0, openSlots);
+
+    if (toOpen.length === 0) {
+      console.log(formatPortfolioPlan(plan));
+      console.log();
+      console.log(`${timestamp()} [4/6] No new positions to open`);
+      notifySwitches();
+      state = updatePortfolioCheckTime(state);
+      saveState(state, STATE_FILE);
+      console.log(`${timestamp()} [6/6] Next check in 1 hour`);
+      console.log();
+      return;
+    }
+
+    // Step 5: Split free capital across new positions
+    console.log(`${timestamp()} [4/6] Checking Balance Distribution...`);
+    const balanceReport = await checkAndReportBalances(hyperliquid, 10, TARGET_PERP_PERCENT);
+    console.log(balanceReport.report);
+    console.log();
+
+    // Each coin opens at its own leverage, so split shares of free capital (measured
+    // at the default leverage) and size each share at the coin's leverage
+    const capitalPlans = new Map();
+    for (const candidate of toOpen) {
+      capitalPlans.set(candidate.symbol, await planCapital(hyperliquid, candidate.symbol, balanceReport.balances, config));
+    }
+    const freeNotionalAt = (leverage) => calculateAvailableNotional(balanceReport.balances, config, leverage).availableNotional;
+    const freeNotional = freeNotionalAt();
+    const deployedNotional = getPositions(state).reduce((sum, p) => sum + (p.positionValue || 0), 0);
+    const allocation = allocateCapital(toOpen, freeNotional, {
+      allocation: ALLOCATION_RULE,
+      maxPerCoinPercent: MAX_PER_COIN_PERCENT,
+      capBaseNotional: freeNotional + deployedNotional,
+      config,
+      notionalFor: (candidate, amount) => freeNotional > 0
+        ? amount / freeNotional * freeNotionalAt(capitalPlans.get(candidate.symbol).leverage)
+        : 0
+    });
+
+    console.log(formatPortfolioPlan({ ...plan, toOpen }, allocation));
+    console.log();
+
+    // Step 6: Open new positions
+    console.log(`${timestamp()} [5/6] Opening ${allocation.allocations.length} position(s)...`);
+    for (const { symbol, candidate, notional } of allocation.allocations) {
+      try {
+        // Refresh balances so each open sees what the previous ones used
+        const { balances } = await checkAndReportBalances(hyperliquid, 10, TARGET_PERP_PERCENT);
+        const positionResult = await openDeltaNeutralPosition(hyperliquid, candidate, balances, config, {
+          verbose: true,
+          maxNotional: notional,
+          capitalPlan: capitalPlans.get(symbol)
+        });
+
+        if (positionResult.success) {
+          console.log(`${timestamp()} [5/6] ✅ ${symbol} opened: $${positionResult.positionValue.toFixed(2)} @ ${(positionResult.annualizedFunding * 100).toFixed(2)}% APY`);
+          journalOpened(positionResult);
+          state = addPortfolioPosition(state, positionResult);
+          saveState(state, STATE_FILE);
+        } else {
+          console.log(`${timestamp()} [5/6] ❌ Failed to open ${symbol}: ${positionResult.error || 'Unknown error'}`);
+        }
+      } catch (error) {
+        console.error(`${timestamp()} [5/6] ❌ Error opening ${symbol}:`, error.message);
+      }
+    }
+
+    notifySwitches();
+    state = updatePortfolioCheckTime(state);
+    saveState(state, STATE_FILE);
+
+    console.log(`${timestamp()} [6/6] Portfolio: ${getPositions(state).map(p => p.symbol).join(', ') || 'empty'}`);
+    console.log(`${timestamp()} [6/6] Next check in 1 hour`);
+    console.log();
+
+  } catch (error) {
+    cycleError = error.message;
+    console.error(`${timestamp()} [Bot] ❌ Error in portfolio cycle:`, error.message);
+    console.error(error.stack);
+  }
+}
+
+/**
+ * Get the symbols of all delta-neutral pairs currently held on-chain
+ * @returns {Promise<Set<string>>} Perp symbols with a matching spot balance
+ */
+async function verifyPortfolioOnChain() {
+  console.log('[Bot] Verifying portfolio on-chain...');
+
+  const [perpPositions, spotBalances] = await Promise.all([
+    getPerpPositions(hyperliquid, null, { verbose: false }),
+    getSpotBalances(hyperliquid, null, { verbose: false })
+  ]);
+
+  const analysis = analyzeDeltaNeutral(perpPositions, spotBalances);
+
+  for (const pair of analysis.deltaNeutralPairs) {
+    console.log(`[Bot]   ${pair.symbol}: ${pair.perpSide} ${pair.perpSize} PERP + ${pair.spotSize} SPOT (${pair.hedgeQuality})`);
+  }
+
+  return new Set(analysis.deltaNeutralPairs.map(pair => pair.symbol));
+}
+
 /**
  * Close current position and open new one
  */
@@ -496,8 +1028,9 @@ async function closeAndReopen(currentPosition, reason, newOpportunity) {
       console.log();
 
       // Update state
+      journalClosed(currentPosition.symbol, { ...closeResult, reason });
       state = closePositionState(state, closeResult);
-      saveState(state);
+      saveState(state, STATE_FILE);
 
       // Open new position if opportunity provided
       if (newOpportunity) {
@@ -505,7 +1038,7 @@ async function closeAndReopen(currentPosition, reason, newOpportunity) {
         console.log();
 
         // Get fresh balance data
-        const balanceReport = await checkAndReportBalances(hyperliquid, 10);
+        const balanceReport = await checkAndReportBalances(hyperliquid, 10, TARGET_PERP_PERCENT);
 
         const positionResult = await openDeltaNeutralPosition(
           hyperliquid,
@@ -522,9 +1055,11 @@ async function closeAndReopen(currentPosition, reason, newOpportunity) {
           console.log(`   Funding: ${(positionResult.annualizedFunding * 100).toFixed(2)}% APY`);
           console.log();
 
+          journalOpened(positionResult);
           state = recordPosition(state, positionResult);
-          saveState(state);
+          saveState(state, STATE_FILE);
         }
+        notifySwitch(currentPosition.symbol, newOpportunity.symbol, reason, positionResult.success);
       }
     } else {
       console.error('❌ Failed to close position');
@@ -557,7 +1092,64 @@ async function displayStatus() {
   console.log(`${colors.bright}${colors.cyan}📊 Bot Status${colors.reset} - ${colors.dim}${now.toLocaleString()}${colors.reset}`);
   console.log(colors.dim + '─'.repeat(80) + colors.reset);
 
-  if (hasPosition(state)) {
+  const controls = getControls(state);
+  if (controls.paused) {
+    console.log(`${colors.bright}${colors.yellow}⏸️  Cycles paused${colors.reset} ${colors.dim}(control API)${colors.reset}`);
+  }
+  if (controls.pinned.length > 0 || controls.banned.length > 0) {
+    console.log(`${colors.bright}Symbols:${colors.reset} pinned ${controls.pinned.join(', ') || 'none'}, banned ${controls.banned.join(', ') || 'none'}`);
+  }
+
+  if (paper) {
+    try {
+      const summary = await paper.getSummary();
+      const pnlColor = summary.pnl >= 0 ? colors.green : colors.red;
+      console.log(`${colors.bright}${colors.magenta}📝 Paper Account:${colors.reset} $${summary.equity.toFixed(2)} ` +
+        `${pnlColor}(${summary.pnl >= 0 ? '+' : ''}$${summary.pnl.toFixed(2)})${colors.reset} ` +
+        `${colors.dim}funding $${summary.funding.toFixed(4)}, fees $${summary.fees.toFixed(4)}, ${summary.fills} fills${colors.reset}`);
+    } catch (error) {
+      console.error(`${colors.red}Failed to value paper account: ${error.message}${colors.reset}`);
+    }
+  }
+
+  if (PORTFOLIO_MODE) {
+    const positions = getPositions(state);
+    const minHoldDays = MIN_HOLD_TIME_MS / (1000 * 60 * 60 * 24);
+
+    console.log(`${colors.bright}Portfolio:${colors.reset} ${positions.length}/${MAX_POSITIONS} position(s) ${colors.dim}(${ALLOCATION_RULE} allocation)${colors.reset}`);
+
+    if (positions.length === 0) {
+      console.log(`${colors.bright}Status:${colors.reset} 🔍 Looking for opportunities...`);
+    }
+
+    let totalValue = 0;
+    let expectedPerDay = 0;
+
+    for (const position of positions) {
+      const ageDays = getPositionAge(position) / (1000 * 60 * 60 * 24);
+      const canClose = canClosePosition(position, MIN_HOLD_TIME_MS);
+      const fundingColor = position.annualizedFunding >= 0 ? colors.green : colors.red;
+      const holdStr = canClose
+        ? `${colors.green}can rebalance${colors.reset}`
+        : `${colors.yellow}hold ${(minHoldDays - ageDays).toFixed(2)}d more${colors.reset}`;
+
+      totalValue += position.positionValue || 0;
+      expectedPerDay += (position.positionValue || 0) * (position.fundingRate || 0) * 24;
+
+      console.log(
+        `  ${colors.cyan}${position.symbol.padEnd(10)}${colors.reset}` +
+        ` $${(position.positionValue || 0).toFixed(2).padStart(10)}` +
+        `  ${fundingColor}${((position.annualizedFunding || 0) * 100).toFixed(2).padStart(7)}% APY${colors.reset}` +
+        `  ${colors.dim}age ${ageDays.toFixed(2)}d${colors.reset}  ${holdStr}`
+      );
+    }
+
+    if (positions.length > 0) {
+      console.log();
+      console.log(`  ${colors.bright}Total Value: $${totalValue.toFixed(2)}${colors.reset}  ${colors.dim}Expected/day:${colors.reset} ${colors.green}$${expectedPerDay.toFixed(4)}${colors.reset}`);
+    }
+
+  } else if (hasPosition(state)) {
     const position = getCurrentPosition(state);
 
     // Calculate time info
@@ -622,7 +1214,9 @@ async function displayStatus() {
       console.log(`${colors.green}✅ Can Rebalance: YES${colors.reset} ${colors.dim}(held > ${minHoldDays} days)${colors.reset}`);
       console.log(`   ${colors.dim}Will close if:${colors.reset}`);
       console.log(`   • Funding turns negative, OR`);
-      console.log(`   • ${IMPROVEMENT_FACTOR}x better opportunity exists`);
+      console.log(SWITCHING.enabled
+        ? `   • A better opportunity earns ${SWITCHING.marginFactor}x its switching cost within ${SWITCHING.horizonDays} days`
+        : `   • ${IMPROVEMENT_FACTOR}x better opportunity exists`);
     } else {
       if (daysUntilCanClose >= 1) {
         console.log(`${colors.yellow}⏳ Can Rebalance: NO${colors.reset} ${colors.dim}(need ${daysUntilCanClose.toFixed(2)} more days)${colors.reset}`);
@@ -660,11 +1254,11 @@ async function displayStatus() {
     // Fetch current funding rates only (faster, no history to avoid rate limits)
     // Fetch market data (funding, volumes, perp-spot spreads) with exponential backoff for 429 errors
     const [fundingData, rawVolumes, perpSpotSpreads] = await retryWithExponentialBackoff(
-      async () => Promise.all([
+      async () => hyperliquid.withPriority('low', () => Promise.all([
         getFundingRates(hyperliquid, config.trading.pairs, { verbose: false }),
         get24HourVolumes(hyperliquid, config.trading.pairs, { verbose: false }),
         getPerpSpotSpreads(hyperliquid, config.trading.pairs, { verbose: false })
-      ]),
+      ])),
       {
         maxRetries: 5,
         initialDelay: 2000,
@@ -837,7 +1431,9 @@ async function displayStatus() {
       const quality = currentAPY >= 10 ? '🟢' : currentAPY >= 5 ? '🟡' : currentAPY < 0 ? '🔴' : '⚪';
 
       // Highlight current position
-      const isCurrentPosition = hasPosition(state) && getCurrentPosition(state).symbol === symbol;
+      const isCurrentPosition = PORTFOLIO_MODE
+        ? getPositions(state).some(p => p.symbol === symbol)
+        : hasPosition(state) && getCurrentPosition(state).symbol === symbol;
       const prefix = isCurrentPosition ? colors.cyan + '►' + colors.reset : ' ';
       const symbolDisplay = isCurrentPosition ? colors.bright + colors.cyan + symbol.padEnd(9) + colors.reset : symbol.padEnd(9);
 
@@ -864,36 +1460,146 @@ async function displayStatus() {
   console.log();
 }
 
+/**
+ * Whether a cycle, re-hedge or liquidation check is placing orders
+ * They trade the same coins, so only one of them may run at a time.
+ * @returns {boolean}
+ */
+function ordersInFlight() {
+  return isRunning || driftMonitor?.checking === true || liquidationGuard?.checking === true;
+}
+
+/**
+ * Run a cycle unless one is already running, and add it to the cycle history
+ * Also skipped while a re-hedge or liquidation check is placing orders.
+ * @param {string} trigger - 'startup', 'schedule' or 'api'
+ * @returns {Promise<boolean>} False if skipped
+ */
+async function runScheduledCycle(trigger) {
+  if (isRunning) {
+    console.log('[Bot] Previous cycle still running, skipping...');
+    metrics?.recordCycle('skipped');
+    return false;
+  }
+
+  if (ordersInFlight()) {
+    console.log('[Bot] Re-hedge or liquidation check placing orders, skipping cycle...');
+    metrics?.recordCycle('skipped');
+    return false;
+  }
+
+  isRunning = true;
+  cycleError = null;
+  const startedAt = Date.now();
+  const correlationId = createCorrelationId('cycle');
+  let error = null;
+
+  try {
+    // Everything the cycle logs, and every order it places, carries this ID
+    await withCorrelation({ correlationId, trigger, cycle: cycleCount + 1 }, runCycle);
+    error = cycleError;
+  } catch (err) {
+    error = err.message;
+    console.error('[Bot] Cycle error:', err.message);
+  } finally {
+    isRunning = false;
+  }
+
+  metrics?.recordCycle(error ? 'error' : 'ok', Date.now() - startedAt);
+
+  cycleHistory.push({
+    cycle: cycleCount,
+    correlationId,
+    trigger,
+    startedAt,
+    finishedAt: Date.now(),
+    best: lastAnalysis?.best ?? null,
+    positions: getOpenPositions().map(p => p.symbol),
+    error
+  });
+  cycleHistory = cycleHistory.slice(-CONTROL_API.historySize);
+
+  return true;
+}
+
+/**
+ * Close a pair on request from the control API, without reopening
+ * Refused while a cycle, re-hedge or liquidation check is placing orders.
+ * @param {string|null} symbol - Pair to close (optional when only one is open)
+ * @returns {Promise<Object>} { success, symbol, totalPnl } or { success: false, error }
+ */
+async function closeOnRequest(symbol) {
+  if (ordersInFlight()) {
+    return { success: false, error: 'Orders are being placed; try again shortly' };
+  }
+
+  const positions = getOpenPositions();
+  const position = symbol ? positions.find(p => p.symbol === symbol) : (positions.length === 1 ? positions[0] : null);
+  if (!position) {
+    const error = symbol ? `No open ${symbol} position` : (positions.length > 1 ? 'Several pairs are open; pass a symbol' : 'No open position');
+    return { success: false, statusCode: 404, error };
+  }
+
+  const reason = 'Closed through the control API';
+  console.log(`[Bot] Closing ${position.symbol}: ${reason}`);
+
+  isRunning = true;
+  try {
+    const closeResult = await withCorrelation({ correlationId: createCorrelationId('close'), trigger: 'api' },
+      () => closeDeltaNeutralPosition(hyperliquid, position, config, { verbose: true, reason }));
+    if (!closeResult.success) {
+      return { success: false, statusCode: 502, error: closeResult.error || `Failed to close ${position.symbol}` };
+    }
+
+    journalClosed(position.symbol, { ...closeResult, reason });
+    state = PORTFOLIO_MODE
+      ? closePortfolioPosition(state, position.symbol, closeResult)
+      : closePositionState(state, closeResult);
+    saveState(state, STATE_FILE);
+
+    return { success: true, symbol: position.symbol, totalPnl: closeResult.totalPnl };
+  } finally {
+    isRunning = false;
+  }
+}
+
 /**
  * Main bot loop
  */
 async function run() {
+  botStartedAt = Date.now();
   await initialize();
 
+  // Before anything that trades, so every alert has somewhere to go
+  startNotifier();
+
+  // Up before the first cycle so it is counted
+  await startMetrics();
+
   // Clean up any imbalanced positions from failed trades
   await cleanupImbalancedPositions();
 
-  // Run first cycle immediately
-  await runCycle();
+  // Run first cycle immediately (unless paused before the restart)
+  if (getControls(state).paused) {
+    console.log('[Bot] Cycles are paused (POST /resume on the control API to restart them)');
+  } else {
+    await runScheduledCycle('startup');
+  }
 
   // Display initial status
   await displayStatus();
 
   // Schedule regular cycles
+  nextCycleAt = Date.now() + CHECK_INTERVAL_MS;
   setInterval(async () => {
-    if (isRunning) {
-      console.log('[Bot] Previous cycle still running, skipping...');
+    nextCycleAt = Date.now() + CHECK_INTERVAL_MS;
+    if (getControls(state).paused) {
+      console.log('[Bot] Cycles paused through the control API, skipping...');
+      metrics?.recordCycle('paused');
       return;
     }
 
-    isRunning = true;
-    try {
-      await runCycle();
-    } catch (error) {
-      console.error('[Bot] Cycle error:', error.message);
-    } finally {
-      isRunning = false;
-    }
+    await runScheduledCycle('schedule');
   }, CHECK_INTERVAL_MS);
 
   // Schedule status display every 2 minutes
@@ -905,11 +1611,289 @@ async function run() {
     }
   }, STATUS_DISPLAY_INTERVAL_MS);
 
+  // Re-hedge legs that drift between cycles (never while a cycle is placing orders)
+  startDriftMonitor();
+
+  // Keep the isolated PERP shorts away from liquidation
+  startLiquidationGuard();
+
+  // Localhost status and control endpoints
+  await startControlApi();
+
   console.log('[Bot] Bot is running. Press Ctrl+C to stop.');
   console.log('[Bot] Status updates every 2 minutes.');
   console.log();
 }
 
+/**
+ * Start the background delta drift monitor (utils/drift-monitor.js)
+ */
+function startDriftMonitor() {
+  if (!DRIFT_MONITOR.enabled) {
+    return;
+  }
+
+  driftMonitor = new DeltaDriftMonitor(hyperliquid, config, {
+    isPaused: ordersInFlight,
+    verbose: true
+  });
+
+  driftMonitor.on('corrected', (drift, result) => {
+    appendEvent('hedged', {
+      perpSymbol: result.hedgeNeed.perpSymbol,
+      spotSymbol: result.hedgeNeed.spotSymbol,
+      type: result.hedgeNeed.type,
+      outcome: 'hedged',
+      trigger: 'drift',
+      deltaUSD: drift.deltaUSD,
+      size: result.fillSize,
+      price: result.fillPrice
+    }, STATE_FILE);
+
+    notify({
+      severity: 'info',
+      event: 'hedge_corrected',
+      title: `Re-hedged ${drift.symbol}: ${result.hedgeNeed.action} ${result.fillSize} ${result.hedgeNeed.market}`,
+      message: `Net delta was $${drift.deltaUSD.toFixed(2)} (${drift.driftPercent.toFixed(1)}%)`,
+      data: { symbol: drift.symbol, deltaUSD: drift.deltaUSD, size: result.fillSize, price: result.fillPrice }
+    });
+  });
+
+  driftMonitor.on('failed', (drift, result) => {
+    notify({
+      severity: 'critical',
+      event: 'hedge_failed',
+      key: `hedge_failed|${drift.symbol}`,
+      title: `Re-hedge of ${drift.symbol} failed`,
+      message: `Net delta $${drift.deltaUSD.toFixed(2)} (${drift.driftPercent.toFixed(1)}%) is unhedged: ${result.error}`,
+      data: { symbol: drift.symbol, deltaUSD: drift.deltaUSD, error: result.error }
+    });
+  });
+
+  driftMonitor.start();
+}
+
+/**
+ * Start the background liquidation guard (utils/liquidation-guard.js)
+ * Paper positions have no liquidation price, so it only runs live.
+ */
+function startLiquidationGuard() {
+  if (!LIQUIDATION_GUARD.enabled || PAPER_MODE) {
+    return;
+  }
+
+  // A trim sells both legs, so it must not overlap a drift re-hedge
+  liquidationGuard = new LiquidationGuard(hyperliquid, config, {
+    isPaused: ordersInFlight,
+    verbose: true
+  });
+
+  liquidationGuard.on('toppedUp', (position) => {
+    appendEvent('margin_added', {
+      symbol: position.symbol,
+      amountUSD: position.amountUSD,
+      liquidationPx: position.liquidationPx,
+      markPx: position.markPx,
+      distancePercent: position.distancePercent
+    }, STATE_FILE);
+
+    notify({
+      severity: 'warning',
+      event: 'margin_added',
+      title: `Added $${position.amountUSD.toFixed(2)} margin to ${position.symbol}`,
+      message: `Liquidation was ${position.distancePercent.toFixed(1)}% away (mark $${position.markPx}, liquidation $${position.liquidationPx})`,
+      data: { symbol: position.symbol, amountUSD: position.amountUSD, distancePercent: position.distancePercent }
+    });
+  });
+
+  // Closes size their orders from state, so it has to follow the trim
+  liquidationGuard.on('trimmed', (trim) => {
+    state = trimPosition(state, trim.symbol, trim);
+    saveState(state, STATE_FILE);
+    appendEvent('position_trimmed', {
+      symbol: trim.symbol,
+      reason: 'liquidation guard',
+      fraction: trim.fraction,
+      perpSize: trim.perpSize,
+      spotSize: trim.spotSize,
+      perpPrice: trim.perpPrice,
+      spotPrice: trim.spotPrice
+    }, STATE_FILE);
+
+    notify({
+      severity: 'warning',
+      event: 'position_trimmed',
+      title: `Trimmed ${trim.symbol} by ${(trim.fraction * 100).toFixed(1)}% to free margin`,
+      message: `Bought back ${trim.perpSize} PERP and sold ${trim.spotSize} SPOT`,
+      data: { symbol: trim.symbol, fraction: trim.fraction }
+    });
+  });
+
+  liquidationGuard.on('failed', (position, error) => {
+    notify({
+      severity: 'critical',
+      event: 'liquidation_risk',
+      key: `liquidation_risk|${position.symbol}`,
+      title: `${position.symbol} is ${position.distancePercent.toFixed(1)}% from liquidation`,
+      message: `The liquidation guard could not add margin: ${error}`,
+      data: { symbol: position.symbol, distancePercent: position.distancePercent, error }
+    });
+  });
+
+  liquidationGuard.start();
+}
+
+/**
+ * Start the control API (utils/control-api.js)
+ * A missing token or a busy port is logged; the bot keeps trading without it.
+ */
+async function startControlApi() {
+  if (!CONTROL_API.enabled) {
+    return;
+  }
+
+  const setControls = (changes) => {
+    state = updateControls(state, changes);
+    saveState(state, STATE_FILE);
+    return { success: true, ...getControls(state) };
+  };
+  const unknownSymbol = (symbol) => !config.trading.pairs.includes(symbol)
+    ? { success: false, statusCode: 400, error: `${symbol} is not in trading.pairs` }
+    : null;
+
+  controlApi = new ControlApi({
+    getStatus: () => {
+      const { paused, pinned, banned } = getControls(state);
+      return {
+        mode: PORTFOLIO_MODE ? 'portfolio' : 'single',
+        paper: PAPER_MODE,
+        paused,
+        cycleRunning: isRunning,
+        cycleCount,
+        startedAt: botStartedAt,
+        nextCycleAt: paused ? null : nextCycleAt,
+        lastCycle: cycleHistory[cycleHistory.length - 1] || null,
+        positions: getOpenPositions().map(p => p.symbol),
+        pinned,
+        banned,
+        driftMonitor: driftMonitor !== null,
+        liquidationGuard: liquidationGuard !== null
+      };
+    },
+    getState: () => state,
+    getPositions: async () => {
+      const [perp, spot] = await hyperliquid.withPriority('low', () => Promise.all([
+        getPerpPositions(hyperliquid, null, { verbose: false }),
+        getSpotBalances(hyperliquid, null, { verbose: false })
+      ]));
+      return { tracked: getOpenPositions(), onChain: { perp, spot } };
+    },
+    getAnalysis: () => lastAnalysis,
+    getBalances: () => hyperliquid.withPriority('low', () => getBalances(hyperliquid)),
+    getCycles: () => cycleHistory,
+    pause: () => setControls({ paused: true }),
+    resume: () => setControls({ paused: false }),
+    runCycle: () => {
+      if (isRunning) {
+        return { success: false, error: 'A cycle is already running' };
+      }
+      if (ordersInFlight()) {
+        return { success: false, error: 'Orders are being placed; try again shortly' };
+      }
+      runScheduledCycle('api');
+      return { success: true, cycle: cycleCount };
+    },
+    close: ({ symbol }) => closeOnRequest(symbol),
+    pin: ({ symbol }) => unknownSymbol(symbol) || setControls({
+      pinned: [...new Set([...getControls(state).pinned, symbol])],
+      banned: getControls(state).banned.filter(s => s !== symbol)
+    }),
+    unpin: ({ symbol }) => setControls({
+      pinned: symbol ? getControls(state).pinned.filter(s => s !== symbol) : []
+    }),
+    ban: ({ symbol }) => unknownSymbol(symbol) || setControls({
+      banned: [...new Set([...getControls(state).banned, symbol])],
+      pinned: getControls(state).pinned.filter(s => s !== symbol)
+    }),
+    unban: ({ symbol }) => setControls({
+      banned: getControls(state).banned.filter(s => s !== symbol)
+    })
+  }, config, { verbose: true });
+
+  try {
+    const { host, port } = await controlApi.start();
+    console.log(`[Bot] Control API: http://${host}:${port} (token from ${CONTROL_API.tokenEnv})`);
+  } catch (error) {
+    console.error(`[Bot] ⚠️  Control API not started: ${error.message}`);
+    controlApi = null;
+  }
+}
+
+/**
+ * Start notifications (utils/notifier.js): WebSocket fallback alerts and the
+ * daily funding summary. Trade modules reach the notifier through notify().
+ */
+function startNotifier() {
+  if (!NOTIFICATIONS.enabled) {
+    return;
+  }
+
+  const notifier = new Notifier(config, { verbose: true });
+  if (notifier.channels.length === 0) {
+    console.warn('[Bot] ⚠️  Notifications enabled but no channel is usable');
+    return;
+  }
+  setNotifier(notifier);
+  console.log(`[Bot] Notifications: ${notifier.channels.map(c => `${c.name} (${c.minSeverity}+)`).join(', ')}`);
+
+  hyperliquid.on('fallback', (transport) => {
+    notify({
+      severity: 'warning',
+      event: 'ws_fallback',
+      title: `WebSocket lost, falling back to ${transport.toUpperCase()}`,
+      message: 'Reconnect attempts are exhausted; requests go over REST until the bot restarts',
+      data: { transport }
+    });
+  });
+
+  const sendFundingSummary = async () => {
+    try {
+      const history = await hyperliquid.withPriority('low', () => hyperliquid.getUserFundingHistory(null, Date.now() - 24 * 60 * 60 * 1000));
+      await notify(buildFundingSummary(history, getOpenPositions(), 24));
+    } catch (error) {
+      console.error(`[Bot] ⚠️  Funding summary failed: ${error.message}`);
+    }
+  };
+
+  fundingSummaryTimer = setTimeout(function daily() {
+    sendFundingSummary();
+    fundingSummaryTimer = setTimeout(daily, 24 * 60 * 60 * 1000);
+  }, msUntilHourUTC(NOTIFICATIONS.dailySummaryHourUTC));
+}
+
+/**
+ * Start the Prometheus exporter (utils/metrics.js)
+ */
+async function startMetrics() {
+  if (!METRICS.enabled) {
+    return;
+  }
+
+  metrics = new MetricsExporter(hyperliquid, config, {
+    getPositions: getOpenPositions,
+    getBotStatus: () => ({ paused: getControls(state).paused, cycleRunning: isRunning }),
+    verbose: true
+  });
+
+  try {
+    const { host, port } = await metrics.start();
+    console.log(`[Bot] Metrics: http://${host}:${port}${METRICS.path}`);
+  } catch (error) {
+    console.error(`[Bot] ⚠️  Metrics endpoint not started: ${error.message}`);
+    metrics = null;
+  }
+}
+
 /**
  * Graceful shutdown
  */
@@ -917,12 +1901,37 @@ async function shutdown() {
   console.log();
   console.log('[Bot] Shutting down...');
 
+  if (controlApi) {
+    await controlApi.stop();
+  }
+
+  if (metrics) {
+    await metrics.stop();
+  }
+
+  if (fundingSummaryTimer) {
+    clearTimeout(fundingSummaryTimer);
+  }
+
+  if (driftMonitor) {
+    driftMonitor.stop();
+  }
+
+  if (liquidationGuard) {
+    liquidationGuard.stop();
+  }
+
+  if (paper) {
+    paper.stop();
+    console.log('[Bot] Paper account saved');
+  }
+
   if (hyperliquid) {
     hyperliquid.disconnect();
   }
 
   if (state) {
-    saveState(state);
+    saveState(state, STATE_FILE);
     console.log('[Bot] State saved');
   }
 
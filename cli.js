@@ -0,0 +1,556 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+import HyperliquidConnector from './hyperliquid.js';
+import { getCombinedFundingRates, getFundingRatesWithHistory } from './utils/funding.js';
+import { getBidAskSpreads } from './utils/spread.js';
+import { getPerpSpotSpreads } from './utils/arbitrage.js';
+import { get24HourVolumes, convertVolumesToUSDC } from './utils/volume.js';
+import { getAllPositions, analyzeDeltaNeutral, planAccountClose } from './utils/positions.js';
+import { getBalances } from './utils/balance.js';
+import { analyzeHedgeNeeds, autoHedgeAll } from './utils/hedge.js';
+import { updateLeverage } from './utils/leverage.js';
+import { getCoinLeverage } from './utils/capital.js';
+import { closeLeg } from './utils/trade.js';
+import { makeCloid } from './utils/cloid.js';
+import { resolvePairs } from './utils/pairs.js';
+import { parseCliArgs, checkFlags, numberFlag, resolveSymbols, renderRows, formatHelp } from './utils/cli.js';
+
+/**
+ * hldn - Command line tool for the account and markets the bot trades
+ *
+ * One entry point for what used to be separate scripts in tests/:
+ *
+ *   hldn funding                       # Current and predicted funding (trading.pairs)
+ *   hldn history -s BTC,ETH --days 30  # Funding history averages
+ *   hldn positions -f json             # Positions and hedge quality as JSON
+ *   hldn close BTC --dry-run           # Show the orders that would close BTC
+ *   hldn close --all                   # Emergency close everything
+ *
+ * Every command takes --symbols, --format (table, json, csv), --testnet and
+ * --config. Commands that send orders or change settings take --dry-run.
+ * With json or csv the data goes to stdout and progress logs to stderr, so
+ * the output can be piped.
+ *
+ * Usage: node cli.js <command> [options] (or `hldn` after npm link)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pct = (digits) => (value) => `${(value * 100).toFixed(digits)}%`;
+const percent = (digits) => (value) => `${value.toFixed(digits)}%`;
+const usd = (value) => `$${value.toFixed(2)}`;
+const compactUsd = (value) => `$${(value / 1e6).toFixed(2)}M`;
+
+const STATUS_COLUMNS = [
+  { key: 'status', label: 'Status' },
+  { key: 'error', label: 'Error' }
+];
+
+async function funding(ctx) {
+  const rates = await getCombinedFundingRates(ctx.hyperliquid, ctx.symbols);
+  return {
+    rows: rates.map(r => ({
+      symbol: r.symbol,
+      hourly: r.currentFundingRate ?? null,
+      annualized: r.currentAnnualizedRate ?? null,
+      predictedHourly: r.predictedFundingRate ?? null,
+      predictedAnnualized: r.predictedAnnualizedRate ?? null,
+      nextFunding: r.nextFundingTime ? new Date(r.nextFundingTime).toISOString() : null,
+      error: r.error || null
+    })),
+    columns: [
+      { key: 'symbol', label: 'Symbol' },
+      { key: 'hourly', label: 'Hourly', format: pct(4) },
+      { key: 'annualized', label: 'APY', format: pct(2) },
+      { key: 'predictedHourly', label: 'Next hourly', format: pct(4) },
+      { key: 'predictedAnnualized', label: 'Next APY', format: pct(2) },
+      { key: 'nextFunding', label: 'Next funding' },
+      { key: 'error', label: 'Error' }
+    ]
+  };
+}
+
+async function history(ctx) {
+  const days = numberFlag(ctx.flags.days, 'days', 7);
+
+  if (ctx.flags.payments) {
+    // Only filter by symbol when some were asked for
+    const symbols = resolveSymbols(ctx.flags, ctx.args, []);
+    const data = await ctx.hyperliquid.getUserFundingHistory(null, Date.now() - days * DAY_MS);
+    const rows = data.payments
+      .filter(p => p.delta?.type === 'funding')
+      .filter(p => symbols.length === 0 || symbols.includes(p.delta.coin))
+      .map(p => ({
+        time: new Date(p.time).toISOString(),
+        symbol: p.delta.coin,
+        size: parseFloat(p.delta.szi),
+        fundingRate: parseFloat(p.delta.fundingRate),
+        usdc: parseFloat(p.delta.usdc)
+      }));
+    return {
+      rows,
+      columns: [
+        { key: 'time', label: 'Time' },
+        { key: 'symbol', label: 'Symbol' },
+        { key: 'size', label: 'Size' },
+        { key: 'fundingRate', label: 'Rate', format: pct(4) },
+        { key: 'usdc', label: 'USDC', format: value => value.toFixed(4) }
+      ],
+      footer: `Total over ${days}d: ${usd(rows.reduce((sum, r) => sum + r.usdc, 0))} in ${rows.length} payment(s)`
+    };
+  }
+
+  const rates = await getFundingRatesWithHistory(ctx.hyperliquid, ctx.symbols, { days });
+  return {
+    rows: rates.map(r => ({
+      symbol: r.symbol,
+      annualized: r.annualizedRate ?? null,
+      avgAnnualized: r.history?.avg.annualized ?? null,
+      minAnnualized: r.history?.min.annualized ?? null,
+      maxAnnualized: r.history?.max.annualized ?? null,
+      samples: r.history?.count ?? null,
+      error: r.error || r.historyError || null
+    })),
+    columns: [
+      { key: 'symbol', label: 'Symbol' },
+      { key: 'annualized', label: 'APY now', format: pct(2) },
+      { key: 'avgAnnualized', label: `${days}d avg`, format: pct(2) },
+      { key: 'minAnnualized', label: `${days}d min`, format: pct(2) },
+      { key: 'maxAnnualized', label: `${days}d max`, format: pct(2) },
+      { key: 'samples', label: 'Samples' },
+      { key: 'error', label: 'Error' }
+    ]
+  };
+}
+
+async function spreads(ctx) {
+  const { symbols } = ctx;
+  const [bidAsk, basis] = await Promise.all([
+    getBidAskSpreads(ctx.hyperliquid, symbols, { verbose: false, config: ctx.config }),
+    getPerpSpotSpreads(ctx.hyperliquid, symbols, { verbose: false, config: ctx.config })
+  ]);
+
+  // getBidAskSpreads() returns a PERP then a SPOT result per symbol
+  return {
+    rows: symbols.map((symbol, i) => {
+      const perp = bidAsk[i * 2];
+      const spot = bidAsk[i * 2 + 1];
+      return {
+        symbol,
+        spotSymbol: spot.symbol,
+        perpSpreadPercent: perp.spreadPercent,
+        spotSpreadPercent: spot.spreadPercent,
+        perpMid: basis[i].perpMid,
+        spotMid: basis[i].spotMid,
+        basisPercent: basis[i].spreadPercent,
+        error: perp.error || spot.error || basis[i].error || null
+      };
+    }),
+    columns: [
+      { key: 'symbol', label: 'Symbol' },
+      { key: 'spotSymbol', label: 'Spot' },
+      { key: 'perpSpreadPercent', label: 'PERP spread', format: percent(3) },
+      { key: 'spotSpreadPercent', label: 'SPOT spread', format: percent(3) },
+      { key: 'perpMid', label: 'PERP mid' },
+      { key: 'spotMid', label: 'SPOT mid' },
+      { key: 'basisPercent', label: 'Basis', format: percent(3) },
+      { key: 'error', label: 'Error' }
+    ]
+  };
+}
+
+async function volumes(ctx) {
+  const raw = await get24HourVolumes(ctx.hyperliquid, ctx.symbols, { verbose: false, config: ctx.config });
+  const results = await convertVolumesToUSDC(ctx.hyperliquid, raw);
+  return {
+    rows: results.map(r => ({
+      symbol: r.perpSymbol,
+      spotSymbol: r.spotSymbol,
+      price: r.price,
+      perpVolumeUSD: typeof r.perpVolume === 'number' ? r.perpVolUSDC : null,
+      spotVolumeUSD: typeof r.spotVolume === 'number' ? r.spotVolUSDC : null,
+      totalVolumeUSD: r.totalVolUSDC
+    })),
+    columns: [
+      { key: 'symbol', label: 'Symbol' },
+      { key: 'spotSymbol', label: 'Spot' },
+      { key: 'price', label: 'Price' },
+      { key: 'perpVolumeUSD', label: 'PERP 24h', format: compactUsd },
+      { key: 'spotVolumeUSD', label: 'SPOT 24h', format: compactUsd },
+      { key: 'totalVolumeUSD', label: 'Total 24h', format: compactUsd }
+    ]
+  };
+}
+
+async function positions(ctx) {
+  const symbols = resolveSymbols(ctx.flags, ctx.args, []);
+  const { perp, spot } = await getAllPositions(ctx.hyperliquid);
+  const analysis = analyzeDeltaNeutral(perp, spot);
+
+  const perpRow = (position) => ({
+    perpSide: position.side,
+    perpSize: position.size,
+    entryPrice: position.entryPrice,
+    unrealizedPnl: position.unrealizedPnl,
+    leverage: position.leverage,
+    liquidationPx: position.liquidationPx || null
+  });
+
+  const rows = [
+    ...analysis.deltaNeutralPairs.map(pair => ({
+      symbol: pair.symbol,
+      spotSymbol: pair.spotBalance.symbol,
+      ...perpRow(pair.perpPosition),
+      spotSize: pair.spotSize,
+      mismatchPercent: pair.sizeMismatchPct,
+      hedge: pair.hedgeQuality
+    })),
+    ...analysis.unmatchedPerp.map(position => ({
+      symbol: position.symbol,
+      spotSymbol: null,
+      ...perpRow(position),
+      spotSize: null,
+      mismatchPercent: null,
+      hedge: 'UNHEDGED'
+    })),
+    ...analysis.unmatchedSpot.map(({ symbol, balance }) => ({
+      symbol: HyperliquidConnector.spotToPerp(symbol),
+      spotSymbol: symbol,
+      perpSide: null,
+      perpSize: null,
+      entryPrice: null,
+      unrealizedPnl: null,
+      leverage: null,
+      liquidationPx: null,
+      spotSize: balance.total,
+      mismatchPercent: null,
+      hedge: 'UNHEDGED'
+    }))
+  ].filter(row => symbols.length === 0 || symbols.includes(row.symbol));
+
+  return {
+    rows,
+    columns: [
+      { key: 'symbol', label: 'Symbol' },
+      { key: 'perpSide', label: 'Side' },
+      { key: 'perpSize', label: 'PERP size' },
+      { key: 'spotSymbol', label: 'Spot' },
+      { key: 'spotSize', label: 'SPOT size' },
+      { key: 'entryPrice', label: 'Entry' },
+      { key: 'unrealizedPnl', label: 'uPnL', format: usd },
+      { key: 'leverage', label: 'Lev', format: value => `${value}x` },
+      { key: 'liquidationPx', label: 'Liq. price', format: value => String(Number(value.toPrecision(6))) },
+      { key: 'mismatchPercent', label: 'Mismatch', format: percent(1) },
+      { key: 'hedge', label: 'Hedge' }
+    ]
+  };
+}
+
+async function balances(ctx) {
+  const b = await getBalances(ctx.hyperliquid);
+  return {
+    rows: [b],
+    columns: [
+      { key: 'perpBalance', label: 'PERP', format: usd },
+      { key: 'spotBalance', label: 'SPOT', format: usd },
+      { key: 'totalBalance', label: 'Total', format: usd },
+      { key: 'perpPercent', label: 'PERP %', format: percent(1) },
+      { key: 'spotPercent', label: 'SPOT %', format: percent(1) }
+    ]
+  };
+}
+
+function hedgeRow(need) {
+  return {
+    type: need.type,
+    symbol: need.perpSymbol,
+    market: need.market,
+    action: need.action,
+    size: need.perpSizeNeeded ?? need.spotSizeNeeded,
+    valueUSD: need.valueUSD,
+    reason: need.reason
+  };
+}
+
+const HEDGE_COLUMNS = [
+  { key: 'symbol', label: 'Symbol' },
+  { key: 'type', label: 'Type' },
+  { key: 'market', label: 'Market' },
+  { key: 'action', label: 'Action' },
+  { key: 'size', label: 'Size' },
+  { key: 'valueUSD', label: 'Value', format: usd },
+  { key: 'reason', label: 'Reason' }
+];
+
+async function hedge(ctx) {
+  const [mode = 'analyze'] = ctx.args;
+  if (!['analyze', 'execute'].includes(mode)) {
+    throw new Error('Usage: hedge analyze|execute');
+  }
+
+  if (mode === 'analyze' || ctx.flags['dry-run']) {
+    const analysis = await analyzeHedgeNeeds(ctx.hyperliquid, { minValueUSD: 1 });
+    const status = mode === 'analyze' ? 'needed' : 'dry-run';
+    return {
+      rows: analysis.hedgeNeeds.map(need => ({ ...hedgeRow(need), status })),
+      columns: [...HEDGE_COLUMNS, { key: 'status', label: 'Status' }]
+    };
+  }
+
+  const result = await autoHedgeAll(ctx.hyperliquid, ctx.config, { minValueUSD: 1, fallbackToClose: true });
+  return {
+    rows: [
+      ...result.hedged.map(r => ({ ...hedgeRow(r.hedgeNeed), status: 'hedged', fillSize: r.fillSize, fillPrice: r.fillPrice, error: null })),
+      ...result.closed.map(r => ({ ...hedgeRow(r.hedgeNeed), status: 'closed', fillSize: null, fillPrice: null, error: r.hedgeResult.error })),
+      ...result.failed.map(r => ({ ...hedgeRow(r.hedgeNeed), status: 'failed', fillSize: null, fillPrice: null, error: r.closeError || r.hedgeResult.error }))
+    ],
+    columns: [...HEDGE_COLUMNS, { key: 'fillSize', label: 'Filled' }, { key: 'fillPrice', label: 'Fill price' }, ...STATUS_COLUMNS],
+    failed: !result.success
+  };
+}
+
+async function leverage(ctx) {
+  const { symbols } = ctx;
+  const isCross = ctx.flags.cross;
+  const rows = [];
+
+  for (const symbol of symbols) {
+    const row = {
+      symbol,
+      leverage: numberFlag(ctx.flags.leverage, 'leverage', getCoinLeverage(ctx.config, symbol)),
+      margin: isCross ? 'cross' : 'isolated',
+      status: 'dry-run',
+      error: null
+    };
+
+    if (!ctx.flags['dry-run']) {
+      try {
+        await updateLeverage(ctx.hyperliquid, symbol, row.leverage, isCross);
+        row.status = 'set';
+      } catch (error) {
+        row.status = 'failed';
+        row.error = error.message;
+      }
+    }
+    rows.push(row);
+  }
+
+  return {
+    rows,
+    columns: [
+      { key: 'symbol', label: 'Symbol' },
+      { key: 'leverage', label: 'Leverage', format: value => `${value}x` },
+      { key: 'margin', label: 'Margin' },
+      ...STATUS_COLUMNS
+    ],
+    failed: rows.some(r => r.status === 'failed')
+  };
+}
+
+async function close(ctx) {
+  const symbols = resolveSymbols(ctx.flags, ctx.args, []);
+  if (ctx.flags.all === (symbols.length > 0)) {
+    throw new Error('Usage: close <symbol...> or close --all');
+  }
+
+  const minNotional = numberFlag(ctx.flags['min-notional'], 'min-notional', 9.9);
+  const [{ perp, spot }, mids] = await Promise.all([
+    getAllPositions(ctx.hyperliquid),
+    ctx.hyperliquid.getAllMids()
+  ]);
+  const prices = Object.fromEntries(Object.entries(mids).map(([coin, price]) => [coin, parseFloat(price)]));
+  const plan = planAccountClose(perp, spot, prices, { symbols: ctx.flags.all ? null : symbols, minNotional });
+
+  const rows = plan.skipped.map(leg => ({ ...leg, status: 'skipped', fillSize: null, fillPrice: null, error: `Below $${minNotional} minimum` }));
+
+  if (ctx.flags['dry-run']) {
+    rows.unshift(...plan.legs.map(leg => ({ ...leg, status: 'dry-run', fillSize: null, fillPrice: null, error: null })));
+  } else {
+    // All legs at once: when closing everything, speed matters more than pairing
+    const results = await Promise.all(plan.legs.map(leg => closeLeg(ctx.hyperliquid, leg, ctx.config)));
+    rows.unshift(...plan.legs.map((leg, i) => ({
+      ...leg,
+      status: results[i].success ? 'closed' : 'failed',
+      fillSize: results[i].success ? results[i].size : null,
+      fillPrice: results[i].success ? results[i].price : null,
+      error: results[i].error || null
+    })));
+  }
+
+  return {
+    rows,
+    columns: [
+      { key: 'symbol', label: 'Symbol' },
+      { key: 'type', label: 'Market' },
+      { key: 'side', label: 'Side' },
+      { key: 'size', label: 'Size' },
+      { key: 'notional', label: 'Value', format: usd },
+      { key: 'fillSize', label: 'Filled' },
+      { key: 'fillPrice', label: 'Fill price' },
+      ...STATUS_COLUMNS
+    ],
+    failed: rows.some(r => r.status === 'failed')
+  };
+}
+
+async function order(ctx) {
+  const [symbol, side, sizeArg] = ctx.args;
+  if (!symbol || !['buy', 'sell'].includes(side) || sizeArg === undefined) {
+    throw new Error('Usage: order <symbol> <buy|sell> <size>');
+  }
+  if (ctx.flags.spot && ctx.flags['reduce-only']) {
+    throw new Error('--reduce-only only applies to PERP orders');
+  }
+
+  const hyperliquid = ctx.hyperliquid;
+  const isSpot = ctx.flags.spot;
+  const market = isSpot ? HyperliquidConnector.perpToSpot(symbol) : symbol;
+  const slippage = numberFlag(ctx.flags.slippage, 'slippage', ctx.config.trading.maxSlippagePercent);
+
+  const assetId = await hyperliquid.getAssetId(market, isSpot);
+  const assetInfo = hyperliquid.getAssetInfo(market, assetId);
+  const size = parseFloat(hyperliquid.roundSize(numberFlag(sizeArg, 'size'), assetInfo.szDecimals));
+  const mids = await hyperliquid.getAllMids();
+  const price = parseFloat(mids[hyperliquid.getCoinForOrderbook(market, assetId)]);
+  if (!Number.isFinite(price)) {
+    throw new Error(`No price data available for ${market}`);
+  }
+
+  const row = {
+    symbol: market,
+    market: isSpot ? 'SPOT' : 'PERP',
+    side,
+    size,
+    price,
+    notional: size * price,
+    reduceOnly: ctx.flags['reduce-only'],
+    status: 'dry-run',
+    fillSize: null,
+    fillPrice: null,
+    error: null
+  };
+
+  if (!ctx.flags['dry-run']) {
+    try {
+      const result = await hyperliquid.createMarketOrder(market, side, size, {
+        isSpot,
+        reduceOnly: row.reduceOnly,
+        slippage,
+        overrideMidPrice: price,
+        cloid: makeCloid('cli-order', market, Date.now())
+      });
+      const status = result.response?.data?.statuses?.[0];
+      if (status?.filled) {
+        row.status = 'filled';
+        row.fillSize = parseFloat(status.filled.totalSz);
+        row.fillPrice = parseFloat(status.filled.avgPx);
+      } else {
+        row.status = 'failed';
+        row.error = status?.error || 'Order not filled';
+      }
+    } catch (error) {
+      row.status = 'failed';
+      row.error = error.message;
+    }
+  }
+
+  return {
+    rows: [row],
+    columns: [
+      { key: 'symbol', label: 'Symbol' },
+      { key: 'market', label: 'Market' },
+      { key: 'side', label: 'Side' },
+      { key: 'size', label: 'Size' },
+      { key: 'price', label: 'Mid' },
+      { key: 'notional', label: 'Value', format: usd },
+      { key: 'reduceOnly', label: 'Reduce only' },
+      { key: 'fillSize', label: 'Filled' },
+      { key: 'fillPrice', label: 'Fill price' },
+      ...STATUS_COLUMNS
+    ],
+    failed: row.status === 'failed'
+  };
+}
+
+export const COMMANDS = {
+  funding: { usage: 'funding [symbols...]', description: 'Current and predicted funding rates', flags: [], run: funding },
+  history: { usage: 'history [symbols...]', description: 'Funding rate averages, or your payments with --payments', flags: ['days', 'payments'], run: history },
+  spreads: { usage: 'spreads [symbols...]', description: 'Bid-ask spreads and PERP-SPOT basis', flags: [], run: spreads },
+  volumes: { usage: 'volumes [symbols...]', description: '24h PERP and SPOT volumes in USD', flags: [], run: volumes },
+  positions: { usage: 'positions [symbols...]', description: 'PERP positions, SPOT balances and hedge quality', flags: [], run: positions },
+  balances: { usage: 'balances', description: 'PERP and SPOT USDC balances', flags: [], run: balances },
+  hedge: { usage: 'hedge analyze|execute', description: 'Find or fix unhedged and mismatched legs', flags: ['dry-run'], run: hedge },
+  leverage: { usage: 'leverage [symbols...]', description: 'Set PERP leverage (configured per coin by default)', flags: ['dry-run', 'leverage', 'cross'], run: leverage },
+  close: { usage: 'close <symbols...>|--all', description: 'Market-close PERP and SPOT legs (reduce-only PERP)', flags: ['dry-run', 'all', 'min-notional'], run: close },
+  order: { usage: 'order <symbol> <buy|sell> <size>', description: 'Single market order', flags: ['dry-run', 'spot', 'reduce-only', 'slippage'], run: order }
+};
+
+/**
+ * Run a command
+ * @param {Array<string>} argv - Arguments (process.argv.slice(2))
+ * @param {Object} options - Options
+ * @param {Object} options.stdout - Where the data goes (default: process.stdout)
+ * @returns {Promise<number>} Exit code: 0, or 1 on bad usage or a failed order
+ */
+export async function runCli(argv, options = {}) {
+  const { stdout = process.stdout } = options;
+
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 1;
+  }
+
+  const { command, args, flags } = parsed;
+  const definition = COMMANDS[command];
+  if (flags.help || !definition) {
+    stdout.write(`${formatHelp(COMMANDS)}\n`);
+    if (command && !definition) {
+      console.error(`Error: Unknown command "${command}"`);
+    }
+    return command && !definition ? 1 : 0;
+  }
+
+  // Keep stdout parseable: library logs go to stderr for json and csv
+  const log = console.log;
+  if (flags.format !== 'table') {
+    console.log = console.error;
+  }
+
+  try {
+    checkFlags(flags, definition.flags, command);
+
+    const config = JSON.parse(fs.readFileSync(flags.config, 'utf8'));
+    const hyperliquid = new HyperliquidConnector({ testnet: flags.testnet });
+
+    // Discovery also registers PERP -> SPOT symbol mappings
+    const { pairs } = await resolvePairs(hyperliquid, config);
+    const ctx = {
+      args,
+      flags,
+      config,
+      hyperliquid,
+      symbols: resolveSymbols(flags, args, pairs)
+    };
+
+    const result = await definition.run(ctx);
+    stdout.write(`${renderRows(result.rows, result.columns, flags.format)}\n`);
+    if (result.footer && flags.format === 'table') {
+      stdout.write(`\n${result.footer}\n`);
+    }
+    return result.failed ? 1 : 0;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 1;
+  } finally {
+    console.log = log;
+  }
+}
+
+// Run when executed directly (also through the npm bin symlink), not when imported
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+  process.exit(await runCli(process.argv.slice(2)));
+}
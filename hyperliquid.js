@@ -1,20 +1,36 @@
 import WebSocket from 'ws';
 import fetch from 'node-fetch';
 import { EventEmitter } from 'events';
-import { SlidingWindowRateLimiter } from './utils/rate-limiter.js';
+import { AsyncLocalStorage } from 'async_hooks';
+import { SlidingWindowRateLimiter, getSharedRestLimiter, requestWeight, responseWeight } from './utils/rate-limiter.js';
+import { OrderLedger } from './utils/order-ledger.js';
+import { isCloid, statusFromOrderStatus } from './utils/cloid.js';
+import { createLogger, getCorrelation } from './utils/logger.js';
 import { ethers } from 'ethers';
 import dotenv from 'dotenv';
 import { encode as msgpackEncode } from '@msgpack/msgpack';
 
-dotenv.config();
+// quiet: dotenv's banner would otherwise land in `cli.js -f json` output
+dotenv.config({ quiet: true });
+
+const log = createLogger('Hyperliquid');
+
+/**
+ * Retry-After header of a 429 response in milliseconds (null when absent)
+ */
+function retryAfterMs(response) {
+  const seconds = parseFloat(response.headers.get('retry-after'));
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
 
 class HyperliquidConnector extends EventEmitter {
   constructor(options = {}) {
     super();
 
-    this.wsUrl = options.wsUrl || 'wss://api.hyperliquid.xyz/ws';
-    this.restUrl = options.restUrl || 'https://api.hyperliquid.xyz/info';
-    this.exchangeUrl = options.exchangeUrl || 'https://api.hyperliquid.xyz/exchange';
+    // URLs can also come from the environment (e.g. to point at tests/mock/mock-hyperliquid-server.js)
+    this.wsUrl = options.wsUrl || process.env.HL_WS_URL || 'wss://api.hyperliquid.xyz/ws';
+    this.restUrl = options.restUrl || process.env.HL_REST_URL || 'https://api.hyperliquid.xyz/info';
+    this.exchangeUrl = options.exchangeUrl || process.env.HL_EXCHANGE_URL || 'https://api.hyperliquid.xyz/exchange';
     this.testnet = options.testnet || false;
 
     if (this.testnet) {
@@ -32,12 +48,17 @@ class HyperliquidConnector extends EventEmitter {
       this.signer = new ethers.Wallet(this.privateKey);
     }
 
+    // Paper trading account (utils/paper.js PaperExchange.attach()).
+    // When set, orders and account queries are simulated instead of sent.
+    this.paper = null;
+
     // Connection state
     this.ws = null;
     this.connected = false;
     this.reconnecting = false;
     this.intentionalDisconnect = false; // Flag to prevent auto-reconnect after manual disconnect
     this.reconnectAttempts = 0;
+    this.totalReconnects = 0; // Reconnect attempts since start (reconnectAttempts resets once connected)
     this.maxReconnectAttempts = options.maxReconnectAttempts || 10;
     this.reconnectDelay = options.reconnectDelay || 1000;
     this.maxReconnectDelay = options.maxReconnectDelay || 30000;
@@ -45,6 +66,7 @@ class HyperliquidConnector extends EventEmitter {
     // Health monitoring
     this.pingInterval = options.pingInterval || 30000;
     this.pongTimeout = options.pongTimeout || 10000;
+    this.requestTimeout = options.requestTimeout || 10000; // WebSocket post requests
     this.pingTimer = null;
     this.pongTimer = null;
     this.connectionTimeout = null; // Connection timeout timer
@@ -72,6 +94,17 @@ class HyperliquidConnector extends EventEmitter {
 
     // Subscriptions
     this.subscriptions = new Set();
+    this.userSubscriptions = new Set(); // users subscribed to userFills/orderUpdates/userEvents
+
+    // Orders and fills of the account, fed by the user channels and order responses.
+    // Re-emitted on the connector as 'fill' (fill, order) and 'orderUpdate' (order, previousStatus).
+    this.orderLedger = new OrderLedger();
+    this.orderLedger.on('fill', (fill, order) => this.emit('fill', fill, order));
+    this.orderLedger.on('order', (order, previousStatus) => this.emit('orderUpdate', order, previousStatus));
+
+    // Where orders with a cloid are written before they are sent: { record(order), resolve(cloid, result) }.
+    // The bot keeps them in state (pendingOrders) so a restart can reconcile orders left in flight.
+    this.orderJournal = options.orderJournal || null;
 
     // Track polling requests per coin to avoid overlapping
     this.pollingInProgress = new Map();
@@ -83,11 +116,13 @@ class HyperliquidConnector extends EventEmitter {
       windowMs: 60000 // 1 minute
     });
 
-    // REST: max 1200 weight per minute (l2Book has weight 2)
-    this.restRateLimiter = new SlidingWindowRateLimiter({
-      maxRequests: 600, // 600 requests × 2 weight = 1200
-      windowMs: 60000 // 1 minute
-    });
+    // REST: max 1200 weight per minute per IP, so by default every connector in
+    // the process shares one weighted limiter (see utils/rate-limiter.js)
+    this.restRateLimiter = options.restRateLimiter || getSharedRestLimiter();
+    this.maxRetries429 = options.maxRetries429 ?? 3;
+
+    // Priority lane for REST requests made inside withPriority()
+    this.priorityContext = new AsyncLocalStorage();
 
     // Track inflight WebSocket requests
     this.maxInflightRequests = options.maxInflightRequests || 90; // Max 100, use 90 for buffer
@@ -220,6 +255,33 @@ class HyperliquidConnector extends EventEmitter {
         return;
       }
 
+      // User channels: the first userFills message after subscribing is a snapshot of recent fills
+      if (message.channel === 'userFills') {
+        this.orderLedger.applyFills(message.data.fills, { isSnapshot: message.data.isSnapshot === true });
+        return;
+      }
+
+      if (message.channel === 'orderUpdates') {
+        for (const update of message.data || []) {
+          this.orderLedger.applyOrderUpdate(update);
+        }
+        return;
+      }
+
+      // userEvents arrive on the 'user' channel: { fills } | { funding } | { liquidation } | { nonUserCancel }
+      if (message.channel === 'user') {
+        if (message.data.fills) {
+          this.orderLedger.applyFills(message.data.fills);
+        }
+        if (message.data.nonUserCancel) {
+          this.orderLedger.applyNonUserCancels(message.data.nonUserCancel);
+        }
+        if (message.data.liquidation) {
+          this.emit('liquidation', message.data.liquidation);
+        }
+        return;
+      }
+
     } catch (error) {
       console.error('[Hyperliquid] Error parsing message:', error);
     }
@@ -257,12 +319,23 @@ class HyperliquidConnector extends EventEmitter {
       };
     }
 
+    // Full depth, parsed once so sizing code doesn't re-parse strings
+    const parseLevels = (levels) => (levels || []).map(level => ({
+      price: parseFloat(level.px),
+      size: parseFloat(level.sz),
+      numOrders: level.n
+    }));
+
     const orderbook = {
       coin,
       bestBid,
       bestAsk,
       bids,
       asks,
+      depth: {
+        bids: parseLevels(bids),
+        asks: parseLevels(asks)
+      },
       timestamp: time || Date.now()
     };
 
@@ -290,6 +363,49 @@ class HyperliquidConnector extends EventEmitter {
     };
   }
 
+  /**
+   * Get full L2 depth for a coin from the cache
+   * @param {string} coin - Orderbook coin ('BTC' or '@142' for spot)
+   * @returns {Object|null} { coin, bids, asks, timestamp } with numeric { price, size, numOrders } levels, best first
+   */
+  getDepth(coin) {
+    const orderbook = this.orderbooks.get(coin);
+
+    if (!orderbook || !orderbook.depth) {
+      return null;
+    }
+
+    return {
+      coin,
+      bids: orderbook.depth.bids,
+      asks: orderbook.depth.asks,
+      timestamp: orderbook.timestamp
+    };
+  }
+
+  /**
+   * Get full L2 depth, refreshing it over REST if not cached or older than maxAgeMs
+   * @param {string} coin - Orderbook coin ('BTC' or '@142' for spot)
+   * @param {number} maxAgeMs - Maximum age of cached depth (0 always refreshes)
+   * @returns {Promise<Object|null>} Same shape as getDepth()
+   */
+  async fetchDepth(coin, maxAgeMs = 5000) {
+    const cached = this.getDepth(coin);
+
+    if (cached && Date.now() - cached.timestamp < maxAgeMs && cached.bids.length > 0 && cached.asks.length > 0) {
+      return cached;
+    }
+
+    const data = await this.requestL2BookRest(coin);
+    this.updateOrderbook({
+      coin,
+      levels: data.levels,
+      time: Date.now()
+    });
+
+    return this.getDepth(coin);
+  }
+
   /**
    * Subscribe to orderbook updates for a coin
    */
@@ -330,19 +446,60 @@ class HyperliquidConnector extends EventEmitter {
   }
 
   /**
-   * Request L2 orderbook via WebSocket post
+   * Subscribe to a user's fills, order updates and events (userFills, orderUpdates, userEvents).
+   * Updates are applied to this.orderLedger. Paper mode feeds the ledger itself, so nothing is sent.
+   * @param {string} user - User address (defaults to configured wallet)
    */
-  async requestL2Book(coin, nSigFigs = 5) {
+  async subscribeUserEvents(user = null) {
+    if (this.paper) {
+      return;
+    }
+
+    user = user || this.wallet;
+
+    if (!user) {
+      throw new Error('User address required for user event subscriptions');
+    }
+    if (!this.connected) {
+      throw new Error('Not connected');
+    }
+
+    this.userSubscriptions.add(user);
+
+    for (const type of ['userFills', 'orderUpdates', 'userEvents']) {
+      this.ws.send(JSON.stringify({ method: 'subscribe', subscription: { type, user } }));
+    }
+  }
+
+  /**
+   * Whether order updates for the configured wallet are being pushed into this.orderLedger
+   * @returns {boolean} True when subscribed over a live WebSocket
+   */
+  hasUserStream() {
+    return !this.paper && this.connected && this.userSubscriptions.has(this.wallet);
+  }
+
+  /**
+   * Whether a WebSocket post can be sent right now (connected, under the inflight and message limits)
+   * @returns {boolean}
+   */
+  canPostWebSocket() {
+    return this.connected &&
+      this.pendingRequests.size < this.maxInflightRequests &&
+      this.wsRateLimiter.canRequest();
+  }
+
+  /**
+   * Send a request on the WebSocket post channel
+   * @param {Object} request - { type: 'info' | 'action', payload }
+   * @returns {Promise<Object>} Response payload ({ type, data } for info, the exchange response for actions)
+   */
+  async postWebSocket(request) {
     // Check inflight request limit
     if (this.pendingRequests.size >= this.maxInflightRequests) {
       throw new Error('Too many inflight requests');
     }
 
-    // Check rate limit
-    if (!this.wsRateLimiter.canRequest()) {
-      throw new Error('Rate limit exceeded');
-    }
-
     return new Promise((resolve, reject) => {
       if (!this.connected) {
         reject(new Error('Not connected'));
@@ -357,27 +514,13 @@ class HyperliquidConnector extends EventEmitter {
 
       const id = ++this.requestId;
 
-      const request = {
-        method: 'post',
-        id,
-        request: {
-          type: 'info',
-          payload: {
-            type: 'l2Book',
-            coin,
-            nSigFigs,
-            mantissa: null
-          }
-        }
-      };
-
       // Store pending request with timeout
       const timeoutId = setTimeout(() => {
         if (this.pendingRequests.has(id)) {
           this.pendingRequests.delete(id);
           reject(new Error('Request timeout'));
         }
-      }, 10000); // Increased to 10 seconds
+      }, this.requestTimeout);
 
       this.pendingRequests.set(id, {
         resolve,
@@ -387,7 +530,7 @@ class HyperliquidConnector extends EventEmitter {
 
       // Send request
       try {
-        this.ws.send(JSON.stringify(request));
+        this.ws.send(JSON.stringify({ method: 'post', id, request }));
       } catch (error) {
         if (this.pendingRequests.has(id)) {
           clearTimeout(this.pendingRequests.get(id).timeout);
@@ -398,6 +541,21 @@ class HyperliquidConnector extends EventEmitter {
     });
   }
 
+  /**
+   * Request L2 orderbook via WebSocket post
+   */
+  async requestL2Book(coin, nSigFigs = 5) {
+    return await this.postWebSocket({
+      type: 'info',
+      payload: {
+        type: 'l2Book',
+        coin,
+        nSigFigs,
+        mantissa: null
+      }
+    });
+  }
+
   /**
    * Request clearinghouse state (balances) via WebSocket post
    * @param {string} user - Wallet address
@@ -408,67 +566,90 @@ class HyperliquidConnector extends EventEmitter {
       throw new Error('User address required for clearinghouse state');
     }
 
-    // Check inflight request limit
-    if (this.pendingRequests.size >= this.maxInflightRequests) {
-      throw new Error('Too many inflight requests');
-    }
-
-    // Check rate limit
-    if (!this.wsRateLimiter.canRequest()) {
-      throw new Error('Rate limit exceeded');
-    }
-
-    return new Promise((resolve, reject) => {
-      if (!this.connected) {
-        reject(new Error('Not connected'));
-        return;
+    return await this.postWebSocket({
+      type: 'info',
+      payload: {
+        type: 'clearinghouseState',
+        user: user || this.wallet
       }
+    });
+  }
 
-      // Consume rate limit token
-      if (!this.wsRateLimiter.tryRequest()) {
-        reject(new Error('Rate limit exceeded'));
-        return;
+  /**
+   * Send an info request
+   *
+   * Uses the WebSocket post channel when it is available and falls back to REST
+   * (the configured restUrl, so testnet and mock URLs apply) when the socket is
+   * down, at its message/inflight limits, or the post fails. Info requests are
+   * reads, so retrying one over REST is always safe.
+   *
+   * REST calls wait for their weight in restRateLimiter, in the lane given by
+   * options.priority or the enclosing withPriority() call. A 429 shrinks the
+   * limiter's budget and the request is queued again (up to maxRetries429 times).
+   *
+   * @param {Object} payload - Info request, e.g. { type: 'meta' }
+   * @param {Object} options - Options
+   * @param {boolean} options.useRest - Skip the WebSocket
+   * @param {string} options.priority - Rate limit lane: 'high' | 'normal' | 'low'
+   * @returns {Promise<*>} Response data
+   */
+  async info(payload, options = {}) {
+    if (!options.useRest && this.canPostWebSocket()) {
+      try {
+        const response = await this.postWebSocket({ type: 'info', payload });
+        return response.data;
+      } catch (error) {
+        // Fall through to REST
       }
+    }
 
-      const id = ++this.requestId;
-
-      const request = {
-        method: 'post',
-        id,
-        request: {
-          type: 'info',
-          payload: {
-            type: 'clearinghouseState',
-            user: user || this.wallet
-          }
-        }
-      };
+    const lane = options.priority || this.getPriority();
 
-      // Store pending request with timeout
-      const timeoutId = setTimeout(() => {
-        if (this.pendingRequests.has(id)) {
-          this.pendingRequests.delete(id);
-          reject(new Error('Request timeout'));
-        }
-      }, 10000);
+    for (let attempt = 0; ; attempt++) {
+      await this.restRateLimiter.acquire(requestWeight(payload), lane);
 
-      this.pendingRequests.set(id, {
-        resolve,
-        reject,
-        timeout: timeoutId
+      const response = await fetch(this.restUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
       });
 
-      // Send request
-      try {
-        this.ws.send(JSON.stringify(request));
-      } catch (error) {
-        if (this.pendingRequests.has(id)) {
-          clearTimeout(this.pendingRequests.get(id).timeout);
-          this.pendingRequests.delete(id);
+      if (response.status === 429 && attempt < this.maxRetries429) {
+        this.restRateLimiter.record429(retryAfterMs(response));
+        continue;
+      }
+
+      if (!response.ok) {
+        if (response.status === 429) {
+          this.restRateLimiter.record429(retryAfterMs(response));
         }
-        reject(error);
+        throw new Error(`HTTP ${response.status}: ${response.statusText} (info ${payload.type})`);
       }
-    });
+
+      const data = await response.json();
+      this.restRateLimiter.charge(responseWeight(payload.type, data));
+      return data;
+    }
+  }
+
+  /**
+   * Run fn with every REST request it makes (awaited or not) in the given lane
+   *
+   * @param {string} lane - 'high' (orders, hedging) | 'normal' | 'low' (statistics, summaries)
+   * @param {Function} fn - Async function
+   * @returns {Promise<*>} fn's result
+   */
+  withPriority(lane, fn) {
+    return this.priorityContext.run(lane, fn);
+  }
+
+  /**
+   * @returns {string} Lane of the enclosing withPriority() call, or 'normal'
+   */
+  getPriority() {
+    return this.priorityContext.getStore() || 'normal';
   }
 
   /**
@@ -560,28 +741,13 @@ class HyperliquidConnector extends EventEmitter {
    * Request L2 orderbook via REST API
    */
   async requestL2BookRest(coin, nSigFigs = 5) {
-    // Wait for rate limit slot (l2Book has weight 2)
-    await this.restRateLimiter.waitForSlot();
-
     try {
-      const response = await fetch(this.restUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          type: 'l2Book',
-          coin,
-          nSigFigs,
-          mantissa: null
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      const data = await this.info({
+        type: 'l2Book',
+        coin,
+        nSigFigs,
+        mantissa: null
+      }, { useRest: true });
       return data;
     } catch (error) {
       console.error(`[Hyperliquid] REST API error for ${coin}:`, error.message);
@@ -803,6 +969,7 @@ class HyperliquidConnector extends EventEmitter {
 
     this.reconnecting = true;
     this.reconnectAttempts++;
+    this.totalReconnects++;
 
     if (this.reconnectAttempts > this.maxReconnectAttempts) {
       console.error('[Hyperliquid] Max reconnect attempts reached, switching to REST fallback');
@@ -843,6 +1010,13 @@ class HyperliquidConnector extends EventEmitter {
         console.error(`[Hyperliquid] Error resubscribing to ${coin}:`, error);
       });
     }
+
+    // Fills missed while disconnected come back in the userFills snapshot
+    for (const user of this.userSubscriptions) {
+      this.subscribeUserEvents(user).catch(error => {
+        console.error(`[Hyperliquid] Error resubscribing to user events for ${user}:`, error);
+      });
+    }
   }
 
   /**
@@ -874,6 +1048,7 @@ class HyperliquidConnector extends EventEmitter {
 
     this.connected = false;
     this.subscriptions.clear();
+    this.userSubscriptions.clear();
     this.orderbooks.clear();
     this.pendingRequests.clear();
     this.pollingInProgress.clear();
@@ -881,15 +1056,29 @@ class HyperliquidConnector extends EventEmitter {
 
   /**
    * Get connection status
+   * orderbookAgeMs is the time since each cached book was last updated;
+   * rateLimits holds the REST limiter's getStats() and the WebSocket window use.
    */
   getStatus() {
+    const now = Date.now();
+
     return {
       connected: this.connected,
       reconnecting: this.reconnecting,
       reconnectAttempts: this.reconnectAttempts,
+      totalReconnects: this.totalReconnects,
       useRestFallback: this.useRestFallback,
       subscriptions: Array.from(this.subscriptions),
-      orderbooks: Array.from(this.orderbooks.keys())
+      orderbooks: Array.from(this.orderbooks.keys()),
+      orderbookAgeMs: Object.fromEntries(
+        Array.from(this.orderbooks, ([coin, orderbook]) => [coin, now - orderbook.timestamp])
+      ),
+      inflightRequests: this.pendingRequests.size,
+      maxInflightRequests: this.maxInflightRequests,
+      rateLimits: {
+        rest: this.restRateLimiter.getStats(),
+        ws: this.wsRateLimiter.getStats()
+      }
     };
   }
 
@@ -898,21 +1087,9 @@ class HyperliquidConnector extends EventEmitter {
    */
   async getMeta() {
     try {
-      const response = await fetch(this.restUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          type: 'meta'
-        })
+      const data = await this.info({
+        type: 'meta'
       });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
       return data;
     } catch (error) {
       console.error('[Hyperliquid] Error fetching meta:', error.message);
@@ -925,21 +1102,9 @@ class HyperliquidConnector extends EventEmitter {
    */
   async getSpotMeta() {
     try {
-      const response = await fetch(this.restUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          type: 'spotMeta'
-        })
+      const data = await this.info({
+        type: 'spotMeta'
       });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
       return data;
     } catch (error) {
       console.error('[Hyperliquid] Error fetching spot meta:', error.message);
@@ -1055,6 +1220,8 @@ class HyperliquidConnector extends EventEmitter {
 
   /**
    * Symbol mapping between perp and spot markets
+   * Defaults for the main pairs; utils/pairs.js discoverPairs() registers the
+   * mapping discovered from spotMeta on startup.
    */
   static PERP_TO_SPOT_MAP = {
     'BTC': 'UBTC',
@@ -1080,6 +1247,21 @@ class HyperliquidConnector extends EventEmitter {
     'HYPE': 'HYPE'
   };
 
+  /**
+   * Register (or replace) the spot symbol of a perp
+   * @param {string} perpSymbol - Perp market symbol (e.g., 'FARTCOIN')
+   * @param {string} spotSymbol - Spot market symbol (e.g., 'UFART')
+   */
+  static setSymbolMapping(perpSymbol, spotSymbol) {
+    const previous = HyperliquidConnector.PERP_TO_SPOT_MAP[perpSymbol];
+    if (previous && HyperliquidConnector.SPOT_TO_PERP_MAP[previous] === perpSymbol) {
+      delete HyperliquidConnector.SPOT_TO_PERP_MAP[previous];
+    }
+
+    HyperliquidConnector.PERP_TO_SPOT_MAP[perpSymbol] = spotSymbol;
+    HyperliquidConnector.SPOT_TO_PERP_MAP[spotSymbol] = perpSymbol;
+  }
+
   /**
    * Convert perp symbol to spot symbol
    * @param {string} perpSymbol - Perp market symbol (e.g., 'ETH', 'SOL', 'PUMP')
@@ -1123,8 +1305,7 @@ class HyperliquidConnector extends EventEmitter {
    * @returns {Promise<Array>} Array of candle objects
    */
   async getCandleSnapshot(coin, interval = '1h', startTime, endTime) {
-    const url = 'https://api.hyperliquid.xyz/info';
-    const payload = {
+    return await this.info({
       type: 'candleSnapshot',
       req: {
         coin: coin,
@@ -1132,19 +1313,7 @@ class HyperliquidConnector extends EventEmitter {
         startTime: startTime,
         endTime: endTime
       }
-    };
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
     });
-
-    if (!response.ok) {
-      throw new Error(`Candle snapshot request failed: ${response.statusText}`);
-    }
-
-    return await response.json();
   }
 
   /**
@@ -1188,22 +1357,7 @@ class HyperliquidConnector extends EventEmitter {
    * @returns {Promise<Object>} Object with symbol -> mid price mapping
    */
   async getAllMids() {
-    const url = 'https://api.hyperliquid.xyz/info';
-    const payload = {
-      type: 'allMids'
-    };
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch all mids: ${response.statusText}`);
-    }
-
-    return await response.json();
+    return await this.info({ type: 'allMids' });
   }
 
   /**
@@ -1353,7 +1507,7 @@ class HyperliquidConnector extends EventEmitter {
    * @returns {Promise<object>} Order result
    */
   async createMarketOrder(coin, side, size, options = {}) {
-    if (!this.wallet || !this.signer) {
+    if (!this.paper && (!this.wallet || !this.signer)) {
       throw new Error('Wallet and private key required for trading');
     }
 
@@ -1419,7 +1573,7 @@ class HyperliquidConnector extends EventEmitter {
     }
 
     console.log(`[Hyperliquid] Market order ${side} ${sizeStr} ${coin} at limit ${limitPriceStr} (mid: ${midPrice.toFixed(6)}, notional: $${notional.toFixed(2)}, slippage: ${slippage * 100}%, szDecimals: ${assetInfo.szDecimals})`);
-    console.log(`[Hyperliquid] Price calculation: ${midPrice} * ${1 + (isBuy ? slippage : -slippage)} = ${limitPrice} -> rounded: ${limitPriceStr}`);
+    log.debug('Price calculation', { midPrice, factor: 1 + (isBuy ? slippage : -slippage), limitPrice, rounded: limitPriceStr });
 
     // Construct order
     const order = {
@@ -1436,25 +1590,48 @@ class HyperliquidConnector extends EventEmitter {
     };
 
     if (options.cloid) {
+      if (!isCloid(options.cloid)) {
+        throw new Error(`Invalid cloid "${options.cloid}" (expected 0x + 32 hex digits)`);
+      }
       order.c = options.cloid;
     }
 
+    const tracked = {
+      coin: orderbookCoin,
+      symbol: coin,
+      isSpot,
+      side: isBuy ? 'B' : 'A',
+      size: parseFloat(sizeStr),
+      price: parseFloat(limitPriceStr),
+      tif: 'Ioc',
+      reduceOnly,
+      cloid: options.cloid || null
+    };
+
+    // Paper trading: fill against the real book locally, nothing is signed or sent
+    if (this.paper) {
+      return this.trackOrderResponse(await this.paper.fillOrder({
+        coin,
+        orderbookCoin,
+        isSpot,
+        isBuy,
+        size: parseFloat(sizeStr),
+        limitPrice: parseFloat(limitPriceStr),
+        reduceOnly,
+        cloid: options.cloid || null
+      }), tracked);
+    }
+
     const action = {
       type: 'order',
       orders: [order],
       grouping: 'na'
     };
 
-    console.log(`[Hyperliquid] Order object:`, JSON.stringify(order, null, 2));
-
-    const nonce = Date.now();
+    log.debug('Order object', { order });
 
-    // Try WebSocket first if connected, otherwise use REST
-    if (this.connected && !options.useRest) {
-      return await this.createOrderWebSocket(action, nonce, options.vaultAddress);
-    } else {
-      return await this.createOrderRest(action, nonce, options.vaultAddress);
-    }
+    // WebSocket first if connected, otherwise REST
+    return await this.submitOrder(action, tracked, options);
   }
 
   /**
@@ -1477,44 +1654,9 @@ class HyperliquidConnector extends EventEmitter {
       payload.vaultAddress = vaultAddress;
     }
 
-    return new Promise((resolve, reject) => {
-      const id = ++this.requestId;
-
-      const request = {
-        method: 'post',
-        id,
-        request: {
-          type: 'action',
-          payload
-        }
-      };
-
-      // Store pending request with timeout
-      const timeoutId = setTimeout(() => {
-        if (this.pendingRequests.has(id)) {
-          this.pendingRequests.delete(id);
-          reject(new Error('Request timeout'));
-        }
-      }, 10000);
-
-      this.pendingRequests.set(id, {
-        resolve,
-        reject,
-        timeout: timeoutId
-      });
-
-      // Send request
-      try {
-        this.ws.send(JSON.stringify(request));
-        console.log('[Hyperliquid] Order sent via WebSocket');
-      } catch (error) {
-        if (this.pendingRequests.has(id)) {
-          clearTimeout(this.pendingRequests.get(id).timeout);
-          this.pendingRequests.delete(id);
-        }
-        reject(error);
-      }
-    });
+    const response = this.postWebSocket({ type: 'action', payload });
+    console.log('[Hyperliquid] Order sent via WebSocket');
+    return await response;
   }
 
   /**
@@ -1522,6 +1664,8 @@ class HyperliquidConnector extends EventEmitter {
    */
   async createOrderRest(action, nonce, vaultAddress = null) {
     const signature = await this.signAction(action, nonce, vaultAddress);
+    // Actions always go in the high lane so they never queue behind reads
+    await this.restRateLimiter.acquire(requestWeight({ action }), 'high');
 
     const payload = {
       action,
@@ -1543,6 +1687,10 @@ class HyperliquidConnector extends EventEmitter {
       });
 
       if (!response.ok) {
+        // Not retried here: submitOrder() resends by cloid when it is safe to
+        if (response.status === 429) {
+          this.restRateLimiter.record429(retryAfterMs(response));
+        }
         const errorText = await response.text();
         throw new Error(`HTTP ${response.status}: ${errorText}`);
       }
@@ -1568,6 +1716,407 @@ class HyperliquidConnector extends EventEmitter {
     return await this.createMarketOrder(coin, side, size, { reduceOnly: true });
   }
 
+  /**
+   * Time-in-force values accepted by createLimitOrder()
+   * - Gtc: rests on the book until filled or canceled
+   * - Alo: add-liquidity-only (post-only), rejected if it would cross
+   * - Ioc: fills what it can immediately, the rest is canceled
+   */
+  static TIME_IN_FORCE = ['Gtc', 'Alo', 'Ioc'];
+
+  /**
+   * Sign and send an exchange action
+   *
+   * Uses the WebSocket post channel when it is available, otherwise REST on the
+   * configured exchangeUrl. Unlike info(), a failed WebSocket post is not retried:
+   * the action may have been executed. Orders get that safety from their cloid
+   * (see submitOrder()).
+   *
+   * @param {Object} action - Exchange action
+   * @param {Object} options - { useRest, vaultAddress }
+   * @returns {Promise<Object>} Exchange response
+   */
+  async exchange(action, options = {}) {
+    const nonce = Date.now();
+
+    if (!options.useRest && this.canPostWebSocket()) {
+      return await this.createOrderWebSocket(action, nonce, options.vaultAddress);
+    } else {
+      return await this.createOrderRest(action, nonce, options.vaultAddress);
+    }
+  }
+
+  /**
+   * Send an order action, journaling it first when it has a cloid
+   *
+   * If sending fails (e.g. a WebSocket timeout) the order may still have reached
+   * the exchange, so an order with a cloid is looked up by cloid before it is sent
+   * again over REST. Without a cloid the error is thrown as before. Orders still
+   * unresolved stay in the journal for reconcilePendingOrders() at the next start.
+   *
+   * @param {Object} action - Order action ({ type: 'order', orders: [order] })
+   * @param {Object} tracked - { coin, symbol, isSpot, side, size, price, tif, reduceOnly, cloid }
+   * @param {Object} options - { useRest, vaultAddress }
+   * @returns {Promise<Object>} Exchange response
+   */
+  async submitOrder(action, tracked, options = {}) {
+    const { cloid } = tracked;
+
+    if (cloid && this.orderJournal) {
+      this.orderJournal.record({
+        cloid,
+        coin: tracked.symbol,
+        orderbookCoin: tracked.coin,
+        isSpot: tracked.isSpot || false,
+        side: tracked.side,
+        size: tracked.size,
+        price: tracked.price,
+        tif: tracked.tif,
+        reduceOnly: tracked.reduceOnly || false,
+        time: Date.now()
+      });
+    }
+
+    let result;
+    try {
+      result = await this.exchange(action, options);
+    } catch (error) {
+      if (!cloid) {
+        throw error;
+      }
+      result = await this.recoverOrder(action, tracked, options, error);
+    }
+
+    if (cloid && this.orderJournal) {
+      this.orderJournal.resolve(cloid, result);
+    }
+
+    return this.trackOrderResponse(result, tracked);
+  }
+
+  /**
+   * After a failed send: use the exchange's record of the order if it got there, otherwise resend once over REST
+   * @returns {Promise<Object>} Exchange response (synthesized from orderStatus if the order was found)
+   */
+  async recoverOrder(action, tracked, options, error) {
+    console.warn(`[Hyperliquid] ⚠️  Order ${tracked.cloid} not confirmed (${error.message}), checking orderStatus before resending`);
+
+    const existing = await this.getOrderStatus(tracked.cloid);
+
+    if (existing.status === 'order') {
+      const fills = await this.getUserFills().catch(() => []);
+      const status = statusFromOrderStatus(existing, fills);
+      console.log(`[Hyperliquid] Order ${tracked.cloid} reached the exchange (${existing.order.status}), not resending`);
+      return { status: 'ok', response: { type: 'order', data: { statuses: [status] } } };
+    }
+
+    console.log(`[Hyperliquid] Order ${tracked.cloid} unknown to the exchange, resending via REST`);
+    return await this.exchange(action, { ...options, useRest: true });
+  }
+
+  /**
+   * Record the outcome of an order or modify action in this.orderLedger
+   * @param {Object} result - Exchange response
+   * @param {Object} order - What was sent: { coin, side ('B'|'A'), size, price, tif, cloid }
+   * @returns {Object} The same response
+   */
+  trackOrderResponse(result, order) {
+    const status = result?.response?.data?.statuses?.[0];
+
+    if (status) {
+      // Ties the order to the cycle (or other operation) that placed it
+      this.orderLedger.applyOrderResponse(status, { ...order, correlationId: getCorrelation()?.correlationId ?? null });
+    }
+
+    return result;
+  }
+
+  /**
+   * Round and validate a limit order, returning its wire format
+   * @returns {Promise<Object>} { order, assetId, assetInfo, orderbookCoin, priceStr, sizeStr }
+   */
+  async buildLimitOrder(coin, side, size, price, options = {}) {
+    const tif = options.tif || 'Gtc';
+
+    if (!HyperliquidConnector.TIME_IN_FORCE.includes(tif)) {
+      throw new Error(`Invalid time in force "${tif}" (expected ${HyperliquidConnector.TIME_IN_FORCE.join(', ')})`);
+    }
+
+    const isSpot = options.isSpot || false;
+    const assetId = await this.getAssetId(coin, isSpot);
+    const assetInfo = this.getAssetInfo(coin, assetId);
+    const orderbookCoin = this.getCoinForOrderbook(coin, assetId);
+
+    const priceStr = this.roundPrice(price, assetInfo.szDecimals, isSpot);
+    const sizeStr = this.roundSize(size, assetInfo.szDecimals);
+
+    // Check minimum notional ($10 minimum per Hyperliquid docs)
+    const notional = parseFloat(priceStr) * parseFloat(sizeStr);
+    if (notional < 10) {
+      throw new Error(`Order notional ($${notional.toFixed(2)}) is below minimum ($10). Increase order size.`);
+    }
+
+    const order = {
+      a: assetId,
+      b: side === 'buy',
+      p: priceStr,
+      s: sizeStr,
+      r: options.reduceOnly || false,
+      t: {
+        limit: {
+          tif
+        }
+      }
+    };
+
+    if (options.cloid) {
+      if (!isCloid(options.cloid)) {
+        throw new Error(`Invalid cloid "${options.cloid}" (expected 0x + 32 hex digits)`);
+      }
+      order.c = options.cloid;
+    }
+
+    return { order, assetId, assetInfo, orderbookCoin, priceStr, sizeStr };
+  }
+
+  /**
+   * Create a limit order
+   *
+   * @param {string} coin - Coin symbol (e.g., 'BTC', or 'UBTC' with isSpot)
+   * @param {string} side - 'buy' or 'sell'
+   * @param {number} size - Order size
+   * @param {number} price - Limit price (rounded to the asset's tick)
+   * @param {object} options - { tif: 'Gtc' | 'Alo' | 'Ioc' (default Gtc), isSpot, reduceOnly, cloid, vaultAddress }
+   * @returns {Promise<object>} Order result (statuses: { resting: { oid } } | { filled } | { error })
+   */
+  async createLimitOrder(coin, side, size, price, options = {}) {
+    if (!this.paper && (!this.wallet || !this.signer)) {
+      throw new Error('Wallet and private key required for trading');
+    }
+
+    const { order, orderbookCoin, priceStr, sizeStr } = await this.buildLimitOrder(coin, side, size, price, options);
+    const tif = order.t.limit.tif;
+
+    console.log(`[Hyperliquid] Limit order ${side} ${sizeStr} ${coin} @ ${priceStr} (${tif})`);
+
+    const tracked = {
+      coin: orderbookCoin,
+      symbol: coin,
+      isSpot: options.isSpot || false,
+      side: order.b ? 'B' : 'A',
+      size: parseFloat(sizeStr),
+      price: parseFloat(priceStr),
+      tif: order.t.limit.tif,
+      reduceOnly: order.r,
+      cloid: options.cloid || null
+    };
+
+    if (this.paper) {
+      return this.trackOrderResponse(await this.paper.placeLimitOrder({
+        coin,
+        orderbookCoin,
+        isSpot: options.isSpot || false,
+        isBuy: order.b,
+        size: parseFloat(sizeStr),
+        limitPrice: parseFloat(priceStr),
+        tif,
+        reduceOnly: order.r,
+        cloid: options.cloid || null
+      }), tracked);
+    }
+
+    return await this.submitOrder({
+      type: 'order',
+      orders: [order],
+      grouping: 'na'
+    }, tracked, options);
+  }
+
+  /**
+   * Cancel an open order
+   * @param {string} coin - Coin symbol
+   * @param {number} oid - Order id
+   * @param {object} options - { isSpot, vaultAddress }
+   * @returns {Promise<object>} Cancel result (statuses: 'success' | { error })
+   */
+  async cancelOrder(coin, oid, options = {}) {
+    if (!this.paper && (!this.wallet || !this.signer)) {
+      throw new Error('Wallet and private key required for trading');
+    }
+
+    let result;
+
+    if (this.paper) {
+      result = this.paper.cancelOrder(oid);
+    } else {
+      const assetId = await this.getAssetId(coin, options.isSpot || false);
+
+      result = await this.exchange({
+        type: 'cancel',
+        cancels: [{ a: assetId, o: oid }]
+      }, options);
+    }
+
+    if (result?.response?.data?.statuses?.[0] === 'success') {
+      this.orderLedger.markCanceled(oid);
+    }
+
+    return result;
+  }
+
+  /**
+   * Modify an open order (price and/or size). Hyperliquid assigns the modified order a new oid.
+   * @param {number} oid - Order id to modify
+   * @param {string} coin - Coin symbol
+   * @param {string} side - 'buy' or 'sell'
+   * @param {number} size - New size
+   * @param {number} price - New limit price
+   * @param {object} options - Same as createLimitOrder()
+   * @returns {Promise<object>} Order result for the replacement order
+   */
+  async modifyOrder(oid, coin, side, size, price, options = {}) {
+    if (!this.paper && (!this.wallet || !this.signer)) {
+      throw new Error('Wallet and private key required for trading');
+    }
+
+    const { order, orderbookCoin, priceStr, sizeStr } = await this.buildLimitOrder(coin, side, size, price, options);
+
+    console.log(`[Hyperliquid] Modify order ${oid}: ${side} ${sizeStr} ${coin} @ ${priceStr} (${order.t.limit.tif})`);
+
+    const tracked = {
+      coin: orderbookCoin,
+      side: order.b ? 'B' : 'A',
+      size: parseFloat(sizeStr),
+      price: parseFloat(priceStr),
+      tif: order.t.limit.tif,
+      cloid: options.cloid || null
+    };
+
+    let result;
+
+    if (this.paper) {
+      result = await this.paper.modifyOrder(oid, {
+        coin,
+        orderbookCoin,
+        isSpot: options.isSpot || false,
+        isBuy: order.b,
+        size: parseFloat(sizeStr),
+        limitPrice: parseFloat(priceStr),
+        tif: order.t.limit.tif,
+        reduceOnly: order.r,
+        cloid: options.cloid || null
+      });
+    } else {
+      result = await this.exchange({
+        type: 'batchModify',
+        modifies: [{ oid, order }]
+      }, options);
+    }
+
+    // The replacement has its own oid; the original is gone
+    const status = result?.response?.data?.statuses?.[0];
+    if (status?.resting || status?.filled) {
+      this.orderLedger.markCanceled(oid);
+    }
+
+    return this.trackOrderResponse(result, tracked);
+  }
+
+  /**
+   * Get the status of an order
+   * @param {number|string} oid - Order id or cloid
+   * @param {string} user - User address (defaults to configured wallet)
+   * @returns {Promise<object>} { status: 'order', order: { order, status, statusTimestamp } } or { status: 'unknownOid' }
+   */
+  async getOrderStatus(oid, user = null) {
+    if (this.paper) {
+      return await this.paper.getOrderStatus(oid);
+    }
+
+    user = user || this.wallet;
+
+    if (!user) {
+      throw new Error('User address required to get order status');
+    }
+
+    return await this.info({
+      type: 'orderStatus',
+      user,
+      oid
+    });
+  }
+
+  /**
+   * Get open orders
+   * @param {string} user - User address (defaults to configured wallet)
+   * @returns {Promise<Array>} [{ coin, side, limitPx, sz, oid, timestamp, origSz, cloid? }]
+   */
+  async getOpenOrders(user = null) {
+    if (this.paper) {
+      return await this.paper.getOpenOrders();
+    }
+
+    user = user || this.wallet;
+
+    if (!user) {
+      throw new Error('User address required to get open orders');
+    }
+
+    return await this.info({
+      type: 'openOrders',
+      user
+    });
+  }
+
+  /**
+   * Get recent fills (up to 2000, most recent first)
+   * @param {string} user - User address (defaults to configured wallet)
+   * @returns {Promise<Array>} [{ coin, px, sz, side, time, oid, tid, fee, crossed, cloid? }]
+   */
+  async getUserFills(user = null) {
+    if (this.paper) {
+      return this.paper.getUserFills();
+    }
+
+    user = user || this.wallet;
+
+    if (!user) {
+      throw new Error('User address required to get fills');
+    }
+
+    return await this.info({
+      type: 'userFills',
+      user
+    });
+  }
+
+  /**
+   * Get the account's fee tier
+   * @param {string} user - User address (defaults to configured wallet)
+   * @returns {Promise<Object>} { userCrossRate, userAddRate, userSpotCrossRate, userSpotAddRate, ... } (rates as strings, e.g. '0.00045')
+   */
+  async getUserFees(user = null) {
+    if (this.paper) {
+      return {
+        userCrossRate: String(this.paper.perpFeePercent / 100),
+        userAddRate: String(this.paper.perpMakerFeePercent / 100),
+        userSpotCrossRate: String(this.paper.spotFeePercent / 100),
+        userSpotAddRate: String(this.paper.spotMakerFeePercent / 100)
+      };
+    }
+
+    user = user || this.wallet;
+
+    if (!user) {
+      throw new Error('User address required to get fees');
+    }
+
+    return await this.info({
+      type: 'userFees',
+      user
+    });
+  }
+
   /**
    * Get account balance and margin information
    * @param {string} user - User address (defaults to configured wallet)
@@ -1576,28 +2125,22 @@ class HyperliquidConnector extends EventEmitter {
   async getBalance(user = null) {
     user = user || this.wallet;
 
-    if (!user) {
+    if (!user && !this.paper) {
       throw new Error('User address required to get balance');
     }
 
     try {
-      const response = await fetch(this.restUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
+      let data;
+
+      if (this.paper) {
+        data = await this.paper.getClearinghouseState();
+      } else {
+        data = await this.info({
           type: 'clearinghouseState',
           user: user
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        });
       }
 
-      const data = await response.json();
-
       // Parse and return balance information
       const marginSummary = data.marginSummary || {};
       const crossMarginSummary = data.crossMarginSummary || {};
@@ -1651,6 +2194,10 @@ class HyperliquidConnector extends EventEmitter {
    * @returns {Promise<Object>} Funding history with payments and summary
    */
   async getUserFundingHistory(user = null, startTime = null) {
+    if (this.paper) {
+      return this.paper.getUserFundingHistory(startTime);
+    }
+
     user = user || this.wallet;
 
     if (!user) {
@@ -1668,19 +2215,7 @@ class HyperliquidConnector extends EventEmitter {
         requestBody.startTime = startTime;
       }
 
-      const response = await fetch(this.restUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      const data = await this.info(requestBody);
 
       // Data format: array of payment objects
       // Each payment: { time, hash, delta: { type: "funding", coin, fundingRate, szi, usdc, nSamples } }
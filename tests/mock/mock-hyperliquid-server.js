@@ -0,0 +1,1406 @@
+import http from 'http';
+import { EventEmitter } from 'events';
+import { pathToFileURL } from 'url';
+import { WebSocketServer } from 'ws';
+import { ethers } from 'ethers';
+import HyperliquidConnector from '../../hyperliquid.js';
+
+/**
+ * Mock Hyperliquid Server
+ *
+ * Local stand-in for the Hyperliquid API so scripts can run without a funded
+ * wallet or network access. Serves:
+ * - POST /info      meta, spotMeta, metaAndAssetCtxs, l2Book, allMids, clearinghouseState,
+ *                   spotClearinghouseState, fundingHistory, predictedFundings, userFunding,
+ *                   candleSnapshot, orderStatus, openOrders, userFills, userFees
+ * - POST /exchange  order, updateLeverage, updateIsolatedMargin, topUpIsolatedOnlyMargin,
+ *                   cancel, cancelByCloid, modify, batchModify
+ * - WS   /ws        post (info + action), ping, subscribe/unsubscribe l2Book and the
+ *                   user channels userFills (snapshot on subscribe), orderUpdates, userEvents
+ *
+ * Order books, funding and fills are scriptable, and REST requests can be
+ * answered with 429 (rejectRest). IOC orders walk the book up to their limit
+ * price and settle against a simple PERP/SPOT account model.
+ * Alo/Gtc orders rest until the book trades through their price (or
+ * fillRestingOrder() is called) and then fill at their limit with maker fees.
+ * Every order that reaches the book is kept, so orderStatus finds IOC orders by
+ * cloid after they fill.
+ *
+ * Usage:
+ *   const server = new MockHyperliquidServer();
+ *   const { wsUrl, restUrl, exchangeUrl } = await server.start();
+ *   const hl = new HyperliquidConnector({ wsUrl, restUrl, exchangeUrl, wallet, privateKey });
+ *
+ * Standalone:
+ *   node tests/mock/mock-hyperliquid-server.js [port]
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const USER_CHANNELS = ['userFills', 'orderUpdates', 'userEvents'];
+
+/**
+ * Default market fixture (prices are illustrative)
+ */
+export const DEFAULT_MARKETS = {
+  perps: [
+    { name: 'BTC', szDecimals: 5, maxLeverage: 40, mid: 100000, funding: 0.0000125 },
+    { name: 'ETH', szDecimals: 4, maxLeverage: 25, mid: 3500, funding: 0.00001 },
+    { name: 'HYPE', szDecimals: 2, maxLeverage: 10, mid: 40, funding: 0.00002 }
+  ],
+  spots: [
+    { token: 'UBTC', perp: 'BTC', tokenIndex: 197, pairIndex: 142, szDecimals: 5, mid: 100010 },
+    { token: 'UETH', perp: 'ETH', tokenIndex: 221, pairIndex: 151, szDecimals: 4, mid: 3500.5 },
+    { token: 'HYPE', perp: 'HYPE', tokenIndex: 150, pairIndex: 107, szDecimals: 2, mid: 40.01 }
+  ]
+};
+
+/**
+ * Build a symmetric order book around a mid price
+ * @param {number} mid - Mid price
+ * @param {Object} options - Options
+ * @param {number} options.levels - Levels per side (default: 10)
+ * @param {number} options.spreadBps - Full bid-ask spread in bps (default: 2)
+ * @param {number} options.stepBps - Distance between levels in bps (default: 1)
+ * @param {number} options.levelNotional - USD notional per level (default: 50000)
+ * @returns {Object} { bids: [[px, sz]], asks: [[px, sz]] }
+ */
+export function buildBook(mid, options = {}) {
+  const { levels = 10, spreadBps = 2, stepBps = 1, levelNotional = 50000 } = options;
+  const bids = [];
+  const asks = [];
+
+  for (let i = 0; i < levels; i++) {
+    const offset = (spreadBps / 2 + i * stepBps) / 10000;
+    const bidPx = mid * (1 - offset);
+    const askPx = mid * (1 + offset);
+    bids.push([bidPx, levelNotional / bidPx]);
+    asks.push([askPx, levelNotional / askPx]);
+  }
+
+  return { bids, asks };
+}
+
+/**
+ * Format a number the way the API does (string, no exponent, trimmed zeros)
+ */
+function fmt(value, decimals = 8) {
+  const str = Number(value).toFixed(decimals);
+  return str.includes('.') ? str.replace(/\.?0+$/, '') : str;
+}
+
+export class MockHyperliquidServer extends EventEmitter {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.port - Port to listen on (default: 0 = random free port)
+   * @param {string} options.host - Host to bind (default: 127.0.0.1)
+   * @param {Object} options.markets - Market fixture (default: DEFAULT_MARKETS)
+   * @param {number} options.perpUsdc - Starting PERP USDC (default: 1000)
+   * @param {number} options.spotUsdc - Starting SPOT USDC (default: 1000)
+   * @param {Object} options.fees - Fee rates { perp, spot, perpMaker, spotMaker } (default: 0.00045 / 0.0007 / 0.00015 / 0.0004)
+   * @param {boolean} options.consumeLiquidity - Remove filled size from the book (default: false)
+   * @param {boolean} options.verifySignatures - Recover the signer of every action (default: true)
+   * @param {boolean} options.testnet - Expect testnet signatures (source 'b')
+   * @param {number} options.latencyMs - Artificial response delay (default: 0)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.port = options.port || 0;
+    this.host = options.host || '127.0.0.1';
+    this.fees = { perp: 0.00045, spot: 0.0007, perpMaker: 0.00015, spotMaker: 0.0004, ...(options.fees || {}) };
+    this.consumeLiquidity = options.consumeLiquidity || false;
+    this.verifySignatures = options.verifySignatures !== false;
+    this.testnet = options.testnet || false;
+    this.latencyMs = options.latencyMs || 0;
+
+    this.server = null;
+    this.wss = null;
+    this.clients = new Set();
+
+    // Request log for assertions: { transport, kind, payload, signer, time }
+    this.requests = [];
+
+    // Scripted overrides
+    this.orderResponseQueue = [];   // [{ coin, status }] consumed by the next matching order
+    this.dropWsResponses = 0;       // number of WS post responses to swallow (simulates timeouts)
+    this.dropWsRequests = 0;        // number of WS posts to ignore unprocessed (lost before reaching the exchange)
+    this.rejectRest = 0;            // number of REST requests to answer with 429
+    this.retryAfterSeconds = null;  // Retry-After header sent with those 429s
+
+    this.nextOid = 1000;
+    this.nextTid = 1;
+    this.orders = new Map();          // oid -> resting/filled/canceled limit order
+    this.loadMarkets(options.markets || DEFAULT_MARKETS);
+
+    // Account model
+    this.perpUsdc = options.perpUsdc ?? 1000;
+    this.perpPositions = new Map();   // coin -> { szi, entryPx, cumFunding }
+    this.leverage = new Map();        // coin -> { type, value }
+    this.isolatedMargin = new Map();  // coin -> USDC added to an isolated position beyond entry notional / leverage
+    this.spotBalances = new Map([['USDC', options.spotUsdc ?? 1000]]);
+    this.fills = [];
+    this.fundingPayments = [];
+  }
+
+  /**
+   * Load a market fixture (perps, spot tokens, books, funding)
+   * @param {Object} markets - { perps: [...], spots: [...] }
+   */
+  loadMarkets(markets) {
+    this.perps = markets.perps.map(p => ({ ...p }));
+    this.spots = markets.spots.map(s => ({ ...s, coin: `@${s.pairIndex}` }));
+    this.books = new Map();
+    this.fundingHistory = new Map();
+    this.predicted = new Map();
+    this.candles = new Map();
+
+    for (const perp of this.perps) {
+      this.setOrderBook(perp.name, buildBook(perp.mid), { broadcast: false });
+    }
+    for (const spot of this.spots) {
+      this.setOrderBook(spot.coin, buildBook(spot.mid, { spreadBps: 4 }), { broadcast: false });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lifecycle
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Start HTTP and WebSocket servers
+   * @returns {Promise<Object>} { wsUrl, restUrl, exchangeUrl }
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handleHttp(req, res));
+    this.wss = new WebSocketServer({ server: this.server, path: '/ws' });
+    this.wss.on('connection', (ws) => this.handleWsConnection(ws));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    this.port = this.server.address().port;
+    return this.urls;
+  }
+
+  /**
+   * Stop servers and close all WebSocket clients
+   */
+  async stop() {
+    for (const ws of this.clients) {
+      ws.terminate();
+    }
+    this.clients.clear();
+
+    if (this.wss) {
+      await new Promise(resolve => this.wss.close(resolve));
+      this.wss = null;
+    }
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  /**
+   * URLs to pass to HyperliquidConnector
+   */
+  get urls() {
+    const base = `${this.host}:${this.port}`;
+    return {
+      wsUrl: `ws://${base}/ws`,
+      restUrl: `http://${base}/info`,
+      exchangeUrl: `http://${base}/exchange`
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Scripting API
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Replace the order book for a coin (perp name or spot '@index')
+   * @param {string} coin - Book coin
+   * @param {Object} book - { bids: [[px, sz]], asks: [[px, sz]] } best first
+   * @param {Object} options - { broadcast: push to l2Book subscribers (default: true) }
+   */
+  setOrderBook(coin, book, options = {}) {
+    const { broadcast = true } = options;
+    this.books.set(coin, {
+      bids: book.bids.map(([px, sz]) => ({ px, sz })),
+      asks: book.asks.map(([px, sz]) => ({ px, sz }))
+    });
+    this.matchRestingOrders(coin);
+    if (broadcast) {
+      this.broadcastBook(coin);
+    }
+  }
+
+  /**
+   * Fill part or all of a resting order as if a taker hit it
+   * @param {number} oid - Resting order id
+   * @param {number} size - Size to fill (default: everything left)
+   * @returns {Object|null} Fill, or null if the order isn't open
+   */
+  fillRestingOrder(oid, size = null) {
+    const order = this.orders.get(oid);
+    if (!order || order.status !== 'open') {
+      return null;
+    }
+    return this.fillResting(order, size ?? order.sz);
+  }
+
+  /**
+   * Re-center a book on a new mid price keeping its shape
+   * @param {string} coin - Book coin
+   * @param {number} mid - New mid price
+   * @param {Object} bookOptions - Options for buildBook()
+   */
+  setMidPrice(coin, mid, bookOptions = {}) {
+    const perp = this.perps.find(p => p.name === coin);
+    const spot = this.spots.find(s => s.coin === coin);
+    if (perp) perp.mid = mid;
+    if (spot) spot.mid = mid;
+    this.setOrderBook(coin, buildBook(mid, { spreadBps: spot ? 4 : 2, ...bookOptions }));
+  }
+
+  /**
+   * Set the current (and predicted) hourly funding rate for a perp
+   * @param {string} coin - Perp name
+   * @param {number} rate - Hourly funding rate (decimal)
+   */
+  setFundingRate(coin, rate) {
+    const perp = this.getPerp(coin);
+    perp.funding = rate;
+  }
+
+  /**
+   * Set funding history entries for a perp
+   * @param {string} coin - Perp name
+   * @param {Array<Object>} entries - [{ time, fundingRate, premium? }]
+   */
+  setFundingHistory(coin, entries) {
+    this.fundingHistory.set(coin, entries.map(e => ({
+      coin,
+      fundingRate: fmt(e.fundingRate, 10),
+      premium: fmt(e.premium ?? 0, 10),
+      time: e.time
+    })));
+  }
+
+  /**
+   * Set predicted fundings for a perp across venues
+   * @param {string} coin - Perp name
+   * @param {Object} venues - { HlPerp: { fundingRate, fundingIntervalHours? }, BinPerp: {...}, ... }
+   */
+  setPredictedFundings(coin, venues) {
+    this.predicted.set(coin, venues);
+  }
+
+  /**
+   * Set candles for a coin
+   * @param {string} coin - Book coin
+   * @param {Array<Object>} candles - [{ t, o, h, l, c, v }] with t = open time (ms)
+   */
+  setCandles(coin, candles) {
+    this.candles.set(coin, candles);
+  }
+
+  /**
+   * Set PERP position directly (e.g. to simulate a restart with open positions)
+   * @param {string} coin - Perp name
+   * @param {number} szi - Signed size (negative = short)
+   * @param {number} entryPx - Entry price
+   */
+  setPerpPosition(coin, szi, entryPx) {
+    this.isolatedMargin.delete(coin);
+    if (szi === 0) {
+      this.perpPositions.delete(coin);
+    } else {
+      this.perpPositions.set(coin, { szi, entryPx, cumFunding: 0 });
+    }
+  }
+
+  /**
+   * Set a SPOT token balance directly
+   * @param {string} token - Token name (e.g. 'UBTC', 'USDC')
+   * @param {number} total - Balance
+   */
+  setSpotBalance(token, total) {
+    this.spotBalances.set(token, total);
+  }
+
+  /**
+   * Override the status returned for the next order on a coin
+   * @param {string|null} coin - Coin name as used in orders (perp name or spot token), null = any
+   * @param {Object} status - Raw status, e.g. { error: 'Insufficient margin' } or { resting: { oid } }
+   */
+  queueOrderResponse(coin, status) {
+    this.orderResponseQueue.push({ coin, status });
+  }
+
+  /**
+   * Accrue one funding payment on all open PERP positions
+   * Shorts receive funding when the rate is positive.
+   * @param {number} time - Payment timestamp (default: now)
+   * @returns {Array<Object>} Payments made
+   */
+  accrueFunding(time = Date.now()) {
+    const payments = [];
+
+    for (const [coin, position] of this.perpPositions) {
+      const perp = this.getPerp(coin);
+      const usdc = -position.szi * perp.mid * perp.funding;
+      this.perpUsdc += usdc;
+      position.cumFunding += usdc;
+
+      const payment = {
+        time,
+        hash: ethers.hexlify(ethers.randomBytes(32)),
+        delta: {
+          type: 'funding',
+          coin,
+          usdc: fmt(usdc, 6),
+          szi: fmt(position.szi, perp.szDecimals),
+          fundingRate: fmt(perp.funding, 10),
+          nSamples: null
+        }
+      };
+      this.fundingPayments.push(payment);
+      payments.push(payment);
+    }
+
+    return payments;
+  }
+
+  /**
+   * Push a message to every client subscribed to a user channel
+   * @param {string} type - 'userFills' | 'orderUpdates' | 'userEvents'
+   * @param {Function} data - (user) => channel data
+   */
+  pushUser(type, data) {
+    const channel = type === 'userEvents' ? 'user' : type;
+    for (const ws of this.clients) {
+      const user = ws.userChannels?.get(type);
+      if (user) {
+        this.send(ws, { channel, data: data(user) });
+      }
+    }
+  }
+
+  /**
+   * Record a fill and push it to userFills / userEvents subscribers
+   * @param {Object} fill - Fill in the userFills format
+   */
+  recordFill(fill) {
+    this.fills.push(fill);
+    this.emit('fill', fill);
+    this.pushUser('userFills', user => ({ user, fills: [fill] }));
+    this.pushUser('userEvents', () => ({ fills: [fill] }));
+  }
+
+  /**
+   * Push a resting order's current state to orderUpdates subscribers
+   * @param {Object} order - Order from this.orders
+   */
+  notifyOrder(order) {
+    this.pushUser('orderUpdates', () => [{
+      order: this.orderWire(order),
+      status: order.status,
+      statusTimestamp: order.statusTimestamp
+    }]);
+  }
+
+  /**
+   * Push the current book for a coin to all l2Book subscribers
+   * @param {string} coin - Book coin
+   */
+  broadcastBook(coin) {
+    for (const ws of this.clients) {
+      if (ws.subscriptions?.has(coin)) {
+        this.send(ws, { channel: 'l2Book', data: this.l2Book(coin) });
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lookups
+  // ---------------------------------------------------------------------------
+
+  getPerp(coin) {
+    const perp = this.perps.find(p => p.name === coin);
+    if (!perp) {
+      throw new Error(`Unknown perp: ${coin}`);
+    }
+    return perp;
+  }
+
+  /**
+   * Resolve an order asset ID to its market
+   * @param {number} asset - Perp index or 10000 + spot pair index
+   * @returns {Object|null} { isSpot, coin, name, szDecimals, market }
+   */
+  resolveAsset(asset) {
+    if (asset >= 10000) {
+      const spot = this.spots.find(s => s.pairIndex === asset - 10000);
+      return spot ? { isSpot: true, coin: spot.coin, name: spot.token, szDecimals: spot.szDecimals, market: spot } : null;
+    }
+    const perp = this.perps[asset];
+    return perp ? { isSpot: false, coin: perp.name, name: perp.name, szDecimals: perp.szDecimals, market: perp } : null;
+  }
+
+  getMid(coin) {
+    const book = this.books.get(coin);
+    if (book && book.bids.length > 0 && book.asks.length > 0) {
+      return (book.bids[0].px + book.asks[0].px) / 2;
+    }
+    const perp = this.perps.find(p => p.name === coin);
+    const spot = this.spots.find(s => s.coin === coin);
+    return (perp || spot)?.mid ?? null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // /info handlers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Answer an info request
+   * @param {Object} payload - Info request body
+   * @returns {*} Response body
+   */
+  handleInfo(payload) {
+    switch (payload.type) {
+      case 'meta':
+        return this.meta();
+      case 'spotMeta':
+        return this.spotMeta();
+      case 'metaAndAssetCtxs':
+        return [this.meta(), this.perps.map(p => this.assetCtx(p))];
+      case 'l2Book':
+        return this.l2Book(payload.coin);
+      case 'allMids':
+        return this.allMids();
+      case 'clearinghouseState':
+        return this.clearinghouseState();
+      case 'spotClearinghouseState':
+        return this.spotClearinghouseState();
+      case 'fundingHistory':
+        return this.getFundingHistory(payload.coin, payload.startTime, payload.endTime);
+      case 'predictedFundings':
+        return this.predictedFundings();
+      case 'userFunding':
+        return this.fundingPayments.filter(p =>
+          p.time >= (payload.startTime ?? 0) && p.time <= (payload.endTime ?? Infinity)
+        );
+      case 'candleSnapshot':
+        return this.candleSnapshot(payload.req);
+      case 'orderStatus':
+        return this.orderStatus(payload.oid);
+      case 'userFills':
+        return [...this.fills].reverse();
+      case 'userFees':
+        return {
+          userCrossRate: String(this.fees.perp),
+          userAddRate: String(this.fees.perpMaker),
+          userSpotCrossRate: String(this.fees.spot),
+          userSpotAddRate: String(this.fees.spotMaker)
+        };
+      case 'openOrders':
+        return [...this.orders.values()].filter(o => o.status === 'open').map(o => this.orderWire(o));
+      default:
+        throw new Error(`Unsupported info type: ${payload.type}`);
+    }
+  }
+
+  meta() {
+    return {
+      universe: this.perps.map(p => ({
+        name: p.name,
+        szDecimals: p.szDecimals,
+        maxLeverage: p.maxLeverage,
+        onlyIsolated: p.onlyIsolated || false
+      }))
+    };
+  }
+
+  spotMeta() {
+    const tokens = [
+      { name: 'USDC', szDecimals: 8, weiDecimals: 8, index: 0, tokenId: '0x' + '0'.repeat(32), isCanonical: true, evmContract: null, fullName: null },
+      ...this.spots.map(s => ({
+        name: s.token,
+        szDecimals: s.szDecimals,
+        weiDecimals: 8,
+        index: s.tokenIndex,
+        tokenId: ethers.zeroPadValue(ethers.toBeHex(s.tokenIndex), 16),
+        isCanonical: false,
+        evmContract: s.evmContract ?? null,
+        fullName: s.fullName ?? null
+      }))
+    ];
+
+    return {
+      tokens,
+      universe: this.spots.map(s => ({
+        tokens: [s.tokenIndex, 0],
+        name: s.coin,
+        index: s.pairIndex,
+        isCanonical: false
+      }))
+    };
+  }
+
+  assetCtx(perp) {
+    const mid = this.getMid(perp.name);
+    const book = this.books.get(perp.name);
+    return {
+      funding: fmt(perp.funding, 10),
+      openInterest: '1000',
+      prevDayPx: fmt(mid),
+      dayNtlVlm: fmt(perp.dayNtlVlm ?? 500000000, 2),
+      premium: '0',
+      oraclePx: fmt(mid),
+      markPx: fmt(mid),
+      midPx: fmt(mid),
+      impactPxs: book ? [fmt(book.bids[0]?.px ?? mid), fmt(book.asks[0]?.px ?? mid)] : null,
+      dayBaseVlm: fmt((perp.dayNtlVlm ?? 500000000) / mid, 2)
+    };
+  }
+
+  l2Book(coin) {
+    const book = this.books.get(coin) || { bids: [], asks: [] };
+    const level = ({ px, sz }) => ({ px: fmt(px), sz: fmt(sz), n: 1 });
+    return {
+      coin,
+      time: Date.now(),
+      levels: [book.bids.map(level), book.asks.map(level)]
+    };
+  }
+
+  allMids() {
+    const mids = {};
+    for (const perp of this.perps) {
+      mids[perp.name] = fmt(this.getMid(perp.name));
+    }
+    for (const spot of this.spots) {
+      mids[spot.coin] = fmt(this.getMid(spot.coin));
+    }
+    return mids;
+  }
+
+  /**
+   * Compute PERP account summary from positions and marks
+   */
+  clearinghouseState() {
+    let totalNtlPos = 0;
+    let totalMarginUsed = 0;
+    let unrealized = 0;
+    const assetPositions = [];
+
+    for (const [coin, position] of this.perpPositions) {
+      const perp = this.getPerp(coin);
+      const mark = this.getMid(coin);
+      const lev = this.leverage.get(coin) || { type: 'cross', value: Math.min(20, perp.maxLeverage) };
+      const notional = Math.abs(position.szi) * mark;
+      const added = this.isolatedMargin.get(coin) || 0;
+      const marginUsed = notional / lev.value + added;
+      const pnl = position.szi * (mark - position.entryPx);
+      const mmr = 1 / (2 * perp.maxLeverage);
+      // Margin per unit of size at entry, plus any margin added since
+      const marginPerUnit = position.entryPx / lev.value + added / Math.abs(position.szi);
+      const liquidationPx = position.szi < 0
+        ? (position.entryPx + marginPerUnit) / (1 + mmr)
+        : (position.entryPx - marginPerUnit) / (1 - mmr);
+
+      totalNtlPos += notional;
+      totalMarginUsed += marginUsed;
+      unrealized += pnl;
+
+      assetPositions.push({
+        type: 'oneWay',
+        position: {
+          coin,
+          szi: fmt(position.szi, perp.szDecimals),
+          leverage: { type: lev.type, value: lev.value },
+          entryPx: fmt(position.entryPx),
+          positionValue: fmt(notional, 6),
+          unrealizedPnl: fmt(pnl, 6),
+          returnOnEquity: fmt(marginUsed > 0 ? pnl / marginUsed : 0, 6),
+          liquidationPx: fmt(liquidationPx),
+          marginUsed: fmt(marginUsed, 6),
+          maxLeverage: perp.maxLeverage,
+          cumFunding: { allTime: fmt(-position.cumFunding, 6), sinceOpen: fmt(-position.cumFunding, 6), sinceChange: fmt(-position.cumFunding, 6) }
+        }
+      });
+    }
+
+    const accountValue = this.perpUsdc + unrealized;
+    const summary = {
+      accountValue: fmt(accountValue, 6),
+      totalNtlPos: fmt(totalNtlPos, 6),
+      totalRawUsd: fmt(this.perpUsdc, 6),
+      totalMarginUsed: fmt(totalMarginUsed, 6)
+    };
+
+    return {
+      marginSummary: summary,
+      crossMarginSummary: summary,
+      crossMaintenanceMarginUsed: fmt(totalMarginUsed / 2, 6),
+      withdrawable: fmt(Math.max(accountValue - totalMarginUsed, 0), 6),
+      assetPositions,
+      time: Date.now()
+    };
+  }
+
+  spotClearinghouseState() {
+    const balances = [];
+    for (const [coin, total] of this.spotBalances) {
+      const spot = this.spots.find(s => s.token === coin);
+      balances.push({
+        coin,
+        token: coin === 'USDC' ? 0 : spot?.tokenIndex,
+        hold: '0.0',
+        total: fmt(total),
+        entryNtl: '0.0'
+      });
+    }
+    return { balances };
+  }
+
+  getFundingHistory(coin, startTime = 0, endTime = Date.now()) {
+    if (this.fundingHistory.has(coin)) {
+      return this.fundingHistory.get(coin).filter(e => e.time >= startTime && e.time <= endTime);
+    }
+
+    // Synthesize hourly history at the current rate
+    const perp = this.getPerp(coin);
+    const entries = [];
+    const first = Math.ceil(startTime / HOUR_MS) * HOUR_MS;
+    for (let t = first; t <= endTime && entries.length < 500; t += HOUR_MS) {
+      entries.push({ coin, fundingRate: fmt(perp.funding, 10), premium: '0', time: t });
+    }
+    return entries;
+  }
+
+  predictedFundings() {
+    const nextFundingTime = Math.ceil(Date.now() / HOUR_MS) * HOUR_MS;
+
+    return this.perps.map(perp => {
+      const venues = this.predicted.get(perp.name) || { HlPerp: { fundingRate: perp.funding } };
+      return [
+        perp.name,
+        Object.entries(venues).map(([venue, data]) => [venue, {
+          fundingRate: fmt(data.fundingRate, 10),
+          nextFundingTime: data.nextFundingTime ?? nextFundingTime,
+          fundingIntervalHours: data.fundingIntervalHours ?? (venue === 'HlPerp' ? 1 : 8)
+        }])
+      ];
+    });
+  }
+
+  candleSnapshot(req) {
+    const { coin, interval = '1h', startTime = 0, endTime = Date.now() } = req || {};
+    const intervalMs = { '1m': 60000, '5m': 300000, '15m': 900000, '1h': HOUR_MS, '4h': 4 * HOUR_MS, '1d': 24 * HOUR_MS }[interval] || HOUR_MS;
+
+    const toCandle = (c) => ({
+      t: c.t,
+      T: c.t + intervalMs - 1,
+      s: coin,
+      i: interval,
+      o: fmt(c.o),
+      c: fmt(c.c),
+      h: fmt(c.h),
+      l: fmt(c.l),
+      v: fmt(c.v),
+      n: c.n ?? 100
+    });
+
+    if (this.candles.has(coin)) {
+      return this.candles.get(coin).filter(c => c.t >= startTime && c.t <= endTime).map(toCandle);
+    }
+
+    // Synthesize flat candles at the current mid
+    const mid = this.getMid(coin);
+    if (mid === null) return [];
+    const perp = this.perps.find(p => p.name === coin);
+    const volume = (perp?.dayNtlVlm ?? 50000000) / 24 / mid;
+    const candles = [];
+    const first = Math.floor(startTime / intervalMs) * intervalMs;
+    for (let t = first; t <= endTime && candles.length < 5000; t += intervalMs) {
+      candles.push(toCandle({ t, o: mid, c: mid, h: mid, l: mid, v: volume }));
+    }
+    return candles;
+  }
+
+  // ---------------------------------------------------------------------------
+  // /exchange handlers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Recover the address that signed an L1 action
+   * @returns {Promise<string|null>} Signer address or null if verification is off
+   */
+  async recoverSigner(body) {
+    if (!this.verifySignatures) {
+      return null;
+    }
+
+    const { action, nonce, signature, vaultAddress, expiresAfter } = body;
+    const connectionId = await HyperliquidConnector.prototype.constructConnectionId.call(
+      null, action, nonce, vaultAddress || null, expiresAfter || null
+    );
+
+    return ethers.verifyTypedData(
+      { chainId: 1337, name: 'Exchange', verifyingContract: '0x0000000000000000000000000000000000000000', version: '1' },
+      { Agent: [{ name: 'source', type: 'string' }, { name: 'connectionId', type: 'bytes32' }] },
+      { source: this.testnet ? 'b' : 'a', connectionId },
+      ethers.Signature.from(signature)
+    );
+  }
+
+  /**
+   * Execute an exchange action
+   * @param {Object} body - { action, nonce, signature, vaultAddress? }
+   * @param {Object} logEntry - Request log entry to annotate with the recovered signer
+   * @returns {Promise<Object>} Exchange response
+   */
+  async handleExchange(body, logEntry = null) {
+    const { action } = body;
+
+    if (!action || !body.signature || !body.nonce) {
+      return { status: 'err', response: 'Missing action, nonce or signature' };
+    }
+
+    let signer = null;
+    try {
+      signer = await this.recoverSigner(body);
+    } catch (error) {
+      return { status: 'err', response: `Invalid signature: ${error.message}` };
+    }
+
+    if (logEntry) logEntry.signer = signer;
+
+    switch (action.type) {
+      case 'order':
+        return {
+          status: 'ok',
+          response: { type: 'order', data: { statuses: action.orders.map(order => this.executeOrder(order)) } }
+        };
+      case 'updateLeverage':
+        return this.updateLeverage(action);
+      case 'updateIsolatedMargin':
+        return this.updateIsolatedMargin(action);
+      case 'topUpIsolatedOnlyMargin':
+        return this.topUpIsolatedOnlyMargin(action);
+      case 'cancel':
+        return {
+          status: 'ok',
+          response: { type: 'cancel', data: { statuses: action.cancels.map(c => this.cancelOrder(c.o)) } }
+        };
+      case 'cancelByCloid':
+        return {
+          status: 'ok',
+          response: {
+            type: 'cancel',
+            data: { statuses: action.cancels.map(c => this.cancelOrder(this.findOrder(c.cloid)?.oid)) }
+          }
+        };
+      case 'batchModify':
+        return {
+          status: 'ok',
+          response: { type: 'order', data: { statuses: action.modifies.map(m => this.modifyOrder(m.oid, m.order)) } }
+        };
+      case 'modify': {
+        const status = this.modifyOrder(action.oid, action.order);
+        return status.error ? { status: 'err', response: status.error } : { status: 'ok', response: { type: 'default' } };
+      }
+      default:
+        return { status: 'err', response: `Unsupported action: ${action.type}` };
+    }
+  }
+
+  updateLeverage(action) {
+    const asset = this.resolveAsset(action.asset);
+    if (!asset || asset.isSpot) {
+      return { status: 'err', response: `Invalid asset: ${action.asset}` };
+    }
+    if (!Number.isInteger(action.leverage) || action.leverage < 1 || action.leverage > asset.market.maxLeverage) {
+      return { status: 'err', response: 'Invalid leverage value' };
+    }
+
+    this.leverage.set(asset.name, { type: action.isCross ? 'cross' : 'isolated', value: action.leverage });
+    return { status: 'ok', response: { type: 'default' } };
+  }
+
+  /**
+   * Isolated position of an updateIsolatedMargin / topUpIsolatedOnlyMargin action
+   * @returns {Object} { asset, position } or { error } (exchange error response)
+   */
+  isolatedPosition(action) {
+    const asset = this.resolveAsset(action.asset);
+    const position = asset && !asset.isSpot ? this.perpPositions.get(asset.name) : null;
+    if (!position) {
+      return { error: { status: 'err', response: 'No position to update margin for' } };
+    }
+    if (this.leverage.get(asset.name)?.type !== 'isolated') {
+      return { error: { status: 'err', response: 'Cannot update margin of cross position' } };
+    }
+    return { asset, position };
+  }
+
+  addIsolatedMargin(coin, amount) {
+    const added = this.isolatedMargin.get(coin) || 0;
+    if (amount > 0 && parseFloat(this.clearinghouseState().withdrawable) < amount) {
+      return { status: 'err', response: 'Insufficient margin to add' };
+    }
+    if (added + amount < 0) {
+      return { status: 'err', response: 'Cannot remove more margin than was added' };
+    }
+
+    this.isolatedMargin.set(coin, added + amount);
+    return { status: 'ok', response: { type: 'default' } };
+  }
+
+  updateIsolatedMargin(action) {
+    const { asset, error } = this.isolatedPosition(action);
+    return error || this.addIsolatedMargin(asset.name, action.ntli / 1e6);
+  }
+
+  topUpIsolatedOnlyMargin(action) {
+    const { asset, position, error } = this.isolatedPosition(action);
+    if (error) return error;
+
+    // Margin needed for the position's notional at the mark to sit at the target leverage
+    // (against marginUsed as clearinghouseState reports it)
+    const notional = Math.abs(position.szi) * this.getMid(asset.name);
+    const current = notional / this.leverage.get(asset.name).value + (this.isolatedMargin.get(asset.name) || 0);
+    const amount = notional / parseFloat(action.leverage) - current;
+    return amount > 0 ? this.addIsolatedMargin(asset.name, amount) : { status: 'ok', response: { type: 'default' } };
+  }
+
+  /**
+   * Match a single order against the book and settle fills
+   * @param {Object} order - Wire order { a, b, p, s, r, t, c? }
+   * @returns {Object} Order status ({ filled } | { resting } | { error })
+   */
+  executeOrder(order) {
+    const asset = this.resolveAsset(order.a);
+    if (!asset) {
+      return { error: `Invalid asset: ${order.a}` };
+    }
+
+    const queuedIdx = this.orderResponseQueue.findIndex(q => q.coin === null || q.coin === asset.name);
+    if (queuedIdx !== -1) {
+      return this.orderResponseQueue.splice(queuedIdx, 1)[0].status;
+    }
+
+    const isBuy = order.b;
+    const limitPx = parseFloat(order.p);
+    const size = parseFloat(order.s);
+    const tif = order.t?.limit?.tif || 'Gtc';
+    const oid = this.nextOid++;
+
+    if (!(size > 0) || !(limitPx > 0)) {
+      return { error: 'Order has invalid size or price.' };
+    }
+
+    const book = this.books.get(asset.coin) || { bids: [], asks: [] };
+    const levels = isBuy ? book.asks : book.bids;
+    const crosses = (px) => isBuy ? px <= limitPx : px >= limitPx;
+
+    if (tif === 'Alo') {
+      if (levels.length > 0 && crosses(levels[0].px)) {
+        return { error: 'Post only order would have immediately matched, bbo was ' + fmt(levels[0].px) + '.' };
+      }
+      return this.restOrder(asset, order, oid);
+    }
+
+    // Walk the book
+    let remaining = size;
+    let filledSz = 0;
+    let filledNtl = 0;
+    for (const level of levels) {
+      if (remaining <= 1e-12 || !crosses(level.px)) break;
+      const take = Math.min(level.sz, remaining);
+      filledSz += take;
+      filledNtl += take * level.px;
+      remaining -= take;
+      if (this.consumeLiquidity) level.sz -= take;
+    }
+    if (this.consumeLiquidity) {
+      const kept = levels.filter(l => l.sz > 1e-12);
+      levels.splice(0, levels.length, ...kept);
+    }
+
+    const factor = Math.pow(10, asset.szDecimals);
+    filledSz = Math.floor(filledSz * factor + 1e-9) / factor;
+
+    if (filledSz <= 0) {
+      if (tif === 'Ioc') {
+        return { error: `Order could not immediately match against any resting orders. asset=${order.a}` };
+      }
+      return this.restOrder(asset, order, oid);
+    }
+
+    const avgPx = filledNtl / (size - remaining);
+    const settleError = asset.isSpot
+      ? this.settleSpot(asset, isBuy, filledSz, avgPx)
+      : this.settlePerp(asset, isBuy, filledSz, avgPx, order.r);
+
+    if (settleError) {
+      return { error: settleError };
+    }
+
+    const fill = {
+      coin: asset.isSpot ? asset.coin : asset.name,
+      px: fmt(avgPx),
+      sz: fmt(filledSz, asset.szDecimals),
+      side: isBuy ? 'B' : 'A',
+      time: Date.now(),
+      startPosition: '0',
+      dir: asset.isSpot ? (isBuy ? 'Buy' : 'Sell') : (isBuy ? 'Close Short' : 'Open Short'),
+      closedPnl: '0',
+      hash: ethers.hexlify(ethers.randomBytes(32)),
+      oid,
+      crossed: true,
+      fee: fmt(filledSz * avgPx * (asset.isSpot ? this.fees.spot : this.fees.perp), 6),
+      tid: this.nextTid++,
+      feeToken: 'USDC',
+      ...(order.c ? { cloid: order.c } : {})
+    };
+    this.recordFill(fill);
+
+    this.orders.set(oid, {
+      ...this.orderRecord(asset, order, oid),
+      sz: size - filledSz,
+      status: filledSz < size ? 'canceled' : 'filled'
+    });
+
+    return {
+      filled: {
+        totalSz: fmt(filledSz, asset.szDecimals),
+        avgPx: fmt(avgPx),
+        oid,
+        ...(order.c ? { cloid: order.c } : {})
+      }
+    };
+  }
+
+  /**
+   * Put an order on the book (the mock keeps it off the public L2 book)
+   * @returns {Object} { resting: { oid, cloid? } }
+   */
+  restOrder(asset, order, oid) {
+    const resting = this.orderRecord(asset, order, oid);
+    this.orders.set(oid, resting);
+    this.notifyOrder(resting);
+    return { resting: { oid, ...(order.c ? { cloid: order.c } : {}) } };
+  }
+
+  orderRecord(asset, order, oid) {
+    return {
+      oid,
+      asset,
+      coin: asset.coin,
+      isBuy: order.b,
+      limitPx: parseFloat(order.p),
+      sz: parseFloat(order.s),
+      origSz: parseFloat(order.s),
+      reduceOnly: order.r,
+      tif: order.t?.limit?.tif || 'Gtc',
+      cloid: order.c || null,
+      timestamp: Date.now(),
+      status: 'open',
+      statusTimestamp: Date.now()
+    };
+  }
+
+  findOrder(oidOrCloid) {
+    if (typeof oidOrCloid === 'string' && oidOrCloid.startsWith('0x')) {
+      return [...this.orders.values()].find(o => o.cloid === oidOrCloid) || null;
+    }
+    return this.orders.get(oidOrCloid) || null;
+  }
+
+  orderWire(order) {
+    return {
+      coin: order.coin,
+      side: order.isBuy ? 'B' : 'A',
+      limitPx: fmt(order.limitPx),
+      sz: fmt(order.sz, order.asset.szDecimals),
+      oid: order.oid,
+      timestamp: order.timestamp,
+      origSz: fmt(order.origSz, order.asset.szDecimals),
+      reduceOnly: order.reduceOnly,
+      tif: order.tif,
+      ...(order.cloid ? { cloid: order.cloid } : {})
+    };
+  }
+
+  orderStatus(oidOrCloid) {
+    const order = this.findOrder(oidOrCloid);
+    if (!order) {
+      return { status: 'unknownOid' };
+    }
+    return {
+      status: 'order',
+      order: { order: this.orderWire(order), status: order.status, statusTimestamp: order.statusTimestamp }
+    };
+  }
+
+  cancelOrder(oid) {
+    const order = this.orders.get(oid);
+    if (!order || order.status !== 'open') {
+      return { error: 'Order was never placed, already canceled, or filled.' };
+    }
+    order.status = 'canceled';
+    order.statusTimestamp = Date.now();
+    this.notifyOrder(order);
+    return 'success';
+  }
+
+  modifyOrder(oid, wire) {
+    const order = this.findOrder(oid);
+    if (!order || order.status !== 'open') {
+      return { error: 'Cannot modify canceled or filled order' };
+    }
+    order.status = 'canceled';
+    order.statusTimestamp = Date.now();
+    this.notifyOrder(order);
+    return this.executeOrder(wire);
+  }
+
+  /**
+   * Fill resting orders the book has traded through, at their limit price
+   * @param {string} coin - Book coin
+   */
+  matchRestingOrders(coin) {
+    const book = this.books.get(coin);
+    if (!book) return;
+
+    for (const order of this.orders.values()) {
+      if (order.status !== 'open' || order.coin !== coin) continue;
+
+      const levels = order.isBuy ? book.asks : book.bids;
+      const available = levels
+        .filter(l => order.isBuy ? l.px <= order.limitPx : l.px >= order.limitPx)
+        .reduce((sum, l) => sum + l.sz, 0);
+
+      if (available > 0) {
+        this.fillResting(order, Math.min(order.sz, available));
+      }
+    }
+  }
+
+  fillResting(order, size) {
+    const { asset } = order;
+    const factor = Math.pow(10, asset.szDecimals);
+    const filledSz = Math.floor(Math.min(size, order.sz) * factor + 1e-9) / factor;
+    if (filledSz <= 0) return null;
+
+    // Resting orders pay maker fees
+    const feeRate = asset.isSpot ? this.fees.spotMaker : this.fees.perpMaker;
+    const settleError = asset.isSpot
+      ? this.settleSpot(asset, order.isBuy, filledSz, order.limitPx, feeRate)
+      : this.settlePerp(asset, order.isBuy, filledSz, order.limitPx, order.reduceOnly, feeRate);
+
+    if (settleError) {
+      order.status = 'canceled';
+      order.statusTimestamp = Date.now();
+      this.notifyOrder(order);
+      this.pushUser('userEvents', () => ({ nonUserCancel: [{ coin: order.coin, oid: order.oid }] }));
+      return null;
+    }
+
+    order.sz = Math.max(0, order.sz - filledSz);
+    if (order.sz <= 1e-12) {
+      order.status = 'filled';
+      order.statusTimestamp = Date.now();
+    }
+
+    const fill = {
+      coin: asset.isSpot ? asset.coin : asset.name,
+      px: fmt(order.limitPx),
+      sz: fmt(filledSz, asset.szDecimals),
+      side: order.isBuy ? 'B' : 'A',
+      time: Date.now(),
+      startPosition: '0',
+      dir: asset.isSpot ? (order.isBuy ? 'Buy' : 'Sell') : (order.isBuy ? 'Close Short' : 'Open Short'),
+      closedPnl: '0',
+      hash: ethers.hexlify(ethers.randomBytes(32)),
+      oid: order.oid,
+      crossed: false,
+      fee: fmt(filledSz * order.limitPx * feeRate, 6),
+      tid: this.nextTid++,
+      feeToken: 'USDC',
+      ...(order.cloid ? { cloid: order.cloid } : {})
+    };
+    this.recordFill(fill);
+    this.notifyOrder(order);
+    return fill;
+  }
+
+  settlePerp(asset, isBuy, size, px, reduceOnly, feeRate = this.fees.perp) {
+    const position = this.perpPositions.get(asset.name) || { szi: 0, entryPx: 0, cumFunding: 0 };
+    const delta = isBuy ? size : -size;
+
+    if (reduceOnly && (position.szi === 0 || Math.sign(delta) === Math.sign(position.szi))) {
+      return 'Reduce only order would increase position.';
+    }
+
+    const fee = size * px * feeRate;
+    const newSzi = position.szi + delta;
+    const increasing = Math.abs(newSzi) > Math.abs(position.szi);
+
+    if (increasing) {
+      const lev = this.leverage.get(asset.name)?.value || Math.min(20, asset.market.maxLeverage);
+      const state = this.clearinghouseState();
+      if (parseFloat(state.withdrawable) < (size * px) / lev + fee) {
+        return 'Insufficient margin to place order.';
+      }
+    }
+
+    // Realize PnL on the reduced part
+    const closing = Math.sign(delta) !== Math.sign(position.szi) ? Math.min(Math.abs(delta), Math.abs(position.szi)) : 0;
+    if (closing > 0) {
+      this.perpUsdc += closing * (px - position.entryPx) * Math.sign(position.szi);
+    }
+
+    // Reducing an isolated position releases a proportional share of added margin
+    const added = this.isolatedMargin.get(asset.name);
+    if (added !== undefined && Math.abs(newSzi) < Math.abs(position.szi) && Math.sign(newSzi) === Math.sign(position.szi)) {
+      this.isolatedMargin.set(asset.name, added * Math.abs(newSzi) / Math.abs(position.szi));
+    } else if (added !== undefined && Math.sign(newSzi) !== Math.sign(position.szi)) {
+      this.isolatedMargin.delete(asset.name);
+    }
+
+    if (Math.abs(newSzi) < 1e-12) {
+      this.perpPositions.delete(asset.name);
+    } else {
+      let entryPx = position.entryPx;
+      if (position.szi === 0 || Math.sign(delta) === Math.sign(position.szi)) {
+        entryPx = (Math.abs(position.szi) * position.entryPx + size * px) / Math.abs(newSzi);
+      } else if (Math.sign(newSzi) !== Math.sign(position.szi)) {
+        entryPx = px;  // flipped through zero
+      }
+      this.perpPositions.set(asset.name, { ...position, szi: newSzi, entryPx });
+    }
+
+    this.perpUsdc -= fee;
+    return null;
+  }
+
+  settleSpot(asset, isBuy, size, px, feeRate = this.fees.spot) {
+    const usdc = this.spotBalances.get('USDC') || 0;
+    const held = this.spotBalances.get(asset.name) || 0;
+    const notional = size * px;
+    const fee = notional * feeRate;
+
+    if (isBuy) {
+      if (usdc < notional + fee) {
+        return 'Insufficient spot balance to place order.';
+      }
+      this.spotBalances.set('USDC', usdc - notional - fee);
+      this.spotBalances.set(asset.name, held + size);
+    } else {
+      if (held + 1e-12 < size) {
+        return 'Insufficient spot balance to place order.';
+      }
+      this.spotBalances.set('USDC', usdc + notional - fee);
+      const left = held - size;
+      if (left <= 1e-12) {
+        this.spotBalances.delete(asset.name);
+      } else {
+        this.spotBalances.set(asset.name, left);
+      }
+    }
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Transports
+  // ---------------------------------------------------------------------------
+
+  async handleHttp(req, res) {
+    const reply = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== 'POST' || !['/info', '/exchange'].includes(req.url)) {
+      reply(404, { error: 'Not found' });
+      return;
+    }
+
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch (error) {
+      reply(400, { error: 'Invalid JSON' });
+      return;
+    }
+
+    const kind = req.url === '/info' ? 'info' : 'action';
+    const logEntry = { transport: 'rest', kind, payload: body, time: Date.now() };
+    this.requests.push(logEntry);
+
+    if (this.rejectRest > 0) {
+      this.rejectRest--;
+      logEntry.status = 429;
+      res.writeHead(429, {
+        'Content-Type': 'application/json',
+        ...(this.retryAfterSeconds !== null ? { 'Retry-After': String(this.retryAfterSeconds) } : {})
+      });
+      res.end(JSON.stringify({ error: 'Too many requests' }));
+      return;
+    }
+
+    await this.delay();
+
+    try {
+      if (kind === 'info') {
+        reply(200, this.handleInfo(body));
+      } else {
+        reply(200, await this.handleExchange(body, logEntry));
+      }
+    } catch (error) {
+      reply(422, { error: error.message });
+    }
+  }
+
+  handleWsConnection(ws) {
+    ws.subscriptions = new Set();
+    ws.userChannels = new Map();   // channel type -> user
+    this.clients.add(ws);
+
+    ws.on('close', () => this.clients.delete(ws));
+    ws.on('message', async (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        this.send(ws, { channel: 'error', data: 'Invalid JSON' });
+        return;
+      }
+
+      if (message.method === 'ping') {
+        this.send(ws, { channel: 'pong' });
+        return;
+      }
+
+      if (message.method === 'subscribe' || message.method === 'unsubscribe') {
+        this.handleWsSubscription(ws, message);
+        return;
+      }
+
+      if (message.method === 'post') {
+        await this.handleWsPost(ws, message);
+        return;
+      }
+
+      this.send(ws, { channel: 'error', data: `Unsupported method: ${message.method}` });
+    });
+  }
+
+  handleWsSubscription(ws, message) {
+    const { subscription } = message;
+
+    if (USER_CHANNELS.includes(subscription?.type)) {
+      if (message.method === 'subscribe') {
+        ws.userChannels.set(subscription.type, subscription.user);
+      } else {
+        ws.userChannels.delete(subscription.type);
+      }
+
+      this.send(ws, { channel: 'subscriptionResponse', data: { method: message.method, subscription } });
+
+      if (message.method === 'subscribe' && subscription.type === 'userFills') {
+        this.send(ws, { channel: 'userFills', data: { isSnapshot: true, user: subscription.user, fills: this.fills.slice(-100) } });
+      }
+      return;
+    }
+
+    if (subscription?.type !== 'l2Book') {
+      this.send(ws, { channel: 'error', data: `Unsupported subscription: ${subscription?.type}` });
+      return;
+    }
+
+    if (message.method === 'subscribe') {
+      ws.subscriptions.add(subscription.coin);
+    } else {
+      ws.subscriptions.delete(subscription.coin);
+    }
+
+    this.send(ws, { channel: 'subscriptionResponse', data: { method: message.method, subscription } });
+
+    if (message.method === 'subscribe') {
+      this.send(ws, { channel: 'l2Book', data: this.l2Book(subscription.coin) });
+    }
+  }
+
+  async handleWsPost(ws, message) {
+    const { id, request } = message;
+    if (this.dropWsRequests > 0) {
+      this.dropWsRequests--;
+      return;
+    }
+
+    const logEntry = { transport: 'ws', kind: request?.type, payload: request?.payload, time: Date.now() };
+    this.requests.push(logEntry);
+
+    await this.delay();
+
+    let response;
+    try {
+      if (request.type === 'info') {
+        response = { type: 'info', payload: { type: request.payload.type, data: this.handleInfo(request.payload) } };
+      } else if (request.type === 'action') {
+        response = { type: 'action', payload: await this.handleExchange(request.payload, logEntry) };
+      } else {
+        response = { type: 'error', payload: `Unsupported request type: ${request.type}` };
+      }
+    } catch (error) {
+      response = { type: 'error', payload: error.message };
+    }
+
+    if (this.dropWsResponses > 0) {
+      this.dropWsResponses--;
+      return;
+    }
+
+    this.send(ws, { channel: 'post', data: { id, response } });
+  }
+
+  send(ws, message) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  delay() {
+    return this.latencyMs > 0 ? new Promise(resolve => setTimeout(resolve, this.latencyMs)) : Promise.resolve();
+  }
+}
+
+// Standalone: node tests/mock/mock-hyperliquid-server.js [port]
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const server = new MockHyperliquidServer({ port: parseInt(process.argv[2] || process.env.MOCK_PORT || '8787') });
+  const urls = await server.start();
+
+  console.log('[MockHL] Mock Hyperliquid server running');
+  console.log(`[MockHL]   HL_WS_URL=${urls.wsUrl}`);
+  console.log(`[MockHL]   HL_REST_URL=${urls.restUrl}`);
+  console.log(`[MockHL]   HL_EXCHANGE_URL=${urls.exchangeUrl}`);
+
+  const shutdown = async () => {
+    await server.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+export default MockHyperliquidServer;
@@ -0,0 +1,161 @@
+import {
+  buildMarketDataAt,
+  runBacktest,
+  runParameterSweep,
+  expandParameterGrid,
+  formatBacktestReport
+} from '../utils/backtest.js';
+import { filterOpportunities, rankOpportunities } from '../utils/opportunity.js';
+
+/**
+ * Test Backtest Engine (offline)
+ *
+ * Builds a synthetic 40-day dataset with a known funding schedule and checks:
+ * 1. Market data rebuilt at a point in time (no look-ahead)
+ * 2. Opens, switches and funding accrual follow the live bot rules
+ * 3. Trading costs and APY accounting
+ * 4. Parameter sweeps
+ *
+ * Schedule (APY):
+ *   BTC  20% until day 20, then -5%
+ *   ETH  10% throughout
+ *   HYPE  0% until day 25, then 50%
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const T0 = Date.UTC(2025, 0, 1);
+const DAYS = 40;
+
+const PRICES = { BTC: 100000, ETH: 3500, HYPE: 40 };
+const SPOT = { BTC: 'UBTC', ETH: 'UETH', HYPE: 'HYPE' };
+
+const SCHEDULE = {
+  BTC: t => (t < T0 + 20 * DAY_MS ? 20 : -5),
+  ETH: () => 10,
+  HYPE: t => (t < T0 + 25 * DAY_MS ? 0 : 50)
+};
+
+const hourly = apy => apy / 100 / (24 * 365);
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const near = (a, b, tolerance = 0.01) => Math.abs(a - b) <= tolerance;
+
+function createDataset() {
+  const symbols = {};
+
+  for (const symbol of Object.keys(PRICES)) {
+    const fundingHistory = [];
+    const perpCandles = [];
+    const spotCandles = [];
+    const price = PRICES[symbol];
+    const size = 2000000 / price;  // $2M per hour per leg, well above the volume filter
+
+    for (let h = 0; h < DAYS * 24; h++) {
+      const time = T0 + h * HOUR_MS;
+      // Real funding timestamps are a few ms past the hour
+      fundingHistory.push({ coin: symbol, fundingRate: String(hourly(SCHEDULE[symbol](time))), premium: '0', time: time + 7 });
+
+      const candle = { t: time - HOUR_MS, T: time - 1, o: String(price), h: String(price), l: String(price), c: String(price), v: String(size) };
+      perpCandles.push({ ...candle, s: symbol });
+      spotCandles.push({ ...candle, s: SPOT[symbol] });
+    }
+
+    symbols[symbol] = { spotSymbol: SPOT[symbol], fundingHistory, perpCandles, spotCandles };
+  }
+
+  return { startTime: T0, endTime: T0 + DAYS * DAY_MS, interval: '1h', symbols };
+}
+
+const thresholds = { maxBidAskSpreadPercent: 0.15, maxPerpSpotSpreadPercent: 0.5, minVolumeUSDC: 75000000, minFundingRatePercent: 5 };
+const dataset = createDataset();
+
+console.log('='.repeat(80));
+console.log('Backtest Engine Test');
+console.log('='.repeat(80));
+console.log();
+
+// Test 1: Point-in-time market data
+console.log('[Test 1] Market data at a point in time');
+{
+  const { marketData, prices } = buildMarketDataAt(dataset, T0 + 10 * DAY_MS);
+  check('All three symbols present', marketData.fundingRates.length === 3 && prices.size === 3);
+  check('Predicted rate is the last settled rate', near(marketData.predictedFundingRates.get('BTC').predictedAnnualizedRate, 0.2, 1e-9));
+  check('7-day average computed', marketData.fundingRates.find(f => f.symbol === 'ETH').history.count === 24 * 7);
+  check('24h volume in USDC', near(marketData.volumes[0].totalVolUSDC, 96000000, 1));
+
+  const ranked = rankOpportunities(filterOpportunities(marketData, thresholds).opportunities);
+  check('Live filter passes BTC and ETH, rejects HYPE', ranked.map(o => o.symbol).join(',') === 'BTC,ETH');
+
+  const beforeJump = buildMarketDataAt(dataset, T0 + 25 * DAY_MS - HOUR_MS).marketData;
+  check('No look-ahead before HYPE funding jump', beforeJump.predictedFundingRates.get('HYPE').predictedAnnualizedRate === 0);
+}
+console.log();
+
+// Test 2: 14-day hold follows the schedule
+console.log('[Test 2] Rotation with 14-day minimum hold');
+const zeroCosts = { perpFeePercent: 0, spotFeePercent: 0, slippagePercent: 0 };
+{
+  const result = runBacktest(dataset, { minHoldTimeDays: 14, improvementFactor: 2, minFundingRatePercent: 5 }, { thresholds, costs: zeroCosts });
+  const opens = result.trades.filter(t => t.action === 'open');
+
+  check('Opened BTC, then ETH, then HYPE', opens.map(t => t.symbol).join(',') === 'BTC,ETH,HYPE', opens.map(t => t.symbol).join(','));
+  check('BTC closed once the hold time expired', opens[1].time === T0 + 21 * DAY_MS, new Date(opens[1].time).toISOString());
+  check('ETH switched to HYPE after its own hold time', opens[2].time === T0 + 35 * DAY_MS, new Date(opens[2].time).toISOString());
+  check('Two switches', result.switches === 2);
+
+  // BTC held from day 7 to day 21: 311 hours at +20%, 25 hours at -5%
+  const notional = 10000 * 0.95 / 2;
+  const expectedBtc = notional * (311 * hourly(20) + 25 * hourly(-5));
+  const btcClose = result.trades.find(t => t.action === 'close' && t.symbol === 'BTC');
+  check('BTC funding matches schedule', near(btcClose.fundingEarned, expectedBtc), `${btcClose.fundingEarned.toFixed(4)} vs ${expectedBtc.toFixed(4)}`);
+  check('Without costs net PnL equals funding', near(result.netPnl, result.fundingEarned, 1e-6) && result.basisPnl === 0);
+  check('Always in market after warm-up', near(result.timeInMarketPercent, 100, 0.5));
+}
+console.log();
+
+// Test 3: Costs and APY
+console.log('[Test 3] Trading costs and APY');
+{
+  const result = runBacktest(dataset, { minHoldTimeDays: 14 }, { thresholds });
+  const tradeCosts = result.trades.reduce((sum, t) => sum + t.cost, 0);
+  check('Six trades (3 opens, 3 closes incl. end)', result.opens === 3 && result.closes === 3);
+  check('Costs charged on every trade', near(result.tradingCosts, tradeCosts, 1e-9) && result.tradingCosts > 0);
+  check('First open pays 0.215% of notional', near(result.trades[0].cost, 4750 * 0.00215, 1e-6));
+  check('Net = funding - costs', near(result.netPnl, result.fundingEarned - result.tradingCosts, 1e-6));
+  check('APY annualized over the window', near(result.netApyPercent, result.netPnl / 10000 * 365 / result.days * 100, 1e-9));
+}
+console.log();
+
+// Test 4: Parameter sweep
+console.log('[Test 4] Parameter sweep');
+{
+  check('Grid expands to all combinations', expandParameterGrid({ minHoldTimeDays: [3, 14], improvementFactor: [1.5, 2, 3] }).length === 6);
+
+  const results = runParameterSweep(dataset, { minHoldTimeDays: [3, 14], improvementFactor: [2] }, { thresholds });
+  check('One result per parameter set', results.length === 2);
+  check('Sorted by net APY', results[0].netApyPercent >= results[1].netApyPercent);
+  check('Shorter hold reacts faster here', results[0].params.minHoldTimeDays === 3);
+
+  console.log();
+  console.log(formatBacktestReport(results));
+}
+console.log();
+
+console.log('='.repeat(80));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('='.repeat(80));
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,158 @@
+import { ethers } from 'ethers';
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer } from './mock/mock-hyperliquid-server.js';
+import { getBalances, checkBalanceDistribution, suggestTransfer } from '../utils/balance.js';
+import { openDeltaNeutralPosition, calculateAvailableNotional } from '../utils/trade.js';
+import {
+  getCoinLeverage,
+  getTargetPerpPercent,
+  calculateVolatility,
+  calculateLiquidationBuffer,
+  calculateMaxSafeLeverage,
+  planCapitalSplit,
+  planCapital,
+  formatCapitalPlan,
+  getLeverageConfig
+} from '../utils/capital.js';
+
+/**
+ * Test Capital Planner (offline)
+ *
+ * Per-coin leverage, volatility from candles, the leverage-dependent PERP/SPOT
+ * split and transfer, and opening pairs at the planned leverage on the mock server.
+ */
+
+const config = {
+  trading: {
+    minOrderSizeUSD: { BTC: 20, ETH: 20, HYPE: 20 },
+    balanceUtilizationPercent: 95,
+    maxSlippagePercent: 2.0
+  },
+  leverage: { default: 3, perCoin: { ETH: 5 }, minLiquidationBufferPercent: 15 }
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) <= tolerance;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hourly closes alternating ±2% around a price
+function choppyCandles(price, hours) {
+  const start = Date.now() - hours * HOUR_MS;
+  return Array.from({ length: hours }, (_, i) => {
+    const c = price * (i % 2 === 0 ? 1.02 : 0.98);
+    return { t: start + i * HOUR_MS, o: price, h: c, l: c, c, v: 10 };
+  });
+}
+
+function createOpportunity(symbol, perpMid, spotMid) {
+  return {
+    symbol,
+    bidAsk: { perpMid, spotMid },
+    funding: { fundingRate: 0.0000125 },
+    predictedFunding: { predictedFundingRate: 0.0000125 },
+    predictedFundingRate: 0.0000125 * 24 * 365,
+    avgFundingRate: 0.0000125 * 24 * 365
+  };
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Capital Planner Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: Leverage and buffers
+  console.log('[Test 1] Leverage');
+  {
+    check('Per-coin leverage overrides the default', getCoinLeverage(config, 'ETH') === 5 && getCoinLeverage(config, 'BTC') === 3 && getCoinLeverage({}) === 3);
+    check('PERP share of capital', getTargetPerpPercent(1) === 50 && getTargetPerpPercent(3) === 25);
+    check('Liquidation buffer at 3x on a 40x asset', near(calculateLiquidationBuffer(3, 40), (1 / 3 - 1 / 80) / (1 + 1 / 80) * 100));
+    check('Highest leverage within a buffer', calculateMaxSafeLeverage(25, 40) === 3 && calculateMaxSafeLeverage(60, 40) === 1 &&
+      calculateLiquidationBuffer(calculateMaxSafeLeverage(15, 25), 25) >= 15);
+
+    const volatility = calculateVolatility(choppyCandles(100, 25));
+    check('Volatility from hourly closes', volatility.samples === 24 && near(volatility.daily, volatility.hourly * Math.sqrt(24)) &&
+      near(volatility.hourly, 0.0409, 0.001), volatility.hourly.toFixed(4));
+    check('Too few candles, no volatility', calculateVolatility(choppyCandles(100, 2)) === null);
+  }
+  console.log();
+
+  // Test 2: Split
+  console.log('[Test 2] Split');
+  {
+    const settings = getLeverageConfig(config);
+    const balances = { perpBalance: 500, spotBalance: 500 };
+    const calm = planCapitalSplit({ leverage: 3, maxLeverage: 40, volatility: { daily: 0.02 }, balances, settings });
+    check('Calm coin keeps its leverage', calm.leverage === 3 && near(calm.bufferPercent, 15));
+    check('Target split and transfer', near(calm.targetPerpBalance, 250) && near(calm.transferToPerp, -250) && near(calm.maxNotional, 500));
+
+    const wild = planCapitalSplit({ leverage: 3, maxLeverage: 40, volatility: { daily: 0.1 }, balances, settings });
+    check('Volatile coin gets lower leverage', wild.leverage === 1 && wild.liquidationBufferPercent >= wild.bufferPercent && near(wild.perpPercent, 50));
+    check('Report shows the transfer', /Move \$250\.00 PERP → SPOT/.test(formatCapitalPlan(calm)) && /lowered from 3x/.test(formatCapitalPlan(wild)));
+
+    const split = { perpBalance: 500, spotBalance: 500, totalBalance: 1000, perpPercent: 50, spotPercent: 50 };
+    const balanceCheck = checkBalanceDistribution(split, 10, 25);
+    check('Balance check against a leveraged target', !balanceCheck.isBalanced && near(suggestTransfer(split, balanceCheck).amount, 250) &&
+      checkBalanceDistribution({ perpPercent: 26, spotPercent: 74 }, 10, 25).isBalanced && checkBalanceDistribution(split).isBalanced);
+    check('Available notional uses the leverage', near(calculateAvailableNotional(balances, config, 2).availablePerpNotional, 950) &&
+      near(calculateAvailableNotional(balances, config).availablePerpNotional, 1425));
+  }
+  console.log();
+
+  // Test 3: Opening at the planned leverage
+  console.log('[Test 3] Mock exchange');
+  {
+    const server = new MockHyperliquidServer({ perpUsdc: 500, spotUsdc: 500 });
+    const urls = await server.start();
+    const account = ethers.Wallet.createRandom();
+    const hyperliquid = new HyperliquidConnector({ ...urls, wallet: account.address, privateKey: account.privateKey });
+
+    try {
+      await hyperliquid.connect();
+      server.setCandles('BTC', choppyCandles(100000, 7 * 24));
+
+      const btcPlan = await planCapital(hyperliquid, 'BTC', await getBalances(hyperliquid), config);
+      check('Volatility measured from candleSnapshot', btcPlan.volatility?.samples > 100 && btcPlan.leverage === 1, `${btcPlan.leverage}x`);
+
+      const eth = await openDeltaNeutralPosition(hyperliquid, createOpportunity('ETH', 3500, 3500.5),
+        await getBalances(hyperliquid), config, { verbose: false, maxNotional: 200 });
+      check('Per-coin leverage set on the exchange', eth.success && eth.leverage === 5 &&
+        server.leverage.get('ETH')?.value === 5 && server.leverage.get('ETH').type === 'isolated');
+
+      const btc = await openDeltaNeutralPosition(hyperliquid, createOpportunity('BTC', 100000, 100010),
+        await getBalances(hyperliquid), config, { verbose: false, maxNotional: 200 });
+      check('Volatile coin opened at the lowered leverage', btc.success && btc.leverage === 1 && server.leverage.get('BTC')?.value === 1);
+
+      const sized = await openDeltaNeutralPosition(hyperliquid, createOpportunity('HYPE', 40, 40.01),
+        { perpBalance: 10, spotBalance: 500 }, config, { verbose: false, capitalPlan: { ...btcPlan, symbol: 'HYPE', leverage: 3 } });
+      check('Position sized by PERP margin x leverage', sized.success && sized.positionValue <= 10 * 3 * 0.95 + 1, sized.positionValue?.toFixed(2));
+    } finally {
+      hyperliquid.disconnect();
+      await server.stop();
+    }
+  }
+  console.log();
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
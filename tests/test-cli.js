@@ -0,0 +1,223 @@
+import { ethers } from 'ethers';
+import { MockHyperliquidServer } from './mock/mock-hyperliquid-server.js';
+import { runCli } from '../cli.js';
+import { planAccountClose } from '../utils/positions.js';
+import {
+  parseCliArgs,
+  checkFlags,
+  numberFlag,
+  resolveSymbols,
+  formatTable,
+  formatCSV,
+  renderRows,
+  formatHelp
+} from '../utils/cli.js';
+
+/**
+ * Test CLI (offline)
+ *
+ * Argument parsing and flag checks, table/CSV/JSON rendering and close
+ * planning, then hldn commands end to end against the mock server: JSON and
+ * CSV output, --dry-run sending nothing, closes flattening both legs, and a
+ * failed hedge falling back to closing the unhedged leg.
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Run a command, capturing stdout and silencing its logs
+async function run(argv) {
+  let out = '';
+  const saved = { log: console.log, error: console.error };
+  const errors = [];
+  console.log = () => {};
+  console.error = (...args) => errors.push(args.join(' '));
+  try {
+    const code = await runCli(argv, { stdout: { write: (text) => { out += text; } } });
+    return { code, out, errors };
+  } finally {
+    Object.assign(console, saved);
+  }
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('CLI Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: Arguments
+  console.log('[Test 1] Arguments and flags');
+  {
+    const parsed = parseCliArgs(['close', 'BTC', '--dry-run', '-f', 'json']);
+    check('Command, positionals and flags', parsed.command === 'close' && parsed.args.join() === 'BTC' &&
+      parsed.flags['dry-run'] === true && parsed.flags.format === 'json' && parsed.flags.config === './config.json');
+
+    check('Unknown flag rejected', /unknown option/i.test(throws(() => parseCliArgs(['funding', '--fast'])) || ''));
+    check('Unknown format rejected', /--format/.test(throws(() => parseCliArgs(['funding', '-f', 'xml'])) || ''));
+
+    const { flags } = parseCliArgs(['funding', '--all', '--testnet']);
+    check('Flag the command does not take', throws(() => checkFlags(flags, [], 'funding')) === 'funding does not take --all');
+    check('Global flags always allowed', throws(() => checkFlags(parseCliArgs(['funding', '--testnet']).flags, [], 'funding')) === null);
+
+    check('Symbols from --symbols and positionals, deduplicated',
+      resolveSymbols({ symbols: 'BTC, kPEPE' }, ['ETH', 'BTC'], ['SOL']).join() === 'BTC,kPEPE,ETH');
+    check('Configured pairs as fallback', resolveSymbols({}, [], ['SOL', 'ETH']).join() === 'SOL,ETH');
+    check('Number flags', numberFlag('2.5', 'days', 7) === 2.5 && numberFlag(undefined, 'days', 7) === 7 &&
+      throws(() => numberFlag('-1', 'days', 7)) === '--days must be a positive number');
+  }
+  console.log();
+
+  // Test 2: Output
+  console.log('[Test 2] Output formats');
+  {
+    const rows = [
+      { symbol: 'BTC', apy: 0.1234, note: 'ok' },
+      { symbol: 'kPEPE', apy: null, note: 'has, "quotes"' }
+    ];
+    const columns = [
+      { key: 'symbol', label: 'Symbol' },
+      { key: 'apy', label: 'APY', format: v => `${(v * 100).toFixed(2)}%` },
+      { key: 'note', label: 'Note' }
+    ];
+
+    const table = formatTable(rows, columns).split('\n');
+    check('Table header, rule and rows', table.length === 4 && table[0].startsWith('Symbol') && table[1].startsWith('──'));
+    const apyEnd = table[0].indexOf('APY') + 'APY'.length;
+    check('Numbers right-aligned, missing values blank', table[2].indexOf('12.34%') + '12.34%'.length === apyEnd &&
+      /^kPEPE\s+has/.test(table[3]), table.join(' / '));
+    check('Empty table', formatTable([], columns) === '(none)');
+
+    const csv = formatCSV(rows, columns).split('\n');
+    check('CSV uses keys and raw values', csv[0] === 'symbol,apy,note' && csv[1] === 'BTC,0.1234,ok');
+    check('CSV escaping', csv[2] === 'kPEPE,,"has, ""quotes"""');
+    check('JSON is the rows', JSON.parse(renderRows(rows, columns, 'json'))[1].note === 'has, "quotes"');
+
+    const help = formatHelp({ close: { usage: 'close <symbol>', description: 'Close', flags: ['dry-run'] } });
+    check('Help lists commands and where flags apply', help.includes('close <symbol>  Close') && /--dry-run .*\[close\]/.test(help));
+  }
+  console.log();
+
+  // Test 3: Close planning
+  console.log('[Test 3] Close planning');
+  {
+    const perp = [
+      { symbol: 'BTC', side: 'SHORT', sizeRaw: -0.01 },
+      { symbol: 'ETH', side: 'LONG', sizeRaw: 0.5 },
+      { symbol: 'HYPE', side: 'SHORT', sizeRaw: -0.1 }
+    ];
+    const spot = [{ symbol: 'UBTC', total: 0.01 }, { symbol: 'NOPRICE', total: 5 }];
+    const prices = { BTC: 100000, ETH: 3500, HYPE: 40 };
+
+    const all = planAccountClose(perp, spot, prices);
+    const leg = (symbol) => all.legs.find(l => l.symbol === symbol);
+    check('Shorts bought back, longs and SPOT sold', leg('BTC').side === 'buy' && leg('ETH').side === 'sell' &&
+      leg('UBTC').side === 'sell' && leg('UBTC').type === 'SPOT');
+    check('SPOT priced from its PERP', leg('UBTC').price === 100000 && leg('UBTC').notional === 1000);
+    check('Dust and unpriced legs skipped', all.skipped.map(l => l.symbol).sort().join() === 'HYPE,NOPRICE');
+
+    const btc = planAccountClose(perp, spot, prices, { symbols: ['BTC'], minNotional: 1 });
+    check('Symbol filter covers both legs', btc.legs.map(l => `${l.type}:${l.symbol}`).join() === 'PERP:BTC,SPOT:UBTC' && btc.skipped.length === 0);
+  }
+  console.log();
+
+  // Test 4: Commands against the mock server
+  console.log('[Test 4] Commands');
+  const server = new MockHyperliquidServer();
+  const urls = await server.start();
+  const account = ethers.Wallet.createRandom();
+  Object.assign(process.env, {
+    HL_WS_URL: urls.wsUrl,
+    HL_REST_URL: urls.restUrl,
+    HL_EXCHANGE_URL: urls.exchangeUrl,
+    HL_WALLET: account.address,
+    HL_PRIVATE_KEY: account.privateKey
+  });
+  const orders = () => server.requests.filter(r => r.payload?.action?.type === 'order').length;
+
+  try {
+    server.setPerpPosition('BTC', -0.01, 100000);
+    server.setSpotBalance('UBTC', 0.01);
+    server.setPerpPosition('ETH', -0.1, 3500);
+
+    const funding = await run(['funding', '-s', 'BTC,ETH', '-f', 'json']);
+    const rates = JSON.parse(funding.out);
+    check('funding: one JSON row per symbol', funding.code === 0 && rates.map(r => r.symbol).join() === 'BTC,ETH' &&
+      typeof rates[0].annualized === 'number', funding.errors.join(' | '));
+
+    const positions = await run(['positions', '-f', 'json']);
+    const rows = JSON.parse(positions.out);
+    const btc = rows.find(r => r.symbol === 'BTC');
+    const eth = rows.find(r => r.symbol === 'ETH');
+    check('positions: hedged and unhedged legs', btc?.spotSymbol === 'UBTC' && btc.hedge === 'PERFECT' && eth?.hedge === 'UNHEDGED',
+      positions.out.slice(0, 200));
+
+    const csv = await run(['balances', '-f', 'csv']);
+    check('balances: CSV on stdout', csv.code === 0 && csv.out.startsWith('perpBalance,spotBalance,totalBalance'));
+
+    const before = orders();
+    const dryClose = await run(['close', 'BTC', '--dry-run', '-f', 'json']);
+    const planned = JSON.parse(dryClose.out);
+    check('close --dry-run plans both legs, sends nothing', dryClose.code === 0 && orders() === before &&
+      planned.every(r => r.status === 'dry-run') && planned.map(r => r.type).join() === 'PERP,SPOT');
+
+    const dryOrder = await run(['order', 'ETH', 'buy', '0.01', '--reduce-only', '--dry-run', '-f', 'json']);
+    const [orderRow] = JSON.parse(dryOrder.out);
+    check('order --dry-run sends nothing', dryOrder.code === 0 && orders() === before && orderRow.notional === 35 && orderRow.reduceOnly === true);
+
+    const dryLeverage = await run(['leverage', 'BTC', '--leverage', '2', '--dry-run', '-f', 'json']);
+    check('leverage --dry-run', JSON.parse(dryLeverage.out)[0].leverage === 2 && !server.leverage.has('BTC'));
+
+    const closed = await run(['close', 'BTC', '-f', 'json']);
+    const results = JSON.parse(closed.out);
+    check('close closes the PERP and SPOT legs', closed.code === 0 && results.every(r => r.status === 'closed') &&
+      !server.perpPositions.has('BTC') && !(server.spotBalances.get('UBTC') > 0), closed.errors.join(' | '));
+    check('Other positions untouched', server.perpPositions.get('ETH')?.szi === -0.1);
+
+    const table = await run(['close', '--all', '--dry-run']);
+    check('Table output by default', table.code === 0 && /^Symbol\s+Market\s+Side/.test(table.out) && table.out.includes('ETH'));
+
+    server.queueOrderResponse('UETH', { error: 'Insufficient spot balance to place order.' });
+    const hedged = await run(['hedge', 'execute', '-f', 'json']);
+    const [hedgeRow] = JSON.parse(hedged.out);
+    check('hedge execute closes the PERP when the SPOT buy fails', hedged.code === 0 && hedgeRow?.symbol === 'ETH' &&
+      hedgeRow.status === 'closed' && !server.perpPositions.has('ETH'), hedged.out.slice(0, 300) + hedged.errors.join(' | '));
+
+    check('Command rejects foreign flags', (await run(['funding', '--all'])).code === 1);
+    check('close needs symbols or --all', (await run(['close'])).code === 1 && (await run(['close', 'BTC', '--all'])).code === 1);
+    check('Unknown command fails with help', (await run(['nope'])).out.startsWith('Usage: hldn'));
+  } finally {
+    await server.stop();
+  }
+  console.log();
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
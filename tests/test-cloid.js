@@ -0,0 +1,233 @@
+import { ethers } from 'ethers';
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer } from './mock/mock-hyperliquid-server.js';
+import { makeCloid, isCloid, createCloidSequence, statusFromOrderStatus, reconcilePendingOrders } from '../utils/cloid.js';
+import { recordPendingOrder, clearPendingOrders } from '../utils/state.js';
+import { openDeltaNeutralPosition } from '../utils/trade.js';
+
+/**
+ * Test Client Order IDs and the Pending-Order Journal (offline)
+ *
+ * Cloid derivation, the send → lookup → resend path when a WebSocket order
+ * times out, and startup reconciliation of journaled orders against the mock server.
+ */
+
+const config = {
+  trading: {
+    minOrderSizeUSD: { ETH: 20 },
+    balanceUtilizationPercent: 95,
+    maxSlippagePercent: 2.0
+  }
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const near = (a, b, tolerance = 0.01) => Math.abs(a - b) <= tolerance;
+
+function createOpportunity(symbol, perpMid, spotMid) {
+  return {
+    symbol,
+    bidAsk: { perpMid, spotMid },
+    funding: { fundingRate: 0.00001 },
+    predictedFunding: { predictedFundingRate: 0.00001 },
+    predictedFundingRate: 0.00001 * 24 * 365,
+    avgFundingRate: 0.00001 * 24 * 365
+  };
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Client Order ID Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: Derivation and state helpers
+  console.log('[Test 1] Cloids');
+  {
+    const cloid = makeCloid('open:ETH:1', 'perp', 0);
+    check('Cloid is 0x + 32 hex digits', isCloid(cloid) && cloid.length === 34);
+    check('Same parts, same cloid', cloid === makeCloid('open:ETH:1', 'perp', 0));
+    check('Malformed values rejected', !isCloid('0x123') && !isCloid(null) && !isCloid(`0x${'g'.repeat(32)}`));
+
+    const a = createCloidSequence('open:ETH:1');
+    const b = createCloidSequence('open:ETH:1');
+    const first = [a('perp'), a('spot'), a('perp')];
+    check('Sequence is reproducible', first.join() === [b('perp'), b('spot'), b('perp')].join());
+    check('Every call gives a new cloid', new Set(first).size === 3 && first[0] === cloid);
+
+    const response = {
+      status: 'order',
+      order: {
+        order: { coin: 'ETH', side: 'A', limitPx: '3400', sz: '0.0', oid: 7, timestamp: 1, origSz: '0.2', cloid },
+        status: 'filled',
+        statusTimestamp: 2
+      }
+    };
+    const fills = [{ oid: 7, sz: '0.1', px: '3500' }, { oid: 7, sz: '0.1', px: '3510' }, { oid: 8, sz: '1', px: '1' }];
+    const status = statusFromOrderStatus(response, fills);
+    check('orderStatus converted to a filled status', status.filled?.totalSz === '0.2' && status.filled.cloid === cloid);
+    check('Average price from the order\'s fills', near(parseFloat(status.filled.avgPx), 3505, 1e-9));
+
+    let state = { pendingOrders: [] };
+    state = recordPendingOrder(state, { cloid: '0x1', size: 1 });
+    state = recordPendingOrder(state, { cloid: '0x2', size: 1 });
+    state = recordPendingOrder(state, { cloid: '0x1', size: 2 });
+    check('Journal keeps one entry per cloid', state.pendingOrders.length === 2 && state.pendingOrders[1].size === 2);
+    check('Entries cleared by cloid', clearPendingOrders(state, ['0x1', '0x2']).pendingOrders.length === 0 &&
+      clearPendingOrders(state, '0x2').pendingOrders.length === 1);
+  }
+  console.log();
+
+  const server = new MockHyperliquidServer({ perpUsdc: 5000, spotUsdc: 5000 });
+  const urls = await server.start();
+  const account = ethers.Wallet.createRandom();
+  const hyperliquid = new HyperliquidConnector({
+    ...urls,
+    wallet: account.address,
+    privateKey: account.privateKey,
+    requestTimeout: 300
+  });
+
+  const journal = new Map();
+  const events = [];
+  hyperliquid.orderJournal = {
+    record: (order) => {
+      journal.set(order.cloid, order);
+      events.push({ type: 'record', cloid: order.cloid, actionsSeen: server.requests.filter(r => r.kind === 'action').length });
+    },
+    resolve: (cloid) => {
+      journal.delete(cloid);
+      events.push({ type: 'resolve', cloid });
+    }
+  };
+
+  const fillsFor = (cloid) => server.fills.filter(f => f.cloid === cloid);
+
+  try {
+    await hyperliquid.connect();
+
+    // Test 2: Lost response - the order reached the exchange
+    console.log('[Test 2] Response lost');
+    const timedOut = makeCloid('test', 'timeout');
+    {
+      const actionsBefore = server.requests.filter(r => r.kind === 'action').length;
+      server.dropWsResponses = 1;
+      const result = await hyperliquid.createMarketOrder('ETH', 'sell', 0.01, { slippage: 0.02, overrideMidPrice: 3500, cloid: timedOut });
+      const filled = result.response?.data?.statuses?.[0]?.filled;
+
+      check('Recovered the fill from orderStatus', near(parseFloat(filled?.totalSz), 0.01, 1e-9) && filled.cloid === timedOut);
+      check('Order sent once, filled once', fillsFor(timedOut).length === 1 &&
+        server.requests.filter(r => r.kind === 'action').length === actionsBefore + 1);
+      check('Journaled before sending', events[0]?.type === 'record' && events[0].actionsSeen === actionsBefore);
+      check('Journal cleared once resolved', events[1]?.type === 'resolve' && journal.size === 0);
+      check('Ledger has the recovered fill', hyperliquid.orderLedger.get(timedOut)?.status === 'filled');
+    }
+    console.log();
+
+    // Test 3: Lost request - the order never got there
+    console.log('[Test 3] Request lost');
+    {
+      const cloid = makeCloid('test', 'lost');
+      server.dropWsRequests = 1;
+      const result = await hyperliquid.createMarketOrder('ETH', 'buy', 0.01, {
+        reduceOnly: true, slippage: 0.02, overrideMidPrice: 3500, cloid
+      });
+
+      check('Resent over REST and filled', !!result.response?.data?.statuses?.[0]?.filled);
+      check('Exactly one fill', fillsFor(cloid).length === 1);
+      check('Resend went over REST', server.requests.some(r => r.transport === 'rest' && r.payload?.action?.orders?.[0]?.c === cloid));
+      check('Journal empty', journal.size === 0);
+
+      let threw = false;
+      try {
+        await hyperliquid.createMarketOrder('ETH', 'sell', 0.01, { slippage: 0.02, overrideMidPrice: 3500, cloid: '0xnope' });
+      } catch (error) {
+        threw = /Invalid cloid/.test(error.message);
+      }
+      check('Malformed cloid throws before journaling', threw && journal.size === 0);
+    }
+    console.log();
+
+    // Test 4: Startup reconciliation
+    console.log('[Test 4] Reconcile');
+    {
+      const restingCloid = makeCloid('test', 'resting');
+      await hyperliquid.createLimitOrder('UETH', 'buy', 0.1, 3450, { isSpot: true, tif: 'Alo', cloid: restingCloid });
+
+      const pending = [
+        { cloid: makeCloid('test', 'never-sent'), coin: 'ETH', isSpot: false, side: 'A', size: 0.01 },
+        { cloid: restingCloid, coin: 'UETH', isSpot: true, side: 'B', size: 0.1 },
+        { cloid: timedOut, coin: 'ETH', isSpot: false, side: 'A', size: 0.01 }
+      ];
+      const { resolved, unresolved, filled } = await reconcilePendingOrders(hyperliquid, pending);
+      const outcome = (cloid) => resolved.find(r => r.cloid === cloid)?.outcome;
+
+      check('Unknown order was never placed', outcome(pending[0].cloid) === 'notPlaced');
+      check('Resting order canceled', outcome(restingCloid) === 'canceled' && server.findOrder(restingCloid).status === 'canceled');
+      check('Filled order reported', outcome(timedOut) === 'filled' && filled.length === 1 && near(filled[0].filledSz, 0.01, 1e-9));
+      check('Nothing unresolved', unresolved.length === 0);
+
+      const offline = { getOrderStatus: async () => { throw new Error('fetch failed'); } };
+      const failedLookup = await reconcilePendingOrders(offline, pending.slice(0, 1));
+      check('Lookup errors leave the order unresolved', failedLookup.unresolved.length === 1 && failedLookup.resolved.length === 0);
+
+      const stuckCloid = makeCloid('test', 'stuck');
+      await hyperliquid.createLimitOrder('UETH', 'buy', 0.1, 3450, { isSpot: true, tif: 'Alo', cloid: stuckCloid });
+      const cancelError = 'Order was never placed, already canceled, or filled.';
+      const refusing = {
+        getOrderStatus: (cloid) => hyperliquid.getOrderStatus(cloid),
+        cancelOrder: async () => ({ status: 'ok', response: { type: 'cancel', data: { statuses: [{ error: cancelError }] } } })
+      };
+      const failedCancel = await reconcilePendingOrders(refusing, [{ cloid: stuckCloid, coin: 'UETH', isSpot: true, side: 'B', size: 0.1 }]);
+      const stuck = failedCancel.unresolved[0];
+      check('Failed cancel leaves the order unresolved', failedCancel.resolved.length === 0 && stuck?.error === cancelError &&
+        stuck.oid === server.findOrder(stuckCloid).oid && server.findOrder(stuckCloid).status !== 'canceled');
+    }
+    console.log();
+
+    // Test 5: Every leg of an entry carries a cloid
+    console.log('[Test 5] Entry legs');
+    {
+      const actionsBefore = server.requests.filter(r => r.kind === 'action').length;
+      const opened = await openDeltaNeutralPosition(
+        hyperliquid,
+        createOpportunity('ETH', 3500, 3500.5),
+        { perpBalance: 5000, spotBalance: 5000 },
+        config,
+        { verbose: false, maxNotional: 200 }
+      );
+      const orders = server.requests.filter(r => r.kind === 'action').slice(actionsBefore)
+        .flatMap(r => r.payload.action.orders || []);
+
+      check('Position opened', opened.success);
+      check('Both legs sent with distinct cloids', orders.length === 2 && orders.every(o => isCloid(o.c)) && orders[0].c !== orders[1].c);
+      check('Journal empty after the entry', journal.size === 0);
+    }
+    console.log();
+  } finally {
+    hyperliquid.disconnect();
+    await server.stop();
+  }
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
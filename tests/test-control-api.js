@@ -0,0 +1,193 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ControlApi, getControlApiSettings, summarizeAnalysis } from '../utils/control-api.js';
+import { applySymbolControls } from '../utils/opportunity.js';
+import { loadState, saveState, getControls, updateControls } from '../utils/state.js';
+
+/**
+ * Test Control API (offline)
+ *
+ * Pins/bans applied to an analysis, pause and symbol controls in the state
+ * file, then the HTTP server on an ephemeral port: bearer token, routing,
+ * request bodies and how controller results map to status codes.
+ */
+
+const TOKEN = 'test-token';
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+function createAnalysis(symbols) {
+  const rankedOpportunities = symbols.map((symbol, i) => ({
+    symbol,
+    primaryFundingPercent: 30 - i * 5,
+    predictedFundingPercent: 30 - i * 5,
+    avgFundingPercent: 20,
+    expectedFundingPercent: null,
+    totalVolumeUSDC: 1e8,
+    maxBidAskSpread: 0.01,
+    perpSpotSpreadAbs: 0.05,
+    qualityScore: 10 - i
+  }));
+  return {
+    marketData: { predictedFundingRates: new Map(symbols.map(s => [s, {}])) },
+    filterResult: { stats: { total: symbols.length, passed: symbols.length } },
+    rankedOpportunities,
+    best: rankedOpportunities[0] || null,
+    report: ''
+  };
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Control API Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: Symbol controls
+  console.log('[Test 1] Pins and bans');
+  {
+    const analysis = createAnalysis(['BTC', 'ETH', 'HYPE']);
+    check('No controls, analysis unchanged', applySymbolControls(analysis, { pinned: [], banned: [] }) === analysis);
+
+    const banned = applySymbolControls(analysis, { banned: ['BTC'] });
+    check('Banned symbol dropped, next best chosen', banned.best.symbol === 'ETH' && banned.rankedOpportunities.length === 2);
+
+    const pinned = applySymbolControls(analysis, { pinned: ['HYPE'] });
+    check('Pinned symbol is the only candidate', pinned.best.symbol === 'HYPE' && pinned.rankedOpportunities.length === 1);
+    check('Pinned but filtered out: no best', applySymbolControls(analysis, { pinned: ['SOL'] }).best === null);
+    check('Market data kept for held pairs', pinned.marketData === analysis.marketData);
+
+    const summary = summarizeAnalysis(banned, 1000);
+    check('Analysis summary is plain JSON', JSON.parse(JSON.stringify(summary)).opportunities.length === 2 &&
+      summary.best === 'ETH' && summary.timestamp === 1000 && !('marketData' in summary));
+  }
+  console.log();
+
+  // Test 2: Controls in state
+  console.log('[Test 2] State');
+  {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'control-api-'));
+    const file = path.join(dir, 'bot-state.json');
+    try {
+      fs.writeFileSync(file, JSON.stringify({ version: 2, position: null, positions: [], history: [] }));
+      const old = loadState(file);
+      check('State without controls gets defaults', getControls(old).paused === false && getControls(old).pinned.length === 0);
+
+      saveState(updateControls(old, { paused: true, banned: ['HYPE'] }), file);
+      const reloaded = getControls(loadState(file));
+      check('Pause and bans survive a restart', reloaded.paused === true && reloaded.banned.join() === 'HYPE' && reloaded.pinned.length === 0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+  console.log();
+
+  // Test 3: HTTP server
+  console.log('[Test 3] Server');
+  {
+    check('Off by default, localhost only', getControlApiSettings({}).enabled === false && getControlApiSettings({}).host === '127.0.0.1');
+
+    let noToken = null;
+    try {
+      await new ControlApi({}, {}, { token: '' }).start();
+    } catch (error) {
+      noToken = error;
+    }
+    check('Refuses to start without a token', /BOT_API_TOKEN/.test(noToken?.message || ''));
+
+    let controls = { paused: false, pinned: [], banned: [] };
+    const calls = [];
+    const controller = {
+      getStatus: () => ({ paused: controls.paused, cycleCount: 3 }),
+      getAnalysis: () => summarizeAnalysis(createAnalysis(['BTC'])),
+      pause: () => {
+        controls = { ...controls, paused: true };
+        return { success: true, ...controls };
+      },
+      close: ({ symbol }) => {
+        calls.push(symbol);
+        return { success: false, statusCode: 404, error: 'No open position' };
+      },
+      runCycle: () => ({ success: false, error: 'A cycle is already running' }),
+      ban: ({ symbol }) => {
+        controls = { ...controls, banned: [symbol] };
+        return { success: true, ...controls };
+      },
+      getCycles: () => {
+        throw new Error('boom');
+      }
+    };
+
+    const api = new ControlApi(controller, { controlApi: { port: 0 } }, { token: TOKEN });
+    const { port } = await api.start();
+    const request = async (method, route, { token = TOKEN, body } = {}) => {
+      const res = await fetch(`http://127.0.0.1:${port}${route}`, {
+        method,
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        body
+      });
+      return { status: res.status, body: await res.json() };
+    };
+
+    try {
+      check('Missing token rejected', (await request('GET', '/status', { token: null })).status === 401);
+      check('Wrong token rejected', (await request('GET', '/status', { token: 'nope' })).status === 401);
+
+      const status = await request('GET', '/status');
+      check('GET /status', status.status === 200 && status.body.cycleCount === 3 && status.body.paused === false);
+      check('GET /analysis', (await request('GET', '/analysis')).body.best === 'BTC');
+
+      check('Unknown endpoint 404', (await request('GET', '/nope')).status === 404);
+      check('Wrong method 405', (await request('GET', '/pause')).status === 405 && (await request('POST', '/status')).status === 405);
+
+      const paused = await request('POST', '/pause');
+      check('POST /pause', paused.status === 200 && paused.body.paused === true &&
+        (await request('GET', '/status')).body.paused === true);
+
+      check('Symbol required for /ban', (await request('POST', '/ban')).status === 400);
+      check('Invalid JSON rejected', (await request('POST', '/ban', { body: '{nope' })).status === 400);
+      const ban = await request('POST', '/ban', { body: JSON.stringify({ symbol: ' kPEPE ' }) });
+      check('POST /ban trims but keeps symbol case', ban.status === 200 && ban.body.banned.join() === 'kPEPE');
+
+      const close = await request('POST', '/close', { body: JSON.stringify({ symbol: 'ETH' }) });
+      check('Controller failure uses its status code', close.status === 404 && close.body.success === false &&
+        !('statusCode' in close.body) && calls.join() === 'ETH');
+      check('Failure without a code is 409', (await request('POST', '/cycle')).status === 409);
+      check('Handler error is 500', (await request('GET', '/cycles')).status === 500);
+    } finally {
+      await api.stop();
+    }
+
+    let refused = false;
+    try {
+      await fetch(`http://127.0.0.1:${port}/status`);
+    } catch {
+      refused = true;
+    }
+    check('Stopped server closes the port', refused);
+  }
+  console.log();
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
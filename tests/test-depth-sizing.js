@@ -0,0 +1,201 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer, buildBook } from './mock/mock-hyperliquid-server.js';
+import { PaperExchange } from '../utils/paper.js';
+import { getDepthMid, estimateFill, calculateDepthLimitedSize } from '../utils/depth.js';
+import { openDeltaNeutralPosition } from '../utils/trade.js';
+
+/**
+ * Test Depth-Aware Order Sizing (offline)
+ *
+ * Pure checks of utils/depth.js, then openDeltaNeutralPosition() against thin
+ * books on the mock server with fills simulated by the paper exchange.
+ */
+
+const config = {
+  trading: {
+    minOrderSizeUSD: { BTC: 20 },
+    balanceUtilizationPercent: 95,
+    maxSlippagePercent: 2.0
+  }
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const near = (a, b, tolerance = 0.01) => Math.abs(a - b) <= tolerance;
+
+function levels(pairs) {
+  return pairs.map(([price, size]) => ({ price, size, numOrders: 1 }));
+}
+
+function createOpportunity(symbol, perpMid, spotMid) {
+  return {
+    symbol,
+    bidAsk: { perpMid, spotMid },
+    funding: { fundingRate: 0.0000125 },
+    predictedFunding: { predictedFundingRate: 0.0000125 },
+    predictedFundingRate: 0.0000125 * 24 * 365,
+    avgFundingRate: 0.0000125 * 24 * 365
+  };
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Depth-Aware Sizing Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: VWAP and impact on one side
+  console.log('[Test 1] Expected fill');
+  {
+    const asks = levels([[100.1, 1], [100.5, 1], [101, 10]]);
+    const fill = estimateFill(asks, 2, 100);
+    check('VWAP across two levels', near(fill.vwap, 100.3, 1e-9));
+    check('Impact vs reference in bps', near(fill.impactBps, 30, 1e-6), fill.impactBps);
+    check('Fully filled', fill.fullyFilled && fill.levelsUsed === 2);
+
+    const short = estimateFill(asks, 20, 100);
+    check('Reports unfilled remainder', !short.fullyFilled && short.filledSz === 12);
+  }
+  console.log();
+
+  // Test 2: Combined sizing
+  console.log('[Test 2] Depth-limited size');
+  {
+    const perpDepth = { bids: levels([[99.95, 5], [99.9, 5], [99.5, 100]]), asks: levels([[100.05, 5]]) };
+    const spotDepth = { bids: levels([[99.9, 5]]), asks: levels([[100.1, 1], [100.3, 1], [101, 100]]) };
+    check('Depth mid', near(getDepthMid(perpDepth), 100, 1e-9));
+
+    const small = calculateDepthLimitedSize(perpDepth, spotDepth, 0.5, 50);
+    check('Small size is not limited', !small.limited && small.size === 0.5);
+    check('Impact = both half-spreads', near(small.combinedImpactBps, 5 + 10, 1e-6), small.combinedImpactBps);
+
+    const capped = calculateDepthLimitedSize(perpDepth, spotDepth, 50, 30);
+    check('Large size is limited', capped.limited && capped.size < 50);
+    check('Capped size spends the budget', capped.combinedImpactBps <= 30 && capped.combinedImpactBps > 29.9,
+      capped.combinedImpactBps);
+    // PERP costs 5 bps up to 5 coins, so SPOT VWAP may reach 100.25: (200.4 + 101(s - 2)) / s = 100.25
+    check('Capped size solves the VWAP budget', near(capped.size, 32 / 15, 1e-6), capped.size);
+
+    const tooTight = calculateDepthLimitedSize(perpDepth, spotDepth, 1, 10);
+    check('Budget below the spreads leaves nothing', tooTight.size < 1e-6);
+
+    let threw = false;
+    try {
+      calculateDepthLimitedSize({ bids: [], asks: [] }, spotDepth, 1, 30);
+    } catch (error) {
+      threw = true;
+    }
+    check('Empty book throws', threw);
+  }
+  console.log();
+
+  // Test 3: Connector keeps full depth
+  console.log('[Test 3] Connector depth cache');
+  {
+    const connector = new HyperliquidConnector({ testnet: true });
+    connector.updateOrderbook({
+      coin: 'BTC',
+      levels: [
+        [{ px: '99999', sz: '0.5', n: 2 }, { px: '99990', sz: '1.5', n: 4 }],
+        [{ px: '100001', sz: '0.25', n: 1 }, { px: '100010', sz: '2', n: 3 }]
+      ],
+      time: 1700000000000
+    });
+    const depth = connector.getDepth('BTC');
+    check('All levels retained', depth.bids.length === 2 && depth.asks.length === 2);
+    check('Levels parsed to numbers', depth.asks[1].price === 100010 && depth.asks[1].size === 2 && depth.bids[1].numOrders === 4);
+    check('Top of book unchanged', connector.getBidAsk('BTC').bid === 99999);
+    check('Unknown coin returns null', connector.getDepth('ETH') === null);
+  }
+  console.log();
+
+  const server = new MockHyperliquidServer({ perpUsdc: 0, spotUsdc: 0 });
+  const urls = await server.start();
+  const accountFile = path.join(os.tmpdir(), `paper-depth-${process.pid}.json`);
+  const hyperliquid = new HyperliquidConnector({ ...urls });
+  const paper = new PaperExchange(hyperliquid, {
+    accountFile,
+    initialPerpUsdc: 5000,
+    initialSpotUsdc: 5000,
+    persist: false,
+    verbose: false
+  }).attach();
+
+  try {
+    await hyperliquid.connect();
+
+    // Thin UBTC book: $200 per level, 5 bps apart
+    server.setOrderBook('@142', buildBook(100000, { spreadBps: 4, stepBps: 5, levelNotional: 200 }), { broadcast: false });
+    const balances = { perpBalance: 5000, spotBalance: 5000 };
+
+    // Test 4: Opening is capped by depth
+    console.log('[Test 4] Open with impact budget');
+    const opened = await openDeltaNeutralPosition(
+      hyperliquid,
+      createOpportunity('BTC', 100000, 100000),
+      balances,
+      config,
+      { verbose: false, maxNotional: 3000, maxPriceImpactBps: 15 }
+    );
+    check('Position opened', opened.success, opened.error);
+    check('Size capped below the allocation', opened.positionValue < 3000 * 0.5, opened.positionValue?.toFixed(2));
+    check('Expected impact within budget', opened.expectedImpactBps <= 15, opened.expectedImpactBps);
+
+    const spotFill = paper.account.fills.find(f => f.isSpot);
+    const realizedSpotBps = (spotFill.px - 100000) / 100000 * 10000;
+    check('Simulated SPOT fill close to the estimate', realizedSpotBps <= 15, realizedSpotBps.toFixed(2));
+
+    const uncapped = await openDeltaNeutralPosition(
+      hyperliquid,
+      createOpportunity('BTC', 100000, 100000),
+      balances,
+      { trading: { ...config.trading } },
+      { verbose: false, maxNotional: 100 }
+    );
+    check('No budget configured: depth not consulted', uncapped.success && uncapped.expectedImpactBps === null);
+    console.log();
+
+    // Test 5: Budget that the spreads alone exceed
+    console.log('[Test 5] Insufficient liquidity');
+    const fillsBefore = paper.account.fills.length;
+    const rejected = await openDeltaNeutralPosition(
+      hyperliquid,
+      createOpportunity('BTC', 100000, 100000),
+      balances,
+      { trading: { ...config.trading, maxPriceImpactBps: 2 } },
+      { verbose: false, maxNotional: 3000 }
+    );
+    check('Open rejected', !rejected.success && /Insufficient liquidity/.test(rejected.error), rejected.error);
+    check('No orders sent', paper.account.fills.length === fillsBefore);
+    console.log();
+  } finally {
+    hyperliquid.disconnect();
+    await server.stop();
+    fs.rmSync(accountFile, { force: true });
+  }
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
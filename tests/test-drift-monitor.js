@@ -0,0 +1,158 @@
+import { ethers } from 'ethers';
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer } from './mock/mock-hyperliquid-server.js';
+import { DeltaDriftMonitor, exceedsDrift, getDriftPercent, getMarkPrices, getDriftMonitorSettings, DEFAULT_DRIFT_MONITOR } from '../utils/drift-monitor.js';
+import { analyzeHedgeNeeds } from '../utils/hedge.js';
+
+/**
+ * Test Delta Drift Monitor (offline)
+ *
+ * Drift thresholds, then DeltaDriftMonitor against the mock server: re-hedging
+ * each kind of drift, cooldown, daily budget, pausing and fill-triggered checks.
+ */
+
+const config = {
+  trading: { maxSlippagePercent: 2.0 },
+  driftMonitor: { enabled: true, intervalSeconds: 3600, fillDelaySeconds: 0.1 }
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) <= tolerance;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Drift Monitor Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: Thresholds
+  console.log('[Test 1] Thresholds');
+  {
+    const settings = DEFAULT_DRIFT_MONITOR;
+    const need = (deltaUSD, exposureUSD) => ({ deltaUSD, exposureUSD });
+
+    check('Drift as a share of exposure', getDriftPercent(need(-20, 1000)) === 2);
+    check('USD threshold', exceedsDrift(need(30, 100000), settings));
+    check('Percent threshold', exceedsDrift(need(-15, 500), settings) && !exceedsDrift(need(15, 5000), settings));
+    check('Too small to trade', !exceedsDrift(need(10, 20), settings));
+    check('null turns a threshold off', !exceedsDrift(need(30, 100000), { ...settings, maxDriftUSD: null }));
+    check('Off by default', getDriftMonitorSettings({}).enabled === false && getDriftMonitorSettings(config).enabled === true);
+  }
+  console.log();
+
+  const server = new MockHyperliquidServer({ perpUsdc: 5000, spotUsdc: 5000 });
+  const urls = await server.start();
+  const account = ethers.Wallet.createRandom();
+  const hyperliquid = new HyperliquidConnector({ ...urls, wallet: account.address, privateKey: account.privateKey });
+  const szi = (coin) => server.perpPositions.get(coin)?.szi ?? 0;
+
+  let clock = Date.now();
+  const monitor = new DeltaDriftMonitor(hyperliquid, config, { now: () => clock });
+
+  try {
+    await hyperliquid.connect();
+
+    // Test 2: Measuring
+    console.log('[Test 2] Measuring');
+    {
+      server.setMidPrice('BTC', 100000);
+      check('Mark prices from metaAndAssetCtxs', (await getMarkPrices(hyperliquid)).BTC === 100000);
+
+      server.setPerpPosition('BTC', -0.01, 100000);
+      server.setSpotBalance('UBTC', 0.0104);
+      check('Default mismatch still 5%', (await analyzeHedgeNeeds(hyperliquid)).hedgeNeeds.length === 0);
+
+      server.setSpotBalance('UBTC', 0.0105);
+      const { hedgeNeeds } = await analyzeHedgeNeeds(hyperliquid, { minMismatchPercent: 0, prices: { BTC: 100000 } });
+      check('Net delta in USD', near(hedgeNeeds[0].deltaUSD, 50, 1e-6) && near(hedgeNeeds[0].exposureUSD, 1050, 1e-6));
+    }
+    console.log();
+
+    // Test 3: Corrections
+    console.log('[Test 3] Corrections');
+    {
+      const first = await monitor.check();
+      check('Excess SPOT hedged with more PERP short', first.corrected[0]?.type === 'STRENGTHEN_PERP_SHORT' && near(szi('BTC'), -0.0105));
+
+      server.setSpotBalance('UBTC', 0.011);
+      const cooling = await monitor.check();
+      check('Cooldown holds the next correction', cooling.corrected.length === 0 && cooling.skipped[0]?.reason === 'cooldown');
+
+      clock += DEFAULT_DRIFT_MONITOR.cooldownSeconds * 1000;
+      server.setSpotBalance('UBTC', 0.0095);
+      const trimmed = await monitor.check();
+      check('Excess PERP short bought back', trimmed.corrected[0]?.type === 'REDUCE_PERP_SHORT' && near(szi('BTC'), -0.0095));
+
+      const balanced = await monitor.check();
+      check('Balanced pair left alone', balanced.drifts.length === 0 && balanced.corrected.length === 0);
+
+      server.setPerpPosition('ETH', -0.1, 3500);
+      const orphan = await monitor.check();
+      const eth = orphan.corrected.find(c => c.symbol === 'ETH');
+      check('Unhedged PERP short gets SPOT bought', eth?.result.hedgeNeed.action === 'BUY' && server.spotBalances.get('UETH') > 0);
+      check('Corrections count against the budget', near(monitor.usedBudget(), 50 + 100 + 350, 5), monitor.usedBudget().toFixed(2));
+    }
+    console.log();
+
+    // Test 4: Limits
+    console.log('[Test 4] Limits');
+    {
+      clock += DEFAULT_DRIFT_MONITOR.cooldownSeconds * 1000;
+      monitor.settings = { ...monitor.settings, maxDailyCorrectionUSD: 520 };
+      server.setSpotBalance('UBTC', 0.0105);
+      const capped = await monitor.check();
+      check('Daily budget stops corrections', capped.skipped[0]?.reason === 'daily budget' && near(szi('BTC'), -0.0095));
+
+      clock += 24 * 60 * 60 * 1000;
+      check('Budget frees up after 24 hours', monitor.usedBudget() === 0);
+
+      const paused = new DeltaDriftMonitor(hyperliquid, config, { isPaused: () => true });
+      check('No check while paused', await paused.check() === null);
+    }
+    console.log();
+
+    // Test 5: Fill-triggered checks
+    console.log('[Test 5] Fills');
+    {
+      const triggers = [];
+      monitor.on('check', summary => triggers.push(summary.trigger));
+      monitor.start();
+      hyperliquid.emit('fill', { coin: 'BTC' });
+      hyperliquid.emit('fill', { coin: 'BTC' });
+      await sleep(1000);
+      monitor.stop();
+
+      check('One check after a burst of fills', triggers.join() === 'fill', triggers.join());
+      check('Stopped monitor stops listening', !hyperliquid.listeners('fill').includes(monitor.onFill));
+    }
+    console.log();
+  } finally {
+    monitor.stop();
+    hyperliquid.disconnect();
+    await server.stop();
+  }
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
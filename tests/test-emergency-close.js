@@ -0,0 +1,122 @@
+import path from 'path';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import { MockHyperliquidServer } from './mock/mock-hyperliquid-server.js';
+
+/**
+ * Test Emergency Close (offline)
+ *
+ * Runs emergency-close.js as a separate process against the mock server:
+ * every PERP and SPOT leg above the dust limit is closed (PERP reduce-only),
+ * dust is left alone, a failed leg doesn't stop the others and sets the exit
+ * code, and --dry-run sends nothing.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.join(__dirname, '..');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+function runScript(args, env) {
+  return new Promise((resolve) => {
+    execFile('node', ['emergency-close.js', '--format', 'json', ...args], { cwd: root, env, timeout: 60000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? (error.code ?? 1) : 0, stdout, stderr });
+    });
+  });
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Emergency Close Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  const server = new MockHyperliquidServer();
+  const urls = await server.start();
+  const account = ethers.Wallet.createRandom();
+  const env = {
+    ...process.env,
+    HL_WS_URL: urls.wsUrl,
+    HL_REST_URL: urls.restUrl,
+    HL_EXCHANGE_URL: urls.exchangeUrl,
+    HL_WALLET: account.address,
+    HL_PRIVATE_KEY: account.privateKey
+  };
+  const orders = () => server.requests.filter(r => r.payload?.action?.type === 'order').flatMap(r => r.payload.action.orders);
+
+  const openAccount = () => {
+    server.setPerpPosition('BTC', -0.01, 100000);
+    server.setSpotBalance('UBTC', 0.01);
+    server.setPerpPosition('ETH', 0.1, 3500);     // long
+    server.setSpotBalance('UETH', 0.2);
+    server.setPerpPosition('HYPE', -0.1, 40);     // $4 of dust
+  };
+
+  try {
+    // Test 1: Dry run
+    console.log('[Test 1] --all --dry-run');
+    {
+      openAccount();
+      const result = await runScript(['--dry-run'], env);
+      const rows = JSON.parse(result.stdout);
+      check('Exits cleanly', result.code === 0, result.stderr.slice(-300));
+      check('Plans every leg above the dust limit', rows.filter(r => r.status === 'dry-run').map(r => `${r.type}:${r.symbol}`).sort().join() ===
+        'PERP:BTC,PERP:ETH,SPOT:UBTC,SPOT:UETH');
+      check('Dust reported as skipped', rows.some(r => r.symbol === 'HYPE' && r.status === 'skipped'));
+      check('No orders sent', orders().length === 0);
+    }
+    console.log();
+
+    // Test 2: Close everything
+    console.log('[Test 2] --all');
+    {
+      const result = await runScript([], env);
+      const sent = orders();
+      check('Exits cleanly', result.code === 0, result.stderr.slice(-300));
+      check('All four legs closed', sent.length === 4 && !server.perpPositions.has('BTC') && !server.perpPositions.has('ETH') &&
+        !(server.spotBalances.get('UBTC') > 0) && !(server.spotBalances.get('UETH') > 0));
+      check('PERP orders reduce-only, SPOT not', sent.filter(o => o.r).length === 2);
+      check('Short bought back, long sold', sent.some(o => o.b === true && o.s === '0.01') && sent.some(o => o.b === false && o.s === '0.1'));
+      check('Dust left open', server.perpPositions.get('HYPE')?.szi === -0.1);
+    }
+    console.log();
+
+    // Test 3: One leg fails
+    console.log('[Test 3] A failed leg');
+    {
+      openAccount();
+      server.queueOrderResponse('UETH', { error: 'Insufficient spot balance to place order.' });
+      const result = await runScript([], env);
+      const rows = JSON.parse(result.stdout);
+      check('Exit code 1', result.code === 1);
+      check('Failed leg reported', rows.find(r => r.symbol === 'UETH')?.error === 'Insufficient spot balance to place order.');
+      check('Other legs still closed', !server.perpPositions.has('BTC') && !server.perpPositions.has('ETH') && !(server.spotBalances.get('UBTC') > 0));
+    }
+  } finally {
+    await server.stop();
+  }
+  console.log();
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,184 @@
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer } from './mock/mock-hyperliquid-server.js';
+import {
+  forecastFunding,
+  calculateFundingStability,
+  registerFundingForecaster,
+  getFundingRatesWithHistory,
+  FORECAST_MODELS
+} from '../utils/funding.js';
+import { filterOpportunities, rankOpportunities, getForecastOptions } from '../utils/opportunity.js';
+
+/**
+ * Test Funding Forecasts (offline)
+ *
+ * EWMA, median-of-windows and mean-reverting forecasts, the stability score,
+ * and ranking opportunities on expected funding over the hold period.
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const near = (a, b, tolerance) => Math.abs(a - b) <= tolerance;
+const HOUR_MS = 60 * 60 * 1000;
+
+// AR(1) series around mu with a fixed pseudo-random sequence
+function arSeries(n, mu, phi, noise) {
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647 - 0.5;
+  };
+
+  const rates = [mu];
+  for (let i = 1; i < n; i++) {
+    rates.push(mu + phi * (rates[i - 1] - mu) + noise * random());
+  }
+  return rates;
+}
+
+function marketData(entries) {
+  return {
+    bidAskSpreads: entries.flatMap(e => [
+      { symbol: e.symbol, isSpot: false, spreadPercent: 0.01, mid: 100 },
+      { symbol: e.spot, isSpot: true, spreadPercent: 0.01, mid: 100 }
+    ]),
+    perpSpotSpreads: entries.map(e => ({ perpSymbol: e.symbol, spreadPercent: 0.01 })),
+    volumes: entries.map(e => ({ perpSymbol: e.symbol, perpVolUSDC: 1e9, spotVolUSDC: 1e8 })),
+    fundingRates: entries.map(e => ({
+      symbol: e.symbol,
+      fundingRate: e.rates[e.rates.length - 1],
+      annualizedRate: e.rates[e.rates.length - 1] * 24 * 365,
+      history: {
+        avg: { annualized: e.rates.reduce((a, r) => a + r, 0) / e.rates.length * 24 * 365 },
+        rates: e.rates,
+        stability: calculateFundingStability(e.rates)
+      }
+    })),
+    predictedFundingRates: new Map(entries.map(e => [e.symbol, {
+      symbol: e.symbol,
+      predictedFundingRate: e.predicted,
+      predictedAnnualizedRate: e.predicted * 24 * 365
+    }]))
+  };
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Funding Forecast Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: Stability
+  console.log('[Test 1] Stability');
+  {
+    const steady = calculateFundingStability(new Array(48).fill(0.00001));
+    check('Constant funding scores 1', near(steady.score, 1, 1e-9) && steady.stddevHourly < 1e-15 && steady.negativeFraction === 0);
+
+    const choppy = calculateFundingStability([0.0001, -0.00005, 0.0001, -0.00005]);
+    check('Negative hours counted', choppy.negativeFraction === 0.5 && choppy.score < 0.5);
+    check('Reads fundingHistory entries', calculateFundingStability([{ fundingRate: '0.00001' }, { fundingRate: '0.00003' }]).count === 2);
+    check('Empty history scores 0', calculateFundingStability([]).score === 0);
+  }
+  console.log();
+
+  // Test 2: Models
+  console.log('[Test 2] Models');
+  {
+    // 6 days at 1bp/h, then one day at 3bp/h
+    const step = [...new Array(144).fill(0.0001), ...new Array(24).fill(0.0003)];
+    const ewma = forecastFunding(step, { model: 'ewma', halfLifeHours: 12 });
+    // Two half-lives into the new level: 1/4 old + 3/4 new
+    check('EWMA leans towards recent hours', near(ewma.hourly, 0.00025, 1e-9), ewma.hourly.toExponential(3));
+    check('Annualized from hourly', near(ewma.annualized, ewma.hourly * 24 * 365, 1e-12));
+
+    const spiked = [...new Array(167).fill(0.0001), 0.005];
+    const median = forecastFunding(spiked, { model: 'median' });
+    check('Median of windows ignores a one-hour spike', near(median.hourly, 0.0001 + 0.0049 / 72, 1e-9), median.hourly.toExponential(3));
+
+    const series = arSeries(500, 0.0001, 0.9, 0.00004);
+    const fitted = forecastFunding(series, { model: 'meanReverting', horizonHours: 24 });
+    check('AR(1) coefficient recovered', near(fitted.details.phi, 0.9, 0.08), fitted.details.phi.toFixed(3));
+
+    const short = forecastFunding(series, { model: 'meanReverting', horizonHours: 1, predictedHourly: 0.001 });
+    const long = forecastFunding(series, { model: 'meanReverting', horizonHours: 24 * 14, predictedHourly: 0.001 });
+    check('Next hour follows the predicted rate', near(short.hourly, 0.001, 1e-12));
+    check('Long horizon reverts to the mean', long.hourly < 0.0002 && long.hourly > fitted.details.mean, long.hourly.toExponential(3));
+
+    let threw = false;
+    try {
+      forecastFunding(series, { model: 'crystalBall' });
+    } catch (error) {
+      threw = /Unknown funding forecast model/.test(error.message);
+    }
+    check('Unknown model rejected', threw);
+
+    registerFundingForecaster('last', rates => ({ hourly: rates[rates.length - 1] }));
+    check('Custom model pluggable', FORECAST_MODELS.includes('last') && forecastFunding([1, 2, 3], { model: 'last' }).hourly === 3);
+    check('No history, no forecast', forecastFunding([], { model: 'ewma' }) === null);
+  }
+  console.log();
+
+  // Test 3: Ranking
+  console.log('[Test 3] Ranking');
+  {
+    const data = marketData([
+      // One-hour spike on a coin that normally pays 0.5bp/h
+      { symbol: 'BTC', spot: 'UBTC', rates: arSeries(168, 0.00005, 0.8, 0.00001), predicted: 0.0008 },
+      // Steady 2bp/h
+      { symbol: 'ETH', spot: 'UETH', rates: arSeries(168, 0.0002, 0.8, 0.00001), predicted: 0.0002 }
+    ]);
+    const thresholds = { minVolumeUSDC: 1, minFundingRatePercent: 1 };
+
+    const byPredicted = rankOpportunities(filterOpportunities(data, thresholds).opportunities);
+    check('Predicted rate chases the spike', byPredicted[0].symbol === 'BTC' && byPredicted[0].expectedFundingRate === null);
+
+    const forecast = getForecastOptions({ forecast: { model: 'meanReverting' }, bot: { minHoldTimeDays: 14 } });
+    check('Horizon defaults to the minimum hold time', forecast.horizonHours === 14 * 24);
+    check('Forecasting can be turned off', getForecastOptions({ forecast: { enabled: false } }) === null && getForecastOptions({}) === null);
+
+    const byExpected = rankOpportunities(filterOpportunities(data, thresholds, { forecast }).opportunities);
+    check('Expected funding ranks the steady pair first', byExpected[0].symbol === 'ETH', byExpected.map(o => `${o.symbol} ${o.expectedFundingPercent.toFixed(1)}%`).join(', '));
+    check('Opportunities carry forecast and stability', byExpected.every(o => o.forecast?.model === 'meanReverting' && o.stability?.score > 0));
+  }
+  console.log();
+
+  // Test 4: History from the exchange
+  console.log('[Test 4] History');
+  const server = new MockHyperliquidServer();
+  const urls = await server.start();
+  const hyperliquid = new HyperliquidConnector(urls);
+
+  try {
+    const now = Date.now();
+    server.setFundingHistory('ETH', arSeries(48, 0.00002, 0.5, 0.00001).map((rate, i) => ({ time: now - (48 - i) * HOUR_MS, fundingRate: rate })));
+
+    const [eth] = await getFundingRatesWithHistory(hyperliquid, ['ETH'], { days: 7 });
+    check('Hourly rates kept oldest first', eth.history.rates.length === 48 && near(eth.history.rates[0], 0.00002, 1e-9));
+    check('Stability attached', eth.history.stability.count === 48 && eth.history.stability.score > 0);
+  } finally {
+    await server.stop();
+  }
+  console.log();
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
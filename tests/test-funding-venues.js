@@ -0,0 +1,123 @@
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer } from './mock/mock-hyperliquid-server.js';
+import { getPredictedFundingRates, calculateFundingDivergence } from '../utils/funding.js';
+import { filterOpportunities, rankOpportunities, formatOpportunityReport } from '../utils/opportunity.js';
+
+/**
+ * Test Cross-Venue Predicted Funding (offline)
+ *
+ * Binance/Bybit predictions parsed from predictedFundings, the HL premium over
+ * them, and the optional divergence filter in opportunity analysis.
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) <= tolerance;
+const YEAR_HOURS = 24 * 365;
+
+function marketData(predictedFundingRates) {
+  const symbols = [...predictedFundingRates.keys()];
+  return {
+    bidAskSpreads: symbols.flatMap(symbol => [
+      { symbol, isSpot: false, spreadPercent: 0.01, mid: 100 },
+      { symbol: HyperliquidConnector.perpToSpot(symbol), isSpot: true, spreadPercent: 0.01, mid: 100 }
+    ]),
+    perpSpotSpreads: symbols.map(symbol => ({ perpSymbol: symbol, spreadPercent: 0.01 })),
+    volumes: symbols.map(symbol => ({ perpSymbol: symbol, perpVolUSDC: 1e9, spotVolUSDC: 1e8 })),
+    fundingRates: symbols.map(symbol => ({ symbol, fundingRate: 0.0001, annualizedRate: 0.0001 * YEAR_HOURS })),
+    predictedFundingRates
+  };
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Funding Venues Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  const server = new MockHyperliquidServer();
+  const urls = await server.start();
+  const hyperliquid = new HyperliquidConnector(urls);
+  let predicted;
+
+  try {
+    server.setPredictedFundings('ETH', {
+      HlPerp: { fundingRate: 0.0001 },
+      BinPerp: { fundingRate: 0.0001, fundingIntervalHours: 8 },
+      BybitPerp: { fundingRate: 0.0002, fundingIntervalHours: 8 }
+    });
+    server.setPredictedFundings('HYPE', {
+      HlPerp: { fundingRate: 0.00002 },
+      BinPerp: { fundingRate: 0.0004, fundingIntervalHours: 8 }
+    });
+    predicted = await getPredictedFundingRates(hyperliquid);
+  } finally {
+    await server.stop();
+  }
+
+  // Test 1: Parsing
+  console.log('[Test 1] Venues');
+  {
+    const eth = predicted.get('ETH');
+    check('HL rate unchanged', near(eth.predictedFundingRate, 0.0001) && near(eth.predictedAnnualizedRate, 0.0001 * YEAR_HOURS));
+    check('Every venue kept', Object.keys(eth.venues).sort().join() === 'BinPerp,BybitPerp,HlPerp');
+    check('8-hour rates converted to hourly', near(eth.venues.BinPerp.hourlyRate, 0.0000125) && eth.venues.BinPerp.intervalHours === 8 &&
+      near(eth.venues.BybitPerp.annualizedRate, 0.000025 * YEAR_HOURS));
+    check('HL-only coin has no divergence', predicted.get('BTC').divergence === null && Object.keys(predicted.get('BTC').venues).join() === 'HlPerp');
+  }
+  console.log();
+
+  // Test 2: Divergence
+  console.log('[Test 2] Divergence');
+  {
+    const eth = predicted.get('ETH').divergence;
+    const expected = (0.0001 - (0.0000125 + 0.000025) / 2) * YEAR_HOURS;
+    check('Premium over the mean of other venues', eth.venueCount === 2 && near(eth.premiumAnnualized, expected) && near(eth.premiumPercent, expected * 100));
+    check('HL below the others is a negative premium', predicted.get('HYPE').divergence.premiumPercent < 0);
+    check('No prediction, no divergence', calculateFundingDivergence(null) === null);
+  }
+  console.log();
+
+  // Test 3: Opportunity analysis
+  console.log('[Test 3] Opportunities');
+  {
+    const data = marketData(predicted);
+    const thresholds = { minVolumeUSDC: 1, minFundingRatePercent: 1 };
+
+    const open = filterOpportunities(data, thresholds);
+    const eth = open.opportunities.find(o => o.symbol === 'ETH');
+    check('Divergence carried on the opportunity', near(eth.divergence.premiumPercent, predicted.get('ETH').divergence.premiumPercent) && eth.venueFunding.BinPerp);
+
+    const report = formatOpportunityReport(open, rankOpportunities(open.opportunities));
+    check('Report lists other venues', /Other Venues: Binance 10\.95%, Bybit 21\.90% \(HL \+71\.18% APY\)/.test(report));
+
+    const filtered = filterOpportunities(data, { ...thresholds, maxFundingDivergencePercent: 50 });
+    check('Outlier skipped by the filter', !filtered.opportunities.some(o => o.symbol === 'ETH') &&
+      filtered.rejected.divergence[0]?.symbol === 'ETH' && filtered.stats.rejectionReasons.divergence === 1);
+    check('Coins without other venues pass', filtered.opportunities.some(o => o.symbol === 'BTC'));
+    check('Rejection shown in the report', /Funding Divergence: 1/.test(formatOpportunityReport(filtered, filtered.opportunities)));
+  }
+  console.log();
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
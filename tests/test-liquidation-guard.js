@@ -0,0 +1,177 @@
+import { ethers } from 'ethers';
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer } from './mock/mock-hyperliquid-server.js';
+import { updateLeverage } from '../utils/leverage.js';
+import { getPerpPositions } from '../utils/positions.js';
+import { trimPosition } from '../utils/state.js';
+import {
+  LiquidationGuard,
+  getLiquidationGuardSettings,
+  getLiquidationDistance,
+  calculateMarginTopUp,
+  calculateTrimFraction
+} from '../utils/liquidation-guard.js';
+
+/**
+ * Test Liquidation Guard (offline)
+ *
+ * Distance and top-up math, then LiquidationGuard against the mock server:
+ * adding isolated margin, trimming both legs when free margin runs out,
+ * isolated-only assets and positions it leaves alone.
+ */
+
+const config = {
+  trading: { maxSlippagePercent: 2.0 },
+  liquidationGuard: { intervalSeconds: 3600 }
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) <= tolerance;
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Liquidation Guard Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: Math
+  console.log('[Test 1] Math');
+  {
+    check('Distance above the mark for a short', near(getLiquidationDistance({ side: 'SHORT', liquidationPx: 110 }, 100), 10));
+    check('Distance below the mark for a long', near(getLiquidationDistance({ side: 'LONG', liquidationPx: 90 }, 100), 10));
+    check('No liquidation price, no distance', getLiquidationDistance({ side: 'SHORT', liquidationPx: 0 }, 100) === null);
+
+    const short = { side: 'SHORT', size: 1, liquidationPx: 110 };
+    check('Top-up moves liquidation to the target', near(calculateMarginTopUp(short, 100, 30, 40), 20 * (1 + 1 / 80)));
+    check('Nothing to add when already far', calculateMarginTopUp(short, 100, 5, 40) === 0);
+
+    check('No trim with enough free margin', calculateTrimFraction(100, 150, 300) === 0);
+    check('Trim releases what the rest needs', near(calculateTrimFraction(100, 0, 300), 0.25));
+    check('Off by default', getLiquidationGuardSettings({}).enabled === false);
+  }
+  console.log();
+
+  const server = new MockHyperliquidServer({ perpUsdc: 5000, spotUsdc: 5000 });
+  const urls = await server.start();
+  const account = ethers.Wallet.createRandom();
+  const hyperliquid = new HyperliquidConnector({ ...urls, wallet: account.address, privateKey: account.privateKey });
+  const guard = new LiquidationGuard(hyperliquid, config);
+
+  const position = async (coin) => (await getPerpPositions(hyperliquid)).find(p => p.symbol === coin);
+  const distance = async (coin) => {
+    const p = await position(coin);
+    return getLiquidationDistance(p, server.getMid(coin));
+  };
+  const actions = (type) => server.requests.filter(r => r.payload?.action?.type === type);
+
+  server.getPerp('ETH').onlyIsolated = true;
+
+  try {
+    await hyperliquid.connect();
+    await updateLeverage(hyperliquid, 'BTC', 3, false);
+    await updateLeverage(hyperliquid, 'ETH', 3, false);
+
+    // Test 2: Margin top-up
+    console.log('[Test 2] Top-up');
+    {
+      server.setPerpPosition('BTC', -0.01, 100000);
+      server.setSpotBalance('UBTC', 0.01);
+      server.setPerpPosition('HYPE', -5, 40);  // cross
+
+      const calm = await guard.check();
+      check('Isolated positions measured, cross ignored', calm.positions.map(p => p.symbol).join() === 'BTC' &&
+        near(calm.positions[0].distancePercent, 31.69, 0.01), calm.positions.map(p => `${p.symbol} ${p.distancePercent}`).join());
+      check('Far from liquidation: nothing done', calm.toppedUp.length === 0 && calm.trimmed.length === 0);
+
+      server.setMidPrice('BTC', 120000);
+      server.setMidPrice('@142', 120000);
+      const rally = await guard.check();
+      const action = actions('updateIsolatedMargin')[0]?.payload.action;
+      check('Margin added when too close', rally.toppedUp[0]?.symbol === 'BTC' && near(rally.toppedUp[0].amountUSD, 246.2, 0.5), rally.toppedUp[0]?.amountUSD);
+      check('Sent as updateIsolatedMargin in 6-decimal units', Number.isInteger(action?.ntli) && near(action.ntli / 1e6, rally.toppedUp[0]?.amountUSD, 1e-6));
+      check('Liquidation restored to the target', near(await distance('BTC'), 30, 0.05));
+      check('Both legs kept', near(server.perpPositions.get('BTC').szi, -0.01) && server.spotBalances.get('UBTC') === 0.01);
+    }
+    console.log();
+
+    // Test 3: Trim when free margin runs out
+    console.log('[Test 3] Trim');
+    {
+      server.setMidPrice('BTC', 100000);
+      server.setMidPrice('@142', 100000);
+      server.setPerpPosition('BTC', -0.01, 100000);
+      server.setPerpPosition('HYPE', 0, 0);
+      server.perpUsdc = 700;  // $100 free once BTC is at 120000
+      server.setMidPrice('BTC', 120000);
+      server.setMidPrice('@142', 120000);
+
+      const trims = [];
+      guard.on('trimmed', trim => trims.push(trim));
+      const squeezed = await guard.check();
+      const trim = squeezed.trimmed[0];
+
+      check('Both legs trimmed by the same fraction', trim && near(trim.fraction, (246.2 - 100) / (246.2 + 400), 0.005) &&
+        near(trim.perpSize, trim.spotSize) && trims.length === 1, trim && `${trim.fraction} ${trim.perpSize} ${trim.spotSize}`);
+      check('Exchange positions reduced', near(-server.perpPositions.get('BTC').szi, 0.01 - trim.perpSize, 1e-9) &&
+        near(server.spotBalances.get('UBTC'), 0.01 - trim.spotSize, 1e-9));
+      check('Released margin topped up the rest', squeezed.toppedUp[0]?.symbol === 'BTC' && await distance('BTC') > 25, (await distance('BTC')).toFixed(2));
+
+      const state = trimPosition({ position: { symbol: 'BTC', perpSize: 0.01, spotSize: 0.01, positionValue: 1000 }, positions: [] }, 'BTC', trim);
+      check('State follows the trim', near(state.position.perpSize, 0.01 - trim.perpSize) && near(state.position.positionValue, 100000 * state.position.perpSize));
+    }
+    console.log();
+
+    // Test 4: Isolated-only assets and limits
+    console.log('[Test 4] Isolated-only and limits');
+    {
+      server.perpUsdc = 5000;
+      server.setPerpPosition('BTC', 0, 0);
+      server.setSpotBalance('UBTC', 0);
+      server.setPerpPosition('ETH', -0.3, 3500);
+      server.setSpotBalance('UETH', 0.3);
+      server.setMidPrice('ETH', 4200);
+
+      const result = await guard.check();
+      check('Isolated-only asset topped up by leverage', result.toppedUp[0]?.symbol === 'ETH' &&
+        actions('topUpIsolatedOnlyMargin').length === 1 && near(await distance('ETH'), 30, 0.05));
+
+      server.setPerpPosition('ETH', 0, 0);
+      server.setPerpPosition('BTC', -0.01, 100000);
+      server.setMidPrice('BTC', 126000);  // unhedged and nearly liquidated, no free margin
+      server.perpUsdc = 540;
+      const orphan = await guard.check();
+      check('Unhedged PERP is not trimmed', orphan.trimmed.length === 0 && server.perpPositions.get('BTC').szi === -0.01);
+
+      const paused = new LiquidationGuard(hyperliquid, config, { isPaused: () => true });
+      check('No check while paused', await paused.check() === null);
+    }
+    console.log();
+  } finally {
+    guard.stop();
+    hyperliquid.disconnect();
+    await server.stop();
+  }
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,273 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer } from './mock/mock-hyperliquid-server.js';
+import { WeightedRateLimiter } from '../utils/rate-limiter.js';
+import { createCloidSequence } from '../utils/cloid.js';
+import {
+  installLogger,
+  getLoggingSettings,
+  parseConsoleArgs,
+  redact,
+  createScrubber,
+  withCorrelation,
+  getCorrelation,
+  createCorrelationId,
+  createLogger,
+  RotatingFileWriter
+} from '../utils/logger.js';
+
+/**
+ * Test Logger (offline)
+ *
+ * Settings, "[Module]" parsing, redaction, levels and JSON records from the
+ * patched console, correlation IDs across awaits and on orders placed against
+ * the mock server, and size-based file rotation.
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+// Install the logger over a console that records instead of printing
+function captureLogs(settings, env = {}) {
+  const lines = [];
+  const saved = { log: console.log, error: console.error };
+  console.log = (line) => lines.push({ stream: 'out', line });
+  console.error = (line) => lines.push({ stream: 'err', line });
+
+  const uninstall = installLogger({ ...getLoggingSettings({}, {}), ...settings }, { env });
+  return {
+    lines,
+    records: () => lines.map(l => JSON.parse(l.line)),
+    restore: () => {
+      uninstall();
+      Object.assign(console, saved);
+    }
+  };
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Logger Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: Settings and parsing
+  console.log('[Test 1] Settings and message parsing');
+  {
+    const defaults = getLoggingSettings({}, {});
+    check('Text at info level by default, no file', defaults.level === 'info' && defaults.format === 'text' && defaults.file === null);
+
+    const overridden = getLoggingSettings({ logging: { level: 'warn', file: 'a.log' } }, { LOG_LEVEL: 'DEBUG', LOG_FORMAT: 'json' });
+    check('Environment overrides config', overridden.level === 'debug' && overridden.format === 'json' && overridden.file === 'a.log');
+
+    let invalid = null;
+    try {
+      getLoggingSettings({ logging: { level: 'verbose' } }, {});
+    } catch (error) {
+      invalid = error.message;
+    }
+    check('Unknown level rejected', /logging\.level/.test(invalid || ''));
+
+    const parsed = parseConsoleArgs(['[Trade] ✅ Position closed, PnL: $%s', '1.50']);
+    check('Module and emoji split off', parsed.module === 'Trade' && parsed.msg === 'Position closed, PnL: $1.50');
+
+    const timed = parseConsoleArgs(['[10:15:02 AM] [3/6] Closing BTC']);
+    check('Step counter is not a module', timed.module === null && timed.msg === '[10:15:02 AM] [3/6] Closing BTC');
+    check('Time prefix before module', parseConsoleArgs(['[10:15:02 AM] [Bot] Logging market statistics...']).module === 'Bot');
+
+    const error = new Error('boom');
+    const extras = parseConsoleArgs(['[Hyperliquid] REST order error:', error, { oid: 1 }]);
+    check('Objects and errors kept apart', extras.msg === 'REST order error: boom' && extras.error === error && extras.data.oid === 1);
+  }
+  console.log();
+
+  // Test 2: Redaction
+  console.log('[Test 2] Redaction');
+  {
+    const key = `0x${'ab'.repeat(32)}`;
+    const wallet = `0x${'12'.repeat(20)}`;
+    const cloid = `0x${'cd'.repeat(16)}`;
+    const out = redact({
+      privateKey: key,
+      payload: { action: { type: 'order' }, signature: { r: '0x1', s: '0x2', v: 27 } },
+      headers: { Authorization: 'Bearer abc.def' },
+      note: `signed with ${key} for ${wallet}`,
+      url: 'https://api.telegram.org/bot123456:AAH-secret_x/sendMessage',
+      cloid,
+      hasToken: true
+    });
+    check('Secret keys replaced', out.privateKey === '[REDACTED]' && out.payload.signature === '[REDACTED]' &&
+      out.headers.Authorization === '[REDACTED]' && out.payload.action.type === 'order');
+    check('Keys and tokens inside strings', !out.note.includes('abab') && out.url === 'https://api.telegram.org/bot[REDACTED]/sendMessage');
+    check('Addresses, cloids and flags kept', out.note.includes(wallet) && out.cloid === cloid && out.hasToken === true);
+
+    const scrub = createScrubber(['super-secret-token', 'short']);
+    check('Environment secret values hidden', scrub('GET with super-secret-token and short') === 'GET with [REDACTED] and short');
+
+    const circular = { a: 1 };
+    circular.self = circular;
+    check('Circular references survive', redact(circular).self === '[Circular]');
+  }
+  console.log();
+
+  // Test 3: Console in JSON mode
+  console.log('[Test 3] Levels and JSON records');
+  {
+    const capture = captureLogs({ level: 'info', format: 'json' }, { BOT_API_TOKEN: 'token-from-env-123' });
+    try {
+      console.debug('[Trade] hidden detail');
+      console.log('[Trade] ✅ Opened BTC: $%d', 200);
+      console.log('='.repeat(80));
+      console.log();
+      console.warn('[Liquidation] ⚠️  HYPE close to liquidation');
+      console.error('[Bot] Control API token token-from-env-123 rejected', new Error('bad'));
+      createLogger('Metrics').info('Scraped', { families: 3 });
+    } finally {
+      capture.restore();
+    }
+
+    const records = capture.records();
+    check('Below-level and layout lines dropped', records.length === 4, records.map(r => r.msg).join(' | '));
+    check('Record fields', records[0].level === 'info' && records[0].module === 'Trade' && records[0].msg === 'Opened BTC: $200' &&
+      !Number.isNaN(Date.parse(records[0].time)));
+    check('Warnings and errors on stderr', capture.lines[1].stream === 'err' && records[1].level === 'warn' && records[2].level === 'error');
+    check('Error recorded, env secret redacted', records[2].error.message === 'bad' && records[2].msg.includes('[REDACTED]') &&
+      !capture.lines[2].line.includes('token-from-env-123'));
+    check('Logger fields merged into the record', records[3].module === 'Metrics' && records[3].families === 3);
+
+    const before = console.log;
+    const text = captureLogs({ level: 'debug', format: 'text' });
+    try {
+      console.log('[Trade] unchanged %s', 'line');
+      createLogger('Hyperliquid').debug('Order object', { order: { a: 0, s: '0.01' } });
+      withCorrelation({ correlationId: 'cycle-7' }, () => {
+        console.log('[Bot] Connected', { apiKey: 'sk-live-abcdef', wallet: '0xabc' });
+        createLogger('Notifier').info('Sent', { password: 'hunter22', channel: 'email' });
+        console.log();
+      });
+    } finally {
+      text.restore();
+    }
+    check('Text mode keeps console lines', text.lines[0].line === '[Trade] unchanged line' &&
+      text.lines[1].line === '[Hyperliquid] Order object order={"a":0,"s":"0.01"}');
+    check('Text lines carry the correlation ID', text.lines[2].line.startsWith('[cycle-7] [Bot] Connected') &&
+      text.lines[3].line.startsWith('[cycle-7] [Notifier] Sent') && text.lines[4].line === '', text.lines.slice(2).map(l => l.line).join(' | '));
+    check('Text mode redacts secret keys', !text.lines.some(l => /sk-live|hunter22/.test(l.line)) &&
+      text.lines[2].line.includes("wallet: '0xabc'") && text.lines[3].line.includes('channel=email'));
+    check('Console restored after uninstall', console.log === before);
+    check('Correlation IDs are unique', createCorrelationId('cycle').startsWith('cycle-') && createCorrelationId() !== createCorrelationId());
+  }
+  console.log();
+
+  // Test 4: Correlation IDs
+  console.log('[Test 4] Correlation');
+  {
+    const capture = captureLogs({ level: 'info', format: 'json' });
+    let inner = null;
+    try {
+      await withCorrelation({ correlationId: 'cycle-1', trigger: 'schedule' }, async () => {
+        console.log('[Bot] start');
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await withCorrelation({ symbol: 'BTC' }, async () => {
+          await Promise.resolve();
+          inner = getCorrelation();
+          console.log('[Trade] nested');
+        });
+      });
+      console.log('[Bot] outside');
+    } finally {
+      capture.restore();
+    }
+
+    const [start, nested, outside] = capture.records();
+    check('ID survives awaits and timers', start.correlationId === 'cycle-1' && start.trigger === 'schedule' && nested.correlationId === 'cycle-1');
+    check('Nested context adds fields', nested.symbol === 'BTC' && inner.correlationId === 'cycle-1');
+    check('Nothing attached outside', outside.correlationId === undefined && getCorrelation() === null);
+
+    const server = new MockHyperliquidServer();
+    const urls = await server.start();
+    const account = ethers.Wallet.createRandom();
+    const hyperliquid = new HyperliquidConnector({
+      ...urls,
+      wallet: account.address,
+      privateKey: account.privateKey,
+      restRateLimiter: new WeightedRateLimiter({ verbose: false })
+    });
+
+    const orders = captureLogs({ level: 'info', format: 'json' }, { HL_PRIVATE_KEY: account.privateKey });
+    try {
+      await hyperliquid.connect();
+      await hyperliquid.subscribeOrderbook('BTC');
+      const cloid = createCloidSequence('logger-test')('perp');
+      await withCorrelation({ correlationId: 'cycle-42' }, () =>
+        hyperliquid.createMarketOrder('BTC', 'sell', 0.001, { slippage: 0.01, cloid }));
+
+      const entry = hyperliquid.orderLedger.get(cloid);
+      const orderLogs = orders.records().filter(r => r.module === 'Hyperliquid' && r.correlationId === 'cycle-42');
+      check('Order ledger entry carries the ID', entry?.correlationId === 'cycle-42', JSON.stringify(entry?.correlationId));
+      check('Order logs carry the ID', orderLogs.some(r => r.msg.startsWith('Market order sell')));
+      check('Debug order details hidden at info', !orderLogs.some(r => r.msg === 'Order object'));
+      check('No private key in the log', !orders.lines.some(l => l.line.includes(account.privateKey.slice(2))));
+    } finally {
+      orders.restore();
+      hyperliquid.disconnect();
+      await server.stop();
+    }
+  }
+  console.log();
+
+  // Test 5: Rotation
+  console.log('[Test 5] File rotation');
+  {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+    const file = path.join(dir, 'nested', 'bot.log');
+    try {
+      const writer = new RotatingFileWriter(file, { maxBytes: 100, maxFiles: 2 });
+      for (let i = 0; i < 10; i++) {
+        writer.write(`line ${i} ${'x'.repeat(30)}`);
+      }
+      writer.close();
+
+      const files = fs.readdirSync(path.dirname(file)).sort();
+      check('Directory created, old files capped', files.join() === 'bot.log,bot.log.1,bot.log.2', files.join());
+      check('Each file within the size limit', files.every(f => fs.statSync(path.join(path.dirname(file), f)).size <= 100));
+      check('Newest lines in the live file', fs.readFileSync(file, 'utf8').trim().split('\n').pop().startsWith('line 9') &&
+        fs.readFileSync(`${file}.2`, 'utf8').startsWith('line 4'));
+
+      const capture = captureLogs({ level: 'info', format: 'json', file, maxFileSizeMB: 1 });
+      try {
+        console.log('[Bot] to file');
+      } finally {
+        capture.restore();
+      }
+      check('Logger appends the same record to the file', JSON.parse(fs.readFileSync(file, 'utf8').trim().split('\n').pop()).msg === 'to file');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+  console.log();
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
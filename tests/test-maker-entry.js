@@ -0,0 +1,348 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer, buildBook } from './mock/mock-hyperliquid-server.js';
+import { PaperExchange } from '../utils/paper.js';
+import { openDeltaNeutralPosition, executeMakerEntry, getMakerEntrySettings } from '../utils/trade.js';
+import { setNotifier } from '../utils/notifier.js';
+
+/**
+ * Test Limit Orders and Maker Entry (offline)
+ *
+ * Limit/cancel/modify/orderStatus against the mock server with a signing
+ * wallet, the Alo SPOT + IOC PERP entry strategy (including fills that land
+ * during a re-post, and rolling back SPOT when no PERP hedge fills), and paper
+ * limit orders.
+ */
+
+const makerEntry = {
+  enabled: true,
+  timeoutSeconds: 2,
+  pollSeconds: 0.05,
+  repriceBps: 5,
+  minHedgeNotionalUSD: 12,
+  fallbackToTaker: true
+};
+
+const config = {
+  trading: {
+    minOrderSizeUSD: { ETH: 20 },
+    balanceUtilizationPercent: 95,
+    maxSlippagePercent: 2.0
+  },
+  makerEntry
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const near = (a, b, tolerance = 0.01) => Math.abs(a - b) <= tolerance;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createOpportunity(symbol, perpMid, spotMid) {
+  return {
+    symbol,
+    bidAsk: { perpMid, spotMid },
+    funding: { fundingRate: 0.00001 },
+    predictedFunding: { predictedFundingRate: 0.00001 },
+    predictedFundingRate: 0.00001 * 24 * 365,
+    avgFundingRate: 0.00001 * 24 * 365
+  };
+}
+
+function openSpotOrder(server) {
+  return [...server.orders.values()].find(o => o.status === 'open' && o.coin === '@151');
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Limit Orders & Maker Entry Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  const server = new MockHyperliquidServer({ perpUsdc: 5000, spotUsdc: 5000 });
+  const urls = await server.start();
+  const account = ethers.Wallet.createRandom();
+  const hyperliquid = new HyperliquidConnector({
+    ...urls,
+    wallet: account.address,
+    privateKey: account.privateKey
+  });
+
+  const accountFile = path.join(os.tmpdir(), `paper-maker-${process.pid}.json`);
+  const paperConnector = new HyperliquidConnector({ ...urls });
+  const paper = new PaperExchange(paperConnector, {
+    accountFile,
+    initialPerpUsdc: 5000,
+    initialSpotUsdc: 5000,
+    persist: false,
+    verbose: false
+  }).attach();
+
+  try {
+    await hyperliquid.connect();
+    await paperConnector.connect();
+
+    // Test 1: Limit order lifecycle
+    console.log('[Test 1] Limit order API');
+    {
+      const posted = await hyperliquid.createLimitOrder('UETH', 'buy', 0.1, 3450, { isSpot: true, tif: 'Alo' });
+      const oid = posted.response?.data?.statuses?.[0]?.resting?.oid;
+      check('Alo order rests', Number.isInteger(oid));
+
+      const open = await hyperliquid.getOpenOrders();
+      check('Listed in open orders', open.some(o => o.oid === oid && o.coin === '@151' && o.side === 'B'));
+
+      const crossing = await hyperliquid.createLimitOrder('UETH', 'buy', 0.1, 3600, { isSpot: true, tif: 'Alo' });
+      check('Crossing Alo rejected', /Post only/.test(crossing.response?.data?.statuses?.[0]?.error || ''));
+
+      let threw = false;
+      try {
+        await hyperliquid.createLimitOrder('ETH', 'buy', 0.1, 3400, { tif: 'Fok' });
+      } catch (error) {
+        threw = /Invalid time in force/.test(error.message);
+      }
+      check('Unknown time in force throws', threw);
+
+      const modified = await hyperliquid.modifyOrder(oid, 'UETH', 'buy', 0.05, 3460, { isSpot: true, tif: 'Alo' });
+      const newOid = modified.response?.data?.statuses?.[0]?.resting?.oid;
+      const oldStatus = await hyperliquid.getOrderStatus(oid);
+      check('Modify returns a new resting oid', Number.isInteger(newOid) && newOid !== oid);
+      check('Old order no longer open', oldStatus.order?.status === 'canceled');
+
+      const newStatus = await hyperliquid.getOrderStatus(newOid);
+      check('New order has the new price and size', newStatus.order?.order.limitPx === '3460' && newStatus.order?.order.origSz === '0.05');
+
+      const canceled = await hyperliquid.cancelOrder('UETH', newOid, { isSpot: true });
+      check('Cancel succeeds', canceled.response?.data?.statuses?.[0] === 'success');
+      const again = await hyperliquid.cancelOrder('UETH', newOid, { isSpot: true });
+      check('Second cancel reports an error', !!again.response?.data?.statuses?.[0]?.error);
+
+      const gtc = await hyperliquid.createLimitOrder('ETH', 'sell', 0.05, 3600, { tif: 'Gtc' });
+      const gtcOid = gtc.response.data.statuses[0].resting.oid;
+      server.setMidPrice('ETH', 3650);
+      const gtcStatus = await hyperliquid.getOrderStatus(gtcOid);
+      const makerFill = server.fills.find(f => f.oid === gtcOid);
+      check('Gtc fills when the book trades through', gtcStatus.order?.status === 'filled');
+      check('Maker fill at the limit with maker fee', makerFill?.crossed === false && makerFill.px === '3600' &&
+        near(parseFloat(makerFill.fee), 0.05 * 3600 * 0.00015, 1e-6));
+
+      // Flatten the Gtc short
+      await hyperliquid.createMarketOrder('ETH', 'buy', 0.05, { reduceOnly: true, slippage: 0.02, overrideMidPrice: 3650 });
+      server.setMidPrice('ETH', 3500);
+
+      const actions = server.requests.filter(r => r.kind === 'action');
+      check('Actions signed by the wallet', actions.length > 0 && actions.every(r => r.signer?.toLowerCase() === account.address.toLowerCase()));
+    }
+    console.log();
+
+    // Test 2: Maker entry with a partial fill and a re-post
+    console.log('[Test 2] Maker entry');
+    {
+      const script = (async () => {
+        await sleep(200);
+        const first = openSpotOrder(server);
+        server.fillRestingOrder(first.oid, 0.08);       // partial maker fill
+        await sleep(200);
+        server.setMidPrice('@151', 3503);                // bid runs away: re-post
+        await sleep(300);
+        const second = openSpotOrder(server);
+        server.setOrderBook('@151', {                    // sellers hit the new bid
+          bids: [[3502, 10]],
+          asks: [[second.limitPx, 1], [3510, 10]]
+        });
+        return { first, second };
+      })();
+
+      const opened = await openDeltaNeutralPosition(
+        hyperliquid,
+        createOpportunity('ETH', 3500, 3500.5),
+        { perpBalance: 5000, spotBalance: 5000 },
+        config,
+        { verbose: false, maxNotional: 700 }
+      );
+      const { first, second } = await script;
+      const execution = opened.execution;
+
+      check('Position opened', opened.success && execution?.completed);
+      check('SPOT filled entirely as maker', near(execution.makerFilled, 0.2, 1e-9) && execution.takerFilled === 0);
+      check('Re-posted once at the new bid', execution.reprices === 1 && second.limitPx > first.limitPx);
+      check('PERP hedged in two IOC clips', server.fills.filter(f => f.coin === 'ETH' && f.crossed && f.time >= first.timestamp).length === 2);
+      check('Legs match', near(opened.perpSize, opened.spotSize, 1e-9), `${opened.perpSize} vs ${opened.spotSize}`);
+      check('SPOT entry is the maker VWAP',
+        near(opened.spotEntryPrice, (0.08 * first.limitPx + 0.12 * second.limitPx) / 0.2, 1e-6));
+    }
+    console.log();
+
+    // Test 3: The old order fills while it is being re-posted
+    console.log('[Test 3] Fill during a re-post');
+    {
+      server.setMidPrice('@151', 3500.5);
+      const realModify = hyperliquid.modifyOrder;
+      let modifies = 0;
+      hyperliquid.modifyOrder = async (oid, ...args) => {
+        if (modifies++ === 0) {
+          server.fillRestingOrder(oid, 0.05);            // lands after the last poll
+        }
+        return realModify.call(hyperliquid, oid, ...args);
+      };
+
+      const script = (async () => {
+        await sleep(200);
+        server.setMidPrice('@151', 3503);                // bid runs away: re-post
+        await sleep(400);
+        const replacement = openSpotOrder(server);
+        server.setOrderBook('@151', {                    // sellers hit the new bid
+          bids: [[3502, 10]],
+          asks: [[replacement.limitPx, 1], [3510, 10]]
+        });
+        return replacement;
+      })();
+
+      let execution;
+      try {
+        execution = await executeMakerEntry(hyperliquid, {
+          perp: { symbol: 'ETH', size: 0.2 },
+          spot: { symbol: 'UETH', size: 0.2 }
+        }, config, { settings: getMakerEntrySettings(config) });
+      } finally {
+        delete hyperliquid.modifyOrder;
+      }
+      const replacement = await script;
+      const bought = server.fills.filter(f => f.coin === '@151' && execution.orders.includes(f.oid)).reduce((sum, f) => sum + parseFloat(f.sz), 0);
+
+      check('Fill on the old order counted', modifies === 1 && near(execution.spotFilled, 0.2, 1e-9), `${execution.spotFilled}`);
+      check('Replacement sized from the remainder', near(replacement?.origSz, 0.15, 1e-9), `${replacement?.origSz}`);
+      check('No SPOT over-bought', near(bought, 0.2, 1e-9) && near(execution.perpFilled, 0.2, 1e-9), `${bought}`);
+    }
+    console.log();
+
+    // Test 4: Timeout falls back to taker
+    console.log('[Test 4] Timeout');
+    {
+      server.setMidPrice('@151', 3500.5);
+      const settings = getMakerEntrySettings({ makerEntry: { ...makerEntry, timeoutSeconds: 0.3 } });
+      const execution = await executeMakerEntry(hyperliquid, {
+        perp: { symbol: 'ETH', size: 0.1 },
+        spot: { symbol: 'UETH', size: 0.1 }
+      }, config, { settings });
+
+      check('Nothing filled passively', execution.makerFilled === 0);
+      check('Remainder taken with IOC', near(execution.takerFilled, 0.1, 1e-9) && near(execution.perpFilled, 0.1, 1e-9));
+      check('Resting order canceled', !openSpotOrder(server));
+
+      const noFallback = getMakerEntrySettings({ makerEntry: { ...makerEntry, timeoutSeconds: 0.3, fallbackToTaker: false } });
+      let threw = null;
+      try {
+        await openDeltaNeutralPosition(
+          hyperliquid,
+          createOpportunity('ETH', 3500, 3500.5),
+          { perpBalance: 5000, spotBalance: 5000 },
+          { ...config, makerEntry: { ...makerEntry, timeoutSeconds: 0.3, fallbackToTaker: false } },
+          { verbose: false, maxNotional: 350 }
+        );
+      } catch (error) {
+        threw = error.message;
+      }
+      check('Without fallback an unfilled entry fails', /Maker entry for ETH filled nothing/.test(threw || ''), threw);
+      check('Settings parsed', noFallback.fallbackToTaker === false && noFallback.timeoutMs === 300);
+    }
+    console.log();
+
+    // Test 5: SPOT fills, every PERP hedge fails
+    console.log('[Test 5] One leg filled');
+    {
+      server.setMidPrice('@151', 3500.5);
+      const spotBefore = server.spotBalances.get('UETH') || 0;
+      const perpBefore = server.perpPositions.get('ETH')?.szi || 0;
+      const notifications = [];
+      setNotifier({ notify: async (notification) => notifications.push(notification) });
+      for (let i = 0; i < 100; i++) {
+        server.queueOrderResponse('ETH', { error: 'Insufficient margin to place order.' });
+      }
+
+      const script = (async () => {
+        await sleep(200);
+        server.fillRestingOrder(openSpotOrder(server).oid);
+      })();
+
+      let threw = null;
+      try {
+        await openDeltaNeutralPosition(
+          hyperliquid,
+          createOpportunity('ETH', 3500, 3500.5),
+          { perpBalance: 5000, spotBalance: 5000 },
+          { ...config, makerEntry: { ...makerEntry, timeoutSeconds: 0.5 } },
+          { verbose: false, maxNotional: 350 }
+        );
+      } catch (error) {
+        threw = error.message;
+      } finally {
+        await script;
+        setNotifier(null);
+        server.orderResponseQueue.length = 0;
+      }
+
+      const alert = notifications.find(n => n.event === 'leg_failed');
+      check('Entry fails', /Maker entry for ETH filled no PERP/.test(threw || ''), threw);
+      check('SPOT fill sold back', near(server.spotBalances.get('UETH') || 0, spotBefore, 1e-9) &&
+        (server.perpPositions.get('ETH')?.szi || 0) === perpBefore, `UETH ${server.spotBalances.get('UETH')} vs ${spotBefore}`);
+      check('leg_failed sent', alert?.severity === 'warning' && alert.data.leg === 'perp' && alert.data.rolledBack === true);
+    }
+    console.log();
+
+    // Test 6: Paper limit orders
+    console.log('[Test 6] Paper limit orders');
+    {
+      const actionsBefore = server.requests.filter(r => r.kind === 'action').length;
+      const crossing = await paperConnector.createLimitOrder('UETH', 'buy', 0.1, 3600, { isSpot: true, tif: 'Alo' });
+      check('Paper rejects crossing Alo', /Post only/.test(crossing.response.data.statuses[0].error || ''));
+
+      const posted = await paperConnector.createLimitOrder('UETH', 'buy', 0.1, 3499, { isSpot: true, tif: 'Alo' });
+      const oid = posted.response.data.statuses[0].resting?.oid;
+      check('Paper order rests', Number.isInteger(oid) && (await paperConnector.getOpenOrders()).length === 1);
+
+      server.setOrderBook('@151', { bids: [[3498, 10]], asks: [[3499, 1]] }, { broadcast: false });
+      await paperConnector.fetchDepth('@151', 0);
+      const status = await paperConnector.getOrderStatus(oid);
+      const fill = paper.account.fills.find(f => f.oid === oid);
+      check('Paper fills when the book crosses', status.order.status === 'filled' && paper.account.spotBalances.UETH?.total === 0.1);
+      check('Paper charges the maker fee', fill?.maker && near(fill.fee, 0.1 * 3499 * 0.0004, 1e-9));
+
+      const gtc = await paperConnector.createLimitOrder('UETH', 'sell', 0.1, 3600, { isSpot: true, tif: 'Gtc' });
+      const gtcOid = gtc.response.data.statuses[0].resting.oid;
+      const canceled = await paperConnector.cancelOrder('UETH', gtcOid, { isSpot: true });
+      check('Paper cancel', canceled.response.data.statuses[0] === 'success' && (await paperConnector.getOpenOrders()).length === 0);
+      check('Paper sent nothing to the exchange', server.requests.filter(r => r.kind === 'action').length === actionsBefore);
+    }
+    console.log();
+  } finally {
+    hyperliquid.disconnect();
+    paperConnector.disconnect();
+    await server.stop();
+    fs.rmSync(accountFile, { force: true });
+  }
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,175 @@
+import { ethers } from 'ethers';
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer } from './mock/mock-hyperliquid-server.js';
+import { WeightedRateLimiter } from '../utils/rate-limiter.js';
+import { MetricsExporter, formatPrometheus, collectAccountMetrics } from '../utils/metrics.js';
+
+/**
+ * Test Metrics (offline)
+ *
+ * Exposition format, connection and rate-limiter figures from getStatus(),
+ * account metrics and their cache against the mock server, and scraping the
+ * /metrics endpoint over HTTP.
+ */
+
+const config = { metrics: { port: 0, accountRefreshSeconds: 60 } };
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) <= tolerance;
+
+// Value of one sample in exposition text, or null
+function sample(text, name, labels = '') {
+  const line = text.split('\n').find(l => l.startsWith(`${name}${labels} `));
+  return line ? parseFloat(line.slice(line.lastIndexOf(' ') + 1)) : null;
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Metrics Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: Format
+  console.log('[Test 1] Exposition format');
+  {
+    const text = formatPrometheus([
+      { name: 'x_total', help: 'Things', type: 'counter', samples: [{ labels: { kind: 'a"b\\c' }, value: 3 }] },
+      { name: 'y', help: 'Gauge', type: 'gauge', samples: [{ value: null }, { labels: { coin: '@142' }, value: 0.5 }] },
+      { name: 'z_seconds', help: 'Summary', type: 'summary', samples: [{ suffix: '_sum', value: 1.5 }, { suffix: '_count', value: 2 }] }
+    ]);
+    check('HELP and TYPE lines', text.includes('# HELP x_total Things\n# TYPE x_total counter\n'));
+    check('Label values escaped', text.includes('x_total{kind="a\\"b\\\\c"} 3'));
+    check('Null samples left out', !/^y \S+$/m.test(text) && text.includes('y{coin="@142"} 0.5'));
+    check('Summary suffixes', text.includes('z_seconds_sum 1.5\nz_seconds_count 2\n'));
+  }
+  console.log();
+
+  const server = new MockHyperliquidServer({ perpUsdc: 1000, spotUsdc: 2000 });
+  const urls = await server.start();
+  const account = ethers.Wallet.createRandom();
+  const hyperliquid = new HyperliquidConnector({
+    ...urls,
+    wallet: account.address,
+    privateKey: account.privateKey,
+    restRateLimiter: new WeightedRateLimiter({ verbose: false })
+  });
+
+  let clock = Date.now();
+  const openTime = clock - 60 * 60 * 1000;
+  const positions = [{ symbol: 'BTC', openTime }];
+  const exporter = new MetricsExporter(hyperliquid, config, {
+    getPositions: () => positions,
+    getBotStatus: () => ({ paused: false, cycleRunning: true }),
+    now: () => clock
+  });
+
+  try {
+    await hyperliquid.connect();
+    await hyperliquid.subscribeOrderbook('BTC');
+
+    // Test 2: Connector status
+    console.log('[Test 2] Connection');
+    {
+      const status = hyperliquid.getStatus();
+      check('Orderbook ages per coin', status.orderbookAgeMs.BTC >= 0 && status.orderbookAgeMs.BTC < 60000, JSON.stringify(status.orderbookAgeMs));
+      check('Rate limiter stats', status.rateLimits.rest.maxWeight === 1200 && status.rateLimits.ws.maxRequests === 1800);
+
+      hyperliquid.restRateLimiter.record429(0);
+      check('429s counted', hyperliquid.getStatus().rateLimits.rest.throttled === 1);
+    }
+    console.log();
+
+    // Test 3: Account figures
+    console.log('[Test 3] Account');
+    {
+      server.setPerpPosition('BTC', -0.01, 100000);
+      server.setSpotBalance('UBTC', 0.0095);
+      server.setPerpPosition('ETH', -0.1, 3500);
+      server.getPerp('BTC').funding = 0.0001;
+      server.accrueFunding(openTime - 1000);  // before the position opened
+      server.accrueFunding(openTime + 1000);
+
+      const figures = await collectAccountMetrics(hyperliquid, positions);
+      const btc = figures.pairs.find(p => p.symbol === 'BTC');
+      check('Pair notional and hedge mismatch', near(btc?.notionalUSD, 1000, 1) && near(btc.mismatchPercent, 5, 1e-6));
+      check('Unhedged PERP is 100% mismatched', figures.pairs.find(p => p.symbol === 'ETH')?.mismatchPercent === 100);
+      check('Funding since the position opened', near(figures.funding.BTC, 0.01 * 100000 * 0.0001, 1e-6), figures.funding.BTC);
+      check('Balances', figures.spotBalance === 2000 && figures.perpBalance > 0);
+    }
+    console.log();
+
+    // Test 4: Exporter
+    console.log('[Test 4] Exporter');
+    {
+      exporter.recordCycle('ok', 2000);
+      exporter.recordCycle('error', 4000);
+      exporter.recordCycle('skipped');
+
+      const text = await exporter.render();
+      check('Cycles by outcome', sample(text, 'hldn_cycles_total', '{outcome="ok"}') === 1 &&
+        sample(text, 'hldn_cycles_total', '{outcome="error"}') === 1 && sample(text, 'hldn_cycles_total', '{outcome="skipped"}') === 1);
+      check('Cycle durations', sample(text, 'hldn_cycle_duration_seconds_sum') === 6 && sample(text, 'hldn_cycle_duration_seconds_count') === 2 &&
+        sample(text, 'hldn_last_cycle_duration_seconds') === 4);
+      check('Bot and WebSocket state', sample(text, 'hldn_cycle_running') === 1 && sample(text, 'hldn_cycles_paused') === 0 &&
+        sample(text, 'hldn_ws_connected') === 1 && sample(text, 'hldn_ws_reconnects_total') === 0);
+      check('Rate limits', sample(text, 'hldn_rest_rate_limited_total') === 1 && sample(text, 'hldn_rest_rate_limit_utilization') !== null &&
+        sample(text, 'hldn_ws_rate_limit_utilization') > 0);
+      check('Orderbook staleness', sample(text, 'hldn_orderbook_age_seconds', '{coin="BTC"}') !== null);
+      check('Account metrics', sample(text, 'hldn_balance_usd', '{account="spot"}') === 2000 &&
+        near(sample(text, 'hldn_hedge_mismatch_percent', '{symbol="BTC"}'), 5, 1e-6) &&
+        near(sample(text, 'hldn_funding_accumulated_usd', '{symbol="BTC"}'), 0.1, 1e-6));
+
+      server.setSpotBalance('UBTC', 0.01);
+      clock += 30 * 1000;
+      check('Account cached between refreshes', near(sample(await exporter.render(), 'hldn_hedge_mismatch_percent', '{symbol="BTC"}'), 5, 1e-6));
+      clock += 30 * 1000;
+      const refreshed = await exporter.render();
+      check('Refreshed after accountRefreshSeconds', near(sample(refreshed, 'hldn_hedge_mismatch_percent', '{symbol="BTC"}'), 0, 1e-6) &&
+        sample(refreshed, 'hldn_account_metrics_age_seconds') === 0);
+    }
+    console.log();
+
+    // Test 5: HTTP
+    console.log('[Test 5] Endpoint');
+    {
+      const { port } = await exporter.start();
+      try {
+        const res = await fetch(`http://127.0.0.1:${port}/metrics`);
+        const body = await res.text();
+        check('GET /metrics', res.status === 200 && /text\/plain; version=0\.0\.4/.test(res.headers.get('content-type')) &&
+          body.includes('# TYPE hldn_cycles_total counter'));
+        check('Other paths 404', (await fetch(`http://127.0.0.1:${port}/status`)).status === 404);
+      } finally {
+        await exporter.stop();
+      }
+    }
+    console.log();
+  } finally {
+    await exporter.stop();
+    hyperliquid.disconnect();
+    await server.stop();
+  }
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,184 @@
+import { ethers } from 'ethers';
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer } from './mock/mock-hyperliquid-server.js';
+import { getBalances } from '../utils/balance.js';
+import { getPerpPositions, getSpotBalances, analyzeDeltaNeutral } from '../utils/positions.js';
+import { getFundingRates, getPredictedFundingRates, getFundingHistory } from '../utils/funding.js';
+import { openDeltaNeutralPosition, closeDeltaNeutralPosition } from '../utils/trade.js';
+
+/**
+ * Test Against the Mock Hyperliquid Server (offline)
+ *
+ * Points HyperliquidConnector at tests/mock/mock-hyperliquid-server.js and runs
+ * the read paths and the open/close flow end to end. Uses a throwaway wallet,
+ * no network access and no funds.
+ */
+
+const config = {
+  trading: {
+    minOrderSizeUSD: { BTC: 20, ETH: 20, HYPE: 20 },
+    balanceUtilizationPercent: 95,
+    maxSlippagePercent: 2.0
+  }
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+function createOpportunity(symbol, perpMid, spotMid) {
+  return {
+    symbol,
+    bidAsk: { perpMid, spotMid },
+    funding: { fundingRate: 0.0000125 },
+    predictedFunding: { predictedFundingRate: 0.0000125 },
+    predictedFundingRate: 0.0000125 * 24 * 365,
+    avgFundingRate: 0.0000125 * 24 * 365
+  };
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Mock Exchange Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  const server = new MockHyperliquidServer({ perpUsdc: 500, spotUsdc: 500 });
+  const urls = await server.start();
+  const account = ethers.Wallet.createRandom();
+
+  const hyperliquid = new HyperliquidConnector({
+    ...urls,
+    wallet: account.address,
+    privateKey: account.privateKey
+  });
+
+  try {
+    await hyperliquid.connect();
+
+    // Test 1: Info endpoints
+    console.log('[Test 1] Info endpoints');
+    const balances = await getBalances(hyperliquid);
+    check('Balances read from mock', balances.perpBalance === 500 && balances.spotBalance === 500,
+      `perp=${balances.perpBalance}, spot=${balances.spotBalance}`);
+
+    const funding = await getFundingRates(hyperliquid, ['BTC', 'ETH']);
+    check('Funding rates from metaAndAssetCtxs', funding.every(f => !f.error && f.fundingRate > 0));
+
+    const predicted = await getPredictedFundingRates(hyperliquid);
+    check('Predicted funding for BTC', predicted.get('BTC')?.predictedFundingRate === 0.0000125);
+
+    const history = await getFundingHistory(hyperliquid, 'BTC', 1);
+    check('Funding history synthesized hourly', history.history.length >= 23);
+
+    const mids = await hyperliquid.getAllMids();
+    check('allMids includes perp and spot coins', mids.BTC !== undefined && mids['@142'] !== undefined);
+
+    const volume = await hyperliquid.get24HourVolume('UBTC', true);
+    check('Candles for spot coin', volume.numCandles > 0 && volume.volume24h > 0);
+    console.log();
+
+    // Test 2: WebSocket post + orderbook cache
+    console.log('[Test 2] Orderbook via WebSocket post');
+    await hyperliquid.subscribeOrderbook('BTC');
+    const bidAsk = hyperliquid.getBidAsk('BTC');
+    check('Best bid/ask cached', bidAsk?.bid > 0 && bidAsk?.ask > bidAsk.bid);
+
+    server.setMidPrice('BTC', 101000);
+    await hyperliquid.requestL2Book('BTC');
+    check('Book update reflected', Math.abs(hyperliquid.getBidAsk('BTC').bid - 101000) < 50);
+    server.setMidPrice('BTC', 100000);
+    await hyperliquid.requestL2Book('BTC');
+    console.log();
+
+    // Test 3: Open delta-neutral position
+    console.log('[Test 3] Open delta-neutral position');
+    const opened = await openDeltaNeutralPosition(
+      hyperliquid,
+      createOpportunity('BTC', 100000, 100010),
+      balances,
+      config,
+      { verbose: false, maxNotional: 200 }
+    );
+    check('Position opened', opened.success);
+    check('Sized to allocation cap', opened.positionValue <= 200 && opened.positionValue > 150, `$${opened.positionValue?.toFixed(2)}`);
+
+    const signers = server.requests.filter(r => r.kind === 'action').map(r => r.signer);
+    check('Actions signed by wallet', signers.length >= 3 && signers.every(s => s === account.address));
+    check('Leverage update received', server.leverage.has('BTC'));
+
+    const [perpPositions, spotBalances] = await Promise.all([
+      getPerpPositions(hyperliquid),
+      getSpotBalances(hyperliquid)
+    ]);
+    const analysis = analyzeDeltaNeutral(perpPositions, spotBalances);
+    check('Mock reports a delta-neutral pair', analysis.deltaNeutralPairs.length === 1 && analysis.deltaNeutralPairs[0].symbol === 'BTC');
+    console.log();
+
+    // Test 4: Funding accrual
+    console.log('[Test 4] Funding accrual');
+    server.accrueFunding();
+    const fundingHistory = await hyperliquid.getUserFundingHistory(null, 0);
+    check('Short receives positive funding', fundingHistory.accumulated.BTC > 0);
+    console.log();
+
+    // Test 5: Close position
+    console.log('[Test 5] Close delta-neutral position');
+    const position = { ...opened, openTime: Date.now() };
+    const closed = await closeDeltaNeutralPosition(hyperliquid, position, config, { verbose: false });
+    check('Position closed', closed.success);
+    check('No PERP positions left', (await getPerpPositions(hyperliquid)).length === 0);
+    console.log();
+
+    // Test 6: Single-leg failure is unwound
+    // (the unwind order prices off the cached book, like the bot after subscribing)
+    console.log('[Test 6] Single-leg failure');
+    await hyperliquid.subscribeOrderbook('ETH');
+    server.queueOrderResponse('UETH', { error: 'Insufficient spot balance to place order.' });
+    let threw = false;
+    try {
+      await openDeltaNeutralPosition(
+        hyperliquid,
+        createOpportunity('ETH', 3500, 3500.5),
+        await getBalances(hyperliquid),
+        config,
+        { verbose: false, maxNotional: 100 }
+      );
+    } catch (error) {
+      threw = error.message.includes('SPOT order failed');
+    }
+    check('Open reports SPOT failure', threw);
+    check('PERP leg unwound', (await getPerpPositions(hyperliquid)).length === 0);
+    console.log();
+
+    // Test 7: REST order path
+    console.log('[Test 7] REST order path');
+    await hyperliquid.subscribeOrderbook('@107');
+    const restResult = await hyperliquid.createMarketOrder('HYPE', 'buy', 1, { isSpot: true, useRest: true, slippage: 0.01 });
+    check('Spot buy filled via REST', !!restResult.response?.data?.statuses?.[0]?.filled);
+    console.log();
+  } finally {
+    hyperliquid.disconnect();
+    await server.stop();
+  }
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,343 @@
+import http from 'http';
+import net from 'net';
+import {
+  Notifier,
+  resolveChannel,
+  getNotificationSettings,
+  buildFundingSummary,
+  msUntilHourUTC,
+  setNotifier,
+  notify
+} from '../utils/notifier.js';
+import { sendMail } from '../utils/smtp.js';
+
+/**
+ * Test Notifier (offline)
+ *
+ * Channel settings and secrets, severity/event routing, de-duplication and
+ * per-channel rate limits with stub senders, then real delivery to a local
+ * HTTP server (webhook, Telegram, Discord) and a scripted SMTP server.
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+// Records every request; answers 500 for paths containing "fail"
+function startHttpServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+      res.writeHead(req.url.includes('fail') ? 500 : 200, { 'Content-Type': 'application/json' });
+      res.end(req.url.includes('fail') ? '{"error":"down"}' : '{"ok":true}');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests, port: server.address().port })));
+}
+
+// Plain SMTP server (no STARTTLS) that accepts one login and records the session
+function startSmtpServer({ user, password }) {
+  const sessions = [];
+  const server = net.createServer((socket) => {
+    const session = { commands: [], data: '' };
+    sessions.push(session);
+    let buffer = '';
+    let inData = false;
+
+    socket.write('220 test ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        session.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 2.0.0 queued as TEST\r\n');
+      }
+
+      let newline;
+      while (!inData && (newline = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        session.commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+
+        if (verb === 'EHLO') {
+          socket.write('250-test\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n');
+        } else if (verb === 'AUTH') {
+          const expected = Buffer.from(`\0${user}\0${password}`).toString('base64');
+          socket.write(line === `AUTH PLAIN ${expected}` ? '235 2.7.0 ok\r\n' : '535 5.7.8 bad credentials\r\n');
+        } else if (verb === 'MAIL' || verb === 'RCPT') {
+          socket.write('250 ok\r\n');
+        } else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('502 unknown\r\n');
+        }
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, sessions, port: server.address().port })));
+}
+
+// Notifier with stub senders that record what they were given
+function createStubNotifier(settings, options = {}) {
+  const sent = [];
+  const stub = async (channel, n) => {
+    if (options.failOn === channel.name) throw new Error('stub failure');
+    sent.push({ channel: channel.name, ...n });
+  };
+  const notifier = new Notifier({ notifications: { enabled: true, ...settings } }, {
+    senders: { webhook: stub, telegram: stub, discord: stub, email: stub },
+    env: { TELEGRAM_BOT_TOKEN: 'tg-token' },
+    now: options.now
+  });
+  return { notifier, sent };
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Notifier Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: Settings
+  console.log('[Test 1] Settings and channels');
+  {
+    check('Off by default', getNotificationSettings({}).enabled === false && getNotificationSettings({}).channels.length === 0);
+
+    const telegram = resolveChannel({ type: 'telegram', chatId: '42' }, { TELEGRAM_BOT_TOKEN: 'abc' });
+    check('Telegram token from environment', telegram.botToken === 'abc' && telegram.minSeverity === 'warning' && telegram.name === 'telegram');
+
+    const email = resolveChannel({ type: 'email', host: 'smtp', from: 'a@b', to: 'c@d' }, { SMTP_USER: 'u', SMTP_PASSWORD: 'p' });
+    check('Email defaults to critical, single recipient listed', email.minSeverity === 'critical' && email.to.join() === 'c@d' && email.password === 'p');
+
+    const errors = [
+      { type: 'discord' },
+      { type: 'telegram', chatId: '1' },
+      { type: 'pager' },
+      { type: 'webhook', url: 'http://x', minSeverity: 'loud' }
+    ].map(channel => {
+      try {
+        resolveChannel(channel, {});
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    });
+    check('Missing or invalid settings rejected', errors.every(Boolean), JSON.stringify(errors));
+    check('Bad channels skipped, good ones kept', new Notifier({ notifications: { channels: [{ type: 'discord' }, { type: 'webhook', url: 'http://x' }] } }, { env: {} }).channels.length === 1);
+  }
+  console.log();
+
+  // Test 2: Routing
+  console.log('[Test 2] Routing');
+  {
+    const { notifier, sent } = createStubNotifier({
+      channels: [
+        { type: 'telegram', chatId: '1', minSeverity: 'info' },
+        { type: 'webhook', url: 'http://x', minSeverity: 'warning' },
+        { type: 'email', host: 'h', from: 'f', to: ['t'], name: 'oncall' },
+        { type: 'discord', url: 'http://y', minSeverity: 'info', events: ['funding_summary'] }
+      ]
+    });
+
+    const info = await notifier.notify({ severity: 'info', event: 'position_opened', title: 'Opened BTC' });
+    check('Info goes to info channels only', info.sent.join() === 'telegram');
+
+    const critical = await notifier.notify({ severity: 'critical', event: 'leg_failed', title: 'Leg failed' });
+    check('Critical reaches every matching channel', critical.sent.sort().join() === 'oncall,telegram,webhook');
+
+    const summary = await notifier.notify({ severity: 'info', event: 'funding_summary', title: 'Funding' });
+    check('Event filter', summary.sent.sort().join() === 'discord,telegram');
+    check('Timestamp added', sent.every(n => typeof n.timestamp === 'number'));
+
+    const disabled = new Notifier({ notifications: { channels: [{ type: 'webhook', url: 'http://x' }] } });
+    check('Disabled notifier sends nothing', (await disabled.notify({ severity: 'critical', title: 'x' })).skipped === 'disabled');
+  }
+  console.log();
+
+  // Test 3: Dedup and rate limits
+  console.log('[Test 3] Dedup and rate limits');
+  {
+    let clock = 1_000_000;
+    const { notifier, sent } = createStubNotifier({
+      dedupSeconds: 600,
+      maxPerMinute: 2,
+      channels: [{ type: 'webhook', url: 'http://x', minSeverity: 'info' }]
+    }, { now: () => clock });
+
+    const alert = { severity: 'warning', event: 'ws_fallback', title: 'WebSocket lost', message: 'Using REST' };
+    await notifier.notify(alert);
+    const repeat = await notifier.notify(alert);
+    await notifier.notify(alert);
+    check('Repeat within the window suppressed', repeat.skipped === 'duplicate' && sent.length === 1);
+
+    clock += 601 * 1000;
+    await notifier.notify(alert);
+    check('Sent again after the window, with the repeat count', sent.length === 2 && /2 repeat/.test(sent[1].message), sent[1]?.message);
+
+    const keyed = await notifier.notify({ severity: 'info', event: 'x', title: 'A', key: 'same' });
+    const keyedRepeat = await notifier.notify({ severity: 'info', event: 'x', title: 'B', key: 'same' });
+    check('Explicit key deduplicates different text', keyed.sent.length === 1 && keyedRepeat.skipped === 'duplicate');
+
+    const limited = await notifier.notify({ severity: 'info', event: 'x', title: 'C' });
+    check('Third in a minute is held back', limited.rateLimited.join() === 'webhook' && sent.length === 3);
+
+    const critical = await notifier.notify({ severity: 'critical', event: 'x', title: 'D' });
+    check('Critical bypasses the limit and reports held notices', critical.sent.join() === 'webhook' && /1 notification\(s\) held back/.test(sent[3].message));
+
+    clock += 61 * 1000;
+    check('Limit resets after a minute', (await notifier.notify({ severity: 'info', event: 'x', title: 'E' })).sent.length === 1);
+
+    const failing = createStubNotifier({ channels: [{ type: 'webhook', url: 'http://x', name: 'hook' }] }, { failOn: 'hook' });
+    const failures = [];
+    failing.notifier.on('failed', (n, channel, error) => failures.push(error.message));
+    const result = await failing.notifier.notify({ severity: 'critical', event: 'x', title: 'F' });
+    check('Sender failure is reported, not thrown', result.failed.join() === 'hook' && failures.join() === 'stub failure');
+  }
+  console.log();
+
+  // Test 4: HTTP channels
+  console.log('[Test 4] Webhook, Telegram and Discord');
+  {
+    const { server, requests, port } = await startHttpServer();
+    const base = `http://127.0.0.1:${port}`;
+    try {
+      const notifier = new Notifier({
+        notifications: {
+          enabled: true,
+          channels: [
+            { type: 'webhook', url: `${base}/hook` },
+            { type: 'telegram', chatId: '-100', apiUrl: base },
+            { type: 'discord', urlEnv: 'TEST_DISCORD' },
+            { type: 'webhook', name: 'broken', url: `${base}/fail` }
+          ]
+        }
+      }, { env: { TELEGRAM_BOT_TOKEN: 'tg-token', TEST_DISCORD: `${base}/discord` } });
+
+      const result = await notifier.notify({
+        severity: 'critical',
+        event: 'leg_failed',
+        title: 'BTC: SPOT leg failed',
+        message: 'x'.repeat(3000),
+        data: { symbol: 'BTC' }
+      });
+
+      const hook = requests.find(r => r.url === '/hook');
+      check('Webhook gets the JSON notification', hook?.body.event === 'leg_failed' && hook.body.severity === 'critical' && hook.body.data.symbol === 'BTC');
+
+      const telegram = requests.find(r => r.url === '/bottg-token/sendMessage');
+      check('Telegram sendMessage with chat and text', telegram?.body.chat_id === '-100' && telegram.body.text.startsWith('🚨 [CRITICAL] BTC: SPOT leg failed'));
+
+      const discord = requests.find(r => r.url === '/discord');
+      check('Discord content capped at 2000 characters', discord?.body.content.length === 2000);
+      check('HTTP error counted as a failure', result.failed.join() === 'broken' && result.sent.length === 3);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+  console.log();
+
+  // Test 5: SMTP
+  console.log('[Test 5] Email');
+  {
+    const { server, sessions, port } = await startSmtpServer({ user: 'bot', password: 'secret' });
+    try {
+      let refused = null;
+      try {
+        await sendMail({ host: '127.0.0.1', port, user: 'bot', password: 'secret' }, { from: 'a@b', to: 'c@d', subject: 's', text: 't' });
+      } catch (error) {
+        refused = error.message;
+      }
+      const refusedVerbs = sessions[0].commands.map(c => c.split(/[ :]/)[0]);
+      check('No AUTH without TLS', /offers no STARTTLS/.test(refused || '') && refusedVerbs.join() === 'EHLO' &&
+        !sessions[0].commands.some(c => c.includes(Buffer.from('\0bot\0secret').toString('base64'))), refusedVerbs.join());
+
+      // The test server is plaintext, so the rest opts in
+      const result = await sendMail({ host: '127.0.0.1', port, user: 'bot', password: 'secret', allowInsecureAuth: true }, {
+        from: 'Bot <bot@example.com>',
+        to: ['ops@example.com', 'me@example.com'],
+        subject: '[CRITICAL] Leg failed ⚠️',
+        text: 'Close the PERP short\n.\nnow'
+      });
+      const session = sessions[1];
+      const verbs = session.commands.map(c => c.split(/[ :]/)[0]);
+      check('Sent after AUTH PLAIN', result.success && verbs.join() === 'EHLO,AUTH,MAIL,RCPT,RCPT,DATA,QUIT', verbs.join());
+      check('Envelope addresses', session.commands.includes('MAIL FROM:<bot@example.com>') && session.commands.includes('RCPT TO:<me@example.com>'));
+
+      const [headers, body] = session.data.split('\r\n\r\n');
+      check('Encoded subject and base64 body', /Subject: =\?UTF-8\?B\?/.test(headers) &&
+        Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8') === 'Close the PERP short\n.\nnow');
+
+      let rejected = null;
+      try {
+        await sendMail({ host: '127.0.0.1', port, user: 'bot', password: 'wrong', allowInsecureAuth: true }, { from: 'a@b', to: 'c@d', subject: 's', text: 't' });
+      } catch (error) {
+        rejected = error.message;
+      }
+      check('Bad login rejected', /AUTH failed: 535/.test(rejected || ''), rejected);
+
+      const notifier = new Notifier({
+        notifications: { enabled: true, channels: [{ type: 'email', host: '127.0.0.1', port, allowInsecureAuth: true, from: 'bot@example.com', to: ['ops@example.com'] }] }
+      }, { env: { SMTP_USER: 'bot', SMTP_PASSWORD: 'secret' } });
+      const sent = await notifier.notify({ severity: 'critical', event: 'liquidation_risk', title: 'HYPE near liquidation' });
+      check('Email channel delivers', sent.sent.join() === 'email' && /Subject: \[CRITICAL\] HYPE near liquidation/.test(sessions[3]?.data || ''));
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  }
+  console.log();
+
+  // Test 6: Helpers
+  console.log('[Test 6] Funding summary and schedule');
+  {
+    const summary = buildFundingSummary(
+      { accumulated: { BTC: 1.5, HYPE: 3.25 }, totalAccumulated: 4.75 },
+      [{ symbol: 'BTC', positionValue: 1000 }, { symbol: 'HYPE', positionValue: 500 }]
+    );
+    check('Summary totals and per-coin lines', summary.title === 'Funding last 24h: +$4.75' &&
+      summary.message.startsWith('HYPE: +$3.25\nBTC: +$1.50') && summary.data.positions.join() === 'BTC,HYPE');
+    check('Empty account summary', buildFundingSummary({ accumulated: {}, totalAccumulated: 0 }, []).message === 'No open positions');
+
+    const now = Date.UTC(2026, 0, 1, 22, 30);
+    check('Next summary later today', msUntilHourUTC(23, now) === 30 * 60 * 1000);
+    check('Next summary tomorrow', msUntilHourUTC(8, now) === 9.5 * 60 * 60 * 1000 && msUntilHourUTC(22, Date.UTC(2026, 0, 1, 22)) === 24 * 60 * 60 * 1000);
+
+    check('notify() without a notifier is a no-op', (await notify({ severity: 'critical', title: 'x' })) === null);
+    const { notifier, sent } = createStubNotifier({ channels: [{ type: 'webhook', url: 'http://x', minSeverity: 'info' }] });
+    setNotifier(notifier);
+    await notify(summary);
+    setNotifier(null);
+    check('notify() forwards to the installed notifier', sent.length === 1 && sent[0].event === 'funding_summary');
+  }
+  console.log();
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
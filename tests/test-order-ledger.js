@@ -0,0 +1,230 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer } from './mock/mock-hyperliquid-server.js';
+import { PaperExchange } from '../utils/paper.js';
+import { OrderLedger, isOpenStatus } from '../utils/order-ledger.js';
+import { executeMakerEntry, getMakerEntrySettings } from '../utils/trade.js';
+
+/**
+ * Test Order Ledger and User Channels (offline)
+ *
+ * Pure checks of utils/order-ledger.js, then the userFills / orderUpdates /
+ * userEvents subscriptions of the connector against the mock server.
+ */
+
+const config = {
+  trading: {
+    minOrderSizeUSD: { ETH: 20 },
+    balanceUtilizationPercent: 95,
+    maxSlippagePercent: 2.0
+  }
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const near = (a, b, tolerance = 0.01) => Math.abs(a - b) <= tolerance;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function wsOrder(oid, sz, status, extra = {}) {
+  return {
+    order: { coin: 'ETH', side: 'A', limitPx: '3600', sz: String(sz), oid, timestamp: 1, origSz: '1', ...extra },
+    status,
+    statusTimestamp: Date.now()
+  };
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Order Ledger Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: Ledger bookkeeping
+  console.log('[Test 1] Ledger');
+  {
+    const ledger = new OrderLedger();
+    const events = [];
+    ledger.on('fill', fill => events.push(fill.tid));
+
+    ledger.applyOrderUpdate(wsOrder(1, 1, 'open', { cloid: '0xabc' }));
+    check('Open order tracked by oid and cloid', ledger.get(1)?.status === 'open' && ledger.get('0xabc') === ledger.get(1));
+
+    ledger.applyFills([
+      { coin: 'ETH', px: '3600', sz: '0.4', side: 'A', time: 2, oid: 1, tid: 10, fee: '0.2' },
+      { coin: 'ETH', px: '3610', sz: '0.6', side: 'A', time: 3, oid: 1, tid: 11, fee: '0.3' }
+    ]);
+    const order = ledger.get(1);
+    check('Fills accumulate', near(order.filledSz, 1, 1e-9) && near(order.avgPx, 3606, 1e-9) && near(order.fee, 0.5, 1e-9));
+    check('Fully filled order is closed', order.status === 'filled' && !isOpenStatus(order.status));
+
+    ledger.applyOrderUpdate(wsOrder(1, 1, 'open'));
+    check('Late open update does not reopen', ledger.get(1).status === 'filled');
+
+    const added = ledger.applyFills([{ coin: 'ETH', px: '3600', sz: '0.4', side: 'A', time: 2, oid: 1, tid: 10 }], { isSnapshot: true });
+    check('Replayed fills are ignored', added.length === 0 && near(ledger.get(1).filledSz, 1, 1e-9));
+    check('Fill events only for new fills', events.join() === '10,11');
+
+    ledger.applyOrderResponse({ filled: { totalSz: '0.3', avgPx: '3500', oid: 2 } }, { coin: 'ETH', side: 'B', size: 0.5, tif: 'Ioc' });
+    check('Partial IOC response: remainder canceled', ledger.get(2).status === 'canceled' && near(ledger.get(2).filledSz, 0.3, 1e-9));
+
+    ledger.applyFill({ coin: 'ETH', px: '3499', sz: '0.3', side: 'B', time: 4, oid: 2, tid: 12 });
+    check('Response and fill are not double counted', near(ledger.get(2).filledSz, 0.3, 1e-9) && near(ledger.get(2).avgPx, 3499, 1e-9));
+
+    ledger.applyOrderResponse({ resting: { oid: 3 } }, { coin: '@151', side: 'B', size: 1, price: 3400, tif: 'Alo' });
+    const waiting = ledger.waitForOrder(3, { timeoutMs: 1000 });
+    ledger.applyNonUserCancels([{ coin: '@151', oid: 3 }]);
+    check('waitForOrder resolves when the exchange cancels', (await waiting).status === 'canceled');
+
+    ledger.applyOrderResponse({ resting: { oid: 4 } }, { coin: '@151', side: 'B', size: 1, price: 3400, tif: 'Alo' });
+    const timedOut = await ledger.waitForOrder(4, { timeoutMs: 20 });
+    check('waitForOrder returns the open order on timeout', timedOut.status === 'open');
+    check('Open orders listed by coin', ledger.getOpenOrders('@151').length === 1 && ledger.getOpenOrders('ETH').length === 0);
+  }
+  console.log();
+
+  const server = new MockHyperliquidServer({ perpUsdc: 5000, spotUsdc: 5000 });
+  const urls = await server.start();
+  const account = ethers.Wallet.createRandom();
+  const hyperliquid = new HyperliquidConnector({
+    ...urls,
+    wallet: account.address,
+    privateKey: account.privateKey
+  });
+
+  const accountFile = path.join(os.tmpdir(), `paper-ledger-${process.pid}.json`);
+  const paperConnector = new HyperliquidConnector({ ...urls });
+  new PaperExchange(paperConnector, {
+    accountFile,
+    initialPerpUsdc: 5000,
+    initialSpotUsdc: 5000,
+    persist: false,
+    verbose: false
+  }).attach();
+
+  try {
+    await hyperliquid.connect();
+    await paperConnector.connect();
+
+    // Test 2: Subscriptions
+    console.log('[Test 2] User channels');
+    {
+      // A fill from before the subscription arrives in the snapshot
+      await hyperliquid.createMarketOrder('ETH', 'sell', 0.01, { slippage: 0.02, overrideMidPrice: 3500 });
+      hyperliquid.orderLedger.clear();
+
+      const fillEvents = [];
+      hyperliquid.on('fill', fill => fillEvents.push(fill));
+
+      await hyperliquid.subscribeUserEvents();
+      await sleep(100);
+      check('Subscribed', hyperliquid.hasUserStream());
+      check('Snapshot fills recorded without events', hyperliquid.orderLedger.fills.length === 1 && fillEvents.length === 0);
+
+      const posted = await hyperliquid.createLimitOrder('UETH', 'buy', 0.1, 3450, { isSpot: true, tif: 'Alo' });
+      const oid = posted.response.data.statuses[0].resting.oid;
+      await sleep(50);
+      check('Resting order visible in the ledger', hyperliquid.orderLedger.get(oid)?.status === 'open');
+
+      server.fillRestingOrder(oid, 0.04);
+      const partial = await hyperliquid.orderLedger.waitForOrder(oid, { filledSz: 0.04, timeoutMs: 1000 });
+      check('Partial fill pushed', near(partial.filledSz, 0.04, 1e-9) && partial.status === 'open');
+      check('Fill event emitted', fillEvents.length === 1 && fillEvents[0].oid === oid && fillEvents[0].crossed === false);
+
+      const done = hyperliquid.orderLedger.waitForOrder(oid, { timeoutMs: 1000 });
+      server.fillRestingOrder(oid);
+      const filled = await done;
+      check('Order closes when filled', filled.status === 'filled' && near(filled.filledSz, 0.1, 1e-9));
+      check('Maker price recorded', filled.avgPx === 3450);
+
+      // SPOT SELL without enough tokens: the exchange cancels it when it would fill
+      const sell = await hyperliquid.createLimitOrder('UETH', 'sell', 0.5, 3550, { isSpot: true, tif: 'Gtc' });
+      const sellOid = sell.response.data.statuses[0].resting.oid;
+      const canceled = hyperliquid.orderLedger.waitForOrder(sellOid, { timeoutMs: 1000 });
+      server.fillRestingOrder(sellOid);
+      check('Exchange cancel pushed', (await canceled).status === 'canceled');
+
+      // Reconnect: the snapshot repeats fills already seen
+      const before = hyperliquid.orderLedger.fills.length;
+      const eventsBefore = fillEvents.length;
+      hyperliquid.resubscribe();
+      await sleep(100);
+      check('Resubscribe does not duplicate fills', hyperliquid.orderLedger.fills.length === before && fillEvents.length === eventsBefore);
+    }
+    console.log();
+
+    // Test 3: Maker entry reads the stream instead of polling orderStatus
+    console.log('[Test 3] Maker entry on the user stream');
+    {
+      const statusRequests = () => server.requests.filter(r => r.payload?.type === 'orderStatus').length;
+      const before = statusRequests();
+      const settings = getMakerEntrySettings({
+        makerEntry: { enabled: true, timeoutSeconds: 2, pollSeconds: 0.5, repriceBps: 50, minHedgeNotionalUSD: 12 }
+      });
+
+      const script = (async () => {
+        await sleep(100);
+        const order = [...server.orders.values()].find(o => o.status === 'open' && o.coin === '@151');
+        server.fillRestingOrder(order.oid);
+        return Date.now();
+      })();
+
+      const started = Date.now();
+      const execution = await executeMakerEntry(hyperliquid, {
+        perp: { symbol: 'ETH', size: 0.1 },
+        spot: { symbol: 'UETH', size: 0.1 }
+      }, config, { settings });
+      const filledAt = await script;
+
+      check('Filled as maker and hedged', near(execution.makerFilled, 0.1, 1e-9) && near(execution.perpFilled, 0.1, 1e-9));
+      check('Woke on the fill, not the poll interval', Date.now() - started < 450, `${Date.now() - filledAt}ms after fill`);
+      check('No orderStatus polling', statusRequests() === before);
+    }
+    console.log();
+
+    // Test 4: Paper fills feed the ledger
+    console.log('[Test 4] Paper ledger');
+    {
+      const posted = await paperConnector.createLimitOrder('UETH', 'buy', 0.1, 3499, { isSpot: true, tif: 'Alo' });
+      const oid = posted.response.data.statuses[0].resting.oid;
+      check('Paper resting order tracked', paperConnector.orderLedger.get(oid)?.status === 'open');
+
+      server.setOrderBook('@151', { bids: [[3498, 10]], asks: [[3499, 1]] }, { broadcast: false });
+      await paperConnector.fetchDepth('@151', 0);
+      await paperConnector.getOrderStatus(oid);
+      const order = paperConnector.orderLedger.get(oid);
+      check('Paper maker fill applied', order.status === 'filled' && near(order.filledSz, 0.1, 1e-9) && order.fills[0].crossed === false);
+      check('Paper has no user stream', !paperConnector.hasUserStream());
+    }
+    console.log();
+  } finally {
+    hyperliquid.disconnect();
+    paperConnector.disconnect();
+    await server.stop();
+    fs.rmSync(accountFile, { force: true });
+  }
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,156 @@
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer, DEFAULT_MARKETS } from './mock/mock-hyperliquid-server.js';
+import { matchPairs, discoverPairs, resolvePairs, isWildcard, getUsdcSpotMarkets } from '../utils/pairs.js';
+import { perpToSpot, spotToPerp } from '../utils/symbols.js';
+
+/**
+ * Test PERP/SPOT Pair Discovery (offline)
+ *
+ * Matching perp coins to USDC spot tokens from meta/spotMeta, ambiguous and
+ * confirmed matches, and trading.pairs "*" against the mock server.
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const token = (name, index, extra = {}) => ({ name, index, szDecimals: 2, weiDecimals: 8, evmContract: null, fullName: null, ...extra });
+const pair = (base, quote, index) => ({ tokens: [base, quote], name: `@${index}`, index, isCanonical: false });
+
+const META = {
+  universe: [
+    { name: 'BTC' }, { name: 'ETH' }, { name: 'HYPE' }, { name: 'SOL' },
+    { name: 'PURR' }, { name: 'FARTCOIN' }, { name: 'ZORA' }, { name: 'OLD', isDelisted: true }
+  ]
+};
+
+const SPOT_META = {
+  tokens: [
+    token('USDC', 0),
+    token('USDT0', 1),
+    token('UBTC', 197, { fullName: 'Unit Bitcoin' }),
+    token('UETH', 221, { fullName: 'Unit Ethereum' }),
+    token('HYPE', 150),
+    token('USOL', 254, { evmContract: { address: '0x068f321fa8fb9f0d135f290ef6a3e2813e1c8a29' } }),
+    token('USOL', 400),
+    token('PURR', 401),
+    token('PURR', 402),
+    token('UFART', 269, { fullName: 'Unit Fartcoin' }),
+    token('OLD', 500)
+  ],
+  universe: [
+    pair(197, 0, 142),
+    pair(221, 1, 200),    // UETH only quoted in USDT0
+    pair(150, 0, 107),
+    pair(254, 0, 156),
+    pair(400, 0, 300),
+    pair(401, 0, 301),
+    pair(402, 0, 302),
+    pair(269, 0, 162),
+    pair(500, 0, 303)
+  ]
+};
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Pair Discovery Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: Matching
+  console.log('[Test 1] Matching');
+  {
+    const { pairs, ambiguous, unmatched } = matchPairs(META, SPOT_META);
+    const byPerp = Object.fromEntries(pairs.map(p => [p.perpSymbol, p]));
+
+    check('Only USDC-quoted markets considered', getUsdcSpotMarkets(SPOT_META).every(m => m.token.name !== 'UETH'));
+    check('Wrapped token matched', byPerp.BTC?.spotSymbol === 'UBTC' && byPerp.BTC.match === 'wrapped' && byPerp.BTC.spotCoin === '@142');
+    check('Same-name token matched', byPerp.HYPE?.spotSymbol === 'HYPE' && byPerp.HYPE.match === 'exact');
+    check('Linked EVM contract wins a tie', byPerp.SOL?.spotCoin === '@156' && byPerp.SOL.evmContract?.startsWith('0x'));
+
+    const purr = ambiguous.find(a => a.perpSymbol === 'PURR');
+    check('Tie without a contract is ambiguous', !byPerp.PURR && purr?.candidates.length === 2);
+    const fart = ambiguous.find(a => a.perpSymbol === 'FARTCOIN');
+    check('fullName match needs confirmation', !byPerp.FARTCOIN && fart?.candidates[0].spotSymbol === 'UFART' && fart.candidates[0].match === 'fullName');
+    check('No USDC market, no pair', !byPerp.ETH && unmatched.includes('ETH') && unmatched.includes('ZORA'));
+    check('Delisted perps skipped', !byPerp.OLD && !unmatched.includes('OLD'));
+
+    const confirmed = matchPairs(META, SPOT_META, { overrides: { FARTCOIN: 'UFART', ZORA: 'UZORA' } });
+    const fartcoin = confirmed.pairs.find(p => p.perpSymbol === 'FARTCOIN');
+    check('Confirmed in symbolMapping', fartcoin?.spotSymbol === 'UFART' && fartcoin.match === 'config' &&
+      !confirmed.ambiguous.some(a => a.perpSymbol === 'FARTCOIN'));
+    check('Override without a market reported', confirmed.invalidOverrides[0]?.spotSymbol === 'UZORA');
+  }
+  console.log();
+
+  const server = new MockHyperliquidServer({
+    markets: {
+      perps: [
+        ...DEFAULT_MARKETS.perps,
+        { name: 'FARTCOIN', szDecimals: 1, maxLeverage: 5, mid: 1.2, funding: 0.00003 },
+        { name: 'ZORA', szDecimals: 0, maxLeverage: 3, mid: 0.08, funding: 0.00001 }
+      ],
+      spots: [
+        ...DEFAULT_MARKETS.spots,
+        { token: 'UFART', tokenIndex: 269, pairIndex: 162, szDecimals: 1, mid: 1.21, fullName: 'Unit Fartcoin' }
+      ]
+    }
+  });
+  const urls = await server.start();
+  const hyperliquid = new HyperliquidConnector(urls);
+
+  try {
+    // Test 2: Discovery against the exchange
+    console.log('[Test 2] Discovery');
+    {
+      const discovery = await discoverPairs(hyperliquid, { overrides: { FARTCOIN: 'UFART' } });
+      check('Pairs read from meta/spotMeta', discovery.pairs.map(p => p.perpSymbol).sort().join() === 'BTC,ETH,FARTCOIN,HYPE');
+      check('Mapping registered on the connector', HyperliquidConnector.perpToSpot('FARTCOIN') === 'UFART' &&
+        HyperliquidConnector.spotToPerp('UFART') === 'FARTCOIN');
+      check('utils/symbols.js sees the same mapping', perpToSpot('FARTCOIN') === 'UFART' && spotToPerp('UETH') === 'ETH');
+
+      HyperliquidConnector.setSymbolMapping('FARTCOIN', 'FART2');
+      check('Re-registering replaces the reverse entry', spotToPerp('UFART') === 'UFART' && spotToPerp('FART2') === 'FARTCOIN');
+      HyperliquidConnector.setSymbolMapping('FARTCOIN', 'UFART');
+    }
+    console.log();
+
+    // Test 3: trading.pairs
+    console.log('[Test 3] trading.pairs');
+    {
+      check('"*" recognised', isWildcard('*') && isWildcard(['*', 'BTC']) && !isWildcard(['BTC']));
+
+      const all = await resolvePairs(hyperliquid, { trading: { pairs: '*' } });
+      check('"*" expands to confident pairs only', all.pairs.sort().join() === 'BTC,ETH,HYPE', all.pairs.join());
+
+      const confirmed = await resolvePairs(hyperliquid, { trading: { pairs: '*' }, symbolMapping: { perpToSpot: { FARTCOIN: 'UFART' } } });
+      check('Confirmed pairs join the scan', confirmed.pairs.includes('FARTCOIN'));
+
+      const explicit = await resolvePairs(hyperliquid, { trading: { pairs: ['ETH', 'ZORA'] } });
+      check('Explicit list kept as configured', explicit.pairs.join() === 'ETH,ZORA');
+    }
+    console.log();
+  } finally {
+    await server.stop();
+  }
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,207 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer } from './mock/mock-hyperliquid-server.js';
+import { PaperExchange, walkBook } from '../utils/paper.js';
+import { getBalances } from '../utils/balance.js';
+import { getPerpPositions, getSpotBalances, analyzeDeltaNeutral } from '../utils/positions.js';
+import { openDeltaNeutralPosition, closeDeltaNeutralPosition } from '../utils/trade.js';
+
+/**
+ * Test Paper Trading Mode (offline)
+ *
+ * Market data comes from tests/mock/mock-hyperliquid-server.js, orders go to
+ * utils/paper.js. No wallet is configured, and the test checks that no
+ * exchange action ever reaches the server.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const config = {
+  trading: {
+    minOrderSizeUSD: { BTC: 20, ETH: 20, HYPE: 20 },
+    balanceUtilizationPercent: 95,
+    maxSlippagePercent: 2.0
+  }
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const near = (a, b, tolerance = 0.01) => Math.abs(a - b) <= tolerance;
+
+function createOpportunity(symbol, perpMid, spotMid) {
+  return {
+    symbol,
+    bidAsk: { perpMid, spotMid },
+    funding: { fundingRate: 0.0000125 },
+    predictedFunding: { predictedFundingRate: 0.0000125 },
+    predictedFundingRate: 0.0000125 * 24 * 365,
+    avgFundingRate: 0.0000125 * 24 * 365
+  };
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Paper Trading Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: Book walking (pure)
+  console.log('[Test 1] Book walking');
+  {
+    const asks = [{ px: '100', sz: '1' }, { px: '101', sz: '1' }, { px: '103', sz: '5' }];
+    const fill = walkBook(asks, 2, 102, true);
+    check('Fills across two levels', fill.filledSz === 2 && fill.levelsUsed === 2);
+    check('Average price is size-weighted', near(fill.avgPx, 100.5, 1e-9));
+
+    const partial = walkBook(asks, 5, 101, true);
+    check('Stops at the limit price (partial IOC fill)', partial.filledSz === 2);
+
+    const none = walkBook([{ px: '99', sz: '1' }], 1, 100, false);
+    check('No fill when the book is through the limit', none.filledSz === 0 && none.avgPx === null);
+  }
+  console.log();
+
+  const server = new MockHyperliquidServer({ perpUsdc: 0, spotUsdc: 0 });
+  const urls = await server.start();
+  const accountFile = path.join(os.tmpdir(), `paper-account-${process.pid}.json`);
+
+  // No wallet or private key: paper mode must not need them
+  const hyperliquid = new HyperliquidConnector({ ...urls });
+  const paper = new PaperExchange(hyperliquid, {
+    accountFile,
+    initialPerpUsdc: 1000,
+    initialSpotUsdc: 1000,
+    verbose: false
+  }).attach();
+
+  try {
+    await hyperliquid.connect();
+
+    // Test 2: Virtual balance sheet
+    console.log('[Test 2] Virtual balances');
+    const balances = await getBalances(hyperliquid);
+    check('getBalances() reads the paper account', balances.perpBalance === 1000 && balances.spotBalance === 1000,
+      `perp=${balances.perpBalance}, spot=${balances.spotBalance}`);
+    console.log();
+
+    // Test 3: Open a delta-neutral position on paper
+    console.log('[Test 3] Open delta-neutral position');
+    const opened = await openDeltaNeutralPosition(
+      hyperliquid,
+      createOpportunity('BTC', 100000, 100010),
+      balances,
+      config,
+      { verbose: false, maxNotional: 500 }
+    );
+    check('Position opened', opened.success);
+    check('No exchange actions sent', server.requests.filter(r => r.kind === 'action').length === 0);
+    check('Leverage recorded on paper', paper.account.leverage.BTC?.value === 3);
+
+    const [perpPositions, spotBalances] = await Promise.all([
+      getPerpPositions(hyperliquid),
+      getSpotBalances(hyperliquid)
+    ]);
+    const analysis = analyzeDeltaNeutral(perpPositions, spotBalances);
+    check('Paper positions form a delta-neutral pair', analysis.deltaNeutralPairs.length === 1 && analysis.deltaNeutralPairs[0].symbol === 'BTC');
+
+    const spotFill = paper.account.fills.find(f => f.isSpot);
+    const expectedSpotUsdc = 1000 - spotFill.px * spotFill.sz * 1.0007;
+    check('SPOT USDC debited with fee', near(paper.account.spotUsdc, expectedSpotUsdc, 1e-6));
+    console.log();
+
+    // Test 4: Deep order walks the book
+    console.log('[Test 4] Depth-aware fills');
+    server.setOrderBook('ETH', {
+      bids: [[3499, 0.02], [3495, 0.02], [3490, 1]],
+      asks: [[3501, 0.02], [3505, 0.02], [3510, 1]]
+    }, { broadcast: false });
+    hyperliquid.orderbooks.delete('ETH');
+    const ethResult = await hyperliquid.createMarketOrder('ETH', 'sell', 0.05, { slippage: 0.01, overrideMidPrice: 3500 });
+    const ethFill = ethResult.response.data.statuses[0].filled;
+    check('Sell filled in full', parseFloat(ethFill.totalSz) === 0.05);
+    check('Average price reflects depth', near(parseFloat(ethFill.avgPx), (3499 * 0.02 + 3495 * 0.02 + 3490 * 0.01) / 0.05, 1e-6),
+      ethFill.avgPx);
+
+    const reduceOnly = await hyperliquid.createMarketOrder('HYPE', 'buy', 1, { reduceOnly: true, slippage: 0.01, overrideMidPrice: 40 });
+    check('Reduce-only without a position is rejected', !!reduceOnly.response.data.statuses[0].error);
+
+    const oversell = await hyperliquid.createMarketOrder('UETH', 'sell', 1, { isSpot: true, slippage: 0.01, overrideMidPrice: 3500 });
+    check('SPOT sell beyond balance is rejected', /Insufficient spot balance/.test(oversell.response.data.statuses[0].error || ''));
+
+    await hyperliquid.createMarketOrder('ETH', 'buy', 0.05, { reduceOnly: true, slippage: 0.01, overrideMidPrice: 3500 });
+    check('ETH test position flattened', !paper.account.perpPositions.ETH);
+    console.log();
+
+    // Test 5: Funding accrual from real funding history (catch-up after downtime)
+    console.log('[Test 5] Funding accrual');
+    const btc = paper.account.perpPositions.BTC;
+    const now = Date.now();
+    btc.lastFundingTime = now - 3 * HOUR_MS;
+    server.setFundingHistory('BTC', [
+      { time: now - 4 * HOUR_MS, fundingRate: 0.001 },   // before the position: ignored
+      { time: now - 2 * HOUR_MS, fundingRate: 0.0001 },
+      { time: now - HOUR_MS, fundingRate: 0.0002 }
+    ]);
+    const mark = parseFloat((await hyperliquid.getAllMids()).BTC);
+    const added = await paper.accrueFunding();
+    const expected = Math.abs(btc.szi) * mark * 0.0003;
+    check('Two hourly payments accrued', added.length === 2);
+    check('SHORT receives positive funding', near(paper.account.totals.funding, expected, 1e-9),
+      `${paper.account.totals.funding} vs ${expected}`);
+
+    const again = await paper.accrueFunding();
+    check('Hours are not paid twice', again.length === 0);
+
+    const history = await hyperliquid.getUserFundingHistory(null, 0);
+    check('getUserFundingHistory() served from paper', near(history.accumulated.BTC, expected, 1e-9));
+    console.log();
+
+    // Test 6: Persistence
+    console.log('[Test 6] Persistence');
+    const reloaded = new PaperExchange(hyperliquid, { accountFile, verbose: false });
+    check('Account reloaded from disk', reloaded.account.perpPositions.BTC?.szi === btc.szi && reloaded.account.fills.length === paper.account.fills.length);
+    console.log();
+
+    // Test 7: Close
+    console.log('[Test 7] Close delta-neutral position');
+    const closed = await closeDeltaNeutralPosition(hyperliquid, { ...opened, openTime: Date.now() }, config, { verbose: false });
+    check('Position closed', closed.success);
+    check('No PERP positions left', (await getPerpPositions(hyperliquid)).length === 0);
+    check('No SPOT tokens left', (await getSpotBalances(hyperliquid)).length === 0);
+
+    const summary = await paper.getSummary();
+    check('Equity = start + funding + trading PnL - fees',
+      near(summary.equity, 2000 + summary.funding + summary.realizedPnl - summary.fees, 1e-6),
+      `${summary.equity.toFixed(4)}`);
+    check('Still no exchange actions sent', server.requests.filter(r => r.kind === 'action').length === 0);
+    console.log();
+  } finally {
+    hyperliquid.disconnect();
+    await server.stop();
+    fs.rmSync(accountFile, { force: true });
+  }
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
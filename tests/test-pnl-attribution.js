@@ -0,0 +1,198 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer } from './mock/mock-hyperliquid-server.js';
+import { PaperExchange } from '../utils/paper.js';
+import { getBalances } from '../utils/balance.js';
+import { openDeltaNeutralPosition, closeDeltaNeutralPosition } from '../utils/trade.js';
+import { calculatePnlAttribution, summarizePnl, formatPnlAttribution, fillFeeUSD } from '../utils/pnl.js';
+import { closePortfolioPosition, getHistoryStats } from '../utils/state.js';
+
+/**
+ * Test PnL Attribution (offline)
+ *
+ * Splitting a closed position into funding, basis, delta, fees and slippage
+ * from fills and funding payments, the lifetime summary in getHistoryStats(),
+ * and open/close against the mock server and in paper mode.
+ */
+
+const config = {
+  trading: {
+    minOrderSizeUSD: { BTC: 20, ETH: 20, HYPE: 20 },
+    balanceUtilizationPercent: 95,
+    maxSlippagePercent: 2.0
+  }
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) <= tolerance;
+
+function createOpportunity(symbol, perpMid, spotMid) {
+  return {
+    symbol,
+    bidAsk: { perpMid, spotMid },
+    funding: { fundingRate: 0.0000125 },
+    predictedFunding: { predictedFundingRate: 0.0000125 },
+    predictedFundingRate: 0.0000125 * 24 * 365,
+    avgFundingRate: 0.0000125 * 24 * 365
+  };
+}
+
+const fill = (coin, side, px, sz, time, fee = '0.5', feeToken = 'USDC') => ({ coin, side, px: String(px), sz: String(sz), time, fee, feeToken });
+const funding = (coin, usdc, time) => ({ time, delta: { type: 'funding', coin, usdc: String(usdc) } });
+
+// Entry decided at t=1000 with mids PERP 101 / SPOT 100, exit at t=5000 with 110 / 109.5
+const TRADE = {
+  symbol: 'BTC',
+  spotCoin: '@142',
+  entry: { time: 1000, perpMid: 101, spotMid: 100 },
+  exit: { time: 5000, perpMid: 110, spotMid: 109.5 },
+  closeTime: 6000
+};
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('PnL Attribution Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: Attribution
+  console.log('[Test 1] Attribution');
+  {
+    const fills = [
+      fill('BTC', 'A', 100.9, 10, 1100),
+      fill('@142', 'B', 100.05, 10, 1100, '0.005', 'UBTC'),
+      fill('BTC', 'B', 110.1, 10, 5100),
+      fill('@142', 'A', 109.4, 10, 5100),
+      fill('ETH', 'A', 3500, 1, 2000),   // another coin
+      fill('BTC', 'A', 99, 1, 500)       // before the position
+    ];
+    const payments = [funding('BTC', 2.5, 2000), funding('BTC', 2.5, 3000), funding('ETH', 9, 3000), funding('BTC', 9, 7000)];
+    const pnl = calculatePnlAttribution(TRADE, fills, payments);
+
+    check('Only the position\'s fills and funding used', pnl.fillCount === 4 && pnl.fundingCount === 2 && near(pnl.fundingUSD, 5));
+    check('Spot fee in the bought token valued in USD', near(fillFeeUSD(fills[1]), 0.50025) && near(pnl.feesUSD, 1.5 + 0.50025));
+    check('Slippage against the decision-time mids', near(pnl.slippageUSD, 1 + 0.5 + 1 + 1), pnl.slippageUSD.toFixed(4));
+    check('Basis from entry +1 to exit +0.5 on 10', near(pnl.entryBasis, 1) && near(pnl.exitBasis, 0.5) && near(pnl.basisUSD, 5) && near(pnl.deltaUSD, 0));
+
+    // Fills' cash flow: PERP 1009 - 1101, SPOT -1000.5 + 1094
+    check('Net equals cash flow + funding - fees', near(pnl.tradingUSD, 1.5) && near(pnl.netUSD, 1.5 + 5 - pnl.feesUSD));
+    check('Net equals the sum of the components', near(pnl.netUSD, pnl.fundingUSD + pnl.basisUSD + pnl.deltaUSD - pnl.feesUSD - pnl.slippageUSD));
+
+    const unhedged = calculatePnlAttribution(TRADE, [
+      fill('BTC', 'A', 101, 10, 1100), fill('@142', 'B', 100, 11, 1100),
+      fill('BTC', 'B', 110, 10, 5100), fill('@142', 'A', 109.5, 11, 5100)
+    ]);
+    check('Unhedged SPOT size shows up as delta', near(unhedged.basisUSD, 5) && near(unhedged.deltaUSD, 9.5) && near(unhedged.slippageUSD, 0));
+
+    check('Formatted for logs', formatPnlAttribution(pnl) === 'Net $4.50 = funding $5.00 + basis $5.00 + delta $0.00 - fees $2.00 - slippage $3.50');
+  }
+  console.log();
+
+  // Test 2: Lifetime
+  console.log('[Test 2] Lifetime');
+  {
+    const pnl = { fundingUSD: 3, basisUSD: -1, deltaUSD: 0, feesUSD: 0.5, slippageUSD: 0.25, netUSD: 1.25 };
+    let state = {
+      positions: [
+        { symbol: 'BTC', openTime: Date.now() },
+        { symbol: 'ETH', openTime: Date.now() },
+        { symbol: 'HYPE', openTime: Date.now() }
+      ],
+      history: []
+    };
+    state = closePortfolioPosition(state, 'BTC', { reason: 'Test', totalPnl: -1, pnl });
+    state = closePortfolioPosition(state, 'ETH', { reason: 'Test', totalPnl: 2, pnl: { ...pnl, fundingUSD: 1, netUSD: -0.75 } });
+    state = closePortfolioPosition(state, 'HYPE', { reason: 'Old close', totalPnl: 0 });
+
+    const stats = getHistoryStats(state);
+    check('Breakdown kept in history', state.history[0].pnl.netUSD === 1.25 && state.history[2].pnl === null);
+    check('Lifetime sums attributed positions', stats.attribution.positions === 3 && stats.attribution.attributed === 2 &&
+      near(stats.attribution.fundingUSD, 4) && near(stats.attribution.netUSD, 0.5));
+    check('Per-coin totals', near(summarizePnl(state.history).bySymbol.ETH.netUSD, -0.75));
+    check('Empty history', getHistoryStats({ history: [] }).attribution.attributed === 0);
+  }
+  console.log();
+
+  // Test 3: Against the mock exchange
+  console.log('[Test 3] Mock exchange');
+  {
+    const server = new MockHyperliquidServer({ perpUsdc: 500, spotUsdc: 500 });
+    const urls = await server.start();
+    const account = ethers.Wallet.createRandom();
+    const hyperliquid = new HyperliquidConnector({ ...urls, wallet: account.address, privateKey: account.privateKey });
+
+    try {
+      await hyperliquid.connect();
+      const opened = await openDeltaNeutralPosition(hyperliquid, createOpportunity('BTC', 100000, 100010),
+        await getBalances(hyperliquid), config, { verbose: false, maxNotional: 200 });
+      check('Entry mids recorded', opened.entryMids?.perp === 100000 && opened.entryStartTime <= Date.now());
+
+      server.accrueFunding();
+      const closed = await closeDeltaNeutralPosition(hyperliquid, { ...opened, openTime: Date.now() }, config, { verbose: false });
+      const { pnl } = closed;
+      const received = (await hyperliquid.getUserFundingHistory(null, 0)).accumulated.BTC;
+      const fees = server.fills.reduce((sum, f) => sum + parseFloat(f.fee), 0);
+
+      check('Attribution attached to the close', pnl && pnl.fillCount === 4 && !pnl.estimated);
+      check('Funding from userFunding', received > 0 && near(pnl.fundingUSD, received, 1e-6));
+      check('Fees from userFills', near(pnl.feesUSD, fees, 1e-6) && pnl.feesUSD > 0);
+      check('Fill cash flow matches the close PnL', near(pnl.tradingUSD, closed.totalPnl, 1e-6), `${pnl.tradingUSD} vs ${closed.totalPnl}`);
+    } finally {
+      hyperliquid.disconnect();
+      await server.stop();
+    }
+  }
+  console.log();
+
+  // Test 4: Paper mode
+  console.log('[Test 4] Paper mode');
+  {
+    const server = new MockHyperliquidServer({ perpUsdc: 0, spotUsdc: 0 });
+    const urls = await server.start();
+    const accountFile = path.join(os.tmpdir(), `paper-pnl-${process.pid}.json`);
+    const hyperliquid = new HyperliquidConnector({ ...urls });
+    new PaperExchange(hyperliquid, { accountFile, initialPerpUsdc: 1000, initialSpotUsdc: 1000, verbose: false }).attach();
+
+    try {
+      await hyperliquid.connect();
+      const opened = await openDeltaNeutralPosition(hyperliquid, createOpportunity('ETH', 3500, 3500),
+        await getBalances(hyperliquid), config, { verbose: false, maxNotional: 100 });
+      const closed = await closeDeltaNeutralPosition(hyperliquid, { ...opened, openTime: Date.now() }, config, { verbose: false });
+
+      const fills = await hyperliquid.getUserFills();
+      check('userFills served from paper', fills.length === 4 && fills[0].time >= fills[3].time && fills.some(f => f.coin.startsWith('@')));
+      check('Paper close attributed', closed.pnl?.fillCount === 4 && closed.pnl.feesUSD > 0 && closed.pnl.slippageUSD > 0);
+    } finally {
+      hyperliquid.disconnect();
+      await server.stop();
+      fs.rmSync(accountFile, { force: true });
+    }
+  }
+  console.log();
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,244 @@
+import { allocateCapital, planPortfolio, formatPortfolioPlan } from '../utils/portfolio.js';
+import { addPortfolioPosition, closePortfolioPosition, getPositions } from '../utils/state.js';
+
+/**
+ * Test Portfolio Allocation and Planning (offline)
+ *
+ * Verifies the portfolio mode logic without touching the API:
+ * 1. Equal, funding-weighted and capped allocation rules
+ * 2. Per-coin cap redistribution, minimum order size drops and per-coin notional
+ * 3. Per-position hold / close / switch decisions
+ * 4. Portfolio state helpers
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_HOLD_TIME_MS = 14 * DAY_MS;
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const near = (a, b, tolerance = 0.01) => Math.abs(a - b) <= tolerance;
+
+function createOpportunity(symbol, fundingAPY) {
+  return {
+    symbol,
+    primaryFundingRate: fundingAPY / 100,
+    primaryFundingPercent: fundingAPY,
+    predictedFundingPercent: fundingAPY,
+    avgFundingRate: fundingAPY / 100
+  };
+}
+
+function createPosition(symbol, fundingAPY, ageDays) {
+  return {
+    symbol,
+    perpSymbol: symbol,
+    spotSymbol: `U${symbol}`,
+    positionValue: 100,
+    fundingRate: fundingAPY / 100 / 365 / 24,
+    annualizedFunding: fundingAPY / 100,
+    openTime: Date.now() - ageDays * DAY_MS
+  };
+}
+
+function createAnalysis(opportunities, rawFunding = []) {
+  return {
+    rankedOpportunities: opportunities,
+    marketData: {
+      fundingRates: rawFunding,
+      predictedFundingRates: new Map()
+    }
+  };
+}
+
+console.log('='.repeat(80));
+console.log('Portfolio Allocation Test');
+console.log('='.repeat(80));
+console.log();
+
+// Test 1: Equal weight
+console.log('[Test 1] Equal allocation');
+{
+  const candidates = [createOpportunity('BTC', 20), createOpportunity('ETH', 10), createOpportunity('SOL', 5)];
+  const result = allocateCapital(candidates, 900, { allocation: 'equal' });
+  check('Three allocations', result.allocations.length === 3);
+  check('Each gets $300', result.allocations.every(a => near(a.notional, 300)));
+  check('Nothing unallocated', near(result.unallocated, 0));
+}
+console.log();
+
+// Test 2: Funding-weighted
+console.log('[Test 2] Funding-weighted allocation');
+{
+  const candidates = [createOpportunity('BTC', 30), createOpportunity('ETH', 10)];
+  const result = allocateCapital(candidates, 400, { allocation: 'funding-weighted' });
+  check('BTC gets 75%', near(result.allocations[0].notional, 300));
+  check('ETH gets 25%', near(result.allocations[1].notional, 100));
+}
+console.log();
+
+// Test 3: Per-coin cap redistributes excess
+console.log('[Test 3] Per-coin cap');
+{
+  const candidates = [createOpportunity('BTC', 80), createOpportunity('ETH', 10), createOpportunity('SOL', 10)];
+  const result = allocateCapital(candidates, 1000, { allocation: 'funding-weighted', maxPerCoinPercent: 50 });
+  check('BTC capped at $500', near(result.allocations[0].notional, 500));
+  check('Excess split between ETH and SOL', near(result.allocations[1].notional, 250) && near(result.allocations[2].notional, 250));
+}
+console.log();
+
+// Test 4: Capped rule fills best-ranked first
+console.log('[Test 4] Capped allocation');
+{
+  const candidates = [createOpportunity('BTC', 20), createOpportunity('ETH', 10), createOpportunity('SOL', 5)];
+  const result = allocateCapital(candidates, 1000, { allocation: 'capped', maxPerCoinPercent: 40, config: { trading: { minOrderSizeUSD: { SOL: 20 } } } });
+  const bySymbol = Object.fromEntries(result.allocations.map(a => [a.symbol, a.notional]));
+  check('BTC gets $400', near(bySymbol.BTC, 400));
+  check('ETH gets $400', near(bySymbol.ETH, 400));
+  check('SOL gets the remaining $200', near(bySymbol.SOL, 200));
+}
+console.log();
+
+// Test 5: Allocations below minimum order size are dropped and redistributed
+console.log('[Test 5] Minimum order size');
+{
+  const config = { trading: { minOrderSizeUSD: { BTC: 20, ETH: 20, SOL: 20 } } };
+  const candidates = [createOpportunity('BTC', 20), createOpportunity('ETH', 10), createOpportunity('SOL', 5)];
+  const result = allocateCapital(candidates, 50, { allocation: 'equal', config });
+  check('Weakest candidate dropped', result.dropped.length === 1 && result.dropped[0].symbol === 'SOL');
+  check('Remaining two get $25 each', result.allocations.length === 2 && result.allocations.every(a => near(a.notional, 25)));
+}
+console.log();
+
+// Test 6: Cap relative to the whole portfolio
+console.log('[Test 6] Cap base includes deployed capital');
+{
+  const result = allocateCapital([createOpportunity('BTC', 20)], 800, { allocation: 'equal', maxPerCoinPercent: 50, capBaseNotional: 1000 });
+  check('New position capped at $500 of $1000 portfolio', near(result.allocations[0].notional, 500));
+  check('$300 left unallocated', near(result.unallocated, 300));
+}
+console.log();
+
+// Test 7: Shares of capital sized at each coin's leverage
+console.log('[Test 7] Per-coin notional');
+{
+  // $600 free at the default 3x; BTC opens at 2x, where the same capital carries 2/3 as much
+  const leverage = { BTC: 2, ETH: 3 };
+  const notionalFor = (candidate, amount) => amount * (leverage[candidate.symbol] === 2 ? 2 / 3 : 1);
+  const candidates = [createOpportunity('BTC', 20), createOpportunity('ETH', 10)];
+  const result = allocateCapital(candidates, 600, { allocation: 'equal', notionalFor });
+  const btc = result.allocations.find(a => a.symbol === 'BTC');
+  const eth = result.allocations.find(a => a.symbol === 'ETH');
+  check('Equal shares of capital', near(btc.amount, 300) && near(eth.amount, 300) && near(btc.weight, 0.5));
+  check('Notional at each coin\'s leverage', near(btc.notional, 200) && near(eth.notional, 300));
+
+  const config = { trading: { minOrderSizeUSD: { BTC: 25, ETH: 20 } } };
+  const small = allocateCapital(candidates, 70, { allocation: 'equal', notionalFor, config });
+  check('Minimum checked against the converted notional', small.dropped[0]?.symbol === 'BTC' && near(small.allocations[0].notional, 70));
+}
+console.log();
+
+// Test 8: Unknown rule
+console.log('[Test 8] Unknown allocation rule');
+{
+  let threw = false;
+  try {
+    allocateCapital([createOpportunity('BTC', 20)], 100, { allocation: 'random' });
+  } catch (error) {
+    threw = true;
+  }
+  check('Throws on unknown rule', threw);
+}
+console.log();
+
+// Test 9: Per-position decisions
+console.log('[Test 9] Per-position planning');
+{
+  const positions = [
+    createPosition('BTC', 12, 20),    // old, competitive
+    createPosition('ETH', 8, 3),      // young -> hold regardless
+    createPosition('SOL', 10, 20)     // old, funding turned negative
+  ];
+  const analysis = createAnalysis(
+    [createOpportunity('BTC', 12), createOpportunity('HYPE', 15), createOpportunity('PURR', 9)],
+    [{ symbol: 'SOL', annualizedRate: -0.05 }, { symbol: 'ETH', annualizedRate: -0.1 }]
+  );
+  const plan = planPortfolio(positions, analysis, {
+    maxPositions: 3,
+    minHoldTimeMs: MIN_HOLD_TIME_MS,
+    improvementFactor: 2,
+    minFundingRatePercent: 5
+  });
+  const bySymbol = Object.fromEntries(plan.decisions.map(d => [d.position.symbol, d]));
+
+  check('BTC held (competitive)', bySymbol.BTC.action === 'hold');
+  check('ETH held (within min hold time)', bySymbol.ETH.action === 'hold' && bySymbol.ETH.reason === 'Within minimum hold time');
+  check('SOL switched to best unheld (HYPE)', bySymbol.SOL.action === 'switch' && bySymbol.SOL.replacement.symbol === 'HYPE');
+  check('Only HYPE is opened (slots full)', plan.toOpen.length === 1 && plan.toOpen[0].symbol === 'HYPE');
+
+  console.log();
+  console.log(formatPortfolioPlan(plan));
+}
+console.log();
+
+// Test 10: Switch on significantly better opportunity, fill empty slots
+console.log('[Test 10] Switch and fill free slots');
+{
+  const positions = [createPosition('BTC', 6, 30)];
+  const analysis = createAnalysis([
+    createOpportunity('HYPE', 25),
+    createOpportunity('PURR', 11),
+    createOpportunity('BTC', 6)
+  ]);
+  const plan = planPortfolio(positions, analysis, {
+    maxPositions: 3,
+    minHoldTimeMs: MIN_HOLD_TIME_MS,
+    improvementFactor: 2,
+    minFundingRatePercent: 5
+  });
+  check('BTC switched (25% >= 2 x 6%)', plan.decisions[0].action === 'switch');
+  check('HYPE and PURR opened', plan.toOpen.map(o => o.symbol).join(',') === 'HYPE,PURR');
+}
+console.log();
+
+// Test 11: Negative funding with no replacement closes
+console.log('[Test 11] Close without replacement');
+{
+  const positions = [createPosition('BTC', 10, 30)];
+  const analysis = createAnalysis([], [{ symbol: 'BTC', annualizedRate: -0.02 }]);
+  const plan = planPortfolio(positions, analysis, { minHoldTimeMs: MIN_HOLD_TIME_MS });
+  check('BTC closed', plan.decisions[0].action === 'close');
+  check('Nothing to open', plan.toOpen.length === 0);
+}
+console.log();
+
+// Test 12: State helpers
+console.log('[Test 12] Portfolio state helpers');
+{
+  let state = { version: '1.0', position: null, positions: [], history: [] };
+  state = addPortfolioPosition(state, { symbol: 'BTC', positionValue: 100 });
+  state = addPortfolioPosition(state, { symbol: 'ETH', positionValue: 50 });
+  check('Two positions recorded', getPositions(state).length === 2);
+  check('Each position has its own openTime', getPositions(state).every(p => typeof p.openTime === 'number'));
+
+  state = closePortfolioPosition(state, 'BTC', { reason: 'Test', perpClosePrice: 1, spotClosePrice: 1, totalPnl: 2 });
+  check('BTC removed from portfolio', getPositions(state).map(p => p.symbol).join(',') === 'ETH');
+  check('BTC moved to history', state.history.length === 1 && state.history[0].closeReason === 'Test');
+}
+console.log();
+
+console.log('='.repeat(80));
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('='.repeat(80));
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,178 @@
+import { ethers } from 'ethers';
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer } from './mock/mock-hyperliquid-server.js';
+import {
+  WeightedRateLimiter,
+  getSharedRestLimiter,
+  requestWeight,
+  responseWeight,
+  DEFAULT_INFO_WEIGHT
+} from '../utils/rate-limiter.js';
+
+/**
+ * Test Weighted Rate Limiter (offline)
+ *
+ * Request weights, priority lanes, budget adaptation on 429 and the
+ * process-wide REST limiter, plus the connector's 429 handling against the mock server.
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Rate Limiter Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: Weights
+  console.log('[Test 1] Weights');
+  {
+    check('l2Book and allMids weigh 2', requestWeight({ type: 'l2Book', coin: 'ETH' }) === 2 && requestWeight({ type: 'allMids' }) === 2);
+    check('Other info requests weigh 20', requestWeight({ type: 'metaAndAssetCtxs' }) === DEFAULT_INFO_WEIGHT);
+    check('userRole weighs 60', requestWeight({ type: 'userRole' }) === 60);
+    check('Single action weighs 1, batch of 80 weighs 3', requestWeight({ action: { type: 'order', orders: [{}] } }) === 1 &&
+      requestWeight({ action: { type: 'order', orders: new Array(80).fill({}) } }) === 3);
+    check('Candles add 1 per 60 returned', responseWeight('candleSnapshot', new Array(130)) === 2 && responseWeight('allMids', {}) === 0);
+  }
+  console.log();
+
+  // Test 2: Lanes
+  console.log('[Test 2] Priority lanes');
+  {
+    const limiter = new WeightedRateLimiter({ maxWeight: 10, windowMs: 300, verbose: false });
+    const order = [];
+
+    await limiter.acquire(10, 'high');
+    const waiting = [
+      limiter.acquire(2, 'low').then(() => order.push('low1')),
+      limiter.acquire(2, 'low').then(() => order.push('low2')),
+      limiter.acquire(2, 'normal').then(() => order.push('normal')),
+      limiter.acquire(2, 'high').then(() => order.push('high'))
+    ];
+    check('Full window queues requests', limiter.getStats().queued === 4);
+
+    await Promise.all(waiting);
+    check('Higher lanes served first, FIFO within a lane', order.join() === 'high,normal,low1,low2', order.join());
+
+    // Low lane may use half the budget: 3 × 2 = 6 > 5, so the third low request waits
+    const lowLimiter = new WeightedRateLimiter({ maxWeight: 10, windowMs: 300, verbose: false });
+    await lowLimiter.acquire(2, 'low');
+    await lowLimiter.acquire(2, 'low');
+    let third = false;
+    lowLimiter.acquire(2, 'low').then(() => { third = true; });
+    await lowLimiter.acquire(4, 'high');
+    check('Low lane capped, high lane still has room', !third && lowLimiter.used() === 8);
+
+    const oversize = new WeightedRateLimiter({ maxWeight: 10, windowMs: 300, verbose: false });
+    const started = Date.now();
+    await oversize.acquire(60, 'normal');
+    check('Request above the budget allowed into an empty window', Date.now() - started < 50);
+
+    let threw = false;
+    try {
+      await oversize.acquire(1, 'urgent');
+    } catch (error) {
+      threw = /Unknown rate limit lane/.test(error.message);
+    }
+    check('Unknown lane rejected', threw);
+  }
+  console.log();
+
+  // Test 3: 429 adaptation
+  console.log('[Test 3] 429');
+  {
+    const limiter = new WeightedRateLimiter({ maxWeight: 100, windowMs: 300, minWeight: 30, recoveryStep: 25, verbose: false });
+    limiter.record429(100);
+    check('Budget halved', limiter.budget === 50);
+    limiter.record429(100);
+    check('Budget floored at minWeight', limiter.budget === 30);
+
+    const started = Date.now();
+    await limiter.acquire(1, 'high');
+    check('Every lane paused for Retry-After', Date.now() - started >= 90, `${Date.now() - started}ms`);
+
+    // Two windows since the last 429: +25 twice
+    await sleep(550);
+    await limiter.acquire(1, 'normal');
+    check('Budget recovers per window without a 429', limiter.budget === 80, `${limiter.budget}`);
+    check('Throttles counted', limiter.getStats().throttled === 2);
+  }
+  console.log();
+
+  // Test 4: Shared limiter
+  console.log('[Test 4] Shared limiter');
+  {
+    const a = new HyperliquidConnector({ restUrl: 'http://127.0.0.1:1/info' });
+    const b = new HyperliquidConnector({ testnet: true });
+    check('Connectors share one REST limiter', a.restRateLimiter === b.restRateLimiter && a.restRateLimiter === getSharedRestLimiter());
+    check('Budget is 1200 per minute', a.restRateLimiter.maxWeight === 1200 && a.restRateLimiter.windowMs === 60000);
+  }
+  console.log();
+
+  // Test 5: Connector against 429s
+  console.log('[Test 5] Connector');
+  const server = new MockHyperliquidServer();
+  const urls = await server.start();
+  const account = ethers.Wallet.createRandom();
+  const limiter = new WeightedRateLimiter({ maxWeight: 1200, windowMs: 60000, backoffMs: 50, verbose: false });
+  const hyperliquid = new HyperliquidConnector({
+    ...urls,
+    wallet: account.address,
+    privateKey: account.privateKey,
+    restRateLimiter: limiter
+  });
+
+  try {
+    server.rejectRest = 1;
+    server.retryAfterSeconds = 0.1;
+    const started = Date.now();
+    const mids = await hyperliquid.info({ type: 'allMids' });
+    check('429 retried after Retry-After', parseFloat(mids.ETH) > 0 && Date.now() - started >= 90 &&
+      server.requests.filter(r => r.payload?.type === 'allMids').length === 2);
+    check('Budget shrunk', limiter.budget === 600);
+
+    server.rejectRest = 10;
+    server.retryAfterSeconds = null;
+    let error = null;
+    try {
+      await hyperliquid.info({ type: 'meta' });
+    } catch (e) {
+      error = e;
+    }
+    check('Gives up after maxRetries429', /HTTP 429/.test(error?.message) && server.rejectRest === 6);
+    server.rejectRest = 0;
+
+    await hyperliquid.withPriority('low', () => hyperliquid.info({ type: 'meta' }));
+    await hyperliquid.info({ type: 'allMids' }, { priority: 'high' });
+    const granted = limiter.getStats().granted;
+    check('Lane taken from withPriority() or options', granted.low === 1 && granted.high === 1);
+    check('Lane defaults to normal', hyperliquid.getPriority() === 'normal');
+  } finally {
+    await server.stop();
+  }
+  console.log();
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
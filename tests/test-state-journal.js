@@ -0,0 +1,145 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  loadState,
+  saveState,
+  migrateState,
+  writeFileAtomic,
+  appendEvent,
+  readEvents,
+  getJournalFile,
+  recordPosition,
+  STATE_VERSION
+} from '../utils/state.js';
+
+/**
+ * Test State Persistence (offline)
+ *
+ * Atomic saves, refusal to load a damaged state file, schema migrations and
+ * the append-only event journal in utils/state.js, using a temp directory.
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+function loadError(file) {
+  try {
+    loadState(file);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('State Journal Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-state-'));
+  const file = path.join(dir, 'bot-state.json');
+
+  try {
+    // Test 1: Atomic saves
+    console.log('[Test 1] Saving');
+    {
+      const fresh = loadState(file);
+      check('Missing file starts from the default state', fresh.position === null && fresh.version === STATE_VERSION);
+
+      const state = recordPosition(fresh, { symbol: 'ETH', perpSize: 0.1, spotSize: 0.1 });
+      saveState(state, file);
+      check('Saved state loads back', loadState(file).position?.symbol === 'ETH');
+      check('No temp file left behind', fs.readdirSync(dir).every(f => !f.endsWith('.tmp')));
+
+      // A crash between writing the temp file and the rename leaves the old state in place
+      fs.writeFileSync(`${file}.999.tmp`, '{"position": {"symb', 'utf8');
+      check('Half-written temp file is ignored', loadState(file).position?.symbol === 'ETH');
+
+      writeFileAtomic(path.join(dir, 'other.json'), '{"a":1}');
+      check('writeFileAtomic writes the contents', fs.readFileSync(path.join(dir, 'other.json'), 'utf8') === '{"a":1}');
+    }
+    console.log();
+
+    // Test 2: Damaged files
+    console.log('[Test 2] Unreadable state');
+    {
+      const truncated = path.join(dir, 'truncated.json');
+      fs.writeFileSync(truncated, '{"version": 2, "position": {"symbol": "ETH"', 'utf8');
+      check('Truncated file refuses to load', /unreadable/.test(loadError(truncated) || ''));
+      check('Damaged file left untouched', fs.readFileSync(truncated, 'utf8').endsWith('"ETH"'));
+
+      const notObject = path.join(dir, 'array.json');
+      fs.writeFileSync(notObject, '[]', 'utf8');
+      check('Non-object JSON refuses to load', /state object/.test(loadError(notObject) || ''));
+    }
+    console.log();
+
+    // Test 3: Migrations
+    console.log('[Test 3] Migrations');
+    {
+      const v1 = path.join(dir, 'v1.json');
+      fs.writeFileSync(v1, JSON.stringify({ version: '1.0', position: { symbol: 'BTC' }, history: null }), 'utf8');
+      const migrated = loadState(v1);
+      check('v1 file upgraded', migrated.version === STATE_VERSION && migrated.position.symbol === 'BTC');
+      check('Missing lists filled in', Array.isArray(migrated.positions) && Array.isArray(migrated.pendingOrders) && Array.isArray(migrated.history));
+      check('Unversioned state treated as v1', migrateState({ position: null }).version === STATE_VERSION);
+
+      const future = path.join(dir, 'future.json');
+      fs.writeFileSync(future, JSON.stringify({ version: STATE_VERSION + 1 }), 'utf8');
+      check('Newer version refuses to load', /newer than this bot supports/.test(loadError(future) || ''));
+
+      saveState({ ...migrated, version: '1.0' }, v1);
+      check('Saved with the current version', JSON.parse(fs.readFileSync(v1, 'utf8')).version === STATE_VERSION);
+    }
+    console.log();
+
+    // Test 4: Event journal
+    console.log('[Test 4] Event journal');
+    {
+      check('Journal sits next to the state file', getJournalFile(file) === path.join(dir, 'bot-state.journal.jsonl') &&
+        getJournalFile('./bot-state.paper.json') === 'bot-state.paper.journal.jsonl');
+
+      appendEvent('position_opened', { symbol: 'ETH', perpSize: 0.1 }, file);
+      appendEvent('leg_filled', { coin: 'ETH', sz: '0.1' }, file);
+      appendEvent('position_closed', { symbol: 'ETH', totalPnl: 1.5 }, file);
+      fs.appendFileSync(getJournalFile(file), '{"time": 1, "type": "hed', 'utf8');
+
+      const events = readEvents(file);
+      check('Events read back in order', events.map(e => e.type).join() === 'position_opened,leg_filled,position_closed');
+      check('Events are timestamped', events.every(e => Number.isFinite(e.time)));
+      check('Filter by type', readEvents(file, { type: 'position_closed' })[0]?.totalPnl === 1.5);
+
+      appendEvent('hedged', { perpSymbol: 'ETH' }, file);
+      check('Event after a cut-off line still readable', readEvents(file, { type: 'hedged' })[0]?.perpSymbol === 'ETH');
+
+      const unwritable = path.join(dir, 'missing-dir', 'bot-state.json');
+      check('Failed append returns false instead of throwing', appendEvent('hedged', {}, unwritable) === false);
+    }
+    console.log();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
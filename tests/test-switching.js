@@ -0,0 +1,167 @@
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer, buildBook } from './mock/mock-hyperliquid-server.js';
+import { estimateSwitchCost, evaluateSwitch, projectFunding, assessSwitch, getTakerFees, formatSwitchDecision } from '../utils/switching.js';
+import { planPortfolio } from '../utils/portfolio.js';
+
+/**
+ * Test Switching Decision (offline)
+ *
+ * Round-trip cost of a rotation (fees, slippage, basis) from book depth,
+ * funding projected over the horizon, and assessSwitch() against the mock
+ * server's books and fee tier.
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const near = (a, b, tolerance = 0.01) => Math.abs(a - b) <= tolerance;
+
+// buildBook() levels as hyperliquid.getDepth() returns them
+function depth(mid, options = {}) {
+  const book = buildBook(mid, options);
+  const levels = side => side.map(([price, size]) => ({ price, size, numOrders: 1 }));
+  return { bids: levels(book.bids), asks: levels(book.asks) };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Switching Decision Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: Cost model
+  console.log('[Test 1] Cost');
+  {
+    const fees = { perp: 0.00045, spot: 0.0007 };
+    // Zero-spread books, no basis: only fees
+    const flat = { spreadBps: 0, stepBps: 0, levelNotional: 1e9 };
+    const cost = estimateSwitchCost(
+      { perpDepth: depth(100, flat), spotDepth: depth(100, flat), perpSize: 10, spotSize: 10 },
+      { perpDepth: depth(50, flat), spotDepth: depth(50, flat), size: 20 },
+      fees
+    );
+    check('Four taker fills at the fee tier', near(cost.feesUSD, 1000 * (0.00045 + 0.0007) * 2, 1e-6) && near(cost.slippageUSD, 0, 1e-9));
+
+    const spread = estimateSwitchCost(
+      { perpDepth: depth(100, { spreadBps: 10 }), spotDepth: depth(100, { spreadBps: 10 }), perpSize: 10, spotSize: 10 },
+      { perpDepth: depth(50, { spreadBps: 10 }), spotDepth: depth(50, { spreadBps: 10 }), size: 20 },
+      { perp: 0, spot: 0 }
+    );
+    check('Half the spread paid on every leg', near(spread.slippageUSD, 4 * 1000 * 0.0005, 1e-6), spread.slippageUSD.toFixed(4));
+
+    const basis = estimateSwitchCost(
+      { perpDepth: depth(101, flat), spotDepth: depth(100, flat), perpSize: 10, spotSize: 10 },
+      { perpDepth: depth(50, flat), spotDepth: depth(50.5, flat), size: 20 },
+      { perp: 0, spot: 0 }
+    );
+    check('Basis of both pairs counted', near(basis.basisUSD, 10 * 1 + 20 * 0.5, 1e-6) && near(basis.totalUSD, 20, 1e-6));
+
+    const thin = estimateSwitchCost(
+      { perpDepth: depth(100, { levels: 1, levelNotional: 100 }), spotDepth: depth(100), perpSize: 10, spotSize: 10 },
+      { perpDepth: depth(50), spotDepth: depth(50), size: 20 },
+      fees
+    );
+    check('Thin book flagged', !thin.fullyFilled);
+  }
+  console.log();
+
+  // Test 2: Decision
+  console.log('[Test 2] Decision');
+  {
+    check('Funding projected over the horizon', near(projectFunding(0.365, 10000, 7), 70, 1e-9));
+
+    const cost = { totalUSD: 10, fullyFilled: true };
+    const base = { notional: 10000, cost, horizonDays: 7, marginFactor: 1.5 };
+
+    const small = evaluateSwitch({ ...base, currentRate: 0.10, candidateRate: 0.15 });
+    check('Gain below margin × cost holds', !small.switch && near(small.gainUSD, 9.59, 0.01) && near(small.requiredUSD, 15, 1e-9));
+
+    const large = evaluateSwitch({ ...base, currentRate: 0.10, candidateRate: 0.20 });
+    check('Gain above margin × cost switches', large.switch && /≥ 1.5x cost/.test(large.reason));
+
+    // 2x better funding, but not enough to pay for a costly rotation
+    const doubled = evaluateSwitch({ ...base, currentRate: 0.05, candidateRate: 0.10, cost: { totalUSD: 8, fullyFilled: true } });
+    check('Flat 2x improvement no longer enough on its own', !doubled.switch);
+
+    const thin = evaluateSwitch({ ...base, currentRate: 0.01, candidateRate: 1, cost: { totalUSD: 1, fullyFilled: false } });
+    check('Never switch into a book that cannot fill', !thin.switch && /too thin/.test(thin.reason));
+  }
+  console.log();
+
+  const server = new MockHyperliquidServer({ fees: { perp: 0.0003, spot: 0.0005 } });
+  const urls = await server.start();
+  const hyperliquid = new HyperliquidConnector({ ...urls, wallet: '0x0000000000000000000000000000000000000001' });
+
+  try {
+    // Test 3: Against the exchange
+    console.log('[Test 3] assessSwitch');
+    {
+      const fees = await getTakerFees(hyperliquid);
+      check('Fee tier read from the account', fees.source === 'account' && fees.perp === 0.0003 && fees.spot === 0.0005);
+
+      const unknown = await getTakerFees(new HyperliquidConnector({ ...urls }));
+      check('Base tier without an account', unknown.source === 'default' && unknown.perp === 0.00045);
+
+      const position = { symbol: 'ETH', spotSymbol: 'UETH', perpSize: 1, spotSize: 1, annualizedFunding: 0.10 };
+      const config = { switching: { horizonDays: 7, marginFactor: 1.5 }, bot: { improvementFactor: 2 } };
+
+      const hold = await assessSwitch(hyperliquid, position, { symbol: 'BTC', primaryFundingRate: 0.15 }, config);
+      check('Cost estimated from the books', hold.model === 'cost' && hold.cost.feesUSD > 0 && hold.cost.slippageUSD > 0 && near(hold.notional, 3500, 1));
+      check('Small improvement held', !hold.switch);
+
+      const go = await assessSwitch(hyperliquid, position, { symbol: 'BTC', primaryFundingRate: 0.50 }, config);
+      check('Large improvement switches', go.switch);
+      check('Reasoning logged', /ETH → BTC: ✅ switch/.test(formatSwitchDecision(go)) && /fees \$/.test(formatSwitchDecision(go)));
+
+      const noBook = await assessSwitch(hyperliquid, position, { symbol: 'DOGE', primaryFundingRate: 0.50 }, config);
+      check('Falls back to improvementFactor without books', noBook.model === 'factor' && noBook.switch && /Cost estimate unavailable/.test(noBook.reason));
+
+      const disabled = await assessSwitch(hyperliquid, position, { symbol: 'BTC', primaryFundingRate: 0.15 }, { ...config, switching: { enabled: false } });
+      check('Disabled model uses improvementFactor', disabled.model === 'factor' && !disabled.switch);
+    }
+    console.log();
+  } finally {
+    await server.stop();
+  }
+
+  // Test 4: Portfolio planner hook
+  console.log('[Test 4] Portfolio');
+  {
+    const positions = [{ symbol: 'ETH', annualizedFunding: 0.10, openTime: Date.now() - 30 * DAY_MS }];
+    const analysis = {
+      rankedOpportunities: [
+        { symbol: 'BTC', primaryFundingRate: 0.40, primaryFundingPercent: 40 },
+        { symbol: 'ETH', primaryFundingRate: 0.10, primaryFundingPercent: 10, predictedFundingPercent: 10, predictedFundingRate: 0.10 }
+      ],
+      allOpportunities: []
+    };
+    const options = { maxPositions: 1, minHoldTimeMs: DAY_MS, minFundingRatePercent: 5 };
+
+    check('Default rule still switches on 2x funding', planPortfolio(positions, analysis, options).decisions[0].action === 'switch');
+    check('shouldSwitch overrides the rule', planPortfolio(positions, analysis, { ...options, shouldSwitch: () => false }).decisions[0].action === 'hold');
+  }
+  console.log();
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,153 @@
+import { ethers } from 'ethers';
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer } from './mock/mock-hyperliquid-server.js';
+import { WeightedRateLimiter } from '../utils/rate-limiter.js';
+import { getBidAskSpreads } from '../utils/spread.js';
+import { getAllFundingRates } from '../utils/funding.js';
+import { getBalances } from '../utils/balance.js';
+import { getPerpPositions } from '../utils/positions.js';
+import { updateLeverage } from '../utils/leverage.js';
+
+/**
+ * Test Info/Exchange Transport (offline)
+ *
+ * hyperliquid.info() and hyperliquid.exchange() against the mock server: the
+ * WebSocket post channel when connected, REST fallback, configured URLs and
+ * the shared REST rate limiter, plus the utils modules that go through them.
+ */
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('Transport Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: URLs
+  console.log('[Test 1] URLs');
+  {
+    const testnet = new HyperliquidConnector({ testnet: true });
+    check('Testnet info and exchange URLs', /testnet/.test(testnet.restUrl) && /testnet/.test(testnet.exchangeUrl));
+  }
+  console.log();
+
+  const server = new MockHyperliquidServer({ perpUsdc: 1000, spotUsdc: 500 });
+  const urls = await server.start();
+  const account = ethers.Wallet.createRandom();
+  const hyperliquid = new HyperliquidConnector({
+    ...urls,
+    wallet: account.address,
+    privateKey: account.privateKey,
+    requestTimeout: 200
+  });
+
+  const since = () => {
+    const start = server.requests.length;
+    return () => server.requests.slice(start);
+  };
+
+  try {
+    // Test 2: REST before connecting
+    console.log('[Test 2] REST');
+    {
+      const sent = since();
+      const meta = await hyperliquid.info({ type: 'meta' });
+      check('Info over REST when disconnected', meta.universe?.length > 0 && sent().every(r => r.transport === 'rest'));
+    }
+    console.log();
+
+    await hyperliquid.connect();
+
+    // Test 3: WebSocket post
+    console.log('[Test 3] WebSocket');
+    {
+      const sent = since();
+      const mids = await hyperliquid.info({ type: 'allMids' });
+      check('Info over WebSocket when connected', parseFloat(mids.ETH) > 0 && sent().length === 1 && sent()[0].transport === 'ws');
+
+      const restOnly = since();
+      await hyperliquid.info({ type: 'allMids' }, { useRest: true });
+      check('useRest forces REST', restOnly()[0]?.transport === 'rest');
+
+      const lost = since();
+      server.dropWsResponses = 1;
+      const meta = await hyperliquid.info({ type: 'meta' });
+      check('Timed-out post retried over REST', meta.universe?.length > 0 &&
+        lost().map(r => r.transport).join() === 'ws,rest');
+    }
+    console.log();
+
+    // Test 4: Utils modules use the connector's transport
+    console.log('[Test 4] Utils modules');
+    {
+      const sent = since();
+      const spreads = await getBidAskSpreads(hyperliquid, ['ETH'], { verbose: false });
+      const funding = await getAllFundingRates(hyperliquid);
+      const balances = await getBalances(hyperliquid);
+      await getPerpPositions(hyperliquid);
+
+      check('Spreads read from the configured server', spreads.length === 2 && spreads.every(r => r.mid > 0 && !r.error) &&
+        sent().some(r => r.payload?.type === 'l2Book'));
+      check('Funding read from the configured server', funding.get('ETH')?.fundingRate === 0.00001);
+      check('Balances read from the configured server', balances.perpBalance === 1000 && balances.spotBalance === 500);
+      check('All reads over WebSocket', sent().length > 0 && sent().every(r => r.transport === 'ws'));
+
+      const action = since();
+      const result = await updateLeverage(hyperliquid, 'ETH', 2, true);
+      check('Leverage action sent over WebSocket', result.result?.status === 'ok' &&
+        action().some(r => r.transport === 'ws' && r.kind === 'action'));
+      check('Action signed by the wallet', action()[0]?.signer?.toLowerCase() === account.address.toLowerCase());
+      check('Leverage applied', server.leverage.get('ETH')?.value === 2);
+    }
+    console.log();
+
+    // Test 5: Shared REST rate limit
+    console.log('[Test 5] Rate limit');
+    {
+      // allMids weighs 2: two fit in the normal lane's 90% of 5, the third waits
+      hyperliquid.restRateLimiter = new WeightedRateLimiter({ maxWeight: 5, windowMs: 300 });
+      const started = Date.now();
+      await Promise.all([1, 2, 3].map(() => hyperliquid.info({ type: 'allMids' }, { useRest: true })));
+      check('Third REST call waited for a slot', Date.now() - started >= 250, `${Date.now() - started}ms`);
+    }
+    console.log();
+
+    // Test 6: Fallback when the socket is gone
+    console.log('[Test 6] Disconnected');
+    {
+      hyperliquid.disconnect();
+      hyperliquid.restRateLimiter = new WeightedRateLimiter();
+
+      const sent = since();
+      const result = await updateLeverage(hyperliquid, 'ETH', 1, true);
+      check('Action falls back to REST', result.result?.status === 'ok' && sent().every(r => r.transport === 'rest'));
+    }
+    console.log();
+  } finally {
+    hyperliquid.disconnect();
+    await server.stop();
+  }
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
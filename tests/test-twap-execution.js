@@ -0,0 +1,220 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import HyperliquidConnector from '../hyperliquid.js';
+import { MockHyperliquidServer, buildBook } from './mock/mock-hyperliquid-server.js';
+import { PaperExchange } from '../utils/paper.js';
+import {
+  openDeltaNeutralPosition,
+  closeDeltaNeutralPosition,
+  executeSlicedPair,
+  getTwapSettings,
+  shouldUseTwap,
+  calculateSliceCount
+} from '../utils/trade.js';
+
+/**
+ * Test TWAP / Sliced Execution (offline)
+ *
+ * Runs the slice scheduler in utils/trade.js against the mock server with
+ * fills simulated by the paper exchange, using sub-second schedules.
+ */
+
+const twap = {
+  enabled: true,
+  minNotionalUSD: 500,
+  slices: 4,
+  durationSeconds: 0.05,
+  minSliceNotionalUSD: 15,
+  maxPerpSpotSpreadPercent: 0.5,
+  maxPauseSeconds: 2,
+  pausePollSeconds: 0.02
+};
+
+const config = {
+  trading: {
+    minOrderSizeUSD: { BTC: 20, ETH: 20 },
+    balanceUtilizationPercent: 95,
+    maxSlippagePercent: 2.0
+  },
+  twap
+};
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, details = '') {
+  if (condition) {
+    passed++;
+    console.log(`  ✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`  ❌ ${name}${details ? ` (${details})` : ''}`);
+  }
+}
+
+const near = (a, b, tolerance = 0.01) => Math.abs(a - b) <= tolerance;
+
+function createOpportunity(symbol, perpMid, spotMid) {
+  return {
+    symbol,
+    bidAsk: { perpMid, spotMid },
+    funding: { fundingRate: 0.0000125 },
+    predictedFunding: { predictedFundingRate: 0.0000125 },
+    predictedFundingRate: 0.0000125 * 24 * 365,
+    avgFundingRate: 0.0000125 * 24 * 365
+  };
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('TWAP Execution Test');
+  console.log('='.repeat(80));
+  console.log();
+
+  // Test 1: Settings and slice planning
+  console.log('[Test 1] Settings');
+  {
+    const defaults = getTwapSettings({ trading: {}, thresholds: { maxPerpSpotSpreadPercent: 0.3 } });
+    check('Disabled by default', defaults.enabled === false);
+    check('Spread limit falls back to thresholds', defaults.maxPerpSpotSpreadPercent === 0.3);
+    check('Durations converted to ms', defaults.durationMs === 60000 && defaults.maxPauseMs === 120000);
+
+    const settings = getTwapSettings(config);
+    check('Small pair uses single orders', !shouldUseTwap(400, settings));
+    check('Large pair is sliced', shouldUseTwap(600, settings));
+    check('Slice count capped by config', calculateSliceCount(10000, settings) === 4);
+    check('No slice below minSliceNotionalUSD', calculateSliceCount(45, settings) === 3);
+    check('Below exchange minimum still one slice', calculateSliceCount(5, settings) === 1);
+  }
+  console.log();
+
+  const server = new MockHyperliquidServer({ perpUsdc: 0, spotUsdc: 0 });
+  const urls = await server.start();
+  const accountFile = path.join(os.tmpdir(), `paper-twap-${process.pid}.json`);
+  const hyperliquid = new HyperliquidConnector({ ...urls });
+  const paper = new PaperExchange(hyperliquid, {
+    accountFile,
+    initialPerpUsdc: 5000,
+    initialSpotUsdc: 5000,
+    persist: false,
+    verbose: false
+  }).attach();
+
+  try {
+    await hyperliquid.connect();
+    const balances = { perpBalance: 5000, spotBalance: 5000 };
+
+    // Test 2: Sliced open
+    console.log('[Test 2] Sliced open');
+    const opened = await openDeltaNeutralPosition(
+      hyperliquid,
+      createOpportunity('BTC', 100000, 100010),
+      balances,
+      config,
+      { verbose: false, maxNotional: 2000 }
+    );
+    check('Position opened', opened.success);
+    check('Four paired slices', opened.execution?.slices.length === 4);
+    check('Four PERP and four SPOT child orders',
+      paper.account.fills.filter(f => !f.isSpot).length === 4 && paper.account.fills.filter(f => f.isSpot).length === 4);
+    check('Legs filled equally', near(opened.perpSize, opened.spotSize, 1e-9) && opened.execution.completed);
+    check('Entry prices are VWAPs of the children', opened.perpEntryPrice < 100000 && opened.spotEntryPrice > 100010);
+    console.log();
+
+    // Test 3: Partial SPOT fills hold the PERP leg back
+    console.log('[Test 3] Lockstep under partial fills');
+    server.setOrderBook('@151', {
+      bids: [[3500, 10]],
+      asks: [[3501, 0.05], [3800, 100]]
+    }, { broadcast: false });
+    hyperliquid.orderbooks.delete('@151');
+
+    const lockstep = await executeSlicedPair(hyperliquid, {
+      perp: { symbol: 'ETH', side: 'sell', size: 0.4 },
+      spot: { symbol: 'UETH', side: 'buy', size: 0.4 }
+    }, config, { settings: getTwapSettings(config), trimExcess: true });
+
+    let perpCum = 0;
+    let spotCum = 0;
+    let maxLead = 0;
+    for (const slice of lockstep.slices) {
+      perpCum += slice.perp.filledSz;
+      spotCum += slice.spot.filledSz;
+      maxLead = Math.max(maxLead, perpCum - spotCum);
+    }
+    check('Every SPOT child partially filled', lockstep.slices.every(s => s.spot.filledSz === 0.05));
+    check('PERP never more than one slice ahead', maxLead <= 0.1 + 1e-9, maxLead);
+    check('Excess PERP trimmed back to SPOT', near(lockstep.perpFilled, lockstep.spotFilled, 1e-9),
+      `${lockstep.perpFilled} vs ${lockstep.spotFilled}`);
+    check('Reported incomplete', !lockstep.completed && lockstep.spotRemaining > 0);
+    check('Paper PERP matches reported fill', near(-paper.account.perpPositions.ETH.szi, lockstep.perpFilled, 1e-9));
+    console.log();
+
+    // Test 4: Pause while the PERP-SPOT spread is wide, then resume
+    console.log('[Test 4] Spread pause');
+    server.setOrderBook('@151', buildBook(3600, { spreadBps: 4 }), { broadcast: false });
+    hyperliquid.orderbooks.delete('@151');
+    const restore = setTimeout(() => {
+      server.setOrderBook('@151', buildBook(3500.5, { spreadBps: 4 }), { broadcast: false });
+    }, 150);
+
+    const paused = await executeSlicedPair(hyperliquid, {
+      perp: { symbol: 'ETH', side: 'sell', size: 0.2 },
+      spot: { symbol: 'UETH', side: 'buy', size: 0.2 }
+    }, config, { settings: getTwapSettings(config) });
+    clearTimeout(restore);
+
+    check('Paused at least once', paused.pauses >= 1);
+    check('Waited for the spread to normalize', paused.pausedMs >= 100, `${paused.pausedMs}ms`);
+    check('Completed after resuming', paused.completed && near(paused.spotFilled, 0.2, 1e-9));
+    check('All slices traded inside the limit', paused.slices.every(s => Math.abs(s.spreadPercent) <= 0.5));
+    console.log();
+
+    // Test 5: Open stops when the spread stays wide
+    console.log('[Test 5] Abort on persistent spread');
+    server.setOrderBook('@151', buildBook(3600, { spreadBps: 4 }), { broadcast: false });
+    hyperliquid.orderbooks.delete('@151');
+    const shortPause = getTwapSettings({ ...config, twap: { ...twap, maxPauseSeconds: 0.1 } });
+    const fillsBefore = paper.account.fills.length;
+
+    const aborted = await executeSlicedPair(hyperliquid, {
+      perp: { symbol: 'ETH', side: 'sell', size: 0.2 },
+      spot: { symbol: 'UETH', side: 'buy', size: 0.2 }
+    }, config, { settings: shortPause, abortOnWideSpread: true });
+
+    check('Execution aborted', aborted.aborted && /spread/.test(aborted.error));
+    check('Nothing traded', aborted.perpFilled === 0 && paper.account.fills.length === fillsBefore);
+    console.log();
+
+    // Test 6: Close carries on through a wide spread
+    console.log('[Test 6] Sliced close');
+    server.setOrderBook('@142', buildBook(101000, { spreadBps: 4 }), { broadcast: false });
+    hyperliquid.orderbooks.delete('@142');
+    const closed = await closeDeltaNeutralPosition(hyperliquid, opened, {
+      ...config,
+      twap: { ...twap, maxPauseSeconds: 0.1 }
+    }, { verbose: false });
+
+    check('Position closed', closed.success && closed.execution.completed);
+    check('Close paused once, then carried on', closed.execution.pauses === 1 && !closed.execution.aborted);
+    check('No BTC left on paper', !paper.account.perpPositions.BTC && !paper.account.spotBalances.UBTC);
+    check('No exchange actions sent', server.requests.filter(r => r.kind === 'action').length === 0);
+    console.log();
+  } finally {
+    hyperliquid.disconnect();
+    await server.stop();
+    fs.rmSync(accountFile, { force: true });
+  }
+
+  console.log('='.repeat(80));
+  console.log(`Results: ${passed} passed, ${failed} failed`);
+  console.log('='.repeat(80));
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
@@ -32,7 +32,7 @@ async function fetchWithConcurrencyLimit(promises, limit = 10, delayBetweenBatch
  * @param {number} spotMid - Spot mid price
  * @returns {number} Spread percentage (e.g., 0.25 for 0.25%)
  */
-function calculatePerpSpotSpreadPercent(perpMid, spotMid) {
+export function calculatePerpSpotSpreadPercent(perpMid, spotMid) {
   if (perpMid <= 0 || spotMid <= 0) return null;
   const spread = ((spotMid - perpMid) / perpMid) * 100;
   return spread;
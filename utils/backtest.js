@@ -0,0 +1,638 @@
+import HyperliquidConnector from '../hyperliquid.js';
+import { filterOpportunities, rankOpportunities, selectBestOpportunity, isSignificantlyBetter } from './opportunity.js';
+import { calculateFundingStats } from './funding.js';
+
+/**
+ * Backtest Utilities
+ *
+ * Replays stored funding history and hourly candles through the same
+ * filterOpportunities() / rankOpportunities() / isSignificantlyBetter() logic
+ * the live bot uses, one hourly cycle at a time.
+ *
+ * Dataset format (written by `node backtest.js fetch`):
+ * {
+ *   startTime, endTime, interval: '1h',
+ *   symbols: {
+ *     BTC: { spotSymbol: 'UBTC', fundingHistory: [...], perpCandles: [...], spotCandles: [...] }
+ *   }
+ * }
+ * fundingHistory entries are raw `fundingHistory` API rows, candles are raw
+ * `candleSnapshot` rows.
+ *
+ * Simplifications (intentional):
+ * - The predicted rate at hour T is the last settled rate (no look-ahead)
+ * - Bid-ask spreads are not stored; a fixed assumed spread feeds the filter
+ * - Prices are candle closes; every trade pays fees + a fixed slippage per leg
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const DEFAULT_BACKTEST_PARAMS = {
+  minHoldTimeDays: 14,
+  improvementFactor: 2,
+  minFundingRatePercent: 5
+};
+
+export const DEFAULT_COST_MODEL = {
+  perpFeePercent: 0.045,       // Taker fee, PERP leg
+  spotFeePercent: 0.07,        // Taker fee, SPOT leg
+  slippagePercent: 0.05,       // Execution vs. candle close, per leg
+  bidAskSpreadPercent: 0.05    // Assumed spread fed to the bid-ask filter
+};
+
+/**
+ * Fetch funding history and hourly candles for a backtest dataset.
+ * fundingHistory returns at most 500 rows per call, so it is paged by time.
+ * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+ * @param {string[]} symbols - PERP symbols
+ * @param {Object} options - Options
+ * @param {number} options.days - Days of history (default 30)
+ * @param {number} options.delayMs - Pause between requests (default 250)
+ * @param {boolean} options.verbose - Log progress
+ * @returns {Promise<Object>} Dataset (see module header)
+ */
+export async function fetchBacktestData(hyperliquid, symbols, options = {}) {
+  const { days = 30, delayMs = 250, verbose = false } = options;
+  const endTime = Date.now();
+  const startTime = endTime - days * DAY_MS;
+  const pause = () => new Promise(resolve => setTimeout(resolve, delayMs));
+  const dataset = { startTime, endTime, interval: '1h', fetchedAt: new Date().toISOString(), symbols: {} };
+
+  for (const symbol of symbols) {
+    const spotSymbol = HyperliquidConnector.perpToSpot(symbol);
+
+    try {
+      const fundingHistory = [];
+      let cursor = startTime;
+
+      while (cursor < endTime) {
+        const page = await hyperliquid.info({ type: 'fundingHistory', coin: symbol, startTime: cursor, endTime });
+        fundingHistory.push(...page);
+        await pause();
+
+        if (page.length < 500) break;
+        cursor = page[page.length - 1].time + 1;
+      }
+
+      const spotAssetId = await hyperliquid.getAssetId(spotSymbol, true);
+      const spotCoin = hyperliquid.getCoinForOrderbook(spotSymbol, spotAssetId);
+
+      const perpCandles = await hyperliquid.getCandleSnapshot(symbol, '1h', startTime, endTime);
+      await pause();
+      const spotCandles = await hyperliquid.getCandleSnapshot(spotCoin, '1h', startTime, endTime);
+      await pause();
+
+      dataset.symbols[symbol] = { spotSymbol, spotCoin, fundingHistory, perpCandles, spotCandles };
+
+      if (verbose) {
+        console.log(`[Backtest] ✅ ${symbol}: ${fundingHistory.length} funding rows, ${perpCandles.length} PERP / ${spotCandles.length} SPOT candles`);
+      }
+    } catch (error) {
+      console.error(`[Backtest] ❌ ${symbol}: ${error.message}`);
+    }
+  }
+
+  return dataset;
+}
+
+/**
+ * Find the last index whose key is <= value (arrays sorted ascending)
+ * @param {Object[]} items - Sorted items
+ * @param {number} value - Value to search for
+ * @param {string} key - Numeric key to compare
+ * @returns {number} Index or -1
+ */
+function lastIndexAtOrBefore(items, value, key) {
+  let lo = 0;
+  let hi = items.length - 1;
+  let found = -1;
+
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (items[mid][key] <= value) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Normalize raw candleSnapshot rows
+ * @param {Object[]} candles - Raw candles ({t, T, c, v, ...})
+ * @returns {Object[]} Sorted candles ({openTime, closeTime, close, volume})
+ */
+function normalizeCandles(candles = []) {
+  return candles
+    .map(c => ({
+      openTime: Number(c.t),
+      closeTime: c.T !== undefined ? Number(c.T) : Number(c.t) + HOUR_MS,
+      close: parseFloat(c.c),
+      volume: parseFloat(c.v || 0)
+    }))
+    .filter(c => Number.isFinite(c.closeTime) && Number.isFinite(c.close) && c.close > 0)
+    .sort((a, b) => a.closeTime - b.closeTime);
+}
+
+/**
+ * Index a stored dataset for fast lookups.
+ * Funding times are snapped to the hour so all symbols share one time grid.
+ * @param {Object} dataset - Stored dataset
+ * @returns {Object} Prepared dataset ({symbols, times})
+ */
+export function prepareDataset(dataset) {
+  if (dataset?.prepared) {
+    return dataset;
+  }
+
+  if (!dataset || !dataset.symbols) {
+    throw new Error('Invalid backtest dataset: missing symbols');
+  }
+
+  const symbols = {};
+  const timeSet = new Set();
+
+  for (const [symbol, raw] of Object.entries(dataset.symbols)) {
+    const funding = (raw.fundingHistory || [])
+      .map(h => ({ time: Math.round(Number(h.time) / HOUR_MS) * HOUR_MS, fundingRate: parseFloat(h.fundingRate) }))
+      .filter(h => Number.isFinite(h.time) && Number.isFinite(h.fundingRate))
+      .sort((a, b) => a.time - b.time);
+
+    const fundingByTime = new Map(funding.map(h => [h.time, h.fundingRate]));
+    funding.forEach(h => timeSet.add(h.time));
+
+    symbols[symbol] = {
+      symbol,
+      spotSymbol: raw.spotSymbol || HyperliquidConnector.perpToSpot(symbol),
+      funding,
+      fundingByTime,
+      perpCandles: normalizeCandles(raw.perpCandles),
+      spotCandles: normalizeCandles(raw.spotCandles)
+    };
+  }
+
+  return {
+    prepared: true,
+    symbols,
+    times: Array.from(timeSet).sort((a, b) => a - b)
+  };
+}
+
+/**
+ * Sum USD volume of the candles that closed in (time - 24h, time]
+ * @param {Object[]} candles - Normalized candles
+ * @param {number} endIdx - Index of the last closed candle
+ * @param {number} time - Evaluation time
+ * @returns {Object} { volume, volumeUSDC }
+ */
+function sum24hVolume(candles, endIdx, time) {
+  let volume = 0;
+  let volumeUSDC = 0;
+
+  for (let i = endIdx; i >= 0 && candles[i].closeTime > time - DAY_MS; i--) {
+    volume += candles[i].volume;
+    volumeUSDC += candles[i].volume * candles[i].close;
+  }
+
+  return { volume, volumeUSDC };
+}
+
+/**
+ * Rebuild the market data the live bot would have seen at a point in time.
+ * Output matches getMarketData() so it can go straight into filterOpportunities().
+ * Symbols without funding or closed candles at that time are left out.
+ * @param {Object} dataset - Stored or prepared dataset
+ * @param {number} time - Evaluation time (ms)
+ * @param {Object} options - Options
+ * @param {number} options.lookbackDays - Funding average window (default 7, as live)
+ * @param {number} options.bidAskSpreadPercent - Assumed bid-ask spread
+ * @returns {Object} { marketData, prices: Map<symbol, {perp, spot}> }
+ */
+export function buildMarketDataAt(dataset, time, options = {}) {
+  const {
+    lookbackDays = 7,
+    bidAskSpreadPercent = DEFAULT_COST_MODEL.bidAskSpreadPercent
+  } = options;
+
+  const prepared = prepareDataset(dataset);
+  const bidAskSpreads = [];
+  const perpSpotSpreads = [];
+  const volumes = [];
+  const fundingRates = [];
+  const predictedFundingRates = new Map();
+  const prices = new Map();
+
+  for (const data of Object.values(prepared.symbols)) {
+    const fundingIdx = lastIndexAtOrBefore(data.funding, time, 'time');
+    const perpIdx = lastIndexAtOrBefore(data.perpCandles, time, 'closeTime');
+    const spotIdx = lastIndexAtOrBefore(data.spotCandles, time, 'closeTime');
+
+    if (fundingIdx === -1 || perpIdx === -1 || spotIdx === -1) {
+      continue;
+    }
+
+    const { symbol, spotSymbol } = data;
+    const currentRate = data.funding[fundingIdx].fundingRate;
+    const perpMid = data.perpCandles[perpIdx].close;
+    const spotMid = data.spotCandles[spotIdx].close;
+
+    const windowStart = time - lookbackDays * DAY_MS;
+    const history = [];
+    for (let i = fundingIdx; i >= 0 && data.funding[i].time > windowStart; i--) {
+      history.push(data.funding[i]);
+    }
+    const stats = calculateFundingStats(history);
+
+    fundingRates.push({
+      symbol,
+      fundingRate: currentRate,
+      annualizedRate: currentRate * 24 * 365,
+      history: {
+        days: lookbackDays,
+        count: stats.count,
+        avg: { hourly: stats.avgHourly, annualized: stats.avgAnnualized },
+        min: { hourly: stats.minHourly, annualized: stats.minAnnualized },
+        max: { hourly: stats.maxHourly, annualized: stats.maxAnnualized }
+      }
+    });
+
+    predictedFundingRates.set(symbol, {
+      symbol,
+      predictedFundingRate: currentRate,
+      predictedAnnualizedRate: currentRate * 24 * 365,
+      nextFundingTime: time + HOUR_MS
+    });
+
+    bidAskSpreads.push(
+      { symbol, isSpot: false, mid: perpMid, spreadPercent: bidAskSpreadPercent },
+      { symbol: spotSymbol, isSpot: true, mid: spotMid, spreadPercent: bidAskSpreadPercent }
+    );
+
+    perpSpotSpreads.push({
+      perpSymbol: symbol,
+      spotSymbol,
+      perpMid,
+      spotMid,
+      spreadAbs: spotMid - perpMid,
+      spreadPercent: ((spotMid - perpMid) / perpMid) * 100,
+      isPremium: spotMid > perpMid,
+      error: null
+    });
+
+    const perpVol = sum24hVolume(data.perpCandles, perpIdx, time);
+    const spotVol = sum24hVolume(data.spotCandles, spotIdx, time);
+    volumes.push({
+      perpSymbol: symbol,
+      spotSymbol,
+      perpVolume: perpVol.volume,
+      spotVolume: spotVol.volume,
+      price: perpMid,
+      perpVolUSDC: perpVol.volumeUSDC,
+      spotVolUSDC: spotVol.volumeUSDC,
+      totalVolUSDC: perpVol.volumeUSDC + spotVol.volumeUSDC
+    });
+
+    prices.set(symbol, { perp: perpMid, spot: spotMid });
+  }
+
+  return {
+    marketData: {
+      bidAskSpreads,
+      perpSpotSpreads,
+      volumes,
+      fundingRates,
+      predictedFundingRates
+    },
+    prices
+  };
+}
+
+/**
+ * Decide what the live bot would do with the current position this cycle.
+ * Mirrors the single-position branch of runCycle() in bot.js.
+ * @param {Object|null} position - Open position ({symbol, openTime, annualizedFunding}) or null
+ * @param {Object} analysis - { marketData, rankedOpportunities, best }
+ * @param {number} now - Current time (ms)
+ * @param {Object} params - { minHoldTimeDays, improvementFactor, minFundingRatePercent }
+ * @returns {Object} { action: 'open' | 'close' | 'switch' | 'hold' | 'wait', reason, target }
+ */
+export function decideAction(position, analysis, now, params) {
+  const { best, rankedOpportunities, marketData } = analysis;
+
+  if (!position) {
+    return best
+      ? { action: 'open', reason: 'Best opportunity', target: best }
+      : { action: 'wait', reason: 'No valid opportunities', target: null };
+  }
+
+  if (now - position.openTime < params.minHoldTimeDays * DAY_MS) {
+    return { action: 'hold', reason: 'Within minimum hold time', target: null };
+  }
+
+  const closeOrSwitch = (reason) => {
+    const target = (best && best.primaryFundingPercent > 0) ? best : null;
+    return target
+      ? { action: 'switch', reason, target }
+      : { action: 'close', reason, target: null };
+  };
+
+  const current = rankedOpportunities.find(o => o.symbol === position.symbol);
+
+  if (!current) {
+    // Filtered out - fall back to raw funding like the live bot
+    const raw = marketData.fundingRates.find(f => f.symbol === position.symbol);
+    if (!raw) {
+      return { action: 'hold', reason: 'No funding data for current position', target: null };
+    }
+
+    const predicted = marketData.predictedFundingRates?.get(position.symbol)?.predictedAnnualizedRate;
+    const avg = raw.history?.avg?.annualized || raw.annualizedRate;
+    const fundingPercent = (predicted !== null && predicted !== undefined ? predicted : avg) * 100;
+
+    if (fundingPercent < 0) {
+      return closeOrSwitch('Funding turned negative');
+    }
+
+    if (fundingPercent < params.minFundingRatePercent && best && best.symbol !== position.symbol) {
+      return { action: 'switch', reason: 'Funding below minimum threshold', target: best };
+    }
+
+    return { action: 'hold', reason: 'No better opportunities available', target: null };
+  }
+
+  if (current.primaryFundingPercent < 0) {
+    return closeOrSwitch('Funding turned negative');
+  }
+
+  if (best && best.symbol !== position.symbol) {
+    const isBetter = isSignificantlyBetter(
+      { avgFundingRate: position.annualizedFunding },
+      { avgFundingRate: best.primaryFundingRate },
+      params.improvementFactor
+    );
+
+    if (isBetter) {
+      return { action: 'switch', reason: 'Switching to better opportunity', target: best };
+    }
+  }
+
+  return { action: 'hold', reason: 'Current position is still competitive', target: null };
+}
+
+/**
+ * Run one backtest over a dataset with a single parameter set
+ * @param {Object} dataset - Stored or prepared dataset
+ * @param {Object} params - { minHoldTimeDays, improvementFactor, minFundingRatePercent }
+ * @param {Object} options - Options
+ * @param {number} options.initialCapital - Starting capital in USD (default 10000)
+ * @param {number} options.utilizationPercent - Share of capital deployed (default 95)
+ * @param {number} options.leverage - PERP leverage; notional = capital / (1 + 1/leverage) (default 1)
+ * @param {Object} options.thresholds - Filter thresholds (config.thresholds)
+ * @param {Object} options.costs - Overrides for DEFAULT_COST_MODEL
+ * @param {number} options.lookbackDays - Funding average window (default 7)
+ * @param {number} options.startTime - First cycle (default: first data point + lookback)
+ * @param {number} options.endTime - Last cycle (default: last data point)
+ * @param {boolean} options.verbose - Log every trade
+ * @returns {Object} Backtest result
+ */
+export function runBacktest(dataset, params = {}, options = {}) {
+  const {
+    initialCapital = 10000,
+    utilizationPercent = 95,
+    leverage = 1,
+    thresholds = {},
+    costs: costOverrides = {},
+    lookbackDays = 7,
+    verbose = false
+  } = options;
+
+  const settings = { ...DEFAULT_BACKTEST_PARAMS, ...params };
+  const costs = { ...DEFAULT_COST_MODEL, ...costOverrides };
+  const filterThresholds = { ...thresholds, minFundingRatePercent: settings.minFundingRatePercent };
+  const prepared = prepareDataset(dataset);
+
+  if (prepared.times.length === 0) {
+    throw new Error('Backtest dataset has no funding history');
+  }
+
+  const startTime = options.startTime ?? prepared.times[0] + lookbackDays * DAY_MS;
+  const endTime = options.endTime ?? prepared.times[prepared.times.length - 1];
+  const times = prepared.times.filter(t => t >= startTime && t <= endTime);
+
+  if (times.length === 0) {
+    throw new Error('Backtest window is empty (not enough history for the lookback)');
+  }
+
+  const legCostPercent = costs.perpFeePercent + costs.spotFeePercent + 2 * costs.slippagePercent;
+  const log = (message) => verbose && console.log(`[Backtest] ${message}`);
+
+  let cash = initialCapital;
+  let position = null;
+  let fundingEarned = 0;
+  let tradingCosts = 0;
+  let basisPnl = 0;
+  let switches = 0;
+  let hoursInMarket = 0;
+  const trades = [];
+
+  const closePosition = (time, price, reason) => {
+    const notional = position.size * price.perp;
+    const cost = notional * legCostPercent / 100;
+    const basis = position.size * (price.spot - position.spotEntry) + position.size * (position.perpEntry - price.perp);
+
+    cash += basis - cost;
+    tradingCosts += cost;
+    basisPnl += basis;
+
+    trades.push({
+      time,
+      action: 'close',
+      symbol: position.symbol,
+      notional,
+      cost,
+      basisPnl: basis,
+      fundingEarned: position.fundingEarned,
+      heldHours: (time - position.openTime) / HOUR_MS,
+      reason
+    });
+    log(`${new Date(time).toISOString()} CLOSE ${position.symbol} ($${notional.toFixed(2)}) - ${reason}`);
+
+    position = null;
+  };
+
+  const openPosition = (time, opportunity, price, reason) => {
+    const notional = cash * (utilizationPercent / 100) / (1 + 1 / leverage);
+    const cost = notional * legCostPercent / 100;
+
+    cash -= cost;
+    tradingCosts += cost;
+
+    position = {
+      symbol: opportunity.symbol,
+      size: notional / price.perp,
+      perpEntry: price.perp,
+      spotEntry: price.spot,
+      openTime: time,
+      annualizedFunding: opportunity.primaryFundingRate,
+      fundingEarned: 0
+    };
+
+    trades.push({
+      time,
+      action: 'open',
+      symbol: opportunity.symbol,
+      notional,
+      cost,
+      annualizedFunding: opportunity.primaryFundingRate,
+      reason
+    });
+    log(`${new Date(time).toISOString()} OPEN ${opportunity.symbol} ($${notional.toFixed(2)} @ ${opportunity.primaryFundingPercent.toFixed(2)}% APY) - ${reason}`);
+  };
+
+  let lastPrices = new Map();
+
+  for (const time of times) {
+    const { marketData, prices } = buildMarketDataAt(prepared, time, {
+      lookbackDays,
+      bidAskSpreadPercent: costs.bidAskSpreadPercent
+    });
+    lastPrices = new Map([...lastPrices, ...prices]);
+
+    // Settle the funding payment for the hour that just ended (SHORT receives positive funding)
+    if (position) {
+      const rate = prepared.symbols[position.symbol].fundingByTime.get(time);
+      const price = lastPrices.get(position.symbol);
+      if (rate !== undefined && price) {
+        const payment = position.size * price.perp * rate;
+        position.fundingEarned += payment;
+        fundingEarned += payment;
+        cash += payment;
+      }
+      hoursInMarket++;
+    }
+
+    const filterResult = filterOpportunities(marketData, filterThresholds);
+    const rankedOpportunities = rankOpportunities(filterResult.opportunities);
+    const best = selectBestOpportunity(rankedOpportunities);
+
+    const decision = decideAction(position, { marketData, rankedOpportunities, best }, time, settings);
+
+    if ((decision.action === 'close' || decision.action === 'switch') && !lastPrices.has(position.symbol)) {
+      continue;
+    }
+
+    if (decision.action === 'close') {
+      closePosition(time, lastPrices.get(position.symbol), decision.reason);
+    } else if (decision.action === 'switch') {
+      closePosition(time, lastPrices.get(position.symbol), decision.reason);
+      openPosition(time, decision.target, prices.get(decision.target.symbol), decision.reason);
+      switches++;
+    } else if (decision.action === 'open') {
+      openPosition(time, decision.target, prices.get(decision.target.symbol), decision.reason);
+    }
+  }
+
+  // Close whatever is left so every result carries its exit cost
+  if (position && lastPrices.has(position.symbol)) {
+    closePosition(times[times.length - 1], lastPrices.get(position.symbol), 'End of backtest');
+  }
+
+  const days = (times[times.length - 1] - times[0] + HOUR_MS) / DAY_MS;
+  const netPnl = cash - initialCapital;
+
+  return {
+    params: settings,
+    startTime: times[0],
+    endTime: times[times.length - 1],
+    days,
+    cycles: times.length,
+    initialCapital,
+    finalEquity: cash,
+    fundingEarned,
+    tradingCosts,
+    basisPnl,
+    netPnl,
+    netApyPercent: days > 0 ? (netPnl / initialCapital) * (365 / days) * 100 : 0,
+    opens: trades.filter(t => t.action === 'open').length,
+    closes: trades.filter(t => t.action === 'close').length,
+    switches,
+    hoursInMarket,
+    timeInMarketPercent: (hoursInMarket / times.length) * 100,
+    trades
+  };
+}
+
+/**
+ * Expand a parameter grid into every combination
+ * @param {Object} grid - { minHoldTimeDays: [..], improvementFactor: [..], minFundingRatePercent: [..] }
+ * @returns {Object[]} Parameter sets
+ */
+export function expandParameterGrid(grid = {}) {
+  let combos = [{}];
+
+  for (const key of Object.keys(DEFAULT_BACKTEST_PARAMS)) {
+    const values = grid[key] === undefined
+      ? [DEFAULT_BACKTEST_PARAMS[key]]
+      : (Array.isArray(grid[key]) ? grid[key] : [grid[key]]);
+
+    combos = combos.flatMap(combo => values.map(value => ({ ...combo, [key]: value })));
+  }
+
+  return combos;
+}
+
+/**
+ * Run a backtest for every parameter set in a grid
+ * @param {Object} dataset - Stored or prepared dataset
+ * @param {Object} grid - Parameter grid (see expandParameterGrid)
+ * @param {Object} options - Options passed to runBacktest
+ * @returns {Object[]} Results sorted by net APY (best first)
+ */
+export function runParameterSweep(dataset, grid, options = {}) {
+  const prepared = prepareDataset(dataset);
+  const results = expandParameterGrid(grid).map(params => runBacktest(prepared, params, options));
+
+  return results.sort((a, b) => b.netApyPercent - a.netApyPercent);
+}
+
+/**
+ * Format backtest results as a table string
+ * @param {Object[]} results - Results from runBacktest / runParameterSweep
+ * @returns {string} Formatted table
+ */
+export function formatBacktestReport(results) {
+  const lines = [];
+
+  if (results.length > 0) {
+    const first = results[0];
+    lines.push(`Backtest: ${new Date(first.startTime).toISOString().slice(0, 10)} → ${new Date(first.endTime).toISOString().slice(0, 10)} (${first.days.toFixed(1)} days, $${first.initialCapital} capital)`);
+    lines.push('');
+  }
+
+  lines.push('┌──────────┬────────┬──────────┬────────────┬────────────┬────────────┬────────────┬──────────┬──────────┬───────────┐');
+  lines.push('│ Hold (d) │ Factor │ Min Fund │ Funding $  │ Costs $    │ Basis $    │ Net $      │ Net APY  │ Switches │ In Market │');
+  lines.push('├──────────┼────────┼──────────┼────────────┼────────────┼────────────┼────────────┼──────────┼──────────┼───────────┤');
+
+  for (const r of results) {
+    lines.push(
+      `│ ${String(r.params.minHoldTimeDays).padStart(8)} │ ` +
+      `${(r.params.improvementFactor + 'x').padStart(6)} │ ` +
+      `${(r.params.minFundingRatePercent + '%').padStart(8)} │ ` +
+      `${r.fundingEarned.toFixed(2).padStart(10)} │ ` +
+      `${r.tradingCosts.toFixed(2).padStart(10)} │ ` +
+      `${r.basisPnl.toFixed(2).padStart(10)} │ ` +
+      `${r.netPnl.toFixed(2).padStart(10)} │ ` +
+      `${(r.netApyPercent.toFixed(2) + '%').padStart(8)} │ ` +
+      `${String(r.switches).padStart(8)} │ ` +
+      `${(r.timeInMarketPercent.toFixed(0) + '%').padStart(9)} │`
+    );
+  }
+
+  lines.push('└──────────┴────────┴──────────┴────────────┴────────────┴────────────┴────────────┴──────────┴──────────┴───────────┘');
+
+  return lines.join('\n');
+}
@@ -15,29 +15,17 @@ import HyperliquidConnector from '../hyperliquid.js';
 export async function getBalances(hyperliquid, user = null) {
   user = user || hyperliquid.wallet;
 
-  if (!user) {
+  if (!user && !hyperliquid.paper) {
     throw new Error('User address required');
   }
 
-  // Fetch both clearinghouse states in parallel
-  const [perpState, spotState] = await Promise.all([
-    fetch(hyperliquid.restUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        type: 'clearinghouseState',
-        user: user
-      })
-    }).then(r => r.json()),
-
-    fetch(hyperliquid.restUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        type: 'spotClearinghouseState',
-        user: user
-      })
-    }).then(r => r.json())
+  // Fetch both clearinghouse states in parallel (virtual balance sheet in paper mode)
+  const [perpState, spotState] = hyperliquid.paper ? await Promise.all([
+    hyperliquid.paper.getClearinghouseState(),
+    hyperliquid.paper.getSpotClearinghouseState()
+  ]) : await Promise.all([
+    hyperliquid.info({ type: 'clearinghouseState', user: user }),
+    hyperliquid.info({ type: 'spotClearinghouseState', user: user })
   ]);
 
   // PERP balance (withdrawable)
@@ -65,23 +53,23 @@ export async function getBalances(hyperliquid, user = null) {
 }
 
 /**
- * Check if balances are within acceptable range (50% ±10%)
+ * Check if balances are within acceptable range of the target split (±10%)
  * @param {Object} balances - Balance information from getBalances
  * @param {number} tolerance - Tolerance percentage (default 10%)
+ * @param {number} target - Target PERP share in percent (default 50; see utils/capital.js for leveraged splits)
  * @returns {Object} Balance check result
  */
-export function checkBalanceDistribution(balances, tolerance = 10) {
-  const target = 50; // Target 50/50 split
+export function checkBalanceDistribution(balances, tolerance = 10, target = 50) {
   const minPercent = target - tolerance;
   const maxPercent = target + tolerance;
 
   const perpBalanced = balances.perpPercent >= minPercent && balances.perpPercent <= maxPercent;
-  const spotBalanced = balances.spotPercent >= minPercent && balances.spotPercent <= maxPercent;
+  const spotBalanced = balances.spotPercent >= 100 - maxPercent && balances.spotPercent <= 100 - minPercent;
   const isBalanced = perpBalanced && spotBalanced;
 
   // Calculate imbalance
   const perpImbalance = balances.perpPercent - target;
-  const spotImbalance = balances.spotPercent - target;
+  const spotImbalance = balances.spotPercent - (100 - target);
 
   return {
     isBalanced: isBalanced,
@@ -111,17 +99,19 @@ export function suggestTransfer(balances, balanceCheck) {
   let direction;
   let amount;
 
-  if (balances.perpPercent > 50) {
+  const target = balanceCheck.target ?? 50;
+
+  if (balances.perpPercent > target) {
     // Too much in PERP, transfer to SPOT
     direction = 'PERP → SPOT';
-    // Calculate amount needed to reach 50/50
-    const targetPerpBalance = balances.totalBalance * 0.5;
+    // Calculate amount needed to reach the target split
+    const targetPerpBalance = balances.totalBalance * target / 100;
     amount = balances.perpBalance - targetPerpBalance;
   } else {
     // Too much in SPOT, transfer to PERP
     direction = 'SPOT → PERP';
-    // Calculate amount needed to reach 50/50
-    const targetSpotBalance = balances.totalBalance * 0.5;
+    // Calculate amount needed to reach the target split
+    const targetSpotBalance = balances.totalBalance * (100 - target) / 100;
     amount = balances.spotBalance - targetSpotBalance;
   }
 
@@ -152,7 +142,7 @@ export function formatBalanceReport(balances, balanceCheck, transferSuggestion)
   if (balanceCheck.isBalanced) {
     lines.push(`✅ Balanced (within ${balanceCheck.tolerance}% tolerance)`);
   } else {
-    lines.push(`⚠️  Imbalanced (target: ${balanceCheck.target}% ±${balanceCheck.tolerance}%)`);
+    lines.push(`⚠️  Imbalanced (target: PERP ${balanceCheck.target.toFixed(1)}% / SPOT ${(100 - balanceCheck.target).toFixed(1)}% ±${balanceCheck.tolerance}%)`);
     lines.push(`  PERP: ${balanceCheck.perpImbalance > 0 ? '+' : ''}${balanceCheck.perpImbalance.toFixed(1)}% from target`);
     lines.push(`  SPOT: ${balanceCheck.spotImbalance > 0 ? '+' : ''}${balanceCheck.spotImbalance.toFixed(1)}% from target`);
 
@@ -173,11 +163,12 @@ export function formatBalanceReport(balances, balanceCheck, transferSuggestion)
  * Check balances and generate full report
  * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
  * @param {number} tolerance - Tolerance percentage (default 10%)
+ * @param {number} target - Target PERP share in percent (default 50)
  * @returns {Promise<Object>} Full balance report
  */
-export async function checkAndReportBalances(hyperliquid, tolerance = 10) {
+export async function checkAndReportBalances(hyperliquid, tolerance = 10, target = 50) {
   const balances = await getBalances(hyperliquid);
-  const balanceCheck = checkBalanceDistribution(balances, tolerance);
+  const balanceCheck = checkBalanceDistribution(balances, tolerance, target);
   const transferSuggestion = suggestTransfer(balances, balanceCheck);
 
   return {
@@ -0,0 +1,214 @@
+/**
+ * Capital Planner
+ *
+ * Splits capital between the PERP and SPOT accounts for a given PERP leverage.
+ * A pair of notional N needs N of USDC on SPOT and N / leverage of margin on
+ * PERP, so the PERP account should hold 1 / (leverage + 1) of the total: 50% at
+ * 1x, 25% at 3x.
+ *
+ * The leverage comes from config.leverage (default, or perCoin), lowered when
+ * needed so the short's liquidation price stays at least the liquidation buffer
+ * above entry. The buffer is minLiquidationBufferPercent, or volatilitySigmas
+ * standard deviations of the coin's price over volatilityHorizonDays (measured
+ * from hourly candles over volatilityLookbackDays) if that is wider.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DEFAULT_LEVERAGE_CONFIG = {
+  default: 3,
+  perCoin: {},
+  minLiquidationBufferPercent: 25,
+  volatilityLookbackDays: 7,
+  volatilityHorizonDays: 3,
+  volatilitySigmas: 3
+};
+
+/**
+ * Read the leverage settings from config
+ * @param {Object} config - Bot configuration
+ * @returns {Object} DEFAULT_LEVERAGE_CONFIG overridden by config.leverage
+ */
+export function getLeverageConfig(config) {
+  const leverage = config?.leverage || {};
+  return {
+    ...DEFAULT_LEVERAGE_CONFIG,
+    ...leverage,
+    perCoin: { ...DEFAULT_LEVERAGE_CONFIG.perCoin, ...(leverage.perCoin || {}) }
+  };
+}
+
+/**
+ * Configured PERP leverage for a coin
+ * @param {Object} config - Bot configuration
+ * @param {string} symbol - Perp symbol (omit for the default)
+ * @returns {number} Leverage
+ */
+export function getCoinLeverage(config, symbol = null) {
+  const settings = getLeverageConfig(config);
+  return (symbol && settings.perCoin[symbol]) || settings.default;
+}
+
+/**
+ * PERP share of capital that funds a pair at a leverage
+ * @param {number} leverage - PERP leverage
+ * @returns {number} Percent (50 at 1x, 25 at 3x)
+ */
+export function getTargetPerpPercent(leverage) {
+  return 100 / (leverage + 1);
+}
+
+/**
+ * Volatility of a candle series
+ * @param {Array<Object>} candles - candleSnapshot entries (hourly), oldest first
+ * @returns {Object|null} { hourly, daily, samples } as fractions, or null with fewer than 2 returns
+ */
+export function calculateVolatility(candles) {
+  const closes = candles.map(c => parseFloat(c.c)).filter(c => c > 0);
+  const returns = [];
+
+  for (let i = 1; i < closes.length; i++) {
+    returns.push(Math.log(closes[i] / closes[i - 1]));
+  }
+
+  if (returns.length < 2) {
+    return null;
+  }
+
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  const hourly = Math.sqrt(variance);
+
+  return { hourly, daily: hourly * Math.sqrt(24), samples: returns.length };
+}
+
+/**
+ * Distance from entry to liquidation of an isolated short at a leverage
+ * Maintenance margin is half the initial margin at the asset's max leverage.
+ * @param {number} leverage - Position leverage
+ * @param {number} maxLeverage - Asset's max leverage
+ * @returns {number} Percent above entry
+ */
+export function calculateLiquidationBuffer(leverage, maxLeverage) {
+  const mmr = 1 / (2 * maxLeverage);
+  return (1 / leverage - mmr) / (1 + mmr) * 100;
+}
+
+/**
+ * Highest whole leverage whose liquidation buffer is at least bufferPercent
+ * @param {number} bufferPercent - Wanted distance from entry to liquidation
+ * @param {number} maxLeverage - Asset's max leverage
+ * @returns {number} Leverage (at least 1)
+ */
+export function calculateMaxSafeLeverage(bufferPercent, maxLeverage) {
+  const mmr = 1 / (2 * maxLeverage);
+  const marginFraction = (bufferPercent / 100) * (1 + mmr) + mmr;
+  return Math.max(1, Math.min(maxLeverage, Math.floor(1 / marginFraction)));
+}
+
+/**
+ * Plan leverage, PERP/SPOT split and maximum size for a coin
+ * @param {Object} params - Inputs
+ * @param {number} params.leverage - Configured leverage
+ * @param {number} params.maxLeverage - Asset's max leverage
+ * @param {Object|null} params.volatility - calculateVolatility() result (null: buffer from config only)
+ * @param {Object} params.balances - { perpBalance, spotBalance } from getBalances()
+ * @param {Object} params.settings - getLeverageConfig() result
+ * @returns {Object} { leverage, configuredLeverage, bufferPercent, liquidationBufferPercent, volatility, perpPercent, targetPerpBalance, targetSpotBalance, transferToPerp, maxNotional }
+ */
+export function planCapitalSplit({ leverage, maxLeverage, volatility = null, balances, settings = DEFAULT_LEVERAGE_CONFIG }) {
+  const volatilityBufferPercent = volatility
+    ? settings.volatilitySigmas * volatility.daily * Math.sqrt(settings.volatilityHorizonDays) * 100
+    : 0;
+  const bufferPercent = Math.max(settings.minLiquidationBufferPercent, volatilityBufferPercent);
+  const effectiveLeverage = Math.max(1, Math.min(leverage, maxLeverage, calculateMaxSafeLeverage(bufferPercent, maxLeverage)));
+
+  const total = balances.perpBalance + balances.spotBalance;
+  const perpPercent = getTargetPerpPercent(effectiveLeverage);
+  const targetPerpBalance = total * perpPercent / 100;
+
+  return {
+    leverage: effectiveLeverage,
+    configuredLeverage: leverage,
+    bufferPercent,
+    liquidationBufferPercent: calculateLiquidationBuffer(effectiveLeverage, maxLeverage),
+    volatility,
+    perpPercent,
+    targetPerpBalance,
+    targetSpotBalance: total - targetPerpBalance,
+    // Positive: move USDC from SPOT to PERP; negative: from PERP to SPOT
+    transferToPerp: targetPerpBalance - balances.perpBalance,
+    // Largest pair the current balances carry at this leverage
+    maxNotional: Math.min(balances.perpBalance * effectiveLeverage, balances.spotBalance)
+  };
+}
+
+/**
+ * Measure a coin's volatility from hourly PERP candles
+ * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+ * @param {string} symbol - Perp symbol
+ * @param {number} lookbackDays - History to measure over
+ * @returns {Promise<Object|null>} calculateVolatility() result
+ */
+export async function getVolatility(hyperliquid, symbol, lookbackDays) {
+  const endTime = Date.now();
+  const candles = await hyperliquid.getCandleSnapshot(symbol, '1h', endTime - lookbackDays * 24 * HOUR_MS, endTime);
+  return calculateVolatility(candles || []);
+}
+
+/**
+ * Plan the capital for opening a pair on a coin
+ * Volatility that can't be fetched falls back to the configured minimum buffer.
+ * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+ * @param {string} symbol - Perp symbol
+ * @param {Object} balances - { perpBalance, spotBalance } from getBalances()
+ * @param {Object} config - Bot configuration
+ * @returns {Promise<Object>} planCapitalSplit() result plus { symbol }
+ */
+export async function planCapital(hyperliquid, symbol, balances, config) {
+  const settings = getLeverageConfig(config);
+  const meta = await hyperliquid.getMeta();
+  const asset = meta.universe.find(a => a.name === symbol);
+
+  let volatility = null;
+  try {
+    volatility = await getVolatility(hyperliquid, symbol, settings.volatilityLookbackDays);
+  } catch (error) {
+    console.warn(`[Capital] ⚠️  Could not measure ${symbol} volatility: ${error.message}`);
+  }
+
+  return {
+    symbol,
+    ...planCapitalSplit({
+      leverage: getCoinLeverage(config, symbol),
+      maxLeverage: asset?.maxLeverage || 1,
+      volatility,
+      balances,
+      settings
+    })
+  };
+}
+
+/**
+ * Format a capital plan for logs
+ * @param {Object} plan - planCapital() result
+ * @returns {string} Multi-line report
+ */
+export function formatCapitalPlan(plan) {
+  const lines = [];
+  const leverageNote = plan.leverage < plan.configuredLeverage ? ` (lowered from ${plan.configuredLeverage}x)` : '';
+
+  lines.push(`Capital Plan${plan.symbol ? ` (${plan.symbol})` : ''}:`);
+  lines.push(`  Leverage: ${plan.leverage}x${leverageNote}, liquidation ${plan.liquidationBufferPercent.toFixed(1)}% above entry (min ${plan.bufferPercent.toFixed(1)}%)`);
+  if (plan.volatility) {
+    lines.push(`  Volatility: ${(plan.volatility.daily * 100).toFixed(2)}% daily`);
+  }
+  lines.push(`  Target split: PERP $${plan.targetPerpBalance.toFixed(2)} (${plan.perpPercent.toFixed(1)}%) / SPOT $${plan.targetSpotBalance.toFixed(2)}`);
+
+  if (Math.abs(plan.transferToPerp) >= 1) {
+    lines.push(`  💡 Move $${Math.abs(plan.transferToPerp).toFixed(2)} ${plan.transferToPerp > 0 ? 'SPOT → PERP' : 'PERP → SPOT'}`);
+  }
+  lines.push(`  Max pair size: $${plan.maxNotional.toFixed(2)}`);
+
+  return lines.join('\n');
+}
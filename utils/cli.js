@@ -0,0 +1,194 @@
+import { parseArgs } from 'util';
+
+/**
+ * CLI Helpers
+ *
+ * Argument parsing and output formatting for cli.js (the `hldn` command).
+ * Every command shares the same flags; a command lists the ones it accepts
+ * beyond the global ones, and anything else is rejected.
+ */
+
+export const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+
+/**
+ * All flags: util.parseArgs() option definitions plus help text
+ */
+export const CLI_OPTIONS = {
+  // Global
+  symbols: { type: 'string', short: 's', help: 'Comma-separated PERP symbols (default: trading.pairs)' },
+  format: { type: 'string', short: 'f', default: 'table', help: `Output: ${OUTPUT_FORMATS.join(', ')}` },
+  testnet: { type: 'boolean', default: false, help: 'Use the Hyperliquid testnet' },
+  config: { type: 'string', default: './config.json', help: 'Config file' },
+  help: { type: 'boolean', short: 'h', default: false, help: 'Show help' },
+  // Per command
+  'dry-run': { type: 'boolean', default: false, help: 'Show what would be sent without sending it' },
+  days: { type: 'string', help: 'Days of history (default: 7)' },
+  payments: { type: 'boolean', default: false, help: 'Your funding payments instead of market rates' },
+  leverage: { type: 'string', help: 'Leverage to set (default: leverage.perCoin or leverage.default)' },
+  cross: { type: 'boolean', default: false, help: 'Cross margin instead of isolated' },
+  all: { type: 'boolean', default: false, help: 'Every open position' },
+  spot: { type: 'boolean', default: false, help: 'SPOT market (symbol in PERP naming, e.g. BTC for UBTC)' },
+  'reduce-only': { type: 'boolean', default: false, help: 'Only reduce a PERP position' },
+  slippage: { type: 'string', help: 'Max slippage in percent (default: trading.maxSlippagePercent)' },
+  'min-notional': { type: 'string', help: 'Skip legs worth less than this many USD (default: 9.9)' }
+};
+
+export const GLOBAL_FLAGS = ['symbols', 'format', 'testnet', 'config', 'help'];
+
+/**
+ * Parse argv into a command, its positionals and flags
+ * @param {Array<string>} argv - Arguments after the script (process.argv.slice(2))
+ * @returns {Object} { command, args, flags }
+ * @throws {Error} On unknown flags or a bad --format
+ */
+export function parseCliArgs(argv) {
+  const options = Object.fromEntries(Object.entries(CLI_OPTIONS).map(([name, { help, ...definition }]) => [name, definition]));
+  const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true, strict: true });
+
+  if (!OUTPUT_FORMATS.includes(values.format)) {
+    throw new Error(`--format must be one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  const [command = null, ...args] = positionals;
+  return { command, args, flags: values };
+}
+
+/**
+ * Reject flags a command doesn't take
+ * @param {Object} flags - Parsed flags
+ * @param {Array<string>} accepted - The command's own flags
+ * @param {string} command - Command name (for the error)
+ * @throws {Error} Naming the first unsupported flag
+ */
+export function checkFlags(flags, accepted, command) {
+  for (const name of Object.keys(flags)) {
+    if (GLOBAL_FLAGS.includes(name) || accepted.includes(name)) continue;
+    if (flags[name] !== undefined && flags[name] !== CLI_OPTIONS[name].default) {
+      throw new Error(`${command} does not take --${name}`);
+    }
+  }
+}
+
+/**
+ * Parse a numeric flag
+ * @param {string|undefined} value - Flag value
+ * @param {string} name - Flag name (for the error)
+ * @param {number} fallback - Used when the flag is absent
+ * @returns {number}
+ * @throws {Error} When the value isn't a positive number
+ */
+export function numberFlag(value, name, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`--${name} must be a positive number`);
+  }
+  return number;
+}
+
+/**
+ * Symbols from --symbols, then positionals, then config (case is kept: kPEPE)
+ * @param {Object} flags - Parsed flags
+ * @param {Array<string>} args - Positionals after the command
+ * @param {Array<string>} configured - Pairs to fall back to
+ * @returns {Array<string>} Unique symbols
+ */
+export function resolveSymbols(flags, args, configured) {
+  const listed = [flags.symbols, ...args]
+    .filter(Boolean)
+    .flatMap(value => value.split(','))
+    .map(symbol => symbol.trim())
+    .filter(Boolean);
+  return [...new Set(listed.length > 0 ? listed : configured)];
+}
+
+function cellText(column, row) {
+  const value = column.value ? column.value(row) : row[column.key];
+  if (value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value))) {
+    return '';
+  }
+  return column.format ? column.format(value, row) : String(value);
+}
+
+/**
+ * Fixed-width text table; numeric columns are right-aligned
+ * @param {Array<Object>} rows - Rows
+ * @param {Array<Object>} columns - { key, label, value?(row), format?(value, row), align? }
+ * @returns {string} Table, or "(none)" without rows
+ */
+export function formatTable(rows, columns) {
+  if (rows.length === 0) {
+    return '(none)';
+  }
+
+  const cells = rows.map(row => columns.map(column => cellText(column, row)));
+  const widths = columns.map((column, i) => Math.max(column.label.length, ...cells.map(r => r[i].length)));
+  const align = columns.map((column, i) => column.align || (rows.every(row => {
+    const value = column.value ? column.value(row) : row[column.key];
+    return value === null || value === undefined || typeof value === 'number';
+  }) ? 'right' : 'left'));
+  const pad = (text, i) => (align[i] === 'right' ? text.padStart(widths[i]) : text.padEnd(widths[i]));
+
+  return [
+    columns.map((column, i) => pad(column.label, i)).join('  ').trimEnd(),
+    widths.map(w => '─'.repeat(w)).join('  '),
+    ...cells.map(r => r.map(pad).join('  ').trimEnd())
+  ].join('\n');
+}
+
+/**
+ * CSV with a header row (raw values, not the table formatting)
+ * @param {Array<Object>} rows - Rows
+ * @param {Array<Object>} columns - As for formatTable()
+ * @returns {string} CSV
+ */
+export function formatCSV(rows, columns) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    columns.map(c => escape(c.key)).join(','),
+    ...rows.map(row => columns.map(c => escape(c.value ? c.value(row) : row[c.key])).join(','))
+  ].join('\n');
+}
+
+/**
+ * Render rows in the chosen format
+ * @param {Array<Object>} rows - Rows (JSON prints them as they are)
+ * @param {Array<Object>} columns - Columns for table and CSV
+ * @param {string} format - 'table', 'json' or 'csv'
+ * @returns {string} Output
+ */
+export function renderRows(rows, columns, format) {
+  if (format === 'json') {
+    return JSON.stringify(rows, null, 2);
+  }
+  return format === 'csv' ? formatCSV(rows, columns) : formatTable(rows, columns);
+}
+
+/**
+ * Usage text for a command table
+ * @param {Object} commands - { name: { usage, description, flags } }
+ * @returns {string} Help
+ */
+export function formatHelp(commands) {
+  const lines = ['Usage: hldn <command> [options]', '', 'Commands:'];
+  const width = Math.max(...Object.values(commands).map(c => c.usage.length));
+  for (const command of Object.values(commands)) {
+    lines.push(`  ${command.usage.padEnd(width)}  ${command.description}`);
+  }
+
+  lines.push('', 'Options:');
+  const flagWidth = Math.max(...Object.keys(CLI_OPTIONS).map(n => n.length)) + 8;
+  for (const [name, option] of Object.entries(CLI_OPTIONS)) {
+    const flag = `${option.short ? `-${option.short}, ` : '    '}--${name}`;
+    const used = GLOBAL_FLAGS.includes(name)
+      ? ''
+      : ` [${Object.entries(commands).filter(([, c]) => c.flags.includes(name)).map(([n]) => n).join(', ')}]`;
+    lines.push(`  ${flag.padEnd(flagWidth)}  ${option.help}${used}`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,147 @@
+import { ethers } from 'ethers';
+import { isOpenStatus } from './order-ledger.js';
+
+/**
+ * Client Order ID Utilities
+ *
+ * Hyperliquid cloids are 128-bit hex strings ('0x' + 32 hex digits). Every order
+ * the bot sends carries one derived from the operation it belongs to (e.g.
+ * "open:BTC:<start time>"), the leg and a per-leg counter, so an order keeps the
+ * same cloid however many times its submission is attempted.
+ *
+ * The connector journals each cloid before sending (bot state `pendingOrders`)
+ * and, when a send fails, looks the cloid up with orderStatus before retrying.
+ * reconcilePendingOrders() settles whatever was still in flight when the bot stopped.
+ */
+
+/**
+ * Derive a cloid from its parts
+ * @param {...(string|number)} parts - e.g. intent, leg, counter
+ * @returns {string} '0x' + 32 hex digits
+ */
+export function makeCloid(...parts) {
+  return ethers.id(parts.join(':')).slice(0, 34);
+}
+
+/**
+ * Check that a value is a well-formed cloid
+ * @param {*} value - Value to check
+ * @returns {boolean} True for '0x' + 32 hex digits
+ */
+export function isCloid(value) {
+  return typeof value === 'string' && /^0x[0-9a-fA-F]{32}$/.test(value);
+}
+
+/**
+ * Cloid generator for one operation
+ * @param {string} intent - Operation key, e.g. `open:BTC:${Date.now()}`
+ * @returns {Function} (leg) => cloid; each call for a leg returns the next cloid in its sequence
+ */
+export function createCloidSequence(intent) {
+  const counters = new Map();
+
+  const next = (leg) => {
+    const n = counters.get(leg) || 0;
+    counters.set(leg, n + 1);
+    return makeCloid(intent, leg, n);
+  };
+  next.intent = intent;
+
+  return next;
+}
+
+/**
+ * Turn an orderStatus reply into the status an order action would have returned
+ * @param {Object} response - orderStatus reply ({ status: 'order', order: { order, status } })
+ * @param {Array<Object>} fills - Recent user fills, used for the average price
+ * @returns {Object} { filled } | { resting } | { error }
+ */
+export function statusFromOrderStatus(response, fills = []) {
+  const { order, status } = response.order;
+  const filledSz = parseFloat(order.origSz) - parseFloat(order.sz);
+  const ids = { oid: order.oid, ...(order.cloid ? { cloid: order.cloid } : {}) };
+
+  if (filledSz > 0) {
+    const own = fills.filter(f => f.oid === order.oid);
+    const size = own.reduce((sum, f) => sum + parseFloat(f.sz), 0);
+    const avgPx = size > 0
+      ? own.reduce((sum, f) => sum + parseFloat(f.sz) * parseFloat(f.px), 0) / size
+      : parseFloat(order.limitPx);
+
+    return { filled: { totalSz: String(filledSz), avgPx: String(avgPx), ...ids } };
+  }
+
+  if (isOpenStatus(status)) {
+    return { resting: ids };
+  }
+
+  return { error: `Order ${status}` };
+}
+
+/**
+ * Settle orders that were journaled but never confirmed (bot stopped mid-submission)
+ *
+ * Each pending order is looked up by cloid: unknown orders never reached the
+ * exchange, resting ones are canceled, and filled ones are reported so the
+ * caller can check positions before trading again. Orders whose status can't be
+ * read, or that are still resting because the cancel failed, are returned as
+ * unresolved and should stay journaled.
+ *
+ * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+ * @param {Array<Object>} pendingOrders - Journal entries { cloid, coin, isSpot, side, size, time }
+ * @param {Object} options - Options
+ * @param {boolean} options.verbose - Whether to log each order
+ * @returns {Promise<Object>} { resolved, unresolved, filled } lists of { ...pending, outcome, oid, filledSz, error }
+ */
+export async function reconcilePendingOrders(hyperliquid, pendingOrders, options = {}) {
+  const { verbose = false } = options;
+  const results = [];
+
+  for (const pending of pendingOrders || []) {
+    try {
+      const response = await hyperliquid.getOrderStatus(pending.cloid);
+
+      if (response.status !== 'order') {
+        results.push({ ...pending, outcome: 'notPlaced', oid: null, filledSz: 0 });
+        continue;
+      }
+
+      const { order, status } = response.order;
+      let outcome = status;
+
+      if (isOpenStatus(status)) {
+        const cancel = await hyperliquid.cancelOrder(pending.coin, order.oid, { isSpot: pending.isSpot });
+        const cancelStatus = cancel.response?.data?.statuses?.[0];
+
+        if (cancelStatus !== 'success') {
+          const error = cancelStatus?.error || (typeof cancel.response === 'string' ? cancel.response : 'Cancel failed');
+          const filledSz = parseFloat(order.origSz) - parseFloat(order.sz);
+          results.push({ ...pending, outcome: 'unresolved', oid: order.oid, filledSz, error });
+          continue;
+        }
+        outcome = 'canceled';
+      }
+
+      // Re-read after a cancel: it may have filled in the meantime
+      const final = outcome === status ? response : await hyperliquid.getOrderStatus(pending.cloid);
+      const filledSz = parseFloat(final.order.order.origSz) - parseFloat(final.order.order.sz);
+
+      results.push({ ...pending, outcome, oid: order.oid, filledSz });
+    } catch (error) {
+      results.push({ ...pending, outcome: 'unresolved', oid: null, filledSz: 0, error: error.message });
+    }
+  }
+
+  if (verbose) {
+    for (const result of results) {
+      const side = result.side === 'B' ? 'BUY' : 'SELL';
+      console.log(`[Cloid] ${result.cloid} ${side} ${result.size} ${result.coin}: ${result.outcome}${result.filledSz > 0 ? ` (filled ${result.filledSz})` : ''}${result.error ? ` - ${result.error}` : ''}`);
+    }
+  }
+
+  return {
+    resolved: results.filter(r => r.outcome !== 'unresolved'),
+    unresolved: results.filter(r => r.outcome === 'unresolved'),
+    filled: results.filter(r => r.filledSz > 0)
+  };
+}
@@ -0,0 +1,267 @@
+import http from 'http';
+import crypto from 'crypto';
+
+/**
+ * Control API
+ *
+ * Embedded HTTP server for watching and steering a running bot. Every request
+ * needs "Authorization: Bearer <token>", the token being read from the
+ * environment variable named by tokenEnv; without one the server does not start.
+ * It binds to 127.0.0.1 by default. Responses are JSON.
+ *
+ *   GET  /status     mode, pause flag, cycle counters, pins and bans
+ *   GET  /state      persisted bot state (positions, history, in-flight orders)
+ *   GET  /positions  tracked positions and what the exchange holds
+ *   GET  /analysis   last opportunity analysis
+ *   GET  /balances   PERP/SPOT balances
+ *   GET  /cycles     recent cycles
+ *   POST /pause, /resume             stop or restart scheduled cycles
+ *   POST /cycle                      run a cycle now (even while paused)
+ *   POST /close     { symbol }       close a pair without reopening
+ *   POST /pin, /unpin { symbol }     only open or switch into pinned symbols
+ *   POST /ban, /unban { symbol }     never open or switch into a symbol
+ *
+ * The server only routes: each endpoint calls the method of the same name on
+ * the controller the bot passes in. Control methods return { success, error };
+ * a failure is answered with its statusCode, or 409.
+ */
+
+export const DEFAULT_CONTROL_API = {
+  enabled: false,
+  host: '127.0.0.1',
+  port: 8420,
+  tokenEnv: 'BOT_API_TOKEN',
+  historySize: 48
+};
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+const ROUTES = {
+  '/status': { method: 'GET', handler: 'getStatus' },
+  '/state': { method: 'GET', handler: 'getState' },
+  '/positions': { method: 'GET', handler: 'getPositions' },
+  '/analysis': { method: 'GET', handler: 'getAnalysis' },
+  '/balances': { method: 'GET', handler: 'getBalances' },
+  '/cycles': { method: 'GET', handler: 'getCycles' },
+  '/pause': { method: 'POST', handler: 'pause' },
+  '/resume': { method: 'POST', handler: 'resume' },
+  '/cycle': { method: 'POST', handler: 'runCycle' },
+  '/close': { method: 'POST', handler: 'close' },
+  '/pin': { method: 'POST', handler: 'pin', needsSymbol: true },
+  '/unpin': { method: 'POST', handler: 'unpin' },
+  '/ban': { method: 'POST', handler: 'ban', needsSymbol: true },
+  '/unban': { method: 'POST', handler: 'unban', needsSymbol: true }
+};
+
+/**
+ * Read the control API settings from config
+ * @param {Object} config - Bot configuration
+ * @returns {Object} DEFAULT_CONTROL_API overridden by config.controlApi
+ */
+export function getControlApiSettings(config) {
+  return { ...DEFAULT_CONTROL_API, ...(config?.controlApi || {}) };
+}
+
+/**
+ * JSON-safe summary of a findBestOpportunities() result
+ * (marketData holds Maps and raw histories, so it is left out)
+ * @param {Object} analysis - Result from findBestOpportunities()
+ * @param {number} timestamp - When the analysis ran (ms)
+ * @returns {Object} { timestamp, best, stats, opportunities }
+ */
+export function summarizeAnalysis(analysis, timestamp = Date.now()) {
+  return {
+    timestamp,
+    best: analysis.best?.symbol || null,
+    stats: analysis.filterResult?.stats || null,
+    opportunities: analysis.rankedOpportunities.map(o => ({
+      symbol: o.symbol,
+      primaryFundingPercent: o.primaryFundingPercent,
+      predictedFundingPercent: o.predictedFundingPercent,
+      avgFundingPercent: o.avgFundingPercent,
+      expectedFundingPercent: o.expectedFundingPercent ?? null,
+      totalVolumeUSDC: o.totalVolumeUSDC,
+      maxBidAskSpread: o.maxBidAskSpread,
+      perpSpotSpreadAbs: o.perpSpotSpreadAbs,
+      qualityScore: o.qualityScore
+    }))
+  };
+}
+
+/**
+ * Compare a presented token with the expected one in constant time
+ * @param {string} presented - Token from the request
+ * @param {string} expected - Configured token
+ * @returns {boolean} True if they match
+ */
+function tokensMatch(presented, expected) {
+  const a = crypto.createHash('sha256').update(String(presented)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body.trim()) {
+        resolve({});
+        return;
+      }
+      try {
+        const parsed = JSON.parse(body);
+        resolve(parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {});
+      } catch (error) {
+        reject(new Error(`Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Token-protected HTTP status and control server for the bot
+ */
+export class ControlApi {
+  /**
+   * @param {Object} controller - Bot callbacks, one per route handler (getStatus, pause, close, ...)
+   * @param {Object} config - Bot configuration (controlApi)
+   * @param {Object} options - Options
+   * @param {string} options.token - Bearer token (default: process.env[controlApi.tokenEnv])
+   * @param {boolean} options.verbose - Log control requests
+   */
+  constructor(controller, config, options = {}) {
+    this.controller = controller;
+    this.settings = getControlApiSettings(config);
+    this.token = options.token ?? process.env[this.settings.tokenEnv] ?? null;
+    this.verbose = options.verbose ?? false;
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<Object>} { host, port } actually bound
+   * @throws {Error} If no token is configured or the port can't be bound
+   */
+  async start() {
+    if (!this.token) {
+      throw new Error(`Set ${this.settings.tokenEnv} to enable the control API`);
+    }
+
+    const loopback = ['127.0.0.1', '::1', 'localhost'];
+    if (!loopback.includes(this.settings.host)) {
+      console.warn(`[ControlApi] ⚠️  Listening on ${this.settings.host}: the API can close positions, keep it off public networks`);
+    }
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        this.send(res, 500, { error: error.message });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.settings.port, this.settings.host, resolve);
+    });
+
+    const { port } = this.server.address();
+    if (this.verbose) {
+      console.log(`[ControlApi] Listening on http://${this.settings.host}:${port}`);
+    }
+    return { host: this.settings.host, port };
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Write a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status code
+   * @param {*} body - Value to serialize
+   */
+  send(res, status, body) {
+    if (res.headersSent) {
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body ?? null));
+  }
+
+  /**
+   * Authenticate, route and answer one request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handle(req, res) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match || !tokensMatch(match[1].trim(), this.token)) {
+      this.send(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const route = ROUTES[pathname.replace(/\/+$/, '') || '/'];
+    if (!route) {
+      this.send(res, 404, { error: `Unknown endpoint ${pathname}` });
+      return;
+    }
+    if (req.method !== route.method) {
+      res.setHeader('Allow', route.method);
+      this.send(res, 405, { error: `${pathname} only accepts ${route.method}` });
+      return;
+    }
+
+    if (route.method === 'GET') {
+      this.send(res, 200, await this.controller[route.handler]());
+      return;
+    }
+
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      this.send(res, 400, { success: false, error: error.message });
+      return;
+    }
+
+    const symbol = typeof body.symbol === 'string' && body.symbol.trim() ? body.symbol.trim() : null;
+    if (route.needsSymbol && !symbol) {
+      this.send(res, 400, { success: false, error: `${pathname} needs a symbol` });
+      return;
+    }
+
+    if (this.verbose) {
+      console.log(`[ControlApi] POST ${pathname}${symbol ? ` ${symbol}` : ''}`);
+    }
+
+    const { statusCode, ...result } = await this.controller[route.handler]({ ...body, symbol });
+    this.send(res, result.success === false ? (statusCode || 409) : 200, result);
+  }
+}
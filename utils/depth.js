@@ -0,0 +1,152 @@
+/**
+ * Order Book Depth Utilities
+ *
+ * Expected VWAP fills and price impact from full L2 depth, and sizing of a
+ * delta-neutral entry (SELL PERP into the bids + BUY SPOT from the asks) so the
+ * combined impact of both legs stays within a basis-point budget.
+ *
+ * Depth levels use the numeric shape returned by hyperliquid.getDepth():
+ *   { price, size, numOrders }, best first.
+ */
+
+const BPS = 10000;
+const SEARCH_ITERATIONS = 40;
+
+/**
+ * Get the mid price of a depth snapshot
+ * @param {Object} depth - { bids, asks } from hyperliquid.getDepth()
+ * @returns {number|null} Mid price, or null if either side is empty
+ */
+export function getDepthMid(depth) {
+  const bestBid = depth?.bids?.[0]?.price;
+  const bestAsk = depth?.asks?.[0]?.price;
+
+  if (!bestBid || !bestAsk) {
+    return null;
+  }
+
+  return (bestBid + bestAsk) / 2;
+}
+
+/**
+ * Total size available on one side of the book
+ * @param {Array<Object>} levels - Depth levels
+ * @returns {number} Summed size
+ */
+export function getTotalSize(levels) {
+  return (levels || []).reduce((sum, level) => sum + level.size, 0);
+}
+
+/**
+ * Estimate the fill of a market order walking one side of the book
+ * @param {Array<Object>} levels - Levels to consume, best first (asks for a buy, bids for a sell)
+ * @param {number} size - Order size in coins
+ * @param {number} referencePrice - Price impact is measured against this (normally the mid)
+ * @returns {Object} { size, filledSz, vwap, notional, impactBps, levelsUsed, fullyFilled }
+ */
+export function estimateFill(levels, size, referencePrice) {
+  let remaining = size;
+  let filledSz = 0;
+  let notional = 0;
+  let levelsUsed = 0;
+
+  for (const level of levels || []) {
+    if (remaining <= 0) break;
+
+    const take = Math.min(remaining, level.size);
+    filledSz += take;
+    notional += take * level.price;
+    remaining -= take;
+    levelsUsed++;
+  }
+
+  const vwap = filledSz > 0 ? notional / filledSz : null;
+  const impactBps = vwap !== null && referencePrice > 0
+    ? Math.abs(vwap - referencePrice) / referencePrice * BPS
+    : null;
+
+  return {
+    size,
+    filledSz,
+    vwap,
+    notional,
+    impactBps,
+    levelsUsed,
+    fullyFilled: remaining <= 1e-12
+  };
+}
+
+/**
+ * Estimate both legs of a delta-neutral entry for a given size
+ * @param {Object} perpDepth - PERP depth (the SHORT sells into its bids)
+ * @param {Object} spotDepth - SPOT depth (the LONG buys from its asks)
+ * @param {number} size - Size in coins, same on both legs
+ * @returns {Object} { perp, spot, combinedImpactBps, fullyFilled }
+ */
+export function estimateEntryImpact(perpDepth, spotDepth, size) {
+  const perp = estimateFill(perpDepth.bids, size, getDepthMid(perpDepth));
+  const spot = estimateFill(spotDepth.asks, size, getDepthMid(spotDepth));
+
+  return {
+    perp,
+    spot,
+    combinedImpactBps: (perp.impactBps || 0) + (spot.impactBps || 0),
+    fullyFilled: perp.fullyFilled && spot.fullyFilled
+  };
+}
+
+/**
+ * Cap a delta-neutral entry size so the combined PERP + SPOT price impact
+ * (VWAP vs. each book's mid, so half the spread is included) stays within budget.
+ *
+ * Impact only grows with size, so the largest size within budget is found by
+ * bisection between 0 and the smaller of the desired size and the visible depth.
+ *
+ * @param {Object} perpDepth - PERP depth from hyperliquid.getDepth()
+ * @param {Object} spotDepth - SPOT depth from hyperliquid.getDepth()
+ * @param {number} desiredSize - Size the capital allows, in coins
+ * @param {number} maxImpactBps - Budget for combined impact, in basis points
+ * @returns {Object} { size, desiredSize, limited, maxImpactBps, combinedImpactBps, perp, spot }
+ */
+export function calculateDepthLimitedSize(perpDepth, spotDepth, desiredSize, maxImpactBps) {
+  if (!getDepthMid(perpDepth) || !getDepthMid(spotDepth)) {
+    throw new Error('Order book depth unavailable (empty bids or asks)');
+  }
+
+  const result = (size, limited) => {
+    const estimate = estimateEntryImpact(perpDepth, spotDepth, size);
+    return {
+      size,
+      desiredSize,
+      limited,
+      maxImpactBps,
+      combinedImpactBps: estimate.combinedImpactBps,
+      perp: estimate.perp,
+      spot: estimate.spot
+    };
+  };
+
+  const full = estimateEntryImpact(perpDepth, spotDepth, desiredSize);
+  if (full.fullyFilled && full.combinedImpactBps <= maxImpactBps) {
+    return result(desiredSize, false);
+  }
+
+  // Never size beyond what is visible on either book
+  let high = Math.min(desiredSize, getTotalSize(perpDepth.bids), getTotalSize(spotDepth.asks));
+  let low = 0;
+
+  if (estimateEntryImpact(perpDepth, spotDepth, high).combinedImpactBps <= maxImpactBps) {
+    return result(high, true);
+  }
+
+  for (let i = 0; i < SEARCH_ITERATIONS; i++) {
+    const mid = (low + high) / 2;
+    if (estimateEntryImpact(perpDepth, spotDepth, mid).combinedImpactBps <= maxImpactBps) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return result(low, true);
+}
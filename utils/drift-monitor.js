@@ -0,0 +1,250 @@
+import { EventEmitter } from 'events';
+import { analyzeHedgeNeeds, createHedge } from './hedge.js';
+
+/**
+ * Delta Drift Monitor
+ *
+ * Between trading cycles a leg can drift out of balance: a partial fill, a
+ * failed unwind or a manual trade. The monitor re-runs analyzeHedgeNeeds() every
+ * intervalSeconds, and shortly after any fill, with mark prices, and calls
+ * createHedge() for each coin whose net delta exceeds maxDriftUSD or
+ * maxDriftPercent of its exposure.
+ *
+ * Each coin is corrected at most once per cooldownSeconds, and corrections stop
+ * once maxDailyCorrectionUSD has been traded in the last 24 hours, so a
+ * correction that keeps failing to stick can't trade the account away.
+ *
+ * Events:
+ * - 'check'     (summary)            after every check
+ * - 'corrected' (correction, result) a hedge filled
+ * - 'failed'    (correction, result) a hedge order failed
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_DRIFT_MONITOR = {
+  enabled: false,
+  intervalSeconds: 60,
+  fillDelaySeconds: 5,
+  maxDriftUSD: 25,
+  maxDriftPercent: 2,
+  minCorrectionUSD: 11,
+  cooldownSeconds: 300,
+  maxDailyCorrectionUSD: 1000
+};
+
+/**
+ * Read the drift monitor settings from config
+ * @param {Object} config - Bot configuration
+ * @returns {Object} DEFAULT_DRIFT_MONITOR overridden by config.driftMonitor
+ */
+export function getDriftMonitorSettings(config) {
+  return { ...DEFAULT_DRIFT_MONITOR, ...(config?.driftMonitor || {}) };
+}
+
+/**
+ * Mark price of every perp
+ * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+ * @returns {Promise<Object>} { BTC: 100000, ... }
+ */
+export async function getMarkPrices(hyperliquid) {
+  const [meta, assetCtxs] = await hyperliquid.info({ type: 'metaAndAssetCtxs' });
+  const marks = {};
+
+  meta.universe.forEach((asset, i) => {
+    const markPx = parseFloat(assetCtxs[i]?.markPx);
+    if (Number.isFinite(markPx)) {
+      marks[asset.name] = markPx;
+    }
+  });
+
+  return marks;
+}
+
+/**
+ * Net delta of a hedge need as a share of its exposure
+ * @param {Object} hedgeNeed - From analyzeHedgeNeeds()
+ * @returns {number} Percent (100 for a leg with nothing on the other side)
+ */
+export function getDriftPercent(hedgeNeed) {
+  return hedgeNeed.exposureUSD > 0 ? Math.abs(hedgeNeed.deltaUSD) / hedgeNeed.exposureUSD * 100 : 0;
+}
+
+/**
+ * Whether a hedge need has drifted past the thresholds (either one; null turns one off)
+ * @param {Object} hedgeNeed - From analyzeHedgeNeeds()
+ * @param {Object} settings - Drift monitor settings
+ * @returns {boolean} True if it should be corrected
+ */
+export function exceedsDrift(hedgeNeed, settings) {
+  const driftUSD = Math.abs(hedgeNeed.deltaUSD);
+
+  if (driftUSD < settings.minCorrectionUSD) {
+    return false;
+  }
+
+  return (settings.maxDriftUSD !== null && driftUSD >= settings.maxDriftUSD) ||
+    (settings.maxDriftPercent !== null && getDriftPercent(hedgeNeed) >= settings.maxDriftPercent);
+}
+
+/**
+ * Background re-hedging of drifted legs
+ */
+export class DeltaDriftMonitor extends EventEmitter {
+  /**
+   * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+   * @param {Object} config - Bot configuration (driftMonitor, trading.maxSlippagePercent)
+   * @param {Object} options - Options
+   * @param {Function} options.isPaused - () => boolean; checks are skipped while it returns true (e.g. a trading cycle is placing orders)
+   * @param {Function} options.now - Clock, for tests (default: Date.now)
+   * @param {boolean} options.verbose - Log checks and corrections
+   */
+  constructor(hyperliquid, config, options = {}) {
+    super();
+
+    this.hyperliquid = hyperliquid;
+    this.config = config;
+    this.settings = getDriftMonitorSettings(config);
+    this.isPaused = options.isPaused || (() => false);
+    this.now = options.now || Date.now;
+    this.verbose = options.verbose || false;
+
+    this.timer = null;
+    this.fillTimer = null;
+    this.checking = false;
+    this.lastCorrection = new Map(); // perp symbol -> time
+    this.corrections = [];           // { time, symbol, valueUSD } within the last 24h
+
+    this.onFill = () => this.scheduleFillCheck();
+  }
+
+  /**
+   * Start periodic checks and checks after fills
+   * @returns {DeltaDriftMonitor} this
+   */
+  start() {
+    if (!this.settings.enabled || this.timer) {
+      return this;
+    }
+
+    this.timer = setInterval(() => this.check('interval'), this.settings.intervalSeconds * 1000);
+    this.hyperliquid.on('fill', this.onFill);
+    this.log(`Watching net delta every ${this.settings.intervalSeconds}s (max $${this.settings.maxDriftUSD} or ${this.settings.maxDriftPercent}%)`);
+    return this;
+  }
+
+  /**
+   * Stop all checks
+   */
+  stop() {
+    clearInterval(this.timer);
+    clearTimeout(this.fillTimer);
+    this.timer = null;
+    this.fillTimer = null;
+    this.hyperliquid.removeListener('fill', this.onFill);
+  }
+
+  /**
+   * Check once, fillDelaySeconds after the last of a burst of fills
+   */
+  scheduleFillCheck() {
+    clearTimeout(this.fillTimer);
+    this.fillTimer = setTimeout(() => {
+      this.fillTimer = null;
+      this.check('fill');
+    }, this.settings.fillDelaySeconds * 1000);
+  }
+
+  /**
+   * USD traded by corrections in the last 24 hours
+   * @returns {number} USD
+   */
+  usedBudget() {
+    const since = this.now() - DAY_MS;
+    this.corrections = this.corrections.filter(c => c.time > since);
+    return this.corrections.reduce((sum, c) => sum + c.valueUSD, 0);
+  }
+
+  /**
+   * Measure drift and correct what exceeds the thresholds
+   * @param {string} trigger - What started the check ('interval', 'fill', 'manual')
+   * @returns {Promise<Object|null>} { time, trigger, drifts, corrected, skipped, failed }, or null if skipped
+   */
+  async check(trigger = 'manual') {
+    if (this.checking || this.isPaused()) {
+      return null;
+    }
+
+    this.checking = true;
+    try {
+      return await this.hyperliquid.withPriority('high', () => this.runCheck(trigger));
+    } catch (error) {
+      console.error(`[Drift] ❌ Check failed: ${error.message}`);
+      return null;
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  async runCheck(trigger) {
+    const settings = this.settings;
+    const prices = await getMarkPrices(this.hyperliquid);
+    const { hedgeNeeds } = await analyzeHedgeNeeds(this.hyperliquid, {
+      minValueUSD: settings.minCorrectionUSD,
+      minMismatchPercent: 0,
+      prices
+    });
+
+    const summary = { time: this.now(), trigger, drifts: [], corrected: [], skipped: [], failed: [] };
+
+    for (const hedgeNeed of hedgeNeeds) {
+      const drift = {
+        symbol: hedgeNeed.perpSymbol,
+        type: hedgeNeed.type,
+        deltaUSD: hedgeNeed.deltaUSD,
+        driftPercent: getDriftPercent(hedgeNeed)
+      };
+      summary.drifts.push(drift);
+
+      if (!exceedsDrift(hedgeNeed, settings)) {
+        continue;
+      }
+
+      const last = this.lastCorrection.get(drift.symbol);
+      if (last !== undefined && this.now() - last < settings.cooldownSeconds * 1000) {
+        summary.skipped.push({ ...drift, reason: 'cooldown' });
+        continue;
+      }
+
+      if (this.usedBudget() + hedgeNeed.valueUSD > settings.maxDailyCorrectionUSD) {
+        summary.skipped.push({ ...drift, reason: 'daily budget' });
+        console.warn(`[Drift] ⚠️  ${drift.symbol} drifted $${drift.deltaUSD.toFixed(2)} but the daily correction budget ($${settings.maxDailyCorrectionUSD}) is used up`);
+        continue;
+      }
+
+      this.log(`${drift.symbol} net delta $${drift.deltaUSD.toFixed(2)} (${drift.driftPercent.toFixed(1)}%): ${hedgeNeed.action} ${hedgeNeed.market}`);
+      this.lastCorrection.set(drift.symbol, this.now());
+
+      const result = await createHedge(this.hyperliquid, hedgeNeed, this.config, { verbose: this.verbose });
+
+      if (result.success) {
+        this.corrections.push({ time: this.now(), symbol: drift.symbol, valueUSD: result.fillValue });
+        summary.corrected.push({ ...drift, result });
+        this.emit('corrected', drift, result);
+      } else {
+        summary.failed.push({ ...drift, result });
+        console.error(`[Drift] ❌ Failed to re-hedge ${drift.symbol}: ${result.error}`);
+        this.emit('failed', drift, result);
+      }
+    }
+
+    this.emit('check', summary);
+    return summary;
+  }
+
+  log(message) {
+    if (this.verbose) {
+      console.log(`[Drift] ${message}`);
+    }
+  }
+}
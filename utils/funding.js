@@ -29,22 +29,10 @@ export async function getAllFundingRates(hyperliquid, options = {}) {
     }
 
     // Fetch meta and asset context which includes funding rates
-    const response = await fetch(hyperliquid.restUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        type: 'metaAndAssetCtxs'
-      })
+    const data = await hyperliquid.info({
+      type: 'metaAndAssetCtxs'
     });
 
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-
     // Extract funding rates from the response
     // The structure is: data = [meta, assetCtxs]
     // meta contains the universe of assets
@@ -205,24 +193,12 @@ export async function getFundingHistory(hyperliquid, coin, days = 7, options = {
       console.log(`Fetching ${days}-day funding history for ${coin}...`);
     }
 
-    const response = await fetch(hyperliquid.restUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        type: 'fundingHistory',
-        coin: coin,
-        startTime: startTime
-      })
+    const data = await hyperliquid.info({
+      type: 'fundingHistory',
+      coin: coin,
+      startTime: startTime
     });
 
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-
     if (verbose) {
       console.log(`✅ Fetched ${data.length} funding rate entries for ${coin}`);
     }
@@ -282,14 +258,240 @@ export function calculateFundingStats(history) {
   };
 }
 
+/**
+ * Stability of a funding history
+ *
+ * score runs from 0 to 1: it falls with the share of negative hours and with
+ * the standard deviation relative to the mean rate.
+ *
+ * @param {Object[]|number[]} history - Funding history entries (or hourly rates)
+ * @returns {Object} { count, meanHourly, stddevHourly, stddevAnnualized, negativeFraction, score }
+ */
+export function calculateFundingStability(history) {
+  const rates = toHourlyRates(history);
+
+  if (rates.length === 0) {
+    return { count: 0, meanHourly: null, stddevHourly: null, stddevAnnualized: null, negativeFraction: null, score: 0 };
+  }
+
+  const mean = rates.reduce((acc, r) => acc + r, 0) / rates.length;
+  const variance = rates.reduce((acc, r) => acc + (r - mean) ** 2, 0) / rates.length;
+  const stddev = Math.sqrt(variance);
+  const negativeFraction = rates.filter(r => r < 0).length / rates.length;
+
+  // Coefficient of variation; a zero or negative mean is as unstable as it gets
+  const cv = mean > 0 ? stddev / mean : Infinity;
+
+  return {
+    count: rates.length,
+    meanHourly: mean,
+    stddevHourly: stddev,
+    stddevAnnualized: stddev * 24 * 365,
+    negativeFraction,
+    score: Number.isFinite(cv) ? (1 - negativeFraction) / (1 + cv) : 0
+  };
+}
+
+/**
+ * Hourly rates, oldest first, from fundingHistory entries or plain numbers
+ */
+function toHourlyRates(history) {
+  return (history || [])
+    .map(h => (typeof h === 'number' ? h : parseFloat(h.fundingRate)))
+    .filter(r => Number.isFinite(r));
+}
+
+function mean(values) {
+  return values.reduce((acc, v) => acc + v, 0) / values.length;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Funding forecasters
+ *
+ * Each takes hourly rates (oldest first, at least one) and options
+ * { horizonHours, predictedHourly, ... } and returns { hourly, ...details }, where
+ * hourly is the expected average rate over the next horizonHours.
+ */
+const FUNDING_FORECASTERS = {
+  /**
+   * Exponentially weighted mean (options.halfLifeHours, default 24)
+   */
+  ewma(rates, options = {}) {
+    const { halfLifeHours = 24 } = options;
+    const alpha = 1 - Math.pow(0.5, 1 / halfLifeHours);
+    let value = rates[0];
+
+    for (const rate of rates.slice(1)) {
+      value = alpha * rate + (1 - alpha) * value;
+    }
+
+    return { hourly: value, halfLifeHours };
+  },
+
+  /**
+   * Median of the mean rate over several trailing windows (options.windows, hours)
+   */
+  median(rates, options = {}) {
+    const { windows = [24, 72, 168] } = options;
+    const means = windows.map(w => mean(rates.slice(-Math.min(w, rates.length))));
+
+    return { hourly: median(means), windows };
+  },
+
+  /**
+   * AR(1) mean reversion fitted on the history: r(t+1) - μ = φ (r(t) - μ).
+   * Starts from the predicted next rate when given, else the last rate, and
+   * decays towards μ over the horizon.
+   */
+  meanReverting(rates, options = {}) {
+    const { horizonHours = 24, predictedHourly = null } = options;
+    const mu = mean(rates);
+    const start = Number.isFinite(predictedHourly) ? predictedHourly : rates[rates.length - 1];
+
+    let phi = 0;
+    if (rates.length >= 3) {
+      let num = 0;
+      let den = 0;
+      for (let i = 1; i < rates.length; i++) {
+        num += (rates[i] - mu) * (rates[i - 1] - mu);
+        den += (rates[i - 1] - mu) ** 2;
+      }
+      phi = den > 0 ? Math.min(Math.max(num / den, 0), 0.999) : 0;
+    }
+
+    // Average of μ + (start - μ) φ^(h-1) for h = 1..H
+    const decay = phi > 0 ? (1 - Math.pow(phi, horizonHours)) / ((1 - phi) * horizonHours) : 1 / horizonHours;
+    const halfLifeHours = phi > 0 ? Math.log(0.5) / Math.log(phi) : 0;
+
+    return { hourly: mu + (start - mu) * decay, mean: mu, phi, halfLifeHours };
+  }
+};
+
+export const FORECAST_MODELS = Object.keys(FUNDING_FORECASTERS);
+
+/**
+ * Register a custom forecaster (or replace a built-in one)
+ * @param {string} name - Model name used in config.forecast.model
+ * @param {Function} forecaster - (rates, options) => { hourly, ...details }
+ */
+export function registerFundingForecaster(name, forecaster) {
+  FUNDING_FORECASTERS[name] = forecaster;
+  if (!FORECAST_MODELS.includes(name)) {
+    FORECAST_MODELS.push(name);
+  }
+}
+
+/**
+ * Forecast the average funding rate over a hold period
+ *
+ * @param {Object[]|number[]} history - Funding history entries (or hourly rates), oldest first
+ * @param {Object} options - Options
+ * @param {string} options.model - 'ewma' | 'median' | 'meanReverting' | registered name (default 'meanReverting')
+ * @param {number} options.horizonHours - Hold period to forecast over (default 24)
+ * @param {number} options.predictedHourly - Predicted next hourly rate, if known
+ * @returns {Object|null} { model, horizonHours, hourly, annualized, details } or null without history
+ */
+export function forecastFunding(history, options = {}) {
+  const { model = 'meanReverting', horizonHours = 24 } = options;
+  const forecaster = FUNDING_FORECASTERS[model];
+
+  if (!forecaster) {
+    throw new Error(`Unknown funding forecast model "${model}" (expected ${FORECAST_MODELS.join(', ')})`);
+  }
+
+  const rates = toHourlyRates(history);
+  if (rates.length === 0) {
+    return null;
+  }
+
+  const { hourly, ...details } = forecaster(rates, { ...options, horizonHours });
+
+  return {
+    model,
+    horizonHours,
+    hourly,
+    annualized: hourly * 24 * 365,
+    details
+  };
+}
+
+/**
+ * Display names of the venues in predictedFundings
+ */
+export const FUNDING_VENUES = {
+  HlPerp: 'Hyperliquid',
+  BinPerp: 'Binance',
+  BybitPerp: 'Bybit'
+};
+
+/**
+ * Parse one venue entry of predictedFundings
+ * Other venues settle every fundingIntervalHours (8 on Binance/Bybit), so their
+ * rate is converted to hourly before annualizing.
+ * @param {Object} data - { fundingRate, nextFundingTime, fundingIntervalHours }
+ * @param {number} defaultIntervalHours - Interval when the entry has none
+ * @returns {Object} { fundingRate, intervalHours, hourlyRate, annualizedRate, nextFundingTime }
+ */
+function parseVenueFunding(data, defaultIntervalHours) {
+  const fundingRate = parseFloat(data.fundingRate);
+  const intervalHours = data.fundingIntervalHours || defaultIntervalHours;
+  const hourlyRate = fundingRate / intervalHours;
+
+  return {
+    fundingRate,
+    intervalHours,
+    hourlyRate,
+    annualizedRate: hourlyRate * 24 * 365,
+    nextFundingTime: data.nextFundingTime
+  };
+}
+
+/**
+ * How far Hyperliquid's predicted funding sits above the other venues
+ *
+ * @param {Object} predicted - Entry from getPredictedFundingRates()
+ * @returns {Object|null} { venueCount, otherAnnualized, premiumAnnualized, premiumPercent } or null
+ *   when no other venue lists the coin. premiumAnnualized is HL minus the mean of the others.
+ */
+export function calculateFundingDivergence(predicted) {
+  const others = Object.entries(predicted?.venues || {})
+    .filter(([venue]) => venue !== 'HlPerp')
+    .map(([, venue]) => venue.annualizedRate)
+    .filter(rate => Number.isFinite(rate));
+
+  if (others.length === 0 || !Number.isFinite(predicted.predictedAnnualizedRate)) {
+    return null;
+  }
+
+  const otherAnnualized = others.reduce((acc, r) => acc + r, 0) / others.length;
+  const premiumAnnualized = predicted.predictedAnnualizedRate - otherAnnualized;
+
+  return {
+    venueCount: others.length,
+    otherAnnualized,
+    premiumAnnualized,
+    premiumPercent: premiumAnnualized * 100
+  };
+}
+
 /**
  * Fetch PREDICTED funding rates for all perpetual symbols
  * This returns the NEXT funding rate that will be applied, not the current/historical rate
  *
+ * Predictions from the other venues in the same response (Binance, Bybit) are
+ * kept per coin in `venues`, and `divergence` compares HL against them.
+ *
  * @param {HyperliquidConnector} hyperliquid - Initialized Hyperliquid connector
  * @param {Object} options - Optional parameters
  * @param {boolean} options.verbose - Log progress to console
  * @returns {Promise<Map<string, Object>>} Map of symbol -> predicted funding info
+ *   { symbol, predictedFundingRate, predictedAnnualizedRate, nextFundingTime, nextFundingDate, venues, divergence }
  */
 export async function getPredictedFundingRates(hyperliquid, options = {}) {
   const { verbose = false } = options;
@@ -300,43 +502,39 @@ export async function getPredictedFundingRates(hyperliquid, options = {}) {
     }
 
     // Fetch predicted fundings
-    const response = await fetch(hyperliquid.restUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        type: 'predictedFundings'
-      })
+    const data = await hyperliquid.info({
+      type: 'predictedFundings'
     });
 
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-
     // Extract predicted funding rates from the response
-    // The structure is: data = [[coin, [[exchange, {fundingRate, nextFundingTime}], ...]], ...]
-    // We want the "HlPerp" exchange data for each coin
+    // The structure is: data = [[coin, [[exchange, {fundingRate, nextFundingTime, fundingIntervalHours}], ...]], ...]
+    // The "HlPerp" entry drives decisions; the other exchanges are kept for comparison
 
     const fundingMap = new Map();
 
     for (const [coin, exchanges] of data) {
-      // Find HlPerp exchange data
-      const hlPerpData = exchanges.find(([exchange]) => exchange === 'HlPerp');
+      const venues = {};
+      for (const [exchange, venueData] of exchanges) {
+        if (venueData) {
+          venues[exchange] = parseVenueFunding(venueData, exchange === 'HlPerp' ? 1 : 8);
+        }
+      }
 
-      if (hlPerpData && hlPerpData[1]) {
-        const { fundingRate, nextFundingTime } = hlPerpData[1];
+      const hlPerp = venues.HlPerp;
 
-        fundingMap.set(coin, {
+      if (hlPerp) {
+        const entry = {
           symbol: coin,
-          predictedFundingRate: parseFloat(fundingRate),
+          predictedFundingRate: hlPerp.hourlyRate,
           // Annualize: hourly rate × 24 hours × 365 days
-          predictedAnnualizedRate: parseFloat(fundingRate) * 24 * 365,
-          nextFundingTime: nextFundingTime,
-          nextFundingDate: new Date(nextFundingTime)
-        });
+          predictedAnnualizedRate: hlPerp.annualizedRate,
+          nextFundingTime: hlPerp.nextFundingTime,
+          nextFundingDate: new Date(hlPerp.nextFundingTime),
+          venues
+        };
+        entry.divergence = calculateFundingDivergence(entry);
+
+        fundingMap.set(coin, entry);
       }
     }
 
@@ -454,6 +652,9 @@ export async function getFundingRatesWithHistory(hyperliquid, symbols, options =
             hourly: stats.maxHourly,
             annualized: stats.maxAnnualized
           },
+          // Hourly rates, oldest first, for forecastFunding()
+          rates: toHourlyRates(historyData.history),
+          stability: calculateFundingStability(historyData.history),
           // Compare current to average
           vsCurrent: {
             hourlyDiff: current.fundingRate - stats.avgHourly,
@@ -1,20 +1,31 @@
 import HyperliquidConnector from '../hyperliquid.js';
 import { getPerpPositions, getSpotBalances, analyzeDeltaNeutral } from './positions.js';
+import { makeCloid } from './cloid.js';
 
 /**
  * Hedge Utility Functions
  *
- * Detect and correct unhedged positions by creating matching opposite positions
+ * Detect and correct unhedged positions by creating matching opposite positions.
+ * Each hedge need carries its net delta in USD (deltaUSD, positive = net long)
+ * and the gross exposure it is measured against (exposureUSD), which is what
+ * utils/drift-monitor.js compares with its thresholds.
  */
 
+// Hedge needs for a single unhedged leg, which autoHedgeAll() may close instead
+// (a pair that is only mismatched keeps both legs when its correction fails)
+const CLOSABLE_TYPES = ['SPOT_NEEDS_PERP_SHORT', 'PERP_NEEDS_SPOT'];
+
 /**
  * Analyze current positions and identify what needs hedging
  * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
  * @param {Object} options - Options
+ * @param {number} options.minValueUSD - Ignore corrections smaller than this (default: 1)
+ * @param {number} options.minMismatchPercent - Size mismatch before a pair is corrected (default: 5)
+ * @param {Object} options.prices - Price per PERP symbol, e.g. mark prices (default: getAllMids())
  * @returns {Promise<Object>} Analysis with hedge recommendations
  */
 export async function analyzeHedgeNeeds(hyperliquid, options = {}) {
-  const { minValueUSD = 1, verbose = false } = options;
+  const { minValueUSD = 1, minMismatchPercent = 5, verbose = false } = options;
 
   if (verbose) {
     console.log('[Hedge] Analyzing positions for hedge needs...');
@@ -30,7 +41,7 @@ export async function analyzeHedgeNeeds(hyperliquid, options = {}) {
   const analysis = analyzeDeltaNeutral(perpPositions, spotBalances);
 
   // Get prices for all symbols
-  const allMids = await hyperliquid.getAllMids();
+  const allMids = options.prices || await hyperliquid.getAllMids();
   const priceMap = {};
   for (const [symbol, priceStr] of Object.entries(allMids)) {
     priceMap[symbol] = parseFloat(priceStr);
@@ -41,8 +52,8 @@ export async function analyzeHedgeNeeds(hyperliquid, options = {}) {
 
   // Check existing delta-neutral pairs for WEAK hedges that need strengthening
   for (const pair of analysis.deltaNeutralPairs) {
-    // Only strengthen if mismatch is significant (> 5%) and it's actually delta-neutral
-    if (pair.isDeltaNeutral && pair.sizeMismatchPct > 5) {
+    // Only strengthen if mismatch is significant and it's actually delta-neutral
+    if (pair.isDeltaNeutral && pair.sizeMismatchPct > minMismatchPercent) {
       const price = priceMap[pair.symbol] || 0;
       const sizeDiff = Math.abs(pair.perpSize - pair.spotSize);
 
@@ -62,14 +73,36 @@ export async function analyzeHedgeNeeds(hyperliquid, options = {}) {
             perpSizeNeeded: perpSizeNeeded,
             currentPrice: price,
             valueUSD: value,
+            deltaUSD: value,
+            exposureUSD: pair.spotSize * price,
             action: 'SELL',
             market: 'PERP',
             reason: `Strengthen WEAK hedge (${pair.sizeMismatchPct.toFixed(1)}% mismatch)`
           });
         }
       } else if (pair.spotSize < pair.perpSize) {
-        // Need more SPOT LONG to match PERP SHORT (but ignoring this for now)
-        // This would require buying more SPOT
+        // Buy back the PERP SHORT in excess of SPOT (cheaper than buying SPOT, needs no SPOT USDC)
+        const value = sizeDiff * price;
+
+        if (value >= minValueUSD) {
+          hedgeNeeds.push({
+            type: 'REDUCE_PERP_SHORT',
+            spotSymbol: HyperliquidConnector.perpToSpot(pair.symbol),
+            perpSymbol: pair.symbol,
+            existingPerpSize: pair.perpSize,
+            existingSpotSize: pair.spotSize,
+            spotSize: pair.spotSize,
+            perpSizeNeeded: sizeDiff,
+            currentPrice: price,
+            valueUSD: value,
+            deltaUSD: -value,
+            exposureUSD: pair.perpSize * price,
+            action: 'BUY',
+            market: 'PERP',
+            reduceOnly: true,
+            reason: `Trim excess PERP short (${pair.sizeMismatchPct.toFixed(1)}% mismatch)`
+          });
+        }
       }
     }
   }
@@ -91,6 +124,8 @@ export async function analyzeHedgeNeeds(hyperliquid, options = {}) {
         perpSizeNeeded: spotSize,
         currentPrice: price,
         valueUSD: value,
+        deltaUSD: value,
+        exposureUSD: value,
         action: 'SELL',
         market: 'PERP',
         reason: 'Unhedged SPOT position'
@@ -107,17 +142,21 @@ export async function analyzeHedgeNeeds(hyperliquid, options = {}) {
     if (value >= minValueUSD) {
       // If we have a SHORT perp, we need LONG spot (buy)
       // If we have a LONG perp, we need SHORT spot (sell)
-      const needSpotBuy = perpPos.side === 'short';
+      // (getPerpPositions() reports sides as 'LONG' / 'SHORT')
+      const perpSide = perpPos.side.toLowerCase();
+      const needSpotBuy = perpSide === 'short';
 
       hedgeNeeds.push({
         type: 'PERP_NEEDS_SPOT',
         perpSymbol: perpPos.symbol,
         spotSymbol: spotSymbol,
-        perpSide: perpPos.side,
+        perpSide: perpSide,
         perpSize: Math.abs(perpPos.size),
         spotSizeNeeded: Math.abs(perpPos.size),
         currentPrice: price,
         valueUSD: value,
+        deltaUSD: needSpotBuy ? -value : value,
+        exposureUSD: value,
         action: needSpotBuy ? 'BUY' : 'SELL',
         market: 'SPOT',
         reason: `Unhedged PERP ${perpPos.side.toUpperCase()}`
@@ -177,12 +216,14 @@ export async function createHedge(hyperliquid, hedgeNeed, config, options = {})
       }
     }
 
-    // Create market order (note: no reduceOnly, we're creating new position)
+    // Create market order (reduceOnly only when trimming an existing PERP, otherwise we're creating new position)
     const side = hedgeNeed.action.toLowerCase();
     const result = await hyperliquid.createMarketOrder(symbol, side, sizeRounded, {
       isSpot: isSpot,
+      reduceOnly: hedgeNeed.reduceOnly === true,
       slippage: config.trading?.maxSlippagePercent || 5.0,
-      overrideMidPrice: hedgeNeed.currentPrice
+      overrideMidPrice: hedgeNeed.currentPrice,
+      cloid: makeCloid('hedge', symbol, Date.now())
     });
 
     const filled = result.response?.data?.statuses?.[0]?.filled;
@@ -287,7 +328,7 @@ export async function autoHedgeAll(hyperliquid, config, options = {}) {
 
     if (hedgeResult.success) {
       results.hedged.push(hedgeResult);
-    } else if (fallbackToClose) {
+    } else if (fallbackToClose && CLOSABLE_TYPES.includes(hedgeNeed.type)) {
       // Hedge failed, try to close the original position
       if (verbose) {
         console.log(`[Hedge] Hedge failed, attempting to close original position instead...`);
@@ -307,7 +348,9 @@ export async function autoHedgeAll(hyperliquid, config, options = {}) {
         const closeResult = await hyperliquid.createMarketOrder(closeSymbol, closeSide, sizeRounded, {
           isSpot: closeIsSpot,
           reduceOnly: true,
-          slippage: config.trading?.maxSlippagePercent || 5.0
+          slippage: config.trading?.maxSlippagePercent || 5.0,
+          overrideMidPrice: hedgeNeed.currentPrice,
+          cloid: makeCloid('hedge-close', closeSymbol, Date.now())
         });
 
         const filled = closeResult.response?.data?.statuses?.[0]?.filled;
@@ -19,6 +19,10 @@ import HyperliquidConnector from '../hyperliquid.js';
 export async function updateLeverage(hyperliquid, coin, leverage, isCross = false, options = {}) {
   const { verbose = false } = options;
 
+  if (hyperliquid.paper) {
+    return hyperliquid.paper.setLeverage(coin, leverage, isCross);
+  }
+
   if (!hyperliquid.wallet || !hyperliquid.signer) {
     throw new Error('Wallet and private key required to update leverage');
   }
@@ -42,38 +46,9 @@ export async function updateLeverage(hyperliquid, coin, leverage, isCross = fals
     leverage: leverage
   };
 
-  const nonce = Date.now();
-
-  // Sign action
-  const signature = await hyperliquid.signAction(action, nonce, options.vaultAddress);
-
-  // Create payload
-  const payload = {
-    action,
-    nonce,
-    signature
-  };
-
-  if (options.vaultAddress) {
-    payload.vaultAddress = options.vaultAddress;
-  }
-
-  // Send request
+  // Sign and send
   try {
-    const response = await fetch(hyperliquid.exchangeUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`HTTP ${response.status}: ${errorText}`);
-    }
-
-    const result = await response.json();
+    const result = await hyperliquid.exchange(action, { vaultAddress: options.vaultAddress });
 
     if (verbose) {
       console.log('[Leverage] ✅ Leverage updated:', result);
@@ -93,6 +68,91 @@ export async function updateLeverage(hyperliquid, coin, leverage, isCross = fals
   }
 }
 
+/**
+ * Add margin to (or remove it from) an isolated PERP position
+ * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+ * @param {string} coin - Coin symbol
+ * @param {number} amountUSD - USDC to add (negative removes)
+ * @param {Object} options - { verbose, vaultAddress }
+ * @returns {Promise<Object>} { success, coin, amountUSD, result } or { success: false, error }
+ */
+export async function updateIsolatedMargin(hyperliquid, coin, amountUSD, options = {}) {
+  const { verbose = false } = options;
+
+  if (hyperliquid.paper) {
+    throw new Error('Isolated margin is not simulated in paper mode');
+  }
+
+  if (!hyperliquid.wallet || !hyperliquid.signer) {
+    throw new Error('Wallet and private key required to update margin');
+  }
+
+  const assetId = await hyperliquid.getAssetId(coin, false);
+
+  // ntli: USDC in 6-decimal integer units
+  const action = {
+    type: 'updateIsolatedMargin',
+    asset: assetId,
+    isBuy: true,
+    ntli: Math.round(amountUSD * 1e6)
+  };
+
+  const result = await hyperliquid.exchange(action, { vaultAddress: options.vaultAddress });
+
+  if (result?.status !== 'ok') {
+    console.error(`[Leverage] ❌ Error updating ${coin} margin:`, result?.response);
+    return { success: false, coin, amountUSD, error: String(result?.response || 'Unknown error'), result };
+  }
+
+  if (verbose) {
+    console.log(`[Leverage] ✅ ${amountUSD >= 0 ? 'Added' : 'Removed'} $${Math.abs(amountUSD).toFixed(2)} ${amountUSD >= 0 ? 'to' : 'from'} ${coin} isolated margin`);
+  }
+
+  return { success: true, coin, amountUSD, result };
+}
+
+/**
+ * Top up an isolated-only PERP position to a target leverage
+ * For assets whose meta has onlyIsolated, where margin is set by leverage instead of an amount.
+ * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+ * @param {string} coin - Coin symbol
+ * @param {number} leverage - Target leverage (lower adds margin)
+ * @param {Object} options - { verbose, vaultAddress }
+ * @returns {Promise<Object>} { success, coin, leverage, result } or { success: false, error }
+ */
+export async function topUpIsolatedOnlyMargin(hyperliquid, coin, leverage, options = {}) {
+  const { verbose = false } = options;
+
+  if (hyperliquid.paper) {
+    throw new Error('Isolated margin is not simulated in paper mode');
+  }
+
+  if (!hyperliquid.wallet || !hyperliquid.signer) {
+    throw new Error('Wallet and private key required to update margin');
+  }
+
+  const assetId = await hyperliquid.getAssetId(coin, false);
+
+  const action = {
+    type: 'topUpIsolatedOnlyMargin',
+    asset: assetId,
+    leverage: leverage.toFixed(4)
+  };
+
+  const result = await hyperliquid.exchange(action, { vaultAddress: options.vaultAddress });
+
+  if (result?.status !== 'ok') {
+    console.error(`[Leverage] ❌ Error topping up ${coin} margin:`, result?.response);
+    return { success: false, coin, leverage, error: String(result?.response || 'Unknown error'), result };
+  }
+
+  if (verbose) {
+    console.log(`[Leverage] ✅ Topped up ${coin} isolated margin to ${leverage.toFixed(2)}x`);
+  }
+
+  return { success: true, coin, leverage, result };
+}
+
 /**
  * Set leverage to 1x for a coin
  * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
@@ -160,23 +220,11 @@ export async function getLeverageSettings(hyperliquid, user = null) {
   }
 
   // Fetch clearinghouse state
-  const response = await fetch(hyperliquid.restUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      type: 'clearinghouseState',
-      user: user
-    })
+  const data = await hyperliquid.info({
+    type: 'clearinghouseState',
+    user: user
   });
 
-  if (!response.ok) {
-    throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-  }
-
-  const data = await response.json();
-
   // Get meta for symbol mapping
   const meta = await hyperliquid.getMeta();
 
@@ -0,0 +1,352 @@
+import { EventEmitter } from 'events';
+import { getPerpPositions, getSpotBalances, analyzeDeltaNeutral } from './positions.js';
+import { getBalances } from './balance.js';
+import { updateIsolatedMargin, topUpIsolatedOnlyMargin } from './leverage.js';
+import { getMarkPrices } from './drift-monitor.js';
+import { makeCloid } from './cloid.js';
+
+/**
+ * Liquidation Guard
+ *
+ * The PERP short is isolated, so a sharp rally liquidates it on its own margin
+ * and leaves the SPOT leg naked. The guard reads liquidationPx from
+ * clearinghouseState every intervalSeconds and, for a position whose mark is
+ * within minDistancePercent of liquidation, adds isolated margin until
+ * liquidation is targetDistancePercent away.
+ *
+ * When the account has too little free margin for that, it trims both legs of
+ * the pair by the same fraction: reducing an isolated position releases the
+ * same share of its margin, which then funds the top-up of the rest. At most
+ * maxTrimPercent of a pair is trimmed per check.
+ *
+ * Events:
+ * - 'check'    (summary)          after every check
+ * - 'toppedUp' (position, result) margin was added
+ * - 'trimmed'  (trim)             both legs were reduced ({ symbol, fraction, perpSize, spotSize, ... })
+ * - 'failed'   (position, error)  a top-up or trim failed
+ */
+
+export const DEFAULT_LIQUIDATION_GUARD = {
+  enabled: false,
+  intervalSeconds: 60,
+  minDistancePercent: 15,
+  targetDistancePercent: 30,
+  minTopUpUSD: 1,
+  maxTrimPercent: 50
+};
+
+/**
+ * Read the liquidation guard settings from config
+ * @param {Object} config - Bot configuration
+ * @returns {Object} DEFAULT_LIQUIDATION_GUARD overridden by config.liquidationGuard
+ */
+export function getLiquidationGuardSettings(config) {
+  return { ...DEFAULT_LIQUIDATION_GUARD, ...(config?.liquidationGuard || {}) };
+}
+
+/**
+ * Distance from the mark price to liquidation
+ * @param {Object} position - From getPerpPositions()
+ * @param {number} markPx - Mark price
+ * @returns {number|null} Percent of the mark price, or null without a liquidation price
+ */
+export function getLiquidationDistance(position, markPx) {
+  if (!(position.liquidationPx > 0) || !(markPx > 0)) {
+    return null;
+  }
+
+  return position.side === 'SHORT'
+    ? (position.liquidationPx - markPx) / markPx * 100
+    : (markPx - position.liquidationPx) / markPx * 100;
+}
+
+/**
+ * Margin to add so liquidation moves targetDistancePercent away from the mark
+ *
+ * Liquidation is where margin + PnL falls to maintenance margin (half the
+ * initial margin at max leverage), so each USDC added moves it by
+ * 1 / (size * (1 ± mmr)).
+ *
+ * @param {Object} position - From getPerpPositions()
+ * @param {number} markPx - Mark price
+ * @param {number} targetDistancePercent - Wanted distance to liquidation
+ * @param {number} maxLeverage - Asset's max leverage (from meta)
+ * @returns {number} USDC (0 if already far enough)
+ */
+export function calculateMarginTopUp(position, markPx, targetDistancePercent, maxLeverage) {
+  const mmr = 1 / (2 * maxLeverage);
+
+  if (position.side === 'SHORT') {
+    const targetPx = markPx * (1 + targetDistancePercent / 100);
+    return Math.max(0, (targetPx - position.liquidationPx) * position.size * (1 + mmr));
+  }
+
+  const targetPx = markPx * (1 - targetDistancePercent / 100);
+  return Math.max(0, (position.liquidationPx - targetPx) * position.size * (1 - mmr));
+}
+
+/**
+ * Share of a pair to trim so the released margin covers the rest's top-up
+ * Trimming a fraction f releases f * marginUsed and leaves (1 - f) * need to add.
+ * @param {number} needUSD - Top-up for the whole position
+ * @param {number} withdrawableUSD - Free PERP margin
+ * @param {number} marginUsedUSD - Position's margin
+ * @returns {number} Fraction 0-1 (0 when free margin is enough)
+ */
+export function calculateTrimFraction(needUSD, withdrawableUSD, marginUsedUSD) {
+  if (needUSD <= withdrawableUSD) {
+    return 0;
+  }
+
+  return Math.min(1, (needUSD - withdrawableUSD) / (needUSD + marginUsedUSD));
+}
+
+/**
+ * Background margin top-ups and trims for isolated PERP positions near liquidation
+ */
+export class LiquidationGuard extends EventEmitter {
+  /**
+   * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+   * @param {Object} config - Bot configuration (liquidationGuard, trading.maxSlippagePercent)
+   * @param {Object} options - Options
+   * @param {Function} options.isPaused - () => boolean; checks are skipped while it returns true
+   * @param {boolean} options.verbose - Log checks and actions
+   */
+  constructor(hyperliquid, config, options = {}) {
+    super();
+
+    this.hyperliquid = hyperliquid;
+    this.config = config;
+    this.settings = getLiquidationGuardSettings(config);
+    this.isPaused = options.isPaused || (() => false);
+    this.verbose = options.verbose || false;
+
+    this.timer = null;
+    this.checking = false;
+  }
+
+  /**
+   * Start periodic checks
+   * @returns {LiquidationGuard} this
+   */
+  start() {
+    if (!this.settings.enabled || this.timer) {
+      return this;
+    }
+
+    this.timer = setInterval(() => this.check('interval'), this.settings.intervalSeconds * 1000);
+    this.log(`Watching liquidation distance every ${this.settings.intervalSeconds}s (act below ${this.settings.minDistancePercent}%, restore ${this.settings.targetDistancePercent}%)`);
+    return this;
+  }
+
+  /**
+   * Stop periodic checks
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Measure liquidation distances and act on positions that are too close
+   * @param {string} trigger - What started the check ('interval', 'manual')
+   * @returns {Promise<Object|null>} { time, trigger, positions, toppedUp, trimmed, failed }, or null if skipped
+   */
+  async check(trigger = 'manual') {
+    if (this.checking || this.isPaused()) {
+      return null;
+    }
+
+    this.checking = true;
+    try {
+      return await this.hyperliquid.withPriority('high', () => this.runCheck(trigger));
+    } catch (error) {
+      console.error(`[Liquidation] ❌ Check failed: ${error.message}`);
+      return null;
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  async runCheck(trigger) {
+    const settings = this.settings;
+    const [perpPositions, spotBalances, balances, marks, meta] = await Promise.all([
+      getPerpPositions(this.hyperliquid, null, { verbose: false }),
+      getSpotBalances(this.hyperliquid, null, { verbose: false }),
+      getBalances(this.hyperliquid),
+      getMarkPrices(this.hyperliquid),
+      this.hyperliquid.getMeta()
+    ]);
+
+    const pairs = new Map(analyzeDeltaNeutral(perpPositions, spotBalances).deltaNeutralPairs
+      .filter(pair => pair.isDeltaNeutral)
+      .map(pair => [pair.symbol, pair]));
+    let withdrawable = balances.perpBalance;
+
+    const summary = { time: Date.now(), trigger, positions: [], toppedUp: [], trimmed: [], failed: [] };
+
+    for (const position of perpPositions) {
+      const markPx = marks[position.symbol];
+      const distancePercent = position.marginType === 'isolated' ? getLiquidationDistance(position, markPx) : null;
+
+      if (distancePercent === null) {
+        continue;
+      }
+
+      const entry = {
+        symbol: position.symbol,
+        side: position.side,
+        markPx,
+        liquidationPx: position.liquidationPx,
+        distancePercent
+      };
+      summary.positions.push(entry);
+
+      if (distancePercent >= settings.minDistancePercent) {
+        continue;
+      }
+
+      const asset = meta.universe.find(a => a.name === position.symbol);
+      const needUSD = calculateMarginTopUp(position, markPx, settings.targetDistancePercent, asset.maxLeverage);
+      const pair = pairs.get(position.symbol);
+
+      console.warn(`[Liquidation] ⚠️  ${position.symbol} is ${distancePercent.toFixed(1)}% from liquidation ($${position.liquidationPx} vs mark $${markPx}); needs $${needUSD.toFixed(2)} margin, $${withdrawable.toFixed(2)} free`);
+
+      try {
+        let fraction = calculateTrimFraction(needUSD, withdrawable, position.marginUsed);
+
+        if (fraction > 0 && !pair) {
+          console.warn(`[Liquidation] ⚠️  ${position.symbol} has no SPOT leg to trim with it; adding what margin is free`);
+          fraction = 0;
+        } else if (fraction > 0) {
+          fraction = Math.min(fraction, settings.maxTrimPercent / 100);
+          const trim = await this.trimPair(pair, fraction, markPx);
+
+          if (!trim.success) {
+            summary.failed.push({ ...entry, error: trim.error });
+            console.error(`[Liquidation] ❌ Failed to trim ${position.symbol}: ${trim.error}`);
+            this.emit('failed', entry, trim.error);
+            continue;
+          }
+
+          summary.trimmed.push({ ...entry, ...trim });
+          this.emit('trimmed', trim);
+          withdrawable = (await getBalances(this.hyperliquid)).perpBalance;
+        }
+
+        const amountUSD = Math.min(needUSD * (1 - fraction), withdrawable);
+        if (amountUSD < settings.minTopUpUSD) {
+          continue;
+        }
+
+        const result = await this.addMargin(position, amountUSD, asset);
+        if (!result.success) {
+          summary.failed.push({ ...entry, error: result.error });
+          this.emit('failed', entry, result.error);
+          continue;
+        }
+
+        withdrawable -= amountUSD;
+        summary.toppedUp.push({ ...entry, amountUSD });
+        this.log(`Added $${amountUSD.toFixed(2)} margin to ${position.symbol}`);
+        this.emit('toppedUp', { ...entry, amountUSD }, result);
+      } catch (error) {
+        summary.failed.push({ ...entry, error: error.message });
+        console.error(`[Liquidation] ❌ ${position.symbol}: ${error.message}`);
+        this.emit('failed', entry, error.message);
+      }
+    }
+
+    this.emit('check', summary);
+    return summary;
+  }
+
+  /**
+   * Add isolated margin (by leverage for isolated-only assets)
+   * @param {Object} position - From getPerpPositions()
+   * @param {number} amountUSD - USDC to add
+   * @param {Object} asset - Meta universe entry
+   * @returns {Promise<Object>} updateIsolatedMargin() / topUpIsolatedOnlyMargin() result
+   */
+  async addMargin(position, amountUSD, asset) {
+    if (asset.onlyIsolated) {
+      const leverage = position.positionValue / (position.marginUsed + amountUSD);
+      return await topUpIsolatedOnlyMargin(this.hyperliquid, position.symbol, leverage, { verbose: this.verbose });
+    }
+
+    return await updateIsolatedMargin(this.hyperliquid, position.symbol, amountUSD, { verbose: this.verbose });
+  }
+
+  /**
+   * Reduce both legs of a pair by the same fraction
+   * @param {Object} pair - Delta-neutral pair from analyzeDeltaNeutral()
+   * @param {number} fraction - Share of each leg to sell/buy back
+   * @param {number} perpMarkPx - PERP mark price
+   * @returns {Promise<Object>} { success, symbol, spotSymbol, fraction, perpSize, spotSize } or { success: false, error }
+   */
+  async trimPair(pair, fraction, perpMarkPx) {
+    const hyperliquid = this.hyperliquid;
+    const symbol = pair.symbol;
+    const spotSymbol = pair.spotBalance.symbol;
+    const slippage = this.config.trading?.maxSlippagePercent || 5.0;
+
+    const perpAssetId = await hyperliquid.getAssetId(symbol, false);
+    const spotAssetId = await hyperliquid.getAssetId(spotSymbol, true);
+    const spotCoin = hyperliquid.getCoinForOrderbook(spotSymbol, spotAssetId);
+    const perpSize = parseFloat(hyperliquid.roundSize(pair.perpSize * fraction, hyperliquid.getAssetInfo(symbol, perpAssetId).szDecimals));
+    const spotSize = parseFloat(hyperliquid.roundSize(pair.spotSize * fraction, hyperliquid.getAssetInfo(spotSymbol, spotAssetId).szDecimals));
+
+    if (perpSize <= 0 || spotSize <= 0) {
+      return { success: false, error: 'Trim is smaller than the lot size' };
+    }
+
+    const mids = await hyperliquid.getAllMids();
+    const now = Date.now();
+
+    this.log(`Trimming ${(fraction * 100).toFixed(1)}% of ${symbol}: buy back ${perpSize} PERP, sell ${spotSize} ${spotSymbol}`);
+
+    const [perpResult, spotResult] = await Promise.all([
+      hyperliquid.createMarketOrder(symbol, 'buy', perpSize, {
+        isSpot: false,
+        reduceOnly: true,
+        slippage,
+        overrideMidPrice: perpMarkPx,
+        cloid: makeCloid('trim', symbol, 'perp', now)
+      }),
+      hyperliquid.createMarketOrder(spotSymbol, 'sell', spotSize, {
+        isSpot: true,
+        slippage,
+        overrideMidPrice: parseFloat(mids[spotCoin]),
+        cloid: makeCloid('trim', symbol, 'spot', now)
+      })
+    ]);
+
+    const perpFilled = perpResult.response?.data?.statuses?.[0]?.filled;
+    const spotFilled = spotResult.response?.data?.statuses?.[0]?.filled;
+
+    if (!perpFilled || !spotFilled) {
+      const error = [
+        !perpFilled && `PERP: ${perpResult.response?.data?.statuses?.[0]?.error || 'not filled'}`,
+        !spotFilled && `SPOT: ${spotResult.response?.data?.statuses?.[0]?.error || 'not filled'}`
+      ].filter(Boolean).join(', ');
+      return { success: false, error };
+    }
+
+    return {
+      success: true,
+      symbol,
+      spotSymbol,
+      fraction,
+      perpSize: parseFloat(perpFilled.totalSz),
+      spotSize: parseFloat(spotFilled.totalSz),
+      perpPrice: parseFloat(perpFilled.avgPx),
+      spotPrice: parseFloat(spotFilled.avgPx)
+    };
+  }
+
+  log(message) {
+    if (this.verbose) {
+      console.log(`[Liquidation] ${message}`);
+    }
+  }
+}
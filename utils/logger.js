@@ -0,0 +1,350 @@
+import fs from 'fs';
+import path from 'path';
+import util from 'util';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Logging
+ *
+ * installLogger() takes over console.* so the existing "[Module] message" logs
+ * get a level (console.debug/log/info/warn/error), a minimum-level filter,
+ * redaction and an optional JSON mode with one object per line:
+ *
+ *   {"time":"...","level":"info","module":"Trade","msg":"...","correlationId":"cycle-..."}
+ *
+ * withCorrelation() tags everything logged inside it, across awaits, with a
+ * correlation ID (one per bot cycle), so a cycle's analysis, orders and
+ * fills can be pulled out of the log together. Text lines start with it:
+ *
+ *   [cycle-...] [Trade] ...
+ *
+ * Both modes redact the same way: secret-looking keys of logged objects, and
+ * key-like strings and the redactEnv values anywhere in the line. New code can use
+ * createLogger(module) to attach fields to a record instead of formatting
+ * them into the message.
+ *
+ * Output goes to stdout/stderr and, with a file, to a size-rotated log file
+ * (bot.log, bot.log.1, ... bot.log.<maxFiles>).
+ */
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+export const DEFAULT_LOGGING = {
+  level: 'info',
+  format: 'text',
+  file: null,
+  maxFileSizeMB: 10,
+  maxFiles: 5,
+  redactEnv: ['HL_PRIVATE_KEY', 'BOT_API_TOKEN', 'TELEGRAM_BOT_TOKEN', 'DISCORD_WEBHOOK_URL', 'ALERT_WEBHOOK_URL', 'SMTP_PASSWORD']
+};
+
+const CONSOLE_LEVELS = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+const SECRET_KEY = /private.?key|secret|password|passphrase|token|api.?key|authorization|signature|mnemonic/i;
+const REDACTED = '[REDACTED]';
+
+/**
+ * Read the logging settings; LOG_LEVEL, LOG_FORMAT and LOG_FILE override config
+ * @param {Object} config - Bot configuration (logging)
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Object} DEFAULT_LOGGING overridden by config.logging and the environment
+ */
+export function getLoggingSettings(config, env = process.env) {
+  const settings = { ...DEFAULT_LOGGING, ...(config?.logging || {}) };
+  if (env.LOG_LEVEL) settings.level = env.LOG_LEVEL.toLowerCase();
+  if (env.LOG_FORMAT) settings.format = env.LOG_FORMAT.toLowerCase();
+  if (env.LOG_FILE) settings.file = env.LOG_FILE;
+
+  if (!LEVELS[settings.level]) {
+    throw new Error(`logging.level must be one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+  if (!['text', 'json'].includes(settings.format)) {
+    throw new Error('logging.format must be "text" or "json"');
+  }
+  return settings;
+}
+
+// Correlation
+
+const correlation = new AsyncLocalStorage();
+
+/**
+ * New correlation ID
+ * @param {string} prefix - What it identifies ('cycle', 'close', ...)
+ * @returns {string} e.g. cycle-m3k2x1-9f2a1c
+ */
+export function createCorrelationId(prefix = 'op') {
+  return `${prefix}-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Run fn with context fields (at least correlationId) added to every log record
+ * @param {Object} context - { correlationId, ... }; nested calls add to the outer context
+ * @param {Function} fn - Sync or async function
+ * @returns {*} fn's return value
+ */
+export function withCorrelation(context, fn) {
+  return correlation.run({ ...(correlation.getStore() || {}), ...context }, fn);
+}
+
+/**
+ * Context of the current withCorrelation() call
+ * @returns {Object|null} { correlationId, ... } or null outside one
+ */
+export function getCorrelation() {
+  return correlation.getStore() || null;
+}
+
+// Redaction
+
+/**
+ * Build a string scrubber for key-like values and the given secrets
+ * @param {Array<string>} secrets - Literal values to hide (e.g. env var contents)
+ * @returns {Function} (string) => string
+ */
+export function createScrubber(secrets = []) {
+  const literals = secrets.filter(s => typeof s === 'string' && s.length >= 8);
+  return (text) => {
+    let out = text
+      .replace(/0x[0-9a-fA-F]{64,}/g, `0x${REDACTED}`)             // private keys, signatures
+      .replace(/(Bearer\s+)[^\s"']+/gi, `$1${REDACTED}`)
+      .replace(/(\/bot)\d+:[\w-]+/g, `$1${REDACTED}`);               // Telegram bot token in URLs
+    for (const secret of literals) {
+      out = out.split(secret).join(REDACTED);
+    }
+    return out;
+  };
+}
+
+const defaultScrub = createScrubber();
+
+/**
+ * Copy a value with secret-looking keys and strings redacted
+ * @param {*} value - Anything loggable
+ * @param {Function} scrub - String scrubber (createScrubber())
+ * @returns {*} Redacted copy (Errors become { name, message, stack })
+ */
+export function redact(value, scrub = defaultScrub, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return scrub(value);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return { name: value.name, message: scrub(value.message), stack: value.stack ? scrub(value.stack) : undefined };
+  }
+  if (value instanceof Map) {
+    return redact(Object.fromEntries(value), scrub, seen);
+  }
+  if (value instanceof Set || Array.isArray(value)) {
+    return [...value].map(v => redact(v, scrub, seen));
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    out[key] = SECRET_KEY.test(key) && v !== null && v !== undefined && typeof v !== 'boolean' ? REDACTED : redact(v, scrub, seen);
+  }
+  return out;
+}
+
+// Output
+
+/**
+ * Append-only log file rotated by size: file -> file.1 -> ... -> file.<maxFiles>
+ */
+export class RotatingFileWriter {
+  /**
+   * @param {string} file - Log file path (its directory is created)
+   * @param {Object} options - { maxBytes, maxFiles }
+   */
+  constructor(file, options = {}) {
+    this.file = file;
+    this.maxBytes = options.maxBytes ?? DEFAULT_LOGGING.maxFileSizeMB * 1024 * 1024;
+    this.maxFiles = Math.max(options.maxFiles ?? DEFAULT_LOGGING.maxFiles, 0);
+
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    this.open();
+  }
+
+  open() {
+    this.fd = fs.openSync(this.file, 'a');
+    this.size = fs.fstatSync(this.fd).size;
+  }
+
+  rotate() {
+    fs.closeSync(this.fd);
+    if (this.maxFiles === 0) {
+      fs.rmSync(this.file, { force: true });
+    } else {
+      fs.rmSync(`${this.file}.${this.maxFiles}`, { force: true });
+      for (let i = this.maxFiles - 1; i >= 1; i--) {
+        if (fs.existsSync(`${this.file}.${i}`)) {
+          fs.renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+        }
+      }
+      fs.renameSync(this.file, `${this.file}.1`);
+    }
+    this.open();
+  }
+
+  /**
+   * @param {string} line - One line, without the newline
+   */
+  write(line) {
+    const data = Buffer.from(`${line}\n`, 'utf8');
+    if (this.size > 0 && this.size + data.length > this.maxBytes) {
+      this.rotate();
+    }
+    fs.writeSync(this.fd, data);
+    this.size += data.length;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+/**
+ * Split console arguments into a "[Module] message" and structured extras
+ * @param {Array} args - console.* arguments
+ * @returns {Object} { module, msg, data, error }
+ */
+export function parseConsoleArgs(args) {
+  const text = [];
+  const data = [];
+  let error = null;
+
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      error = error || arg;
+      text.push(arg.message);
+    } else if (arg !== null && typeof arg === 'object') {
+      data.push(arg);
+    } else {
+      text.push(arg);
+    }
+  }
+
+  let msg = util.format(...text);
+  let module = null;
+
+  // Optional "[12:00:00 PM]" time, then "[Module]"; "[3/6]" style step counters are not modules
+  const match = msg.match(/^\s*(?:\[[\d:.\s]+(?:[AP]M)?\]\s*)?\[([A-Za-z][\w .-]*)\]\s*/);
+  if (match) {
+    module = match[1];
+    msg = msg.slice(match[0].length);
+  }
+  msg = msg.replace(/^[\p{Extended_Pictographic}\u{FE0F}\u{200D}\s]+/u, '').trimEnd();
+
+  return { module, msg, data: data.length === 0 ? undefined : (data.length === 1 ? data[0] : data), error };
+}
+
+let active = null;
+
+// Blank lines and ==== rules that only lay out the text output
+const LAYOUT_LINE = /^[\s=─-]*$/;
+
+/**
+ * Emit one record through the installed logger (or plain console when none is)
+ */
+function emit(level, record, textLine) {
+  if (!active) {
+    if (level !== 'debug') {
+      console[level === 'info' ? 'log' : level](textLine);
+    }
+    return;
+  }
+
+  const { settings, scrub, writer, original } = active;
+  if (LEVELS[level] < LEVELS[settings.level]) {
+    return;
+  }
+
+  let line;
+  if (settings.format === 'json') {
+    if (LAYOUT_LINE.test(record.msg) && record.data === undefined && !record.error) {
+      return;
+    }
+    const full = { time: new Date().toISOString(), level, module: record.module || undefined, msg: record.msg, ...getCorrelation(), ...record.fields };
+    if (record.data !== undefined) full.data = record.data;
+    if (record.error) full.error = record.error;
+    line = JSON.stringify(redact(full, scrub));
+  } else {
+    const correlationId = getCorrelation()?.correlationId;
+    line = scrub(correlationId && !LAYOUT_LINE.test(textLine) ? `[${correlationId}] ${textLine}` : textLine);
+  }
+
+  (level === 'warn' || level === 'error' ? original.error : original.log)(line);
+  writer?.write(line);
+}
+
+/**
+ * Take over console.* with levels, redaction, JSON mode and file output
+ * @param {Object} settings - getLoggingSettings() result
+ * @param {Object} options - { env } for the redactEnv values (default: process.env)
+ * @returns {Function} Uninstall: restores console and closes the file
+ */
+export function installLogger(settings, options = {}) {
+  if (active) {
+    active.uninstall();
+  }
+
+  const env = options.env || process.env;
+  const original = { debug: console.debug, log: console.log, info: console.info, warn: console.warn, error: console.error };
+  const writer = settings.file
+    ? new RotatingFileWriter(settings.file, { maxBytes: settings.maxFileSizeMB * 1024 * 1024, maxFiles: settings.maxFiles })
+    : null;
+
+  const state = {
+    settings,
+    scrub: createScrubber((settings.redactEnv || []).map(name => env[name])),
+    writer,
+    original,
+    uninstall: () => {
+      Object.assign(console, original);
+      writer?.close();
+      if (active === state) active = null;
+    }
+  };
+
+  for (const [method, level] of Object.entries(CONSOLE_LEVELS)) {
+    console[method] = (...args) => {
+      if (LEVELS[level] < LEVELS[settings.level]) return;
+      const safeArgs = args.map(arg => arg !== null && typeof arg === 'object' && !(arg instanceof Error) ? redact(arg, state.scrub) : arg);
+      emit(level, parseConsoleArgs(args), util.format(...safeArgs));
+    };
+  }
+
+  active = state;
+  return state.uninstall;
+}
+
+/**
+ * Logger for new code: fields go into the JSON record (and key=value in text mode)
+ * @param {string} module - Module name, as in "[Module]"
+ * @returns {Object} { debug, info, warn, error } taking (message, fields)
+ */
+export function createLogger(module) {
+  const log = (level) => (msg, fields = {}) => {
+    const pairs = Object.entries(redact(fields))
+      .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+      .join(' ');
+    emit(level, { module, msg, fields }, `[${module}] ${msg}${pairs ? ` ${pairs}` : ''}`);
+  };
+  return { debug: log('debug'), info: log('info'), warn: log('warn'), error: log('error') };
+}
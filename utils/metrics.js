@@ -0,0 +1,326 @@
+import http from 'http';
+import { getBalances } from './balance.js';
+import { getPerpPositions, getSpotBalances, analyzeDeltaNeutral } from './positions.js';
+
+/**
+ * Prometheus Metrics
+ *
+ * Serves the bot's health and account figures in the Prometheus text format
+ * on host:port/path. Cycle counters, WebSocket state, orderbook ages and
+ * rate-limiter use are read on every scrape. Balances, pair notionals, hedge
+ * mismatch and funding cost REST weight, so they are refreshed at most every
+ * accountRefreshSeconds (in the low priority lane) and served from cache in
+ * between; a failed refresh keeps the previous values.
+ *
+ * The endpoint is read-only and has no token. Under docker-compose set host
+ * to 0.0.0.0 and publish the port only to the monitoring network.
+ */
+
+export const DEFAULT_METRICS = {
+  enabled: false,
+  host: '127.0.0.1',
+  port: 9464,
+  path: '/metrics',
+  accountRefreshSeconds: 60
+};
+
+const PREFIX = 'hldn';
+
+/**
+ * Read the metrics settings from config
+ * @param {Object} config - Bot configuration
+ * @returns {Object} DEFAULT_METRICS overridden by config.metrics
+ */
+export function getMetricsSettings(config) {
+  return { ...DEFAULT_METRICS, ...(config?.metrics || {}) };
+}
+
+/**
+ * Render metric families in the Prometheus text exposition format (0.0.4)
+ * Samples whose value is null are left out.
+ * @param {Array<Object>} families - [{ name, help, type, samples: [{ labels, value, suffix }] }]
+ * @returns {string} Exposition text
+ */
+export function formatPrometheus(families) {
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  const format = (value) => {
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(Number(value));
+  };
+
+  const lines = [];
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${family.help}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+
+    for (const sample of family.samples) {
+      if (sample.value === null || sample.value === undefined) {
+        continue;
+      }
+      const labels = Object.entries(sample.labels || {});
+      const labelText = labels.length > 0 ? `{${labels.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}` : '';
+      lines.push(`${family.name}${sample.suffix || ''}${labelText} ${format(sample.value)}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Read the account figures exported as metrics
+ * Funding is summed per tracked position from its openTime.
+ * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+ * @param {Array<Object>} positions - Tracked positions ({ symbol, openTime })
+ * @returns {Promise<Object>} { perpBalance, spotBalance, pairs: [{ symbol, notionalUSD, mismatchPercent }], funding: { SYMBOL: usd } }
+ */
+export async function collectAccountMetrics(hyperliquid, positions = []) {
+  const [balances, perpPositions, spotBalances] = await Promise.all([
+    getBalances(hyperliquid),
+    getPerpPositions(hyperliquid, null, { verbose: false }),
+    getSpotBalances(hyperliquid, null, { verbose: false })
+  ]);
+
+  // A PERP with no SPOT beside it is 100% unhedged
+  const { deltaNeutralPairs, unmatchedPerp } = analyzeDeltaNeutral(perpPositions, spotBalances);
+  const pairs = [
+    ...deltaNeutralPairs.map(p => ({ symbol: p.symbol, notionalUSD: p.perpPosition.positionValue, mismatchPercent: p.sizeMismatchPct })),
+    ...unmatchedPerp.map(p => ({ symbol: p.symbol, notionalUSD: p.positionValue, mismatchPercent: 100 }))
+  ];
+
+  const funding = {};
+  const since = Math.min(...positions.map(p => p.openTime).filter(t => t > 0));
+  if (Number.isFinite(since)) {
+    const history = await hyperliquid.getUserFundingHistory(null, since);
+    for (const position of positions) {
+      funding[position.symbol] = (history.payments || [])
+        .filter(p => p.delta?.type === 'funding' && p.delta.coin === position.symbol && p.time >= position.openTime)
+        .reduce((sum, p) => sum + parseFloat(p.delta.usdc), 0);
+    }
+  }
+
+  return { perpBalance: balances.perpBalance, spotBalance: balances.spotBalance, pairs, funding };
+}
+
+/**
+ * Prometheus exporter for the bot
+ */
+export class MetricsExporter {
+  /**
+   * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+   * @param {Object} config - Bot configuration (metrics)
+   * @param {Object} options - Options
+   * @param {Function} options.getPositions - () => tracked positions
+   * @param {Function} options.getBotStatus - () => { paused, cycleRunning }
+   * @param {Function} options.now - Clock (for tests)
+   * @param {boolean} options.verbose - Log refresh failures
+   */
+  constructor(hyperliquid, config, options = {}) {
+    this.hyperliquid = hyperliquid;
+    this.settings = getMetricsSettings(config);
+    this.getPositions = options.getPositions || (() => []);
+    this.getBotStatus = options.getBotStatus || (() => ({}));
+    this.now = options.now || Date.now;
+    this.verbose = options.verbose ?? false;
+
+    this.cycles = { ok: 0, error: 0, skipped: 0, paused: 0 };
+    this.cycleDuration = { sum: 0, count: 0, last: null, finishedAt: null };
+    this.account = null;
+    this.accountUpdatedAt = null;
+    this.accountErrors = 0;
+    this.refreshing = null;
+    this.server = null;
+  }
+
+  /**
+   * Count a cycle
+   * @param {string} outcome - 'ok' | 'error' | 'skipped' (one was still running) | 'paused'
+   * @param {number|null} durationMs - Duration of a cycle that ran
+   */
+  recordCycle(outcome, durationMs = null) {
+    this.cycles[outcome] = (this.cycles[outcome] || 0) + 1;
+
+    if (durationMs !== null) {
+      this.cycleDuration.sum += durationMs / 1000;
+      this.cycleDuration.count++;
+      this.cycleDuration.last = durationMs / 1000;
+      this.cycleDuration.finishedAt = this.now();
+    }
+  }
+
+  /**
+   * Refresh the cached account figures (one refresh at a time)
+   * @returns {Promise<Object>} collectAccountMetrics() result
+   */
+  refreshAccount() {
+    if (!this.refreshing) {
+      this.refreshing = this.hyperliquid.withPriority('low', () => collectAccountMetrics(this.hyperliquid, this.getPositions()))
+        .then((account) => {
+          this.account = account;
+          this.accountUpdatedAt = this.now();
+          return account;
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  /**
+   * Gather every metric family
+   * @returns {Promise<Array<Object>>} Families for formatPrometheus()
+   */
+  async collect() {
+    const now = this.now();
+
+    if (this.accountUpdatedAt === null || now - this.accountUpdatedAt >= this.settings.accountRefreshSeconds * 1000) {
+      try {
+        await this.refreshAccount();
+      } catch (error) {
+        this.accountErrors++;
+        if (this.verbose) {
+          console.warn(`[Metrics] ⚠️  Account refresh failed: ${error.message}`);
+        }
+      }
+    }
+
+    const status = this.hyperliquid.getStatus();
+    const bot = this.getBotStatus();
+    const rest = status.rateLimits.rest;
+    const ws = status.rateLimits.ws;
+    const account = this.account;
+
+    const gauge = (name, help, value) => ({ name: `${PREFIX}_${name}`, help, type: 'gauge', samples: [{ value }] });
+    const counter = (name, help, value) => ({ name: `${PREFIX}_${name}`, help, type: 'counter', samples: [{ value }] });
+    const bool = (value) => (value === undefined ? null : (value ? 1 : 0));
+
+    return [
+      {
+        name: `${PREFIX}_cycles_total`,
+        help: 'Trading cycles by outcome',
+        type: 'counter',
+        samples: Object.entries(this.cycles).map(([outcome, value]) => ({ labels: { outcome }, value }))
+      },
+      {
+        name: `${PREFIX}_cycle_duration_seconds`,
+        help: 'Duration of trading cycles that ran',
+        type: 'summary',
+        samples: [
+          { suffix: '_sum', value: this.cycleDuration.sum },
+          { suffix: '_count', value: this.cycleDuration.count }
+        ]
+      },
+      gauge('last_cycle_duration_seconds', 'Duration of the last trading cycle', this.cycleDuration.last),
+      gauge('last_cycle_timestamp_seconds', 'When the last trading cycle finished',
+        this.cycleDuration.finishedAt === null ? null : this.cycleDuration.finishedAt / 1000),
+      gauge('cycle_running', '1 while a trading cycle is running', bool(bot.cycleRunning)),
+      gauge('cycles_paused', '1 while scheduled cycles are paused', bool(bot.paused)),
+
+      gauge('ws_connected', '1 while the WebSocket is connected', bool(status.connected)),
+      gauge('ws_reconnecting', '1 while the WebSocket is reconnecting', bool(status.reconnecting)),
+      gauge('rest_fallback', '1 while market data is polled over REST instead of the WebSocket', bool(status.useRestFallback)),
+      counter('ws_reconnects_total', 'WebSocket reconnect attempts', status.totalReconnects),
+      {
+        name: `${PREFIX}_orderbook_age_seconds`,
+        help: 'Time since each cached orderbook was updated',
+        type: 'gauge',
+        samples: Object.entries(status.orderbookAgeMs).map(([coin, ageMs]) => ({ labels: { coin }, value: ageMs / 1000 }))
+      },
+
+      gauge('rest_rate_limit_used_weight', 'REST weight used in the current window', rest.used),
+      gauge('rest_rate_limit_budget_weight', 'REST weight budget per window (halved after a 429)', rest.budget),
+      gauge('rest_rate_limit_utilization', 'REST weight used / budget', rest.budget > 0 ? rest.used / rest.budget : null),
+      gauge('rest_rate_limit_queued', 'REST requests waiting for budget', rest.queued),
+      counter('rest_rate_limited_total', 'HTTP 429 responses from the REST API', rest.throttled),
+      gauge('ws_rate_limit_utilization', 'WebSocket messages sent in the current window / limit', ws.maxRequests > 0 ? ws.used / ws.maxRequests : null),
+      gauge('ws_inflight_requests', 'WebSocket post requests awaiting a response', status.inflightRequests),
+
+      {
+        name: `${PREFIX}_balance_usd`,
+        help: 'Free USDC per account',
+        type: 'gauge',
+        samples: account ? [
+          { labels: { account: 'perp' }, value: account.perpBalance },
+          { labels: { account: 'spot' }, value: account.spotBalance }
+        ] : []
+      },
+      {
+        name: `${PREFIX}_position_notional_usd`,
+        help: 'PERP position value per coin',
+        type: 'gauge',
+        samples: (account?.pairs || []).map(p => ({ labels: { symbol: p.symbol }, value: p.notionalUSD }))
+      },
+      {
+        name: `${PREFIX}_hedge_mismatch_percent`,
+        help: 'Size difference between the PERP and SPOT legs, percent of the PERP size',
+        type: 'gauge',
+        samples: (account?.pairs || []).map(p => ({ labels: { symbol: p.symbol }, value: p.mismatchPercent }))
+      },
+      {
+        name: `${PREFIX}_funding_accumulated_usd`,
+        help: 'Funding received since each tracked position opened',
+        type: 'gauge',
+        samples: Object.entries(account?.funding || {}).map(([symbol, value]) => ({ labels: { symbol }, value }))
+      },
+      gauge('account_metrics_age_seconds', 'Age of the cached account metrics',
+        this.accountUpdatedAt === null ? null : (now - this.accountUpdatedAt) / 1000),
+      counter('account_refresh_errors_total', 'Failed account metric refreshes', this.accountErrors)
+    ];
+  }
+
+  /**
+   * @returns {Promise<string>} Exposition text for a scrape
+   */
+  async render() {
+    return formatPrometheus(await this.collect());
+  }
+
+  /**
+   * Start serving GET path
+   * @returns {Promise<Object>} { host, port } actually bound
+   */
+  async start() {
+    this.server = http.createServer(async (req, res) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (req.method !== 'GET' || pathname !== this.settings.path) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found\n');
+        return;
+      }
+
+      try {
+        const body = await this.render();
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(body);
+      } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(`${error.message}\n`);
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.settings.port, this.settings.host, resolve);
+    });
+
+    const { port } = this.server.address();
+    return { host: this.settings.host, port };
+  }
+
+  /**
+   * Stop serving
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+}
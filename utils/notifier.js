@@ -0,0 +1,357 @@
+import { EventEmitter } from 'events';
+import fetch from 'node-fetch';
+import { sendMail } from './smtp.js';
+
+/**
+ * Notifications
+ *
+ * Sends bot events to people: a generic JSON webhook, a Telegram bot, a
+ * Discord webhook or email over SMTP. Each channel in config.notifications
+ * takes the events at or above its minSeverity (and, with an events list,
+ * only those events). Secrets come from environment variables named in the
+ * channel (botTokenEnv, urlEnv, passwordEnv, ...).
+ *
+ * The same notification (its key, or event + title + message) is sent once
+ * per dedupSeconds; the repeats are counted in the next one that goes out.
+ * Each channel sends at most maxPerMinute notifications; critical ones are
+ * never held back.
+ *
+ * Modules that can't be handed a Notifier call notify(), which forwards to the
+ * one installed with setNotifier() and does nothing when none is.
+ *
+ * Events:
+ * - 'sent'   (notification, channel)
+ * - 'failed' (notification, channel, error)
+ */
+
+export const SEVERITIES = ['info', 'warning', 'critical'];
+
+const ICONS = { info: 'ℹ️', warning: '⚠️', critical: '🚨' };
+
+export const DEFAULT_NOTIFICATIONS = {
+  enabled: false,
+  dedupSeconds: 900,
+  maxPerMinute: 10,
+  dailySummaryHourUTC: 0,
+  channels: []
+};
+
+const CHANNEL_DEFAULTS = {
+  webhook: { url: null, urlEnv: null, minSeverity: 'warning' },
+  telegram: { botTokenEnv: 'TELEGRAM_BOT_TOKEN', chatId: null, apiUrl: 'https://api.telegram.org', minSeverity: 'warning' },
+  discord: { url: null, urlEnv: 'DISCORD_WEBHOOK_URL', minSeverity: 'warning' },
+  email: {
+    host: null,
+    port: null,
+    secure: false,
+    allowInsecureAuth: false,
+    userEnv: 'SMTP_USER',
+    passwordEnv: 'SMTP_PASSWORD',
+    from: null,
+    to: [],
+    minSeverity: 'critical'
+  }
+};
+
+/**
+ * Read the notification settings from config
+ * @param {Object} config - Bot configuration
+ * @returns {Object} DEFAULT_NOTIFICATIONS overridden by config.notifications
+ */
+export function getNotificationSettings(config) {
+  return { ...DEFAULT_NOTIFICATIONS, ...(config?.notifications || {}) };
+}
+
+/**
+ * Fill in a channel's defaults and resolve its secrets from the environment
+ * @param {Object} channel - Entry of notifications.channels
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Object} Channel with { name, type, minSeverity, events, ... }
+ * @throws {Error} On an unknown type or missing settings
+ */
+export function resolveChannel(channel, env = process.env) {
+  const defaults = CHANNEL_DEFAULTS[channel.type];
+  if (!defaults) {
+    throw new Error(`Unknown notification channel type "${channel.type}" (expected ${Object.keys(CHANNEL_DEFAULTS).join(', ')})`);
+  }
+
+  const resolved = { ...defaults, ...channel, name: channel.name || channel.type, events: channel.events || null };
+  if (!SEVERITIES.includes(resolved.minSeverity)) {
+    throw new Error(`${resolved.name}: minSeverity must be one of ${SEVERITIES.join(', ')}`);
+  }
+
+  const fromEnv = (name) => (name ? env[name] || null : null);
+  const required = (value, what) => {
+    if (!value) {
+      throw new Error(`${resolved.name}: ${what} is not set`);
+    }
+    return value;
+  };
+
+  switch (resolved.type) {
+    case 'webhook':
+    case 'discord':
+      resolved.url = required(resolved.url || fromEnv(resolved.urlEnv), `url (or ${resolved.urlEnv || 'urlEnv'})`);
+      break;
+    case 'telegram':
+      resolved.botToken = required(fromEnv(resolved.botTokenEnv), resolved.botTokenEnv);
+      required(resolved.chatId, 'chatId');
+      break;
+    case 'email':
+      required(resolved.host, 'host');
+      required(resolved.from, 'from');
+      resolved.to = Array.isArray(resolved.to) ? resolved.to : [resolved.to];
+      required(resolved.to.length > 0, 'to');
+      resolved.user = fromEnv(resolved.userEnv);
+      resolved.password = fromEnv(resolved.passwordEnv);
+      break;
+  }
+
+  return resolved;
+}
+
+/**
+ * Plain-text rendering used by the chat and email channels
+ * @param {Object} notification - { severity, title, message }
+ * @returns {string} Text
+ */
+export function formatNotification(notification) {
+  const header = `${ICONS[notification.severity] || ''} [${notification.severity.toUpperCase()}] ${notification.title}`.trim();
+  return notification.message ? `${header}\n${notification.message}` : header;
+}
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+  }
+  return response;
+}
+
+/**
+ * Senders per channel type: (channel, notification) => Promise
+ */
+export const SENDERS = {
+  webhook: (channel, n) => postJson(channel.url, {
+    severity: n.severity,
+    event: n.event,
+    title: n.title,
+    message: n.message,
+    data: n.data,
+    timestamp: n.timestamp
+  }),
+
+  telegram: (channel, n) => postJson(`${channel.apiUrl}/bot${channel.botToken}/sendMessage`, {
+    chat_id: channel.chatId,
+    text: formatNotification(n).slice(0, 4096),
+    disable_web_page_preview: true
+  }),
+
+  discord: (channel, n) => postJson(channel.url, {
+    content: formatNotification(n).slice(0, 2000)
+  }),
+
+  email: (channel, n) => sendMail({
+    host: channel.host,
+    port: channel.port || undefined,
+    secure: channel.secure,
+    allowInsecureAuth: channel.allowInsecureAuth,
+    user: channel.user,
+    password: channel.password
+  }, {
+    from: channel.from,
+    to: channel.to,
+    subject: `[${n.severity.toUpperCase()}] ${n.title}`,
+    text: formatNotification(n)
+  })
+};
+
+/**
+ * Funding received over a period, as a notification
+ * @param {Object} history - getUserFundingHistory() result for the period
+ * @param {Array<Object>} positions - Open positions ({ symbol, positionValue })
+ * @param {number} hours - Length of the period
+ * @returns {Object} Notification (event 'funding_summary')
+ */
+export function buildFundingSummary(history, positions, hours = 24) {
+  const byCoin = Object.entries(history.accumulated || {}).sort((a, b) => b[1] - a[1]);
+  const total = history.totalAccumulated || 0;
+  const lines = byCoin.map(([coin, usd]) => `${coin}: ${usd >= 0 ? '+' : ''}$${usd.toFixed(2)}`);
+
+  if (positions.length > 0) {
+    const held = positions.map(p => `${p.symbol} ($${(p.positionValue || 0).toFixed(0)})`).join(', ');
+    lines.push(`Holding: ${held}`);
+  } else {
+    lines.push('No open positions');
+  }
+
+  return {
+    severity: 'info',
+    event: 'funding_summary',
+    title: `Funding last ${hours}h: ${total >= 0 ? '+' : ''}$${total.toFixed(2)}`,
+    message: lines.join('\n'),
+    data: { hours, total, byCoin: Object.fromEntries(byCoin), positions: positions.map(p => p.symbol) }
+  };
+}
+
+/**
+ * Milliseconds until the next time the UTC clock reads hour:00
+ * @param {number} hour - 0-23
+ * @param {number} now - Current time (ms)
+ * @returns {number} Delay (ms, > 0)
+ */
+export function msUntilHourUTC(hour, now = Date.now()) {
+  const next = new Date(now);
+  next.setUTCHours(hour, 0, 0, 0);
+  if (next.getTime() <= now) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next.getTime() - now;
+}
+
+/**
+ * Routes notifications to channels with de-duplication and rate limiting
+ */
+export class Notifier extends EventEmitter {
+  /**
+   * @param {Object} config - Bot configuration (notifications)
+   * @param {Object} options - Options
+   * @param {Object} options.senders - Override SENDERS per type (for tests)
+   * @param {Object} options.env - Environment for channel secrets (default: process.env)
+   * @param {Function} options.now - Clock (for tests)
+   * @param {boolean} options.verbose - Log sends and failures
+   */
+  constructor(config, options = {}) {
+    super();
+
+    this.settings = getNotificationSettings(config);
+    this.senders = { ...SENDERS, ...(options.senders || {}) };
+    this.now = options.now || Date.now;
+    this.verbose = options.verbose ?? false;
+
+    this.channels = [];
+    for (const channel of this.settings.channels) {
+      try {
+        this.channels.push(resolveChannel(channel, options.env || process.env));
+      } catch (error) {
+        console.error(`[Notify] ⚠️  Channel skipped: ${error.message}`);
+      }
+    }
+
+    this.recent = new Map();    // key -> { time, repeats }
+    this.sentTimes = new Map(); // channel name -> send times in the last minute
+    this.held = new Map();      // channel name -> notifications held back by the rate limit
+  }
+
+  /**
+   * Channels a notification goes to
+   * @param {Object} notification - { severity, event }
+   * @returns {Array<Object>} Channels
+   */
+  route(notification) {
+    const rank = SEVERITIES.indexOf(notification.severity);
+    return this.channels.filter(c =>
+      rank >= SEVERITIES.indexOf(c.minSeverity) && (!c.events || c.events.includes(notification.event))
+    );
+  }
+
+  /**
+   * Send a notification (never throws; failures are logged and emitted)
+   * @param {Object} notification - { severity, event, title, message, data, key }
+   * @returns {Promise<Object>} { sent, failed, rateLimited } channel names, or { skipped } reason
+   */
+  async notify(notification) {
+    const now = this.now();
+    const n = { severity: 'info', message: '', data: {}, ...notification, timestamp: now };
+
+    if (!this.settings.enabled || this.channels.length === 0) {
+      return { skipped: 'disabled' };
+    }
+    if (!SEVERITIES.includes(n.severity)) {
+      n.severity = 'warning';
+    }
+
+    // De-duplicate
+    const windowMs = this.settings.dedupSeconds * 1000;
+    for (const [key, entry] of this.recent) {
+      if (now - entry.time >= windowMs && entry.repeats === 0) this.recent.delete(key);
+    }
+    const key = n.key || `${n.event}|${n.title}|${n.message}`;
+    const previous = this.recent.get(key);
+    if (previous && now - previous.time < windowMs) {
+      previous.repeats++;
+      return { skipped: 'duplicate' };
+    }
+    this.recent.set(key, { time: now, repeats: 0 });
+    if (previous?.repeats > 0) {
+      n.message = `${n.message}\n(${previous.repeats} repeat(s) suppressed since the last notice)`.trim();
+    }
+
+    const result = { sent: [], failed: [], rateLimited: [] };
+
+    await Promise.all(this.route(n).map(async (channel) => {
+      const times = (this.sentTimes.get(channel.name) || []).filter(t => now - t < 60000);
+      if (n.severity !== 'critical' && times.length >= this.settings.maxPerMinute) {
+        this.held.set(channel.name, (this.held.get(channel.name) || 0) + 1);
+        this.sentTimes.set(channel.name, times);
+        result.rateLimited.push(channel.name);
+        return;
+      }
+      times.push(now);
+      this.sentTimes.set(channel.name, times);
+
+      const held = this.held.get(channel.name) || 0;
+      this.held.delete(channel.name);
+      const outgoing = held > 0
+        ? { ...n, message: `${n.message}\n(${held} notification(s) held back by the rate limit)`.trim() }
+        : n;
+
+      try {
+        await this.senders[channel.type](channel, outgoing);
+        result.sent.push(channel.name);
+        this.emit('sent', outgoing, channel);
+      } catch (error) {
+        result.failed.push(channel.name);
+        console.error(`[Notify] ❌ ${channel.name} failed to send "${n.title}": ${error.message}`);
+        this.emit('failed', outgoing, channel, error);
+      }
+    }));
+
+    if (this.verbose && result.sent.length > 0) {
+      console.log(`[Notify] ${n.severity}: ${n.title} → ${result.sent.join(', ')}`);
+    }
+
+    return result;
+  }
+}
+
+let activeNotifier = null;
+
+/**
+ * Install the process-wide notifier used by notify()
+ * @param {Notifier|null} notifier - Notifier, or null to turn notify() off
+ */
+export function setNotifier(notifier) {
+  activeNotifier = notifier;
+}
+
+/**
+ * Send through the installed notifier; does nothing when none is installed
+ * @param {Object} notification - See Notifier.notify()
+ * @returns {Promise<Object|null>} Notifier.notify() result
+ */
+export function notify(notification) {
+  if (!activeNotifier) {
+    return Promise.resolve(null);
+  }
+  return activeNotifier.notify(notification).catch((error) => {
+    console.error(`[Notify] ❌ ${error.message}`);
+    return null;
+  });
+}
@@ -2,7 +2,7 @@ import HyperliquidConnector from '../hyperliquid.js';
 import { getBidAskSpreads, filterBySpread } from './spread.js';
 import { getPerpSpotSpreads, filterByPerpSpotSpread } from './arbitrage.js';
 import { get24HourVolumes, convertVolumesToUSDC, filterByVolumeUSDC } from './volume.js';
-import { getFundingRatesWithHistory, sortByAnnualizedRate, getPredictedFundingRates } from './funding.js';
+import { getFundingRatesWithHistory, sortByAnnualizedRate, getPredictedFundingRates, forecastFunding, FUNDING_VENUES } from './funding.js';
 
 /**
  * Opportunity Selection Utilities
@@ -13,6 +13,11 @@ import { getFundingRatesWithHistory, sortByAnnualizedRate, getPredictedFundingRa
  * - 24-hour volume
  * - PREDICTED funding rates (what will be paid NEXT)
  * - 7-day average funding rates (for context/stability assessment)
+ * - Cross-venue divergence: HL predicted funding vs Binance/Bybit (optional filter)
+ *
+ * With config.forecast set, opportunities are ranked on the funding expected
+ * over the hold period (utils/funding.js forecastFunding()) instead of the next
+ * predicted rate, with the history's stability score as tie-breaker.
  */
 
 /**
@@ -36,7 +41,7 @@ export async function getMarketData(hyperliquid, symbols, config, options = {})
     getBidAskSpreads(hyperliquid, symbols, { config, verbose: false }),
     getPerpSpotSpreads(hyperliquid, symbols, { config, verbose: false }),
     get24HourVolumes(hyperliquid, symbols, { config, verbose: false }),
-    getFundingRatesWithHistory(hyperliquid, symbols, { days: 7, verbose: false }),
+    getFundingRatesWithHistory(hyperliquid, symbols, { days: config?.forecast?.historyDays || 7, verbose: false }),
     getPredictedFundingRates(hyperliquid, { verbose: false })
   ]);
 
@@ -57,18 +62,39 @@ export async function getMarketData(hyperliquid, symbols, config, options = {})
   };
 }
 
+/**
+ * Forecast settings from config
+ * @param {Object} config - Bot configuration (forecast, bot.minHoldTimeDays)
+ * @returns {Object|null} forecastFunding() options, or null when forecasting is off
+ */
+export function getForecastOptions(config) {
+  const forecast = config?.forecast;
+  if (!forecast || forecast.enabled === false) {
+    return null;
+  }
+
+  // Forecast over the hold period the bot commits to by default
+  const horizonDays = forecast.horizonDays ?? config.bot?.minHoldTimeDays ?? 14;
+
+  return { ...forecast, horizonHours: horizonDays * 24 };
+}
+
 /**
  * Filter opportunities based on quality criteria
  * @param {Object} marketData - Market data from getMarketData
  * @param {Object} thresholds - Threshold configuration
+ * @param {Object} options - Options
+ * @param {Object} options.forecast - forecastFunding() options ({ model, horizonHours, ... }); adds expectedFundingRate
  * @returns {Object} Filtered opportunities
  */
-export function filterOpportunities(marketData, thresholds) {
+export function filterOpportunities(marketData, thresholds, options = {}) {
+  const { forecast: forecastOptions = null } = options;
   const {
     maxBidAskSpreadPercent = 0.15,
     maxPerpSpotSpreadPercent = 0.5,
     minVolumeUSDC = 75000000,
-    minFundingRatePercent = 5
+    minFundingRatePercent = 5,
+    maxFundingDivergencePercent = null
   } = thresholds;
 
   // Create maps for easy lookup
@@ -109,6 +135,7 @@ export function filterOpportunities(marketData, thresholds) {
     perpSpotSpread: [],
     volume: [],
     funding: [],
+    divergence: [],
     missingData: []
   };
 
@@ -216,6 +243,24 @@ export function filterOpportunities(marketData, thresholds) {
       continue;
     }
 
+    // HL funding far above every other venue tends to be arbitraged away quickly
+    const divergence = predictedFunding?.divergence || null;
+
+    if (maxFundingDivergencePercent !== null && divergence && divergence.premiumPercent > maxFundingDivergencePercent) {
+      rejected.divergence.push({
+        symbol,
+        premiumPercent: divergence.premiumPercent,
+        otherVenuesPercent: divergence.otherAnnualized * 100,
+        threshold: maxFundingDivergencePercent
+      });
+      continue;
+    }
+
+    // Expected funding over the hold period, when a forecast model is configured
+    const forecast = forecastOptions && funding.history?.rates?.length > 0
+      ? forecastFunding(funding.history.rates, { ...forecastOptions, predictedHourly: predictedFunding?.predictedFundingRate })
+      : null;
+
     // Passed all filters!
     results.push({
       symbol,
@@ -232,6 +277,12 @@ export function filterOpportunities(marketData, thresholds) {
       // Use predicted for primary metric, fall back to average if not available
       primaryFundingRate: filterFundingRate,
       primaryFundingPercent: filterFundingPercent,
+      forecast,
+      expectedFundingRate: forecast ? forecast.annualized : null,
+      expectedFundingPercent: forecast ? forecast.annualized * 100 : null,
+      stability: funding.history?.stability || null,
+      venueFunding: predictedFunding?.venues || null,
+      divergence,
       totalVolumeUSDC: totalVolumeUSDC,
       maxBidAskSpread: maxBidAskPct,
       perpSpotSpreadAbs: perpSpotSpreadPct,
@@ -258,6 +309,7 @@ export function filterOpportunities(marketData, thresholds) {
         perpSpotSpread: rejected.perpSpotSpread.length,
         volume: rejected.volume.length,
         funding: rejected.funding.length,
+        divergence: rejected.divergence.length,
         missingData: rejected.missingData.length
       }
     }
@@ -265,21 +317,36 @@ export function filterOpportunities(marketData, thresholds) {
 }
 
 /**
- * Rank opportunities by PREDICTED funding rate (highest first)
- * CRITICAL: Uses predicted funding rate (what will be paid NEXT), not historical average
+ * Funding rate an opportunity is ranked on: expected over the hold period when
+ * forecast, else the PRIMARY rate (predicted if available, else average)
+ * @param {Object} opportunity - Opportunity
+ * @returns {number} Annualized rate
+ */
+export function getRankingFundingRate(opportunity) {
+  return opportunity.expectedFundingRate ?? opportunity.primaryFundingRate;
+}
+
+/**
+ * Rank opportunities by funding (highest first)
+ * Uses the forecast over the hold period when available, otherwise the
+ * predicted funding rate (what will be paid NEXT)
  * @param {Object[]} opportunities - Array of opportunities
  * @returns {Object[]} Sorted opportunities
  */
 export function rankOpportunities(opportunities) {
   return opportunities.sort((a, b) => {
-    // Primary sort: by PRIMARY funding rate (predicted if available, else average)
-    // This is what we'll actually earn on the next funding payment
-    const fundingDiff = b.primaryFundingRate - a.primaryFundingRate;
+    const fundingDiff = getRankingFundingRate(b) - getRankingFundingRate(a);
     if (Math.abs(fundingDiff) > 0.0001) {
       return fundingDiff;
     }
 
-    // Secondary sort: by quality score
+    // Secondary sort: steadier funding history first
+    const stabilityDiff = (b.stability?.score ?? 0) - (a.stability?.score ?? 0);
+    if (Math.abs(stabilityDiff) > 0.01) {
+      return stabilityDiff;
+    }
+
+    // Then by quality score
     return b.qualityScore - a.qualityScore;
   });
 }
@@ -345,6 +412,9 @@ export function formatOpportunityReport(filterResult, rankedOpportunities) {
     if (filterResult.stats.rejectionReasons.funding > 0) {
       lines.push(`  ❌ Funding Rate: ${filterResult.stats.rejectionReasons.funding}`);
     }
+    if (filterResult.stats.rejectionReasons.divergence > 0) {
+      lines.push(`  ❌ Funding Divergence: ${filterResult.stats.rejectionReasons.divergence}`);
+    }
     if (filterResult.stats.rejectionReasons.missingData > 0) {
       lines.push(`  ❌ Missing Data: ${filterResult.stats.rejectionReasons.missingData}`);
     }
@@ -356,7 +426,11 @@ export function formatOpportunityReport(filterResult, rankedOpportunities) {
     return lines.join('\n');
   }
 
-  lines.push(`Top ${Math.min(3, rankedOpportunities.length)} Opportunities (ranked by 7-day avg funding):`);
+  const forecast = rankedOpportunities[0].forecast;
+  const rankedBy = forecast
+    ? `expected funding over ${forecast.horizonHours / 24} days, ${forecast.model}`
+    : 'predicted funding';
+  lines.push(`Top ${Math.min(3, rankedOpportunities.length)} Opportunities (ranked by ${rankedBy}):`);
   lines.push('');
 
   for (let i = 0; i < Math.min(3, rankedOpportunities.length); i++) {
@@ -364,11 +438,25 @@ export function formatOpportunityReport(filterResult, rankedOpportunities) {
     const rank = i + 1;
 
     lines.push(`${rank}. ${opp.symbol}:`);
+    if (opp.expectedFundingPercent !== null && opp.expectedFundingPercent !== undefined) {
+      lines.push(`   Expected Funding: ${opp.expectedFundingPercent.toFixed(2)}% APY`);
+    }
     lines.push(`   Avg Funding: ${(opp.avgFundingPercent).toFixed(2)}% APY`);
     lines.push(`   Current Funding: ${(opp.funding.annualizedRate * 100).toFixed(2)}% APY`);
+    if (opp.divergence) {
+      const others = Object.entries(opp.venueFunding)
+        .filter(([venue]) => venue !== 'HlPerp')
+        .map(([venue, v]) => `${FUNDING_VENUES[venue] || venue} ${(v.annualizedRate * 100).toFixed(2)}%`)
+        .join(', ');
+      const sign = opp.divergence.premiumPercent >= 0 ? '+' : '';
+      lines.push(`   Other Venues: ${others} (HL ${sign}${opp.divergence.premiumPercent.toFixed(2)}% APY)`);
+    }
     lines.push(`   Volume: $${(opp.totalVolumeUSDC / 1e6).toFixed(1)}M`);
     lines.push(`   Max Bid-Ask: ${(opp.maxBidAskSpread).toFixed(3)}%`);
     lines.push(`   PERP-SPOT Spread: ${(opp.perpSpotSpreadAbs).toFixed(3)}%`);
+    if (opp.stability) {
+      lines.push(`   Stability: ${opp.stability.score.toFixed(2)} (σ ${(opp.stability.stddevAnnualized * 100).toFixed(2)}% APY, ${(opp.stability.negativeFraction * 100).toFixed(0)}% negative hours)`);
+    }
     lines.push(`   Quality Score: ${opp.qualityScore.toFixed(2)}`);
     lines.push('');
   }
@@ -391,7 +479,7 @@ export async function findBestOpportunities(hyperliquid, symbols, config, option
   const marketData = await getMarketData(hyperliquid, symbols, config, { verbose });
 
   // Filter opportunities
-  const filterResult = filterOpportunities(marketData, config.thresholds);
+  const filterResult = filterOpportunities(marketData, config.thresholds, { forecast: getForecastOptions(config) });
 
   // Rank opportunities
   const rankedOpportunities = rankOpportunities(filterResult.opportunities);
@@ -407,3 +495,23 @@ export async function findBestOpportunities(hyperliquid, symbols, config, option
     report: formatOpportunityReport(filterResult, rankedOpportunities)
   };
 }
+
+/**
+ * Apply pinned and banned symbols to an analysis
+ * Banned symbols are dropped and, once any symbol is pinned, only pinned ones
+ * stay. marketData is untouched, so held pairs can still be looked up there.
+ * @param {Object} analysis - Result from findBestOpportunities()
+ * @param {Object} controls - { pinned, banned } symbol lists
+ * @returns {Object} Analysis with filtered rankedOpportunities and best
+ */
+export function applySymbolControls(analysis, { pinned = [], banned = [] } = {}) {
+  if (pinned.length === 0 && banned.length === 0) {
+    return analysis;
+  }
+
+  const rankedOpportunities = analysis.rankedOpportunities.filter(o =>
+    !banned.includes(o.symbol) && (pinned.length === 0 || pinned.includes(o.symbol))
+  );
+
+  return { ...analysis, rankedOpportunities, best: selectBestOpportunity(rankedOpportunities) };
+}
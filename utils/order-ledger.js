@@ -0,0 +1,389 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Order Ledger
+ *
+ * In-memory view of the account's orders and fills, fed by the user WebSocket
+ * channels (userFills, orderUpdates, userEvents) and by order responses, so
+ * resting and partially filled orders are visible without polling orderStatus.
+ *
+ * Orders are keyed by oid, with cloids mapped onto their oid. Fills are
+ * de-duplicated by tid (or hash), since the snapshot sent on every (re)subscribe
+ * repeats recent fills.
+ *
+ * Events:
+ * - 'order' (order, previousStatus)  status or filled size of an order changed
+ * - 'fill'  (fill, order)            new fill (not emitted for snapshot fills)
+ */
+
+const EPSILON = 1e-9;
+
+// Every other Hyperliquid order status (filled, canceled, rejected,
+// marginCanceled, reduceOnlyCanceled, ...) is final
+const OPEN_STATUSES = ['open', 'triggered'];
+
+function fillKey(fill) {
+  return fill.tid ?? fill.hash ?? `${fill.oid}:${fill.time}:${fill.sz}`;
+}
+
+/**
+ * Whether an order status means the order can still fill
+ * @param {string} status - Order status
+ * @returns {boolean} True for open/triggered orders
+ */
+export function isOpenStatus(status) {
+  return OPEN_STATUSES.includes(status);
+}
+
+/**
+ * Orders and fills of one account
+ */
+export class OrderLedger extends EventEmitter {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.maxClosedOrders - Closed orders kept in memory (default: 500)
+   * @param {number} options.maxFills - Fills kept in memory (default: 1000)
+   */
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0); // one listener per pending waitForOrder()
+
+    this.maxClosedOrders = options.maxClosedOrders || 500;
+    this.maxFills = options.maxFills || 1000;
+
+    this.orders = new Map();     // oid -> order entry
+    this.cloids = new Map();     // cloid -> oid
+    this.fills = [];
+    this.fillKeys = new Set();
+  }
+
+  /**
+   * Look up an order
+   * @param {number|string} oidOrCloid - Order id, or a '0x...' cloid
+   * @returns {Object|null} { oid, cloid, coin, side, limitPx, origSz, remainingSz, filledSz, avgPx, fee, status, statusTimestamp, fills }
+   */
+  get(oidOrCloid) {
+    const oid = this.resolveOid(oidOrCloid);
+    return oid === null ? null : this.orders.get(oid) || null;
+  }
+
+  resolveOid(oidOrCloid) {
+    if (typeof oidOrCloid === 'string' && oidOrCloid.startsWith('0x')) {
+      return this.cloids.get(oidOrCloid) ?? null;
+    }
+    const oid = Number(oidOrCloid);
+    return Number.isInteger(oid) ? oid : null;
+  }
+
+  /**
+   * Open orders, optionally for one coin
+   * @param {string} coin - Exchange coin (perp name or spot '@index'), or null for all
+   * @returns {Object[]} Order entries
+   */
+  getOpenOrders(coin = null) {
+    return [...this.orders.values()].filter(o => isOpenStatus(o.status) && (!coin || o.coin === coin));
+  }
+
+  entry(oid, cloid = null) {
+    let order = this.orders.get(oid);
+
+    if (!order) {
+      order = {
+        oid,
+        cloid: null,
+        coin: null,
+        side: null,
+        limitPx: null,
+        origSz: null,
+        remainingSz: null,
+        filledSz: 0,
+        avgPx: null,
+        fee: 0,
+        status: null,
+        statusTimestamp: 0,
+        correlationId: null,
+        fills: [],
+        // Fill progress from each source; filledSz is the furthest along
+        fillSz: 0,
+        fillNotional: 0,
+        reportedSz: 0,
+        reportedAvgPx: null
+      };
+      this.orders.set(oid, order);
+    }
+
+    if (cloid && !order.cloid) {
+      order.cloid = cloid;
+      this.cloids.set(cloid, oid);
+    }
+
+    return order;
+  }
+
+  setStatus(order, status, statusTimestamp = Date.now()) {
+    if (!status) return;
+
+    // A final status never goes back to open (updates can arrive out of order)
+    if (order.status && !isOpenStatus(order.status) && isOpenStatus(status)) {
+      return;
+    }
+    if (order.status && !isOpenStatus(order.status) && statusTimestamp < order.statusTimestamp) {
+      return;
+    }
+
+    order.status = status;
+    order.statusTimestamp = Math.max(order.statusTimestamp, statusTimestamp);
+  }
+
+  refresh(order) {
+    const fromBook = order.origSz !== null && order.remainingSz !== null ? order.origSz - order.remainingSz : 0;
+    order.filledSz = Math.max(order.fillSz, order.reportedSz, fromBook);
+    order.avgPx = order.fillSz > EPSILON
+      ? order.fillNotional / order.fillSz
+      : order.reportedAvgPx ?? (order.filledSz > EPSILON ? order.limitPx : null);
+  }
+
+  notify(order, previous) {
+    this.refresh(order);
+
+    if (order.status !== previous.status || order.filledSz > previous.filledSz + EPSILON) {
+      this.emit('order', order, previous.status);
+    }
+  }
+
+  snapshot(order) {
+    this.refresh(order);
+    return { status: order.status, filledSz: order.filledSz };
+  }
+
+  /**
+   * Apply an orderUpdates message entry
+   * @param {Object} update - { order: { coin, side, limitPx, sz, oid, timestamp, origSz, cloid? }, status, statusTimestamp }
+   * @returns {Object} Order entry
+   */
+  applyOrderUpdate(update) {
+    const wire = update.order;
+    const order = this.entry(wire.oid, wire.cloid);
+    const previous = this.snapshot(order);
+
+    order.coin = wire.coin;
+    order.side = wire.side;
+    order.limitPx = parseFloat(wire.limitPx);
+    order.origSz = parseFloat(wire.origSz ?? wire.sz);
+    order.remainingSz = parseFloat(wire.sz);
+    order.timestamp = wire.timestamp;
+    this.setStatus(order, update.status, update.statusTimestamp);
+
+    this.notify(order, previous);
+    this.prune();
+    return order;
+  }
+
+  /**
+   * Apply fills from userFills or userEvents
+   * @param {Object[]} fills - WsFill objects { coin, px, sz, side, time, oid, tid, hash, fee, crossed, cloid? }
+   * @param {Object} options - { isSnapshot: fills replayed on subscribe (no 'fill' events) }
+   * @returns {Object[]} Fills that were new
+   */
+  applyFills(fills, options = {}) {
+    const added = [];
+
+    for (const fill of fills || []) {
+      if (this.applyFill(fill, options)) {
+        added.push(fill);
+      }
+    }
+
+    return added;
+  }
+
+  /**
+   * Apply a single fill (ignored if already seen)
+   * @returns {boolean} True if the fill was new
+   */
+  applyFill(fill, options = {}) {
+    const key = fillKey(fill);
+    if (this.fillKeys.has(key)) {
+      return false;
+    }
+    this.fillKeys.add(key);
+
+    const sz = parseFloat(fill.sz);
+    const px = parseFloat(fill.px);
+
+    this.fills.push(fill);
+    if (this.fills.length > this.maxFills) {
+      const dropped = this.fills.splice(0, this.fills.length - this.maxFills);
+      for (const old of dropped) {
+        this.fillKeys.delete(fillKey(old));
+      }
+    }
+
+    const order = this.entry(fill.oid, fill.cloid);
+    const previous = this.snapshot(order);
+
+    order.coin = order.coin || fill.coin;
+    order.side = order.side || fill.side;
+    order.fillSz += sz;
+    order.fillNotional += sz * px;
+    order.fee += parseFloat(fill.fee || 0);
+    order.fills.push({ px, sz, time: fill.time, crossed: fill.crossed, tid: fill.tid });
+
+    if (order.origSz !== null && order.fillSz >= order.origSz - EPSILON) {
+      this.setStatus(order, 'filled', fill.time);
+    }
+
+    if (!options.isSnapshot) {
+      this.refresh(order);
+      this.emit('fill', fill, order);
+    }
+    this.notify(order, previous);
+    this.prune();
+    return true;
+  }
+
+  /**
+   * Apply the status of an order from its order/modify response
+   * @param {Object} status - statuses[i]: { resting } | { filled } | { error }
+   * @param {Object} order - What was sent: { coin, side ('B'|'A'), size, price, tif, cloid }
+   * @returns {Object|null} Order entry, or null for errors
+   */
+  applyOrderResponse(status, order = {}) {
+    const oid = status?.resting?.oid ?? status?.filled?.oid;
+    if (!Number.isInteger(oid)) {
+      return null;
+    }
+
+    const entry = this.entry(oid, status.resting?.cloid ?? status.filled?.cloid ?? order.cloid);
+    const previous = this.snapshot(entry);
+
+    entry.coin = entry.coin || order.coin || null;
+    entry.side = entry.side || order.side || null;
+    entry.limitPx = entry.limitPx ?? order.price ?? null;
+    entry.origSz = entry.origSz ?? order.size ?? null;
+    entry.correlationId = entry.correlationId || order.correlationId || null;
+
+    if (status.resting) {
+      this.setStatus(entry, 'open');
+    } else {
+      entry.reportedSz = Math.max(entry.reportedSz, parseFloat(status.filled.totalSz));
+      entry.reportedAvgPx = parseFloat(status.filled.avgPx);
+      if (entry.origSz === null || entry.reportedSz >= entry.origSz - EPSILON) {
+        this.setStatus(entry, 'filled');
+      } else if (order.tif === 'Ioc') {
+        this.setStatus(entry, 'canceled'); // the exchange cancels what an IOC couldn't fill
+      } else {
+        this.setStatus(entry, 'open');     // a crossing Gtc rests the remainder
+      }
+    }
+
+    this.notify(entry, previous);
+    this.prune();
+    return entry;
+  }
+
+  /**
+   * Apply userEvents nonUserCancel entries (orders canceled by the exchange)
+   * @param {Object[]} cancels - [{ coin, oid }]
+   */
+  applyNonUserCancels(cancels) {
+    for (const cancel of cancels || []) {
+      this.markCanceled(cancel.oid, cancel.coin);
+    }
+  }
+
+  /**
+   * Mark an order canceled (e.g. replaced by a modify, which assigns a new oid)
+   * @param {number} oid - Order id
+   * @param {string} coin - Exchange coin, if known
+   */
+  markCanceled(oid, coin = null) {
+    const order = this.entry(oid);
+    const previous = this.snapshot(order);
+    order.coin = order.coin || coin;
+    this.setStatus(order, 'canceled');
+    this.notify(order, previous);
+  }
+
+  /**
+   * Wait until an order is closed (filled, canceled, ...) or has filled a given size
+   * @param {number|string} oidOrCloid - Order id or cloid
+   * @param {Object} options - Options
+   * @param {number} options.timeoutMs - Give up after this long (default: 30000)
+   * @param {number} options.filledSz - Also resolve once this much has filled
+   * @returns {Promise<Object|null>} The order entry (still open on timeout), or null if never seen
+   */
+  waitForOrder(oidOrCloid, options = {}) {
+    const { timeoutMs = 30000, filledSz = null } = options;
+
+    const done = () => {
+      const order = this.get(oidOrCloid);
+      return order && order.status && (!isOpenStatus(order.status) ||
+        (filledSz !== null && order.filledSz >= filledSz - EPSILON));
+    };
+
+    if (done()) {
+      return Promise.resolve(this.get(oidOrCloid));
+    }
+
+    return new Promise(resolve => {
+      const finish = () => {
+        clearTimeout(timer);
+        this.removeListener('order', onOrder);
+        resolve(this.get(oidOrCloid));
+      };
+      const onOrder = () => {
+        if (done()) finish();
+      };
+      const timer = setTimeout(finish, timeoutMs);
+      this.on('order', onOrder);
+    });
+  }
+
+  /**
+   * Wait for the next change to an order
+   * @param {number|string} oidOrCloid - Order id or cloid
+   * @param {number} timeoutMs - Maximum wait
+   * @returns {Promise<boolean>} True if the order changed, false on timeout
+   */
+  waitForUpdate(oidOrCloid, timeoutMs) {
+    return new Promise(resolve => {
+      const finish = (changed) => {
+        clearTimeout(timer);
+        this.removeListener('order', onOrder);
+        resolve(changed);
+      };
+      const onOrder = (order) => {
+        if (order === this.get(oidOrCloid)) finish(true);
+      };
+      const timer = setTimeout(() => finish(false), timeoutMs);
+      this.on('order', onOrder);
+    });
+  }
+
+  /**
+   * Keep every open order but only the most recent closed ones
+   */
+  prune() {
+    if (this.orders.size <= this.maxClosedOrders) return;
+
+    const closed = [...this.orders.values()]
+      .filter(o => o.status && !isOpenStatus(o.status))
+      .sort((a, b) => a.statusTimestamp - b.statusTimestamp);
+
+    for (const order of closed.slice(0, Math.max(0, closed.length - this.maxClosedOrders))) {
+      this.orders.delete(order.oid);
+      if (order.cloid) this.cloids.delete(order.cloid);
+    }
+  }
+
+  /**
+   * Forget everything
+   */
+  clear() {
+    this.orders.clear();
+    this.cloids.clear();
+    this.fills = [];
+    this.fillKeys.clear();
+  }
+}
@@ -0,0 +1,215 @@
+import HyperliquidConnector from '../hyperliquid.js';
+
+/**
+ * PERP/SPOT Pair Discovery
+ *
+ * Builds the perp ↔ spot symbol mapping from `meta` and `spotMeta` instead of a
+ * hand-maintained table. Only spot pairs quoted in USDC are considered. For each
+ * perp coin the USDC spot tokens are ranked by how they match:
+ * - exact:    same name (HYPE ↔ HYPE)
+ * - wrapped:  Unit-style 'U' prefix (BTC ↔ UBTC)
+ * - fullName: token fullName, minus a "Unit"/"Wrapped" prefix, names the coin (FARTCOIN ↔ "Unit Fartcoin")
+ * - prefix:   'U' + a shortened coin name (FARTCOIN ↔ UFART)
+ *
+ * exact and wrapped matches are accepted. fullName and prefix matches, and ties
+ * between candidates of the same rank (a token with a linked EVM contract wins a
+ * tie), are reported as ambiguous and need a manual confirmation in
+ * config.symbolMapping.perpToSpot, which always takes precedence.
+ */
+
+const MATCH_RANKS = ['exact', 'wrapped', 'fullName', 'prefix'];
+const CONFIDENT_MATCHES = ['exact', 'wrapped'];
+
+/**
+ * Normalize a token fullName to compare it with a perp coin name
+ * @param {string|null} fullName - e.g. 'Unit Fartcoin'
+ * @returns {string|null} e.g. 'FARTCOIN'
+ */
+function normalizeFullName(fullName) {
+  if (!fullName) return null;
+  return fullName.replace(/^(unit|wrapped)\s+/i, '').replace(/[^a-z0-9]/gi, '').toUpperCase();
+}
+
+/**
+ * How a spot token matches a perp coin
+ * @param {string} coin - Perp coin name
+ * @param {Object} token - spotMeta token
+ * @returns {string|null} Match type from MATCH_RANKS, or null
+ */
+function matchToken(coin, token) {
+  const name = token.name.toUpperCase();
+  const upper = coin.toUpperCase();
+
+  if (name === upper) return 'exact';
+  if (name === `U${upper}`) return 'wrapped';
+  if (normalizeFullName(token.fullName) === upper) return 'fullName';
+  if (name.startsWith('U') && name.length >= 4 && upper.startsWith(name.slice(1))) return 'prefix';
+  return null;
+}
+
+/**
+ * USDC-quoted spot markets by base token
+ * @param {Object} spotMeta - spotMeta response
+ * @returns {Array<Object>} [{ token, spotCoin }] where spotCoin is the '@{index}' market name
+ */
+export function getUsdcSpotMarkets(spotMeta) {
+  const tokens = new Map(spotMeta.tokens.map(t => [t.index, t]));
+  const usdc = spotMeta.tokens.find(t => t.name === 'USDC');
+  if (!usdc) return [];
+
+  return spotMeta.universe
+    .filter(pair => pair.tokens[1] === usdc.index && tokens.has(pair.tokens[0]))
+    .map(pair => ({ token: tokens.get(pair.tokens[0]), spotCoin: pair.name.startsWith('@') ? pair.name : `@${pair.index}` }));
+}
+
+/**
+ * Match perp coins to USDC spot tokens
+ * @param {Object} meta - meta response (perp universe)
+ * @param {Object} spotMeta - spotMeta response
+ * @param {Object} options - Options
+ * @param {Object} options.overrides - Confirmed mapping { perpSymbol: spotSymbol } (config.symbolMapping.perpToSpot)
+ * @returns {Object} { pairs, ambiguous, unmatched, invalidOverrides }
+ *   pairs: [{ perpSymbol, spotSymbol, spotCoin, match, evmContract }]
+ *   ambiguous: [{ perpSymbol, candidates: [{ spotSymbol, spotCoin, match, evmContract }] }]
+ */
+export function matchPairs(meta, spotMeta, options = {}) {
+  const { overrides = {} } = options;
+  const markets = getUsdcSpotMarkets(spotMeta);
+  const bySpotName = new Map(markets.map(m => [m.token.name, m]));
+
+  const pairs = [];
+  const ambiguous = [];
+  const unmatched = [];
+  const invalidOverrides = [];
+
+  const describe = (market, match) => ({
+    spotSymbol: market.token.name,
+    spotCoin: market.spotCoin,
+    match,
+    evmContract: market.token.evmContract?.address || null
+  });
+
+  for (const perp of meta.universe) {
+    if (perp.isDelisted) continue;
+    const coin = perp.name;
+
+    if (overrides[coin]) {
+      const market = bySpotName.get(overrides[coin]);
+      if (market) {
+        pairs.push({ perpSymbol: coin, ...describe(market, 'config') });
+      } else {
+        invalidOverrides.push({ perpSymbol: coin, spotSymbol: overrides[coin] });
+      }
+      continue;
+    }
+
+    const candidates = markets
+      .map(market => ({ market, match: matchToken(coin, market.token) }))
+      .filter(c => c.match)
+      .sort((a, b) => MATCH_RANKS.indexOf(a.match) - MATCH_RANKS.indexOf(b.match) ||
+        Number(!!b.market.token.evmContract) - Number(!!a.market.token.evmContract))
+      .map(c => describe(c.market, c.match));
+
+    if (candidates.length === 0) {
+      unmatched.push(coin);
+      continue;
+    }
+
+    const [best, next] = candidates;
+    const tied = next && next.match === best.match && !!next.evmContract === !!best.evmContract;
+
+    if (CONFIDENT_MATCHES.includes(best.match) && !tied) {
+      pairs.push({ perpSymbol: coin, ...best });
+    } else {
+      ambiguous.push({ perpSymbol: coin, candidates });
+    }
+  }
+
+  return { pairs, ambiguous, unmatched, invalidOverrides };
+}
+
+/**
+ * Discover PERP/SPOT pairs from the exchange and register their symbol mapping
+ * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+ * @param {Object} options - Options
+ * @param {Object} options.overrides - Confirmed mapping { perpSymbol: spotSymbol }
+ * @param {boolean} options.register - Register pairs with HyperliquidConnector.setSymbolMapping (default: true)
+ * @param {boolean} options.verbose - Whether to log ambiguous matches
+ * @returns {Promise<Object>} matchPairs() result
+ */
+export async function discoverPairs(hyperliquid, options = {}) {
+  const { overrides = {}, register = true, verbose = false } = options;
+
+  const [meta, spotMeta] = await Promise.all([
+    hyperliquid.getMeta(),
+    hyperliquid.getSpotMeta()
+  ]);
+
+  const discovery = matchPairs(meta, spotMeta, { overrides });
+
+  if (register) {
+    for (const pair of discovery.pairs) {
+      HyperliquidConnector.setSymbolMapping(pair.perpSymbol, pair.spotSymbol);
+    }
+  }
+
+  if (verbose) {
+    console.log(`[Pairs] Discovered ${discovery.pairs.length} PERP/SPOT pair(s)`);
+    for (const { perpSymbol, candidates } of discovery.ambiguous) {
+      const list = candidates.map(c => `${c.spotSymbol} (${c.match})`).join(', ');
+      console.warn(`[Pairs] ⚠️  ${perpSymbol}: unconfirmed match ${list}; add it to symbolMapping.perpToSpot to trade it`);
+    }
+    for (const { perpSymbol, spotSymbol } of discovery.invalidOverrides) {
+      console.warn(`[Pairs] ⚠️  symbolMapping ${perpSymbol} → ${spotSymbol}: no USDC spot market named ${spotSymbol}`);
+    }
+  }
+
+  return discovery;
+}
+
+/**
+ * Check whether trading.pairs asks for every discovered pair
+ * @param {string|Array<string>} pairs - trading.pairs
+ * @returns {boolean} True for "*" or a list containing "*"
+ */
+export function isWildcard(pairs) {
+  return pairs === '*' || (Array.isArray(pairs) && pairs.includes('*'));
+}
+
+/**
+ * Resolve trading.pairs to a list of perp symbols
+ *
+ * Runs discovery (registering the mapping for every confident pair) and expands
+ * "*" to every coin with both a perp and a USDC spot market. Explicitly listed
+ * pairs are kept as configured; ambiguous or unknown ones are logged.
+ *
+ * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+ * @param {Object} config - Bot configuration (trading.pairs, symbolMapping.perpToSpot)
+ * @param {Object} options - Options
+ * @param {boolean} options.verbose - Whether to log discovery results
+ * @returns {Promise<Object>} { pairs, discovery }
+ */
+export async function resolvePairs(hyperliquid, config, options = {}) {
+  const { verbose = false } = options;
+  const configured = config.trading.pairs;
+
+  const discovery = await discoverPairs(hyperliquid, {
+    overrides: config.symbolMapping?.perpToSpot,
+    verbose
+  });
+  const discovered = discovery.pairs.map(p => p.perpSymbol);
+
+  const explicit = (Array.isArray(configured) ? configured : [configured]).filter(p => p !== '*');
+  const pairs = isWildcard(configured)
+    ? [...new Set([...explicit, ...discovered])]
+    : explicit;
+
+  if (verbose) {
+    const unconfirmed = explicit.filter(p => !discovered.includes(p));
+    if (unconfirmed.length > 0) {
+      console.warn(`[Pairs] ⚠️  Configured pair(s) without a discovered spot market: ${unconfirmed.join(', ')}`);
+    }
+  }
+
+  return { pairs, discovery };
+}
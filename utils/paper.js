@@ -0,0 +1,908 @@
+import fs from 'fs';
+import { writeFileAtomic } from './state.js';
+
+/**
+ * Paper Trading Utilities
+ *
+ * Simulated exchange for running the bot on real market data without sending orders:
+ * - createMarketOrder() IOC orders fill by walking the cached l2Book depth
+ * - Alo/Gtc limit orders rest until the book trades through their price, then fill at
+ *   their limit with maker fees (checked whenever order status or open orders are read)
+ * - Fills are fed to the connector's order ledger (utils/order-ledger.js) in place of
+ *   the userFills WebSocket channel
+ * - A virtual PERP/SPOT balance sheet answers clearinghouseState / spotClearinghouseState
+ * - Funding is accrued hourly from the real fundingHistory rates
+ *
+ * Attach to a connector with `new PaperExchange(hyperliquid, options).attach()`.
+ * The connector and utils check `hyperliquid.paper` and route to it instead of the API.
+ * The paper account is persisted to its own file so it survives restarts.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const EPSILON = 1e-9;
+
+/**
+ * Walk one side of an L2 book for an IOC order
+ * @param {Array<{px: string, sz: string}>} levels - Book levels, best first (asks for buys, bids for sells)
+ * @param {number} size - Order size
+ * @param {number} limitPrice - Worst acceptable price
+ * @param {boolean} isBuy - True for buy orders
+ * @returns {Object} { filledSz, avgPx, notional, levelsUsed }
+ */
+export function walkBook(levels, size, limitPrice, isBuy) {
+  let remaining = size;
+  let notional = 0;
+  let levelsUsed = 0;
+
+  for (const level of levels || []) {
+    if (remaining <= EPSILON) break;
+
+    const px = parseFloat(level.px);
+    const sz = parseFloat(level.sz);
+
+    if (isBuy ? px > limitPrice : px < limitPrice) break;
+
+    const take = Math.min(remaining, sz);
+    notional += take * px;
+    remaining -= take;
+    levelsUsed++;
+  }
+
+  const filledSz = size - Math.max(remaining, 0);
+
+  return {
+    filledSz,
+    avgPx: filledSz > EPSILON ? notional / filledSz : null,
+    notional,
+    levelsUsed
+  };
+}
+
+/**
+ * Paper fill in the userFills format (fees are charged in USDC)
+ * @param {Object} fill - Paper fill
+ * @param {string} orderbookCoin - Exchange coin (perp name or spot '@index')
+ * @returns {Object} WsFill
+ */
+function toWireFill(fill, orderbookCoin) {
+  return {
+    coin: orderbookCoin,
+    px: String(fill.px),
+    sz: String(fill.sz),
+    side: fill.side,
+    time: fill.time,
+    oid: fill.oid,
+    crossed: !fill.maker,
+    fee: String(fill.fee),
+    feeToken: 'USDC',
+    closedPnl: String(fill.closedPnl),
+    ...(fill.cloid ? { cloid: fill.cloid } : {})
+  };
+}
+
+/**
+ * Simulated Hyperliquid account
+ */
+export class PaperExchange {
+  /**
+   * @param {HyperliquidConnector} hyperliquid - Connector used for market data
+   * @param {Object} options - Options
+   * @param {string} options.accountFile - Where the paper account is persisted (default ./paper-account.json)
+   * @param {number} options.initialPerpUsdc - Starting PERP USDC (default 500)
+   * @param {number} options.initialSpotUsdc - Starting SPOT USDC (default 500)
+   * @param {number} options.perpFeePercent - PERP taker fee (default 0.045)
+   * @param {number} options.spotFeePercent - SPOT taker fee (default 0.07)
+   * @param {number} options.perpMakerFeePercent - PERP maker fee (default 0.015)
+   * @param {number} options.spotMakerFeePercent - SPOT maker fee (default 0.04)
+   * @param {number} options.maxBookAgeMs - Refresh cached books older than this before filling (default 10000)
+   * @param {boolean} options.persist - Write the account to disk after every change (default true)
+   * @param {boolean} options.verbose - Log fills and funding
+   */
+  constructor(hyperliquid, options = {}) {
+    this.hyperliquid = hyperliquid;
+    this.accountFile = options.accountFile || './paper-account.json';
+    this.initialPerpUsdc = options.initialPerpUsdc ?? 500;
+    this.initialSpotUsdc = options.initialSpotUsdc ?? 500;
+    this.perpFeePercent = options.perpFeePercent ?? 0.045;
+    this.spotFeePercent = options.spotFeePercent ?? 0.07;
+    this.perpMakerFeePercent = options.perpMakerFeePercent ?? 0.015;
+    this.spotMakerFeePercent = options.spotMakerFeePercent ?? 0.04;
+    this.maxBookAgeMs = options.maxBookAgeMs ?? 10000;
+    this.persist = options.persist !== false;
+    this.verbose = options.verbose !== false;
+
+    this.fundingTimer = null;
+    this.nextOid = 1;
+    this.account = this.load();
+  }
+
+  /**
+   * Route the connector's orders and account queries to this paper account
+   * @returns {PaperExchange} this
+   */
+  attach() {
+    this.hyperliquid.paper = this;
+    return this;
+  }
+
+  /**
+   * Create an empty account with the starting balances
+   * @returns {Object} Account
+   */
+  createAccount() {
+    return {
+      version: 1,
+      createdAt: Date.now(),
+      initialPerpUsdc: this.initialPerpUsdc,
+      initialSpotUsdc: this.initialSpotUsdc,
+      perpUsdc: this.initialPerpUsdc,
+      spotUsdc: this.initialSpotUsdc,
+      perpPositions: {},
+      spotBalances: {},
+      leverage: {},
+      fills: [],
+      orders: {},
+      fundingPayments: [],
+      totals: { fees: 0, funding: 0, realizedPnl: 0 }
+    };
+  }
+
+  /**
+   * Load the paper account from disk (or start a new one)
+   * @returns {Object} Account
+   */
+  load() {
+    try {
+      if (this.persist && fs.existsSync(this.accountFile)) {
+        const account = JSON.parse(fs.readFileSync(this.accountFile, 'utf8'));
+        const oids = [...(account.fills || []).map(f => f.oid || 0), ...Object.keys(account.orders || {}).map(Number)];
+        this.nextOid = Math.max(0, ...oids) + 1;
+        return { ...this.createAccount(), ...account };
+      }
+    } catch (error) {
+      console.error('[Paper] Error loading account:', error.message);
+      throw error;
+    }
+
+    return this.createAccount();
+  }
+
+  /**
+   * Persist the paper account
+   */
+  save() {
+    if (!this.persist) return;
+    writeFileAtomic(this.accountFile, JSON.stringify(this.account, null, 2));
+  }
+
+  /**
+   * Reset the account to its starting balances
+   */
+  reset() {
+    this.account = this.createAccount();
+    this.nextOid = 1;
+    this.save();
+  }
+
+  log(message) {
+    if (this.verbose) {
+      console.log(`[Paper] ${message}`);
+    }
+  }
+
+  /**
+   * Get a fresh L2 book from the connector cache, fetching it over REST if missing or stale
+   * @param {string} orderbookCoin - Orderbook coin ('BTC' or '@142')
+   * @returns {Promise<Object>} { bids, asks }
+   */
+  async getBook(orderbookCoin) {
+    const cached = this.hyperliquid.orderbooks.get(orderbookCoin);
+
+    if (cached && Date.now() - cached.timestamp <= this.maxBookAgeMs && cached.bids?.length && cached.asks?.length) {
+      return cached;
+    }
+
+    const data = await this.hyperliquid.requestL2BookRest(orderbookCoin);
+    this.hyperliquid.updateOrderbook({ coin: orderbookCoin, levels: data.levels, time: Date.now() });
+    return this.hyperliquid.orderbooks.get(orderbookCoin);
+  }
+
+  /**
+   * Get mark prices for all coins
+   * @returns {Promise<Object>} coin -> price
+   */
+  async getMarks() {
+    const mids = await this.hyperliquid.getAllMids();
+    const marks = {};
+    for (const [coin, px] of Object.entries(mids)) {
+      marks[coin] = parseFloat(px);
+    }
+    return marks;
+  }
+
+  /**
+   * Set leverage for a PERP coin
+   * @param {string} coin - Perp symbol
+   * @param {number} leverage - Leverage
+   * @param {boolean} isCross - Cross margin flag
+   * @returns {Object} Same shape as utils/leverage.js updateLeverage()
+   */
+  setLeverage(coin, leverage, isCross = false) {
+    this.account.leverage[coin] = { value: leverage, type: isCross ? 'cross' : 'isolated' };
+    this.save();
+
+    return {
+      success: true,
+      coin,
+      leverage,
+      isCross,
+      result: { status: 'ok', response: { type: 'default' } }
+    };
+  }
+
+  /**
+   * Build an order response in the exchange format
+   * @param {Object} status - { filled } or { error }
+   * @returns {Object} Order response
+   */
+  orderResponse(status) {
+    return { status: 'ok', response: { type: 'order', data: { statuses: [status] } } };
+  }
+
+  /**
+   * Margin the account can still commit (account value - margin used)
+   * @param {Object} marks - coin -> price
+   * @returns {number} Withdrawable USDC
+   */
+  getWithdrawable(marks = {}) {
+    let accountValue = this.account.perpUsdc;
+    let marginUsed = 0;
+
+    for (const [coin, pos] of Object.entries(this.account.perpPositions)) {
+      const mark = marks[coin] ?? pos.entryPx;
+      const leverage = this.account.leverage[coin]?.value || 1;
+      accountValue += pos.szi * (mark - pos.entryPx);
+      marginUsed += Math.abs(pos.szi) * mark / leverage;
+    }
+
+    return Math.max(0, accountValue - marginUsed);
+  }
+
+  /**
+   * Fill an IOC order against the current book
+   * Called by HyperliquidConnector.createMarketOrder() after sizes and prices are rounded.
+   * @param {Object} order - Order
+   * @param {string} order.coin - Symbol as passed to createMarketOrder
+   * @param {string} order.orderbookCoin - Orderbook coin
+   * @param {boolean} order.isSpot - SPOT order
+   * @param {boolean} order.isBuy - Buy order
+   * @param {number} order.size - Size
+   * @param {number} order.limitPrice - Limit price (mid ± slippage)
+   * @param {boolean} order.reduceOnly - Reduce-only (PERP)
+   * @param {string} order.cloid - Client order ID
+   * @returns {Promise<Object>} Order response ({ status, response: { data: { statuses } } })
+   */
+  async fillOrder(order) {
+    const { coin, orderbookCoin, isSpot, isBuy, limitPrice, reduceOnly = false, cloid = null } = order;
+    let size = order.size;
+
+    if (!isSpot && reduceOnly) {
+      const szi = this.account.perpPositions[coin]?.szi || 0;
+      if ((isBuy && szi >= 0) || (!isBuy && szi <= 0)) {
+        return this.orderResponse({ error: 'Reduce only order would increase position.' });
+      }
+      size = Math.min(size, Math.abs(szi));
+    }
+
+    if (isSpot && !isBuy) {
+      const balance = this.account.spotBalances[coin]?.total || 0;
+      if (balance < size - EPSILON) {
+        return this.orderResponse({ error: 'Insufficient spot balance to place order.' });
+      }
+    }
+
+    const book = await this.getBook(orderbookCoin);
+    const fill = walkBook(isBuy ? book.asks : book.bids, size, limitPrice, isBuy);
+
+    if (fill.filledSz <= EPSILON) {
+      return this.orderResponse({ error: `Order could not immediately match against any resting orders. asset=${coin}` });
+    }
+
+    const feePercent = isSpot ? this.spotFeePercent : this.perpFeePercent;
+    const fee = fill.notional * feePercent / 100;
+    let closedPnl = 0;
+
+    if (isSpot) {
+      if (isBuy && this.account.spotUsdc < fill.notional + fee) {
+        return this.orderResponse({ error: 'Insufficient spot balance to place order.' });
+      }
+      this.settleSpot(coin, isBuy, fill.filledSz, fill.notional, fee);
+    } else {
+      const increasing = Math.sign(this.account.perpPositions[coin]?.szi || 0) !== (isBuy ? -1 : 1);
+      if (increasing) {
+        const leverage = this.account.leverage[coin]?.value || 1;
+        const requiredMargin = fill.notional / leverage + fee;
+        const withdrawable = this.getWithdrawable(await this.getMarks());
+        if (withdrawable < requiredMargin) {
+          return this.orderResponse({ error: `Insufficient margin to place order. asset=${coin}` });
+        }
+      }
+      closedPnl = this.settlePerp(coin, isBuy, fill.filledSz, fill.avgPx, fee);
+    }
+
+    const oid = this.nextOid++;
+    this.account.totals.fees += fee;
+    this.account.fills.push({
+      time: Date.now(),
+      coin,
+      orderbookCoin,
+      isSpot,
+      side: isBuy ? 'B' : 'A',
+      px: fill.avgPx,
+      sz: fill.filledSz,
+      fee,
+      closedPnl,
+      levelsUsed: fill.levelsUsed,
+      oid,
+      cloid
+    });
+    this.account.fills = this.account.fills.slice(-1000);
+    this.publishFill(this.account.fills[this.account.fills.length - 1], orderbookCoin);
+    this.save();
+
+    this.log(`📝 ${isBuy ? 'BUY' : 'SELL'} ${fill.filledSz} ${coin}${isSpot ? ' (SPOT)' : ''} @ ${fill.avgPx.toFixed(6)} across ${fill.levelsUsed} level(s), fee $${fee.toFixed(4)}`);
+
+    return this.orderResponse({
+      filled: {
+        totalSz: String(fill.filledSz),
+        avgPx: String(fill.avgPx),
+        oid
+      }
+    });
+  }
+
+  /**
+   * Place a limit order
+   * Called by HyperliquidConnector.createLimitOrder() after sizes and prices are rounded.
+   * Ioc orders fill like market orders; Alo is rejected if it would cross; Gtc fills
+   * whatever crosses and rests the remainder.
+   * @param {Object} order - Same fields as fillOrder(), plus tif
+   * @returns {Promise<Object>} Order response ({ resting } | { filled } | { error })
+   */
+  async placeLimitOrder(order) {
+    const { coin, orderbookCoin, isSpot, isBuy, limitPrice, tif, reduceOnly = false, cloid = null } = order;
+
+    if (tif === 'Ioc') {
+      return await this.fillOrder(order);
+    }
+
+    const book = await this.getBook(orderbookCoin);
+    const opposite = isBuy ? book.asks : book.bids;
+    const bestOpposite = opposite?.length ? parseFloat(opposite[0].px) : null;
+    const crosses = bestOpposite !== null && (isBuy ? bestOpposite <= limitPrice : bestOpposite >= limitPrice);
+
+    if (tif === 'Alo' && crosses) {
+      return this.orderResponse({ error: `Post only order would have immediately matched, bbo was ${bestOpposite}.` });
+    }
+
+    if (isSpot && !isBuy && (this.account.spotBalances[coin]?.total || 0) < order.size - EPSILON) {
+      return this.orderResponse({ error: 'Insufficient spot balance to place order.' });
+    }
+
+    let remaining = order.size;
+
+    if (crosses) {
+      const response = await this.fillOrder(order);
+      const filled = response.response.data.statuses[0].filled;
+      if (!filled) {
+        return response;
+      }
+      remaining -= parseFloat(filled.totalSz);
+      if (remaining <= EPSILON) {
+        return response;
+      }
+    }
+
+    const oid = this.nextOid++;
+    this.account.orders[oid] = {
+      oid,
+      coin,
+      orderbookCoin,
+      isSpot,
+      isBuy,
+      limitPx: limitPrice,
+      sz: remaining,
+      origSz: order.size,
+      tif,
+      reduceOnly,
+      cloid,
+      timestamp: Date.now(),
+      status: 'open',
+      statusTimestamp: Date.now()
+    };
+    this.pruneOrders();
+    this.save();
+
+    this.log(`📝 Resting ${isBuy ? 'BUY' : 'SELL'} ${remaining} ${coin}${isSpot ? ' (SPOT)' : ''} @ ${limitPrice} (${tif}, oid ${oid})`);
+
+    return this.orderResponse({ resting: { oid, ...(cloid ? { cloid } : {}) } });
+  }
+
+  /**
+   * Cancel a resting order
+   * @param {number} oid - Order id
+   * @returns {Object} Cancel response (statuses: 'success' | { error })
+   */
+  cancelOrder(oid) {
+    const order = this.account.orders[oid];
+    let status = 'success';
+
+    if (!order || order.status !== 'open') {
+      status = { error: 'Order was never placed, already canceled, or filled.' };
+    } else {
+      order.status = 'canceled';
+      order.statusTimestamp = Date.now();
+      this.save();
+    }
+
+    return { status: 'ok', response: { type: 'cancel', data: { statuses: [status] } } };
+  }
+
+  /**
+   * Replace a resting order (the replacement gets a new oid, as on Hyperliquid)
+   * @param {number} oid - Order id
+   * @param {Object} order - New order, same fields as placeLimitOrder()
+   * @returns {Promise<Object>} Order response for the replacement
+   */
+  async modifyOrder(oid, order) {
+    await this.matchRestingOrders();
+
+    const existing = this.account.orders[oid];
+    if (!existing || existing.status !== 'open') {
+      return this.orderResponse({ error: 'Cannot modify canceled or filled order' });
+    }
+
+    existing.status = 'canceled';
+    existing.statusTimestamp = Date.now();
+    return await this.placeLimitOrder(order);
+  }
+
+  /**
+   * Fill resting orders the current book has traded through, at their limit price
+   * @returns {Promise<Object[]>} Fills added
+   */
+  async matchRestingOrders() {
+    const added = [];
+
+    for (const order of Object.values(this.account.orders)) {
+      if (order.status !== 'open') continue;
+
+      const book = await this.getBook(order.orderbookCoin);
+      const levels = order.isBuy ? book.asks : book.bids;
+      const available = (levels || [])
+        .filter(l => order.isBuy ? parseFloat(l.px) <= order.limitPx : parseFloat(l.px) >= order.limitPx)
+        .reduce((sum, l) => sum + parseFloat(l.sz), 0);
+
+      if (available <= EPSILON) continue;
+
+      const fill = await this.fillResting(order, Math.min(order.sz, available));
+      if (fill) {
+        added.push(fill);
+      }
+    }
+
+    if (added.length > 0) {
+      this.save();
+    }
+
+    return added;
+  }
+
+  /**
+   * Fill (part of) a resting order at its limit price with maker fees
+   * @returns {Promise<Object|null>} Fill, or null if it could not settle (order is canceled)
+   */
+  async fillResting(order, size) {
+    const { coin, isSpot, isBuy, limitPx } = order;
+    const notional = size * limitPx;
+    const fee = notional * (isSpot ? this.spotMakerFeePercent : this.perpMakerFeePercent) / 100;
+    let closedPnl = 0;
+
+    const cancel = (reason) => {
+      order.status = 'canceled';
+      order.statusTimestamp = Date.now();
+      this.hyperliquid.orderLedger?.markCanceled(order.oid, order.orderbookCoin);
+      this.log(`⚠️  Canceled resting order ${order.oid}: ${reason}`);
+      return null;
+    };
+
+    if (isSpot) {
+      if (isBuy && this.account.spotUsdc < notional + fee) {
+        return cancel('insufficient spot balance');
+      }
+      if (!isBuy && (this.account.spotBalances[coin]?.total || 0) < size - EPSILON) {
+        return cancel('insufficient spot balance');
+      }
+      this.settleSpot(coin, isBuy, size, notional, fee);
+    } else {
+      const szi = this.account.perpPositions[coin]?.szi || 0;
+      if (order.reduceOnly && ((isBuy && szi >= 0) || (!isBuy && szi <= 0))) {
+        return cancel('reduce only order would increase position');
+      }
+      if (order.reduceOnly) {
+        size = Math.min(size, Math.abs(szi));
+      }
+      closedPnl = this.settlePerp(coin, isBuy, size, limitPx, fee);
+    }
+
+    order.sz = Math.max(0, order.sz - size);
+    if (order.sz <= EPSILON) {
+      order.status = 'filled';
+      order.statusTimestamp = Date.now();
+    }
+
+    const fill = {
+      time: Date.now(),
+      coin,
+      orderbookCoin: order.orderbookCoin,
+      isSpot,
+      side: isBuy ? 'B' : 'A',
+      px: limitPx,
+      sz: size,
+      fee,
+      closedPnl,
+      maker: true,
+      oid: order.oid,
+      cloid: order.cloid
+    };
+
+    this.account.totals.fees += fee;
+    this.account.fills.push(fill);
+    this.account.fills = this.account.fills.slice(-1000);
+    this.publishFill(fill, order.orderbookCoin);
+
+    this.log(`📝 Maker ${isBuy ? 'BUY' : 'SELL'} ${size} ${coin}${isSpot ? ' (SPOT)' : ''} @ ${limitPx}, fee $${fee.toFixed(4)}`);
+    return fill;
+  }
+
+  /**
+   * Feed a fill to the connector's order ledger, as the userFills channel would
+   * @param {Object} fill - Paper fill
+   * @param {string} orderbookCoin - Exchange coin (perp name or spot '@index')
+   */
+  publishFill(fill, orderbookCoin) {
+    this.hyperliquid.orderLedger?.applyFill(toWireFill(fill, orderbookCoin));
+  }
+
+  /**
+   * Fills in the userFills format (most recent first)
+   * @returns {Array<Object>} [{ coin, px, sz, side, time, oid, crossed, fee, feeToken, closedPnl, cloid? }]
+   */
+  getUserFills() {
+    return this.account.fills
+      .map(fill => toWireFill(fill, fill.orderbookCoin ?? fill.coin))
+      .reverse();
+  }
+
+  /**
+   * Order status in the info endpoint format
+   * @param {number|string} oid - Order id or cloid
+   * @returns {Promise<Object>} { status: 'order', order } or { status: 'unknownOid' }
+   */
+  async getOrderStatus(oid) {
+    await this.matchRestingOrders();
+
+    const order = typeof oid === 'string'
+      ? Object.values(this.account.orders).find(o => o.cloid === oid)
+      : this.account.orders[oid];
+
+    if (!order) {
+      return { status: 'unknownOid' };
+    }
+
+    return {
+      status: 'order',
+      order: { order: this.orderWire(order), status: order.status, statusTimestamp: order.statusTimestamp }
+    };
+  }
+
+  /**
+   * Open orders in the info endpoint format
+   * @returns {Promise<Object[]>} Open orders
+   */
+  async getOpenOrders() {
+    await this.matchRestingOrders();
+    return Object.values(this.account.orders).filter(o => o.status === 'open').map(o => this.orderWire(o));
+  }
+
+  orderWire(order) {
+    return {
+      coin: order.orderbookCoin,
+      side: order.isBuy ? 'B' : 'A',
+      limitPx: String(order.limitPx),
+      sz: String(order.sz),
+      oid: order.oid,
+      timestamp: order.timestamp,
+      origSz: String(order.origSz),
+      reduceOnly: order.reduceOnly,
+      tif: order.tif,
+      ...(order.cloid ? { cloid: order.cloid } : {})
+    };
+  }
+
+  /**
+   * Keep every open order but only the last 200 closed ones
+   */
+  pruneOrders() {
+    const closed = Object.values(this.account.orders)
+      .filter(o => o.status !== 'open')
+      .sort((a, b) => a.statusTimestamp - b.statusTimestamp);
+
+    for (const order of closed.slice(0, Math.max(0, closed.length - 200))) {
+      delete this.account.orders[order.oid];
+    }
+  }
+
+  /**
+   * Apply a PERP fill to the balance sheet
+   * @returns {number} Realized PnL
+   */
+  settlePerp(coin, isBuy, size, price, fee) {
+    const pos = this.account.perpPositions[coin] || { szi: 0, entryPx: 0, openTime: Date.now(), lastFundingTime: Date.now() };
+    const delta = isBuy ? size : -size;
+    let realized = 0;
+
+    if (pos.szi === 0 || Math.sign(pos.szi) === Math.sign(delta)) {
+      const newSize = Math.abs(pos.szi) + size;
+      pos.entryPx = (Math.abs(pos.szi) * pos.entryPx + size * price) / newSize;
+    } else {
+      const closing = Math.min(size, Math.abs(pos.szi));
+      realized = closing * (price - pos.entryPx) * Math.sign(pos.szi);
+      if (size > Math.abs(pos.szi) + EPSILON) {
+        pos.entryPx = price;
+        pos.openTime = Date.now();
+        pos.lastFundingTime = Date.now();
+      }
+    }
+
+    pos.szi += delta;
+    this.account.perpUsdc += realized - fee;
+    this.account.totals.realizedPnl += realized;
+
+    if (Math.abs(pos.szi) <= EPSILON) {
+      delete this.account.perpPositions[coin];
+    } else {
+      this.account.perpPositions[coin] = pos;
+    }
+
+    return realized;
+  }
+
+  /**
+   * Apply a SPOT fill to the balance sheet (fees charged in USDC)
+   */
+  settleSpot(coin, isBuy, size, notional, fee) {
+    const balance = this.account.spotBalances[coin] || { total: 0, entryNtl: 0 };
+
+    if (isBuy) {
+      this.account.spotUsdc -= notional + fee;
+      balance.total += size;
+      balance.entryNtl += notional;
+    } else {
+      const costBasis = balance.total > 0 ? balance.entryNtl * (size / balance.total) : 0;
+      this.account.spotUsdc += notional - fee;
+      this.account.totals.realizedPnl += notional - costBasis;
+      balance.total -= size;
+      balance.entryNtl -= costBasis;
+    }
+
+    if (balance.total <= EPSILON) {
+      delete this.account.spotBalances[coin];
+    } else {
+      this.account.spotBalances[coin] = balance;
+    }
+  }
+
+  /**
+   * Virtual clearinghouseState (same shape as the info endpoint)
+   * @returns {Promise<Object>} Clearinghouse state
+   */
+  async getClearinghouseState() {
+    const marks = Object.keys(this.account.perpPositions).length > 0 ? await this.getMarks() : {};
+    let accountValue = this.account.perpUsdc;
+    let totalNtlPos = 0;
+    let totalMarginUsed = 0;
+    const assetPositions = [];
+
+    for (const [coin, pos] of Object.entries(this.account.perpPositions)) {
+      const mark = marks[coin] ?? pos.entryPx;
+      const leverage = this.account.leverage[coin] || { type: 'isolated', value: 1 };
+      const positionValue = Math.abs(pos.szi) * mark;
+      const unrealizedPnl = pos.szi * (mark - pos.entryPx);
+      const marginUsed = positionValue / leverage.value;
+
+      accountValue += unrealizedPnl;
+      totalNtlPos += positionValue;
+      totalMarginUsed += marginUsed;
+
+      assetPositions.push({
+        type: 'oneWay',
+        position: {
+          coin,
+          szi: String(pos.szi),
+          leverage,
+          entryPx: String(pos.entryPx),
+          positionValue: String(positionValue),
+          unrealizedPnl: String(unrealizedPnl),
+          returnOnEquity: String(marginUsed > 0 ? unrealizedPnl / marginUsed : 0),
+          liquidationPx: null,
+          marginUsed: String(marginUsed)
+        }
+      });
+    }
+
+    const summary = {
+      accountValue: String(accountValue),
+      totalNtlPos: String(totalNtlPos),
+      totalRawUsd: String(this.account.perpUsdc),
+      totalMarginUsed: String(totalMarginUsed)
+    };
+
+    return {
+      marginSummary: summary,
+      crossMarginSummary: summary,
+      crossMaintenanceMarginUsed: '0.0',
+      withdrawable: String(Math.max(0, accountValue - totalMarginUsed)),
+      assetPositions,
+      time: Date.now()
+    };
+  }
+
+  /**
+   * Virtual spotClearinghouseState (same shape as the info endpoint)
+   * @returns {Promise<Object>} Spot clearinghouse state
+   */
+  async getSpotClearinghouseState() {
+    const balances = [{ coin: 'USDC', token: 0, total: String(this.account.spotUsdc), hold: '0.0', entryNtl: '0.0' }];
+
+    for (const [coin, balance] of Object.entries(this.account.spotBalances)) {
+      balances.push({ coin, token: null, total: String(balance.total), hold: '0.0', entryNtl: String(balance.entryNtl) });
+    }
+
+    return { balances };
+  }
+
+  /**
+   * Accrue funding for every open PERP position from the real hourly fundingHistory.
+   * Each position keeps its own cursor, so missed hours (e.g. downtime) are caught up
+   * and no hour is paid twice. Payments use the current mark price.
+   * @returns {Promise<Object[]>} Payments added
+   */
+  async accrueFunding() {
+    const coins = Object.keys(this.account.perpPositions);
+    if (coins.length === 0) return [];
+
+    const marks = await this.getMarks();
+    const added = [];
+
+    for (const coin of coins) {
+      const pos = this.account.perpPositions[coin];
+
+      const history = await this.hyperliquid.info({ type: 'fundingHistory', coin, startTime: pos.lastFundingTime + 1 });
+      const mark = marks[coin] ?? pos.entryPx;
+
+      for (const entry of history) {
+        if (entry.time <= pos.lastFundingTime) continue;
+
+        const fundingRate = parseFloat(entry.fundingRate);
+        // Longs pay shorts when the rate is positive
+        const usdc = -pos.szi * mark * fundingRate;
+
+        const payment = {
+          time: entry.time,
+          hash: 'paper',
+          delta: { type: 'funding', coin, usdc: String(usdc), szi: String(pos.szi), fundingRate: String(fundingRate), nSamples: null }
+        };
+
+        this.account.fundingPayments.push(payment);
+        this.account.perpUsdc += usdc;
+        this.account.totals.funding += usdc;
+        pos.lastFundingTime = entry.time;
+        added.push(payment);
+      }
+    }
+
+    if (added.length > 0) {
+      this.save();
+      const total = added.reduce((sum, p) => sum + parseFloat(p.delta.usdc), 0);
+      this.log(`💰 Accrued ${added.length} funding payment(s): ${total >= 0 ? '+' : ''}$${total.toFixed(4)}`);
+    }
+
+    return added;
+  }
+
+  /**
+   * Funding history in the same format as HyperliquidConnector.getUserFundingHistory()
+   * @param {number|null} startTime - Only payments after this time
+   * @returns {Object} { payments, accumulated, totalAccumulated, count }
+   */
+  getUserFundingHistory(startTime = null) {
+    const payments = this.account.fundingPayments.filter(p => startTime === null || p.time >= startTime);
+    const accumulated = {};
+    let totalAccumulated = 0;
+
+    for (const payment of payments) {
+      const usdc = parseFloat(payment.delta.usdc);
+      accumulated[payment.delta.coin] = (accumulated[payment.delta.coin] || 0) + usdc;
+      totalAccumulated += usdc;
+    }
+
+    return { payments, accumulated, totalAccumulated, count: payments.length };
+  }
+
+  /**
+   * Start hourly funding accrual (runs shortly after each hour, when rates are published)
+   */
+  start() {
+    if (this.fundingTimer) return;
+
+    const run = async () => {
+      try {
+        await this.accrueFunding();
+      } catch (error) {
+        console.error('[Paper] Funding accrual error:', error.message);
+      }
+    };
+
+    const delay = HOUR_MS - (Date.now() % HOUR_MS) + 60 * 1000;
+    this.fundingTimer = setTimeout(() => {
+      run();
+      this.fundingTimer = setInterval(run, HOUR_MS);
+    }, delay);
+  }
+
+  /**
+   * Stop funding accrual and persist the account
+   */
+  stop() {
+    if (this.fundingTimer) {
+      clearTimeout(this.fundingTimer);
+      clearInterval(this.fundingTimer);
+      this.fundingTimer = null;
+    }
+    this.save();
+  }
+
+  /**
+   * Summarize the paper account
+   * @returns {Promise<Object>} { equity, perpValue, spotValue, startingEquity, pnl, fees, funding, realizedPnl, fills }
+   */
+  async getSummary() {
+    const marks = await this.getMarks();
+    const perpState = await this.getClearinghouseState();
+    const perpValue = parseFloat(perpState.marginSummary.accountValue);
+
+    let spotValue = this.account.spotUsdc;
+    for (const [coin, balance] of Object.entries(this.account.spotBalances)) {
+      const assetId = await this.hyperliquid.getAssetId(coin, true);
+      const orderbookCoin = this.hyperliquid.getCoinForOrderbook(coin, assetId);
+      const price = marks[orderbookCoin] ?? balance.entryNtl / balance.total;
+      spotValue += balance.total * price;
+    }
+
+    const startingEquity = this.account.initialPerpUsdc + this.account.initialSpotUsdc;
+    const equity = perpValue + spotValue;
+
+    return {
+      equity,
+      perpValue,
+      spotValue,
+      startingEquity,
+      pnl: equity - startingEquity,
+      fees: this.account.totals.fees,
+      funding: this.account.totals.funding,
+      realizedPnl: this.account.totals.realizedPnl,
+      fills: this.account.fills.length
+    };
+  }
+}
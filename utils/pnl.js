@@ -0,0 +1,199 @@
+/**
+ * Position PnL Ledger
+ *
+ * Attributes the result of a closed delta-neutral position to where it came
+ * from, using the account's actual fills (userFills) and funding payments
+ * (userFunding) instead of mid prices:
+ *
+ * - funding:  USDC received on the PERP leg while the position was open
+ * - basis:    change in the PERP-SPOT spread between entry and exit, on the hedged size
+ * - delta:    price move on whatever size was not hedged (PERP and SPOT sizes differ)
+ * - fees:     trading fees on all four legs
+ * - slippage: fill prices against the mids seen when the open/close was decided
+ *
+ * net = funding + basis + delta - fees - slippage, which equals the fills' cash
+ * flow minus fees plus funding.
+ *
+ * Positions carry the decision-time mids and start times of their open
+ * (openDeltaNeutralPosition() entryMids / entryStartTime) and close
+ * (closeDeltaNeutralPosition() exitMids / exitStartTime). Fills are matched by
+ * coin and time window, so each coin must only be traded by one position at a time.
+ */
+
+// Positions recorded before entry mids were kept: look back this far for their fills
+const LEGACY_ENTRY_WINDOW_MS = 15 * 60 * 1000;
+
+const COMPONENTS = ['fundingUSD', 'basisUSD', 'deltaUSD', 'feesUSD', 'slippageUSD', 'netUSD'];
+
+/**
+ * Fee of a fill in USD
+ * Spot buys are charged in the token received; everything else in USDC.
+ * @param {Object} fill - userFills entry
+ * @returns {number} Fee in USD
+ */
+export function fillFeeUSD(fill) {
+  const fee = parseFloat(fill.fee || 0);
+  return fill.feeToken && fill.feeToken !== 'USDC' ? fee * parseFloat(fill.px) : fee;
+}
+
+function emptyLeg() {
+  return { size: 0, notional: 0, vwap: null, mid: null, feeUSD: 0, slippageUSD: 0, midCashUSD: 0 };
+}
+
+/**
+ * Add a fill to one leg's entry or exit totals
+ */
+function addFill(leg, fill, mid) {
+  const px = parseFloat(fill.px);
+  const sz = parseFloat(fill.sz);
+  const isBuy = fill.side === 'B';
+
+  leg.size += sz;
+  leg.notional += sz * px;
+  leg.vwap = leg.notional / leg.size;
+  leg.mid = mid;
+  leg.feeUSD += fillFeeUSD(fill);
+  // Buying above the mid or selling below it is a cost
+  leg.slippageUSD += (isBuy ? px - mid : mid - px) * sz;
+  leg.midCashUSD += (isBuy ? -mid : mid) * sz;
+}
+
+/**
+ * Attribute a closed position's PnL
+ * @param {Object} trade - Position and its close
+ * @param {string} trade.symbol - PERP coin
+ * @param {string} trade.spotCoin - SPOT coin as it appears in fills ('@142')
+ * @param {Object} trade.entry - { time, perpMid, spotMid } when the open was decided
+ * @param {Object} trade.exit - { time, perpMid, spotMid } when the close was decided
+ * @param {number} trade.closeTime - When the close finished (default: now)
+ * @param {Array<Object>} fills - userFills entries (any order, any coins)
+ * @param {Array<Object>} fundingPayments - userFunding entries ({ time, delta: { coin, usdc } })
+ * @returns {Object} { symbol, fundingUSD, basisUSD, deltaUSD, feesUSD, slippageUSD, netUSD, tradingUSD, entryBasis, exitBasis, hedgedSize, fillCount, fundingCount, legs }
+ */
+export function calculatePnlAttribution(trade, fills = [], fundingPayments = []) {
+  const { symbol, spotCoin, entry, exit } = trade;
+  const closeTime = trade.closeTime ?? Date.now();
+
+  const legs = {
+    perp: { entry: emptyLeg(), exit: emptyLeg() },
+    spot: { entry: emptyLeg(), exit: emptyLeg() }
+  };
+  let fillCount = 0;
+
+  for (const fill of fills) {
+    const market = fill.coin === symbol ? 'perp' : fill.coin === spotCoin ? 'spot' : null;
+    if (!market || fill.time < entry.time || fill.time > closeTime) {
+      continue;
+    }
+
+    const phase = fill.time < exit.time ? 'entry' : 'exit';
+    const mids = phase === 'entry' ? entry : exit;
+    addFill(legs[market][phase], fill, market === 'perp' ? mids.perpMid : mids.spotMid);
+    fillCount++;
+  }
+
+  const funding = fundingPayments.filter(p =>
+    p.delta?.type === 'funding' && p.delta.coin === symbol && p.time >= entry.time && p.time <= closeTime
+  );
+  const fundingUSD = funding.reduce((sum, p) => sum + parseFloat(p.delta.usdc), 0);
+
+  const all = [legs.perp.entry, legs.perp.exit, legs.spot.entry, legs.spot.exit];
+  const feesUSD = all.reduce((sum, leg) => sum + leg.feeUSD, 0);
+  const slippageUSD = all.reduce((sum, leg) => sum + leg.slippageUSD, 0);
+  const midPnlUSD = all.reduce((sum, leg) => sum + leg.midCashUSD, 0);
+
+  // Short PERP / long SPOT earns the basis it sold at entry minus what it buys back at exit
+  const entryBasis = entry.perpMid - entry.spotMid;
+  const exitBasis = exit.perpMid - exit.spotMid;
+  const hedgedSize = Math.min(legs.perp.entry.size, legs.spot.entry.size);
+  const basisUSD = (entryBasis - exitBasis) * hedgedSize;
+  const deltaUSD = midPnlUSD - basisUSD;
+
+  return {
+    symbol,
+    fundingUSD,
+    basisUSD,
+    deltaUSD,
+    feesUSD,
+    slippageUSD,
+    netUSD: fundingUSD + midPnlUSD - slippageUSD - feesUSD,
+    tradingUSD: midPnlUSD - slippageUSD,
+    entryBasis,
+    exitBasis,
+    hedgedSize,
+    fillCount,
+    fundingCount: funding.length,
+    legs
+  };
+}
+
+/**
+ * Build the attribution of a position that was just closed, from the exchange's records
+ * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+ * @param {Object} position - Position from state (openDeltaNeutralPosition() result plus openTime)
+ * @param {Object} close - { exitMids, exitStartTime } from closeDeltaNeutralPosition()
+ * @returns {Promise<Object>} calculatePnlAttribution() result plus { estimated } (true when the entry mids were not recorded)
+ */
+export async function buildPositionPnl(hyperliquid, position, close) {
+  const estimated = !position.entryMids;
+  const entry = {
+    time: position.entryStartTime ?? position.openTime - LEGACY_ENTRY_WINDOW_MS,
+    // Without the decision-time mids, entry slippage is measured against the fill prices (zero)
+    perpMid: position.entryMids?.perp ?? position.perpEntryPrice,
+    spotMid: position.entryMids?.spot ?? position.spotEntryPrice
+  };
+  const exit = {
+    time: close.exitStartTime,
+    perpMid: close.exitMids.perp,
+    spotMid: close.exitMids.spot
+  };
+
+  const spotAssetId = await hyperliquid.getAssetId(position.spotSymbol, true);
+  const spotCoin = hyperliquid.getCoinForOrderbook(position.spotSymbol, spotAssetId);
+
+  const [fills, funding] = await Promise.all([
+    hyperliquid.getUserFills(),
+    hyperliquid.getUserFundingHistory(null, entry.time)
+  ]);
+
+  return {
+    ...calculatePnlAttribution({ symbol: position.symbol, spotCoin, entry, exit }, fills, funding.payments),
+    estimated
+  };
+}
+
+/**
+ * Lifetime breakdown over closed positions
+ * @param {Array<Object>} history - state.history entries (attributed ones carry .pnl)
+ * @returns {Object} { positions, attributed, fundingUSD, basisUSD, deltaUSD, feesUSD, slippageUSD, netUSD, bySymbol }
+ */
+export function summarizePnl(history = []) {
+  const zero = () => Object.fromEntries(COMPONENTS.map(key => [key, 0]));
+  const summary = { positions: history.length, attributed: 0, ...zero(), bySymbol: {} };
+
+  for (const position of history) {
+    if (!position.pnl) continue;
+
+    const symbol = summary.bySymbol[position.symbol] ||= { positions: 0, ...zero() };
+    summary.attributed++;
+    symbol.positions++;
+
+    for (const key of COMPONENTS) {
+      summary[key] += position.pnl[key] || 0;
+      symbol[key] += position.pnl[key] || 0;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Format an attribution (one position or summarizePnl()) for logs
+ * @param {Object} pnl - calculatePnlAttribution() or summarizePnl() result
+ * @returns {string} One line: net = components
+ */
+export function formatPnlAttribution(pnl) {
+  const usd = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+  return `Net ${usd(pnl.netUSD)} = funding ${usd(pnl.fundingUSD)} + basis ${usd(pnl.basisUSD)} + delta ${usd(pnl.deltaUSD)}` +
+    ` - fees ${usd(pnl.feesUSD)} - slippage ${usd(pnl.slippageUSD)}${pnl.estimated ? ' (entry slippage unknown)' : ''}`;
+}
@@ -0,0 +1,353 @@
+import { isSignificantlyBetter } from './opportunity.js';
+import { canClosePosition } from './state.js';
+
+/**
+ * Portfolio Utilities
+ *
+ * Capital allocation and per-position close/switch planning for running
+ * several delta-neutral pairs (SHORT PERP + LONG SPOT) at the same time.
+ */
+
+export const ALLOCATION_RULES = ['equal', 'funding-weighted', 'capped'];
+
+/**
+ * Get the minimum order notional for a symbol
+ * @param {string} symbol - Perp symbol
+ * @param {Object} config - Configuration
+ * @returns {number} Minimum notional in USD
+ */
+function getMinNotional(symbol, config) {
+  return config?.trading?.minOrderSizeUSD?.[symbol] || 20;
+}
+
+/**
+ * Distribute capital proportionally to weights, respecting a per-coin cap.
+ * Capital that a capped coin cannot absorb is redistributed to the others;
+ * whatever nobody can absorb is left unallocated.
+ * @param {Array<number>} weights - Non-negative weights
+ * @param {number} totalNotional - Capital to distribute
+ * @param {number} capNotional - Maximum notional per coin
+ * @returns {Array<number>} Notional per weight
+ */
+function distributeWithCap(weights, totalNotional, capNotional) {
+  const amounts = weights.map(() => 0);
+  const capped = weights.map(() => false);
+  let remaining = totalNotional;
+
+  while (remaining > 1e-9) {
+    const openIdx = weights.map((_, i) => i).filter(i => !capped[i] && weights[i] > 0);
+    if (openIdx.length === 0) break;
+
+    const weightSum = openIdx.reduce((sum, i) => sum + weights[i], 0);
+    let distributed = 0;
+
+    for (const i of openIdx) {
+      const share = remaining * (weights[i] / weightSum);
+      const room = capNotional - amounts[i];
+      const add = Math.min(share, room);
+      amounts[i] += add;
+      distributed += add;
+      if (amounts[i] >= capNotional - 1e-9) {
+        capped[i] = true;
+      }
+    }
+
+    remaining -= distributed;
+    if (distributed <= 1e-9) break;
+  }
+
+  return amounts;
+}
+
+/**
+ * Allocate capital across portfolio candidates
+ *
+ * Rules:
+ * - equal: same notional for every candidate
+ * - funding-weighted: notional proportional to primaryFundingRate (positive only)
+ * - capped: fill candidates in rank order, each up to maxPerCoinPercent
+ *
+ * maxPerCoinPercent caps every rule. Candidates whose share falls below the
+ * symbol's minimum order size are dropped and their share is redistributed.
+ *
+ * With notionalFor, the amounts split here are shares of capital and each is
+ * converted to the candidate's own notional (e.g. at its PERP leverage) before
+ * the minimum-size check.
+ *
+ * @param {Array<Object>} candidates - Ranked candidates ({symbol, primaryFundingRate})
+ * @param {number} totalNotional - Total notional (per leg) to allocate in USD
+ * @param {Object} options - Options
+ * @param {string} options.allocation - Allocation rule (default: 'equal')
+ * @param {number} options.maxPerCoinPercent - Max share per coin (default: 100)
+ * @param {number} options.capBaseNotional - Notional the per-coin cap is a share of
+ *   (default: totalNotional; pass the whole portfolio value when allocating free capital only)
+ * @param {Object} options.config - Configuration (for minOrderSizeUSD)
+ * @param {Function} options.notionalFor - (candidate, amount) => notional to open (default: the amount)
+ * @returns {Object} { allocations: [{symbol, candidate, weight, amount, notional}], unallocated, dropped }
+ */
+export function allocateCapital(candidates, totalNotional, options = {}) {
+  const {
+    allocation = 'equal',
+    maxPerCoinPercent = 100,
+    capBaseNotional = totalNotional,
+    config = null,
+    notionalFor = (candidate, amount) => amount
+  } = options;
+
+  if (!ALLOCATION_RULES.includes(allocation)) {
+    throw new Error(`Unknown allocation rule: ${allocation} (expected one of ${ALLOCATION_RULES.join(', ')})`);
+  }
+
+  const capNotional = capBaseNotional * (Math.min(Math.max(maxPerCoinPercent, 0), 100) / 100);
+  let active = [...candidates];
+  const dropped = [];
+
+  while (active.length > 0) {
+    let amounts;
+
+    if (allocation === 'capped') {
+      // Greedy: best-ranked first, each up to the cap
+      let remaining = totalNotional;
+      amounts = active.map(() => {
+        const amount = Math.min(capNotional, remaining);
+        remaining -= amount;
+        return amount;
+      });
+    } else {
+      const weights = allocation === 'funding-weighted'
+        ? active.map(c => Math.max(c.primaryFundingRate || 0, 0))
+        : active.map(() => 1);
+      amounts = distributeWithCap(weights, totalNotional, capNotional);
+    }
+
+    // Drop the weakest candidate that cannot meet its minimum order size, then retry
+    const notionals = active.map((candidate, i) => notionalFor(candidate, amounts[i]));
+    const tooSmallIdx = [...active.keys()]
+      .reverse()
+      .find(i => notionals[i] < getMinNotional(active[i].symbol, config));
+
+    if (tooSmallIdx === undefined) {
+      const allocated = amounts.reduce((sum, a) => sum + a, 0);
+      return {
+        allocations: active.map((candidate, i) => ({
+          symbol: candidate.symbol,
+          candidate,
+          weight: allocated > 0 ? amounts[i] / allocated : 0,
+          amount: amounts[i],
+          notional: notionals[i]
+        })),
+        unallocated: Math.max(totalNotional - allocated, 0),
+        dropped
+      };
+    }
+
+    dropped.push({
+      symbol: active[tooSmallIdx].symbol,
+      notional: notionals[tooSmallIdx],
+      reason: `Allocation $${notionals[tooSmallIdx].toFixed(2)} below minimum $${getMinNotional(active[tooSmallIdx].symbol, config).toFixed(2)}`
+    });
+    active = active.filter((_, i) => i !== tooSmallIdx);
+  }
+
+  return { allocations: [], unallocated: totalNotional, dropped };
+}
+
+/**
+ * Resolve the funding rate a held position is currently earning
+ * Uses the ranked opportunity if the symbol passed filters, otherwise falls
+ * back to the raw market data (symbols with low/negative funding are filtered out).
+ * @param {Object} analysis - Result from findBestOpportunities()
+ * @param {string} symbol - Perp symbol
+ * @returns {Object|null} { fundingPercent, fundingRate, source, opportunity } or null if unavailable
+ */
+export function resolvePositionFunding(analysis, symbol) {
+  const opportunity = analysis.rankedOpportunities.find(o => o.symbol === symbol);
+
+  if (opportunity) {
+    const isPredicted = opportunity.predictedFundingPercent !== null && opportunity.predictedFundingPercent !== undefined;
+    return {
+      fundingPercent: opportunity.primaryFundingPercent,
+      fundingRate: opportunity.primaryFundingRate,
+      source: isPredicted ? 'predicted' : 'avg',
+      opportunity
+    };
+  }
+
+  const rawFundingData = analysis.marketData?.fundingRates?.find(f => f.symbol === symbol);
+  const rawPredictedData = analysis.marketData?.predictedFundingRates?.get(symbol);
+
+  if (!rawFundingData || rawFundingData.error) {
+    return null;
+  }
+
+  const predictedFunding = rawPredictedData?.predictedAnnualizedRate;
+  const hasPredicted = predictedFunding !== null && predictedFunding !== undefined;
+  const useFunding = hasPredicted
+    ? predictedFunding
+    : (rawFundingData.history?.avg?.annualized || rawFundingData.annualizedRate);
+
+  return {
+    fundingPercent: useFunding * 100,
+    fundingRate: useFunding,
+    source: hasPredicted ? 'predicted' : 'avg',
+    opportunity: null
+  };
+}
+
+/**
+ * Plan per-position decisions for the portfolio
+ *
+ * Each held position is judged on its own hold timer:
+ * - hold:   within minimum hold time, funding unavailable, or still competitive
+ * - close:  funding turned negative and no replacement is available
+ * - switch: close and replace with a better unheld opportunity
+ *
+ * Free slots (maxPositions minus kept positions) are filled with the best
+ * remaining opportunities.
+ *
+ * @param {Array<Object>} positions - Open portfolio positions from state
+ * @param {Object} analysis - Result from findBestOpportunities()
+ * @param {Object} options - Options
+ * @param {number} options.maxPositions - Maximum concurrent positions
+ * @param {number} options.minHoldTimeMs - Minimum hold time per position
+ * @param {number} options.improvementFactor - Required improvement to switch
+ * @param {number} options.minFundingRatePercent - Minimum acceptable funding APY (%)
+ * @param {Function} options.shouldSwitch - (position, candidate) => boolean, replaces the
+ *   improvementFactor rule (e.g. decisions precomputed with utils/switching.js assessSwitch())
+ * @returns {Object} { decisions, toOpen, kept }
+ */
+export function planPortfolio(positions, analysis, options = {}) {
+  const {
+    maxPositions = 3,
+    minHoldTimeMs = 14 * 24 * 60 * 60 * 1000,
+    improvementFactor = 2,
+    minFundingRatePercent = 5,
+    shouldSwitch = (position, candidate) => isSignificantlyBetter(
+      { avgFundingRate: position.annualizedFunding },
+      { avgFundingRate: candidate.primaryFundingRate },
+      improvementFactor
+    )
+  } = options;
+
+  const heldSymbols = new Set(positions.map(p => p.symbol));
+  const claimed = new Set();
+
+  // Opportunities we could move into: positive funding and not already held
+  const candidates = analysis.rankedOpportunities.filter(o =>
+    !heldSymbols.has(o.symbol) && o.primaryFundingPercent > 0
+  );
+  const nextCandidate = () => candidates.find(o => !claimed.has(o.symbol)) || null;
+
+  const decisions = [];
+
+  // Judge the weakest positions first so they get first pick of replacements
+  const ordered = [...positions].sort((a, b) => (a.annualizedFunding || 0) - (b.annualizedFunding || 0));
+
+  for (const position of ordered) {
+    if (!canClosePosition(position, minHoldTimeMs)) {
+      decisions.push({ position, action: 'hold', reason: 'Within minimum hold time', funding: null, replacement: null });
+      continue;
+    }
+
+    const funding = resolvePositionFunding(analysis, position.symbol);
+
+    if (!funding) {
+      decisions.push({ position, action: 'hold', reason: 'Funding data unavailable', funding: null, replacement: null });
+      continue;
+    }
+
+    const candidate = nextCandidate();
+
+    if (funding.fundingPercent < 0) {
+      if (candidate) claimed.add(candidate.symbol);
+      decisions.push({
+        position,
+        action: candidate ? 'switch' : 'close',
+        reason: 'Funding turned negative',
+        funding,
+        replacement: candidate
+      });
+      continue;
+    }
+
+    if (funding.fundingPercent < minFundingRatePercent) {
+      if (candidate) {
+        claimed.add(candidate.symbol);
+        decisions.push({ position, action: 'switch', reason: 'Funding below minimum threshold', funding, replacement: candidate });
+      } else {
+        decisions.push({ position, action: 'hold', reason: 'Funding below minimum but no replacement available', funding, replacement: null });
+      }
+      continue;
+    }
+
+    if (candidate && shouldSwitch(position, candidate)) {
+      claimed.add(candidate.symbol);
+      decisions.push({ position, action: 'switch', reason: 'Switching to better opportunity', funding, replacement: candidate });
+      continue;
+    }
+
+    decisions.push({ position, action: 'hold', reason: 'Still competitive', funding, replacement: null });
+  }
+
+  const kept = decisions.filter(d => d.action === 'hold').map(d => d.position);
+  const replacements = decisions.filter(d => d.action === 'switch').map(d => d.replacement);
+
+  // Fill remaining slots with the best unclaimed opportunities
+  const toOpen = [...replacements];
+  for (const candidate of candidates) {
+    if (kept.length + toOpen.length >= maxPositions) break;
+    if (claimed.has(candidate.symbol)) continue;
+    claimed.add(candidate.symbol);
+    toOpen.push(candidate);
+  }
+
+  return {
+    decisions,
+    kept,
+    toOpen: toOpen.slice(0, Math.max(maxPositions - kept.length, 0))
+  };
+}
+
+/**
+ * Format portfolio plan as a report
+ * @param {Object} plan - Result from planPortfolio()
+ * @param {Object} allocation - Result from allocateCapital() (optional)
+ * @returns {string} Formatted report
+ */
+export function formatPortfolioPlan(plan, allocation = null) {
+  const lines = [];
+
+  lines.push('Portfolio Plan:');
+
+  if (plan.decisions.length === 0) {
+    lines.push('  No open positions');
+  }
+
+  for (const decision of plan.decisions) {
+    const fundingStr = decision.funding
+      ? `${decision.funding.fundingPercent.toFixed(2)}% APY (${decision.funding.source})`
+      : 'N/A';
+    const target = decision.replacement ? ` → ${decision.replacement.symbol}` : '';
+    lines.push(`  ${decision.position.symbol.padEnd(10)} ${decision.action.toUpperCase().padEnd(7)} ${fundingStr.padEnd(26)} ${decision.reason}${target}`);
+  }
+
+  if (plan.toOpen.length > 0) {
+    lines.push('');
+    lines.push('To Open:');
+    for (const opp of plan.toOpen) {
+      const alloc = allocation?.allocations.find(a => a.symbol === opp.symbol);
+      const allocStr = alloc ? `$${alloc.notional.toFixed(2)} (${(alloc.weight * 100).toFixed(1)}%)` : 'no allocation';
+      lines.push(`  ${opp.symbol.padEnd(10)} ${opp.primaryFundingPercent.toFixed(2)}% APY  ${allocStr}`);
+    }
+  }
+
+  if (allocation?.dropped?.length > 0) {
+    lines.push('');
+    lines.push('Dropped:');
+    for (const d of allocation.dropped) {
+      lines.push(`  ${d.symbol.padEnd(10)} ${d.reason}`);
+    }
+  }
+
+  return lines.join('\n');
+}
@@ -28,30 +28,17 @@ export async function getPerpPositions(hyperliquid, user = null, options = {}) {
   try {
     user = user || hyperliquid.wallet;
 
-    if (!user) {
+    if (!user && !hyperliquid.paper) {
       throw new Error('User address required to fetch positions');
     }
 
     if (verbose) {
-      console.log(`Fetching PERP positions for ${user}...`);
+      console.log(`Fetching PERP positions for ${hyperliquid.paper ? 'paper account' : user}...`);
     }
 
-    const response = await fetch(hyperliquid.restUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        type: 'clearinghouseState',
-        user: user
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
+    const data = hyperliquid.paper
+      ? await hyperliquid.paper.getClearinghouseState()
+      : await hyperliquid.info({ type: 'clearinghouseState', user: user });
 
     // Get asset metadata to map positions to symbols
     const meta = await hyperliquid.getMeta();
@@ -98,6 +85,7 @@ export async function getPerpPositions(hyperliquid, user = null, options = {}) {
           unrealizedPnl: unrealizedPnl,
           returnOnEquity: returnOnEquity * 100, // Convert to percentage
           leverage: parseFloat(asset.leverage?.value || '0'),
+          marginType: asset.leverage?.type || null,
           liquidationPx: parseFloat(asset.liquidationPx || '0'),
           marginUsed: parseFloat(asset.marginUsed || '0')
         });
@@ -131,30 +119,17 @@ export async function getSpotBalances(hyperliquid, user = null, options = {}) {
   try {
     user = user || hyperliquid.wallet;
 
-    if (!user) {
+    if (!user && !hyperliquid.paper) {
       throw new Error('User address required to fetch balances');
     }
 
     if (verbose) {
-      console.log(`Fetching SPOT balances for ${user}...`);
-    }
-
-    const response = await fetch(hyperliquid.restUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        type: 'spotClearinghouseState',
-        user: user
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+      console.log(`Fetching SPOT balances for ${hyperliquid.paper ? 'paper account' : user}...`);
     }
 
-    const data = await response.json();
+    const data = hyperliquid.paper
+      ? await hyperliquid.paper.getSpotClearinghouseState()
+      : await hyperliquid.info({ type: 'spotClearinghouseState', user: user });
 
     const balances = [];
 
@@ -363,3 +338,46 @@ export function deltaNeutralToCSV(analysis) {
 
   return [headers, ...rows].join('\n');
 }
+
+/**
+ * Plan market orders that flatten PERP positions and SPOT balances
+ *
+ * @param {Object[]} perpPositions - From getPerpPositions()
+ * @param {Object[]} spotBalances - From getSpotBalances()
+ * @param {Object} prices - Mid price per PERP symbol (SPOT legs use their PERP's price)
+ * @param {Object} options - Optional parameters
+ * @param {string[]} options.symbols - Only these PERP symbols (default: all)
+ * @param {number} options.minNotional - Skip legs worth less than this in USD (default: 9.9)
+ * @returns {Object} { legs, skipped }, each leg { symbol, perpSymbol, type, side, size, price, notional }
+ */
+export function planAccountClose(perpPositions, spotBalances, prices, options = {}) {
+  const { symbols = null, minNotional = 9.9 } = options;
+
+  const candidates = [
+    ...perpPositions.map(pos => ({
+      symbol: pos.symbol,
+      perpSymbol: pos.symbol,
+      type: 'PERP',
+      side: pos.side === 'SHORT' ? 'buy' : 'sell',
+      size: Math.abs(pos.sizeRaw)
+    })),
+    // SPOT is always long, so sell to close
+    ...spotBalances.map(bal => ({
+      symbol: bal.symbol,
+      perpSymbol: HyperliquidConnector.spotToPerp(bal.symbol),
+      type: 'SPOT',
+      side: 'sell',
+      size: bal.total
+    }))
+  ].filter(leg => !symbols || symbols.includes(leg.perpSymbol));
+
+  const legs = [];
+  const skipped = [];
+  for (const leg of candidates) {
+    const price = prices[leg.perpSymbol] || null;
+    const planned = { ...leg, price, notional: price ? leg.size * price : 0 };
+    (planned.notional >= minNotional ? legs : skipped).push(planned);
+  }
+
+  return { legs, skipped };
+}
@@ -35,4 +35,243 @@ export class SlidingWindowRateLimiter {
     const now = Date.now();
     this.requests = this.requests.filter(timestamp => now - timestamp < this.windowMs);
   }
+
+  /**
+   * @returns {Object} { used, maxRequests } for the current window
+   */
+  getStats() {
+    this.cleanup();
+    return { used: this.requests.length, maxRequests: this.maxRequests };
+  }
+}
+
+/**
+ * Hyperliquid REST weights per info request type (the aggregate limit is 1200 per minute per IP)
+ * Types not listed weigh DEFAULT_INFO_WEIGHT.
+ */
+export const INFO_WEIGHTS = {
+  l2Book: 2,
+  allMids: 2,
+  clearinghouseState: 2,
+  orderStatus: 2,
+  spotClearinghouseState: 2,
+  exchangeStatus: 2,
+  userRole: 60
+};
+
+export const DEFAULT_INFO_WEIGHT = 20;
+
+/**
+ * Info requests whose weight grows with the response: one extra unit per N items returned
+ */
+export const ITEM_WEIGHTS = {
+  candleSnapshot: 60,
+  fundingHistory: 20,
+  userFunding: 20,
+  userFills: 20,
+  historicalOrders: 20
+};
+
+/**
+ * Priority lanes, highest first. Each lane may use only its share of the budget,
+ * so lower lanes always leave headroom for the ones above them.
+ * - high: exchange actions (orders, cancels, leverage) and hedging
+ * - normal: trading-cycle reads (default)
+ * - low: statistics and market summaries
+ */
+export const LANES = ['high', 'normal', 'low'];
+
+const DEFAULT_LANE_SHARES = { high: 1, normal: 0.9, low: 0.5 };
+
+/**
+ * Weight of a request before it is sent
+ * @param {Object} request - Info payload ({ type }) or exchange payload ({ action })
+ * @returns {number} Weight
+ */
+export function requestWeight(request) {
+  if (request.action) {
+    // Batched actions: 1 + floor(batch length / 40)
+    const action = request.action;
+    const batch = action.orders?.length || action.cancels?.length || action.modifies?.length || 1;
+    return 1 + Math.floor(batch / 40);
+  }
+
+  return INFO_WEIGHTS[request.type] ?? DEFAULT_INFO_WEIGHT;
+}
+
+/**
+ * Extra weight charged for the size of a response
+ * @param {string} type - Info request type
+ * @param {*} data - Response data
+ * @returns {number} Extra weight (0 for fixed-weight requests)
+ */
+export function responseWeight(type, data) {
+  const perItem = ITEM_WEIGHTS[type];
+  return perItem && Array.isArray(data) ? Math.floor(data.length / perItem) : 0;
+}
+
+/**
+ * Weighted sliding-window rate limiter with priority lanes
+ *
+ * acquire(weight, lane) resolves once the weight fits in the current window.
+ * Waiting requests are served highest lane first, FIFO within a lane. A 429
+ * halves the budget (down to minWeight) and pauses every lane for the
+ * Retry-After time; the budget then grows back by recoveryStep per window
+ * without a 429.
+ */
+export class WeightedRateLimiter {
+  constructor(options = {}) {
+    this.maxWeight = options.maxWeight || 1200;
+    this.windowMs = options.windowMs || 60000;
+    this.minWeight = options.minWeight || Math.ceil(this.maxWeight / 8);
+    this.recoveryStep = options.recoveryStep || Math.ceil(this.maxWeight / 10);
+    this.backoffMs = options.backoffMs || 1000;
+    this.laneShares = { ...DEFAULT_LANE_SHARES, ...options.laneShares };
+    this.verbose = options.verbose ?? true;
+
+    this.budget = this.maxWeight;
+    this.entries = [];        // { time, weight }
+    this.queue = [];          // { weight, lane, resolve }
+    this.pausedUntil = 0;
+    this.lastAdjust = 0;      // Last 429 or recovery step
+    this.timer = null;
+    this.stats = { granted: { high: 0, normal: 0, low: 0 }, weight: 0, throttled: 0, waitMs: 0 };
+  }
+
+  /**
+   * Wait until a request of this weight may be sent, then record it
+   * @param {number} weight - Request weight
+   * @param {string} lane - 'high' | 'normal' | 'low'
+   * @returns {Promise<void>}
+   */
+  acquire(weight = 1, lane = 'normal') {
+    if (!LANES.includes(lane)) {
+      throw new Error(`Unknown rate limit lane "${lane}" (expected ${LANES.join(', ')})`);
+    }
+
+    return new Promise(resolve => {
+      const rank = LANES.indexOf(lane);
+      const at = this.queue.findIndex(q => LANES.indexOf(q.lane) > rank);
+      const waiter = { weight, lane, resolve, queuedAt: Date.now() };
+      this.queue.splice(at === -1 ? this.queue.length : at, 0, waiter);
+      this.drain();
+    });
+  }
+
+  /**
+   * Record weight without waiting (e.g. the per-item cost of a large response)
+   * @param {number} weight - Weight to add
+   */
+  charge(weight) {
+    if (weight > 0) {
+      this.entries.push({ time: Date.now(), weight });
+      this.stats.weight += weight;
+    }
+  }
+
+  /**
+   * Shrink the budget after the exchange answered 429
+   * @param {number|null} retryAfterMs - Retry-After from the response, if any
+   */
+  record429(retryAfterMs = null) {
+    const now = Date.now();
+    this.budget = Math.max(this.minWeight, Math.floor(this.budget / 2));
+    this.pausedUntil = Math.max(this.pausedUntil, now + (retryAfterMs ?? this.backoffMs));
+    this.lastAdjust = now;
+    this.stats.throttled++;
+
+    if (this.verbose) {
+      console.warn(`[RateLimit] ⚠️  429 received: budget ${this.budget}/${this.maxWeight} per ${this.windowMs / 1000}s, pausing ${this.pausedUntil - now}ms`);
+    }
+
+    this.drain();
+  }
+
+  /**
+   * @returns {number} Weight used in the current window
+   */
+  used() {
+    const cutoff = Date.now() - this.windowMs;
+    while (this.entries.length > 0 && this.entries[0].time <= cutoff) {
+      this.entries.shift();
+    }
+    return this.entries.reduce((sum, e) => sum + e.weight, 0);
+  }
+
+  /**
+   * @returns {Object} { budget, maxWeight, used, queued, paused, granted, weight, throttled, waitMs }
+   */
+  getStats() {
+    return {
+      budget: this.budget,
+      maxWeight: this.maxWeight,
+      used: this.used(),
+      queued: this.queue.length,
+      paused: Date.now() < this.pausedUntil,
+      ...this.stats,
+      granted: { ...this.stats.granted }
+    };
+  }
+
+  recover() {
+    const now = Date.now();
+    while (this.budget < this.maxWeight && now - this.lastAdjust >= this.windowMs) {
+      this.budget = Math.min(this.maxWeight, this.budget + this.recoveryStep);
+      this.lastAdjust += this.windowMs;
+    }
+  }
+
+  drain() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const now = Date.now();
+    if (now < this.pausedUntil) {
+      this.schedule(this.pausedUntil - now);
+      return;
+    }
+
+    this.recover();
+
+    while (this.queue.length > 0) {
+      const head = this.queue[0];
+      const used = this.used();
+      const cap = this.budget * this.laneShares[head.lane];
+
+      // A request heavier than its lane's cap still goes through once the window is empty
+      if (used + head.weight > cap && used > 0) break;
+
+      this.queue.shift();
+      this.entries.push({ time: now, weight: head.weight });
+      this.stats.granted[head.lane]++;
+      this.stats.weight += head.weight;
+      this.stats.waitMs += now - head.queuedAt;
+      head.resolve();
+    }
+
+    if (this.queue.length > 0) {
+      // Retry when the oldest entry leaves the window
+      const oldest = this.entries[0];
+      this.schedule(oldest ? oldest.time + this.windowMs - now + 1 : this.backoffMs);
+    }
+  }
+
+  schedule(delayMs) {
+    this.timer = setTimeout(() => this.drain(), Math.max(1, delayMs));
+  }
+}
+
+let sharedRestLimiter = null;
+
+/**
+ * Process-wide REST limiter, shared by every HyperliquidConnector that isn't given its own
+ * @returns {WeightedRateLimiter}
+ */
+export function getSharedRestLimiter() {
+  if (!sharedRestLimiter) {
+    sharedRestLimiter = new WeightedRateLimiter();
+  }
+  return sharedRestLimiter;
 }
@@ -0,0 +1,205 @@
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+
+/**
+ * Minimal SMTP Client
+ *
+ * Just enough SMTP to send a plain-text alert: implicit TLS (secure, port 465)
+ * or STARTTLS when the server offers it, AUTH PLAIN, one message to one or
+ * more recipients. Credentials are only sent over TLS: a server (or a man in
+ * the middle) that doesn't offer STARTTLS gets no AUTH unless allowInsecureAuth
+ * is set. The body is sent base64-encoded so it needs no dot-stuffing
+ * or 8BITMIME support.
+ */
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * SMTP session over one socket (replaced by the TLS socket after STARTTLS)
+ */
+class SmtpSession {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    if (this.socket) {
+      this.socket.removeAllListeners('data');
+      this.socket.removeAllListeners('error');
+      this.socket.removeAllListeners('close');
+    }
+
+    this.socket = socket;
+    this.buffer = '';
+    this.replies = [];
+    this.waiter = null;
+    this.error = null;
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP timeout')));
+    socket.on('data', (chunk) => {
+      this.buffer += chunk;
+      this.parse();
+    });
+    socket.on('error', (error) => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  parse() {
+    // A reply ends with a line "NNN text"; continuation lines are "NNN-text"
+    let match;
+    while ((match = this.buffer.match(/^((?:\d{3}-[^\r\n]*\r?\n)*)(\d{3})(?: [^\r\n]*)?\r?\n/))) {
+      const text = match[0];
+      this.buffer = this.buffer.slice(text.length);
+      const lines = text.trim().split(/\r?\n/).map(l => l.slice(4));
+      this.replies.push({ code: parseInt(match[2], 10), lines });
+    }
+    this.flush();
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    this.flush();
+  }
+
+  flush() {
+    if (!this.waiter) return;
+    if (this.replies.length > 0) {
+      const { resolve } = this.waiter;
+      this.waiter = null;
+      resolve(this.replies.shift());
+    } else if (this.error) {
+      const { reject } = this.waiter;
+      this.waiter = null;
+      reject(this.error);
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiter = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  /**
+   * Send a command (null: just read, for the greeting) and check the reply code
+   * @param {string|null} line - Command without CRLF
+   * @param {Array<number>} expected - Accepted reply codes
+   * @returns {Promise<Object>} { code, lines }
+   */
+  async command(line, expected) {
+    if (line !== null) {
+      this.socket.write(`${line}\r\n`);
+    }
+
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      const verb = line === null ? 'greeting' : line.split(' ')[0];
+      throw new Error(`SMTP ${verb} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+}
+
+/**
+ * Open a plain or TLS socket
+ * @returns {Promise<net.Socket>}
+ */
+function openSocket(options) {
+  return new Promise((resolve, reject) => {
+    const socket = options.secure
+      ? tls.connect({ host: options.host, port: options.port, servername: options.host, rejectUnauthorized: options.rejectUnauthorized ?? true })
+      : net.connect({ host: options.host, port: options.port });
+    socket.once(options.secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Upgrade a connected socket after STARTTLS
+ * @returns {Promise<tls.TLSSocket>}
+ */
+function upgradeSocket(socket, options) {
+  return new Promise((resolve, reject) => {
+    const secure = tls.connect({ socket, servername: options.host, rejectUnauthorized: options.rejectUnauthorized ?? true }, () => resolve(secure));
+    secure.once('error', reject);
+  });
+}
+
+/**
+ * RFC 2047 encoding for a header value that isn't plain ASCII
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Build the RFC 5322 message
+ * @param {Object} message - { from, to, subject, text }
+ * @returns {string} Message with CRLF line endings
+ */
+export function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text, 'utf8').toString('base64').match(/.{1,76}/g) || [];
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...body
+  ].join('\r\n');
+}
+
+/**
+ * Send one message
+ * @param {Object} transport - { host, port, secure, user, password, allowInsecureAuth, rejectUnauthorized, timeoutMs }
+ * @param {Object} message - { from, to: [addresses], subject, text }
+ * @returns {Promise<Object>} { success: true, response } (last server reply)
+ * @throws {Error} On connection, authentication or delivery failure
+ */
+export async function sendMail(transport, message) {
+  const options = { port: transport.secure ? 465 : 587, ...transport };
+  const to = Array.isArray(message.to) ? message.to : [message.to];
+  const address = (value) => value.match(/<([^>]+)>/)?.[1] || value.trim();
+  const session = new SmtpSession(await openSocket(options), options.timeoutMs || DEFAULT_TIMEOUT_MS);
+
+  try {
+    await session.command(null, [220]);
+    let ehlo = await session.command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+
+    let encrypted = Boolean(options.secure);
+    const offersStartTls = ehlo.lines.some(l => /^STARTTLS\b/i.test(l));
+    if (!encrypted && offersStartTls) {
+      await session.command('STARTTLS', [220]);
+      session.attach(await upgradeSocket(session.socket, options));
+      encrypted = true;
+      ehlo = await session.command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+    }
+
+    if (options.user) {
+      if (!encrypted && !options.allowInsecureAuth) {
+        throw new Error(`SMTP server ${options.host} offers no STARTTLS; refusing to send the login in plaintext (use secure: true, or allowInsecureAuth: true to override)`);
+      }
+      const credentials = Buffer.from(`\0${options.user}\0${options.password || ''}`, 'utf8').toString('base64');
+      await session.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await session.command(`MAIL FROM:<${address(message.from)}>`, [250]);
+    for (const recipient of to) {
+      await session.command(`RCPT TO:<${address(recipient)}>`, [250, 251]);
+    }
+    await session.command('DATA', [354]);
+    const reply = await session.command(`${buildMessage({ ...message, to })}\r\n.`, [250]);
+    await session.command('QUIT', [221]).catch(() => {});
+
+    return { success: true, response: reply.lines.join(' ') };
+  } finally {
+    session.socket.destroy();
+  }
+}
@@ -1,63 +1,232 @@
 import fs from 'fs';
 import path from 'path';
+import { summarizePnl } from './pnl.js';
 
 /**
  * State Management Utilities
  *
  * Manages persistent state for the delta-neutral bot.
  * Tracks open positions, entry times, and position metadata.
+ *
+ * The state file is replaced atomically (write to a temp file, fsync, rename) so a
+ * crash leaves either the old or the new state on disk. Trading events are also
+ * appended to a JSONL journal next to it (bot-state.journal.jsonl) as an audit
+ * trail that survives even if the state file is lost. Files written by older
+ * versions are upgraded through MIGRATIONS on load.
  */
 
 const STATE_FILE = './bot-state.json';
 
+/**
+ * Current state schema version
+ */
+export const STATE_VERSION = 2;
+
+/**
+ * Schema migrations, keyed by the version they upgrade to
+ */
+const MIGRATIONS = {
+  // v1 ('1.0'): version was a string; positions and pendingOrders may be missing
+  2: (state) => ({
+    ...state,
+    positions: Array.isArray(state.positions) ? state.positions : [],
+    pendingOrders: Array.isArray(state.pendingOrders) ? state.pendingOrders : [],
+    history: Array.isArray(state.history) ? state.history : []
+  })
+};
+
 /**
  * Default state structure
  */
 const DEFAULT_STATE = {
-  version: '1.0',
+  version: STATE_VERSION,
   position: null,  // Current position, or null if no position
+  positions: [],  // Open positions in portfolio mode (one per symbol)
   lastCheckTime: null,
   lastOpportunityCheck: null,
+  pendingOrders: [],  // Orders sent with a cloid but not yet confirmed (see utils/cloid.js)
+  controls: { paused: false, pinned: [], banned: [] },  // Set through the control API (see utils/control-api.js)
   history: []  // Historical positions
 };
 
+/**
+ * Upgrade a state object to STATE_VERSION
+ * @param {Object} state - State as read from disk
+ * @returns {Object} Migrated state
+ * @throws {Error} If the state was written by a newer version of the bot
+ */
+export function migrateState(state) {
+  let version = parseInt(state.version ?? 1, 10);
+
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid state version "${state.version}"`);
+  }
+  if (version > STATE_VERSION) {
+    throw new Error(`State version ${version} is newer than this bot supports (${STATE_VERSION})`);
+  }
+
+  let migrated = state;
+  while (version < STATE_VERSION) {
+    version++;
+    migrated = { ...MIGRATIONS[version](migrated), version };
+    console.log(`[State] Migrated state to version ${version}`);
+  }
+
+  return migrated;
+}
+
 /**
  * Load bot state from disk
+ *
+ * A missing file starts from the default state. A file that exists but can't be
+ * read or parsed throws instead: starting from scratch would forget open positions.
+ *
+ * @param {string} file - State file (default ./bot-state.json)
  * @returns {Object} State object
+ * @throws {Error} If the state file is unreadable, not valid JSON or from a newer version
  */
-export function loadState() {
+export function loadState(file = STATE_FILE) {
+  if (!fs.existsSync(file)) {
+    return { ...DEFAULT_STATE, positions: [], pendingOrders: [], history: [] };
+  }
+
+  let state;
   try {
-    if (fs.existsSync(STATE_FILE)) {
-      const data = fs.readFileSync(STATE_FILE, 'utf8');
-      const state = JSON.parse(data);
-
-      // Ensure all required fields exist (handle old versions)
-      return {
-        ...DEFAULT_STATE,
-        ...state
-      };
-    }
+    state = JSON.parse(fs.readFileSync(file, 'utf8'));
   } catch (error) {
-    console.error('[State] Error loading state:', error.message);
+    throw new Error(`State file ${file} is unreadable (${error.message}); fix or restore it before trading`);
+  }
+
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    throw new Error(`State file ${file} does not contain a state object; fix or restore it before trading`);
   }
 
-  // Return default state if file doesn't exist or error occurred
-  return { ...DEFAULT_STATE };
+  // Ensure all required fields exist (handle old versions)
+  return { ...DEFAULT_STATE, ...migrateState(state) };
+}
+
+/**
+ * Replace a file atomically: write a temp file, flush it to disk, then rename over the target
+ * @param {string} file - Target file
+ * @param {string} data - File contents
+ */
+export function writeFileAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+
+  try {
+    fs.writeSync(fd, data, null, 'utf8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.renameSync(tmp, file);
+  } catch (error) {
+    fs.rmSync(tmp, { force: true });
+    throw error;
+  }
 }
 
 /**
  * Save bot state to disk
  * @param {Object} state - State object to save
+ * @param {string} file - State file (default ./bot-state.json)
  */
-export function saveState(state) {
+export function saveState(state, file = STATE_FILE) {
   try {
-    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2), 'utf8');
+    writeFileAtomic(file, JSON.stringify({ ...state, version: STATE_VERSION }, null, 2));
   } catch (error) {
     console.error('[State] Error saving state:', error.message);
     throw error;
   }
 }
 
+/**
+ * Journal file kept next to a state file
+ * @param {string} file - State file (default ./bot-state.json)
+ * @returns {string} e.g. ./bot-state.journal.jsonl
+ */
+export function getJournalFile(file = STATE_FILE) {
+  const parsed = path.parse(file);
+  return path.join(parsed.dir, `${parsed.name}.journal.jsonl`);
+}
+
+/**
+ * Append a trading event to the journal
+ *
+ * Events are one JSON object per line: { time, type, ...data }. Types used by the
+ * bot: position_opened, leg_filled, position_closed, hedged, margin_added,
+ * position_trimmed. A failed append is logged rather than thrown so it can't
+ * interrupt a trade in progress.
+ *
+ * @param {string} type - Event type
+ * @param {Object} data - Event fields
+ * @param {string} file - State file the journal belongs to (default ./bot-state.json)
+ * @returns {boolean} True if the event was written
+ */
+export function appendEvent(type, data = {}, file = STATE_FILE) {
+  const journalFile = getJournalFile(file);
+
+  try {
+    // Don't glue this event onto a line a crash cut short
+    const line = JSON.stringify({ time: Date.now(), type, ...data }) + '\n';
+    fs.appendFileSync(journalFile, endsMidLine(journalFile) ? '\n' + line : line, 'utf8');
+    return true;
+  } catch (error) {
+    console.error(`[State] Error appending ${type} event:`, error.message);
+    return false;
+  }
+}
+
+function endsMidLine(file) {
+  if (!fs.existsSync(file)) return false;
+
+  const fd = fs.openSync(file, 'r');
+  try {
+    const { size } = fs.fstatSync(fd);
+    if (size === 0) return false;
+    const last = Buffer.alloc(1);
+    fs.readSync(fd, last, 0, 1, size - 1);
+    return last[0] !== 0x0a;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Read the event journal
+ * A line cut short by a crash is skipped.
+ * @param {string} file - State file the journal belongs to (default ./bot-state.json)
+ * @param {Object} options - Options
+ * @param {string} options.type - Only events of this type
+ * @param {number} options.since - Only events at or after this time (ms)
+ * @returns {Array<Object>} Events, oldest first
+ */
+export function readEvents(file = STATE_FILE, options = {}) {
+  const journalFile = getJournalFile(file);
+
+  if (!fs.existsSync(journalFile)) {
+    return [];
+  }
+
+  const events = [];
+  for (const line of fs.readFileSync(journalFile, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch (error) {
+      console.warn(`[State] Skipping malformed journal line in ${journalFile}`);
+    }
+  }
+
+  return events.filter(e =>
+    (!options.type || e.type === options.type) &&
+    (options.since === undefined || e.time >= options.since)
+  );
+}
+
 /**
  * Get current position from state
  * @param {Object} state - State object
@@ -115,6 +284,7 @@ export function closePosition(state, closeData) {
     perpClosePrice: closeData.perpClosePrice,
     spotClosePrice: closeData.spotClosePrice,
     totalPnl: closeData.totalPnl,
+    pnl: closeData.pnl ?? null,
     duration: Date.now() - state.position.openTime
   };
 
@@ -144,6 +314,146 @@ export function updateCheckTime(state) {
   };
 }
 
+/**
+ * Get all open portfolio positions
+ * @param {Object} state - State object
+ * @returns {Array<Object>} Open positions (empty array if none)
+ */
+export function getPositions(state) {
+  return state.positions || [];
+}
+
+/**
+ * Find an open portfolio position by symbol
+ * @param {Object} state - State object
+ * @param {string} symbol - Perp symbol
+ * @returns {Object|null} Position or null
+ */
+export function getPositionBySymbol(state, symbol) {
+  return getPositions(state).find(p => p.symbol === symbol) || null;
+}
+
+/**
+ * Add a position to the portfolio
+ * Each position keeps its own openTime, so hold timers are tracked per position.
+ * @param {Object} state - State object
+ * @param {Object} positionData - Position data (from openDeltaNeutralPosition)
+ * @returns {Object} Updated state
+ */
+export function addPortfolioPosition(state, positionData) {
+  const position = {
+    ...positionData,
+    openTime: Date.now(),
+    lastCheckTime: Date.now()
+  };
+
+  return {
+    ...state,
+    positions: [
+      ...getPositions(state).filter(p => p.symbol !== position.symbol),
+      position
+    ],
+    lastOpportunityCheck: Date.now()
+  };
+}
+
+/**
+ * Close a portfolio position and move it to history
+ * @param {Object} state - State object
+ * @param {string} symbol - Symbol of the position to close
+ * @param {Object} closeData - Data about position close
+ * @returns {Object} Updated state
+ */
+export function closePortfolioPosition(state, symbol, closeData) {
+  const position = getPositionBySymbol(state, symbol);
+
+  if (!position) {
+    return state;
+  }
+
+  const historicalPosition = {
+    ...position,
+    closeTime: Date.now(),
+    closeReason: closeData.reason,
+    perpClosePrice: closeData.perpClosePrice,
+    spotClosePrice: closeData.spotClosePrice,
+    totalPnl: closeData.totalPnl,
+    pnl: closeData.pnl ?? null,
+    duration: Date.now() - position.openTime
+  };
+
+  return {
+    ...state,
+    positions: getPositions(state).filter(p => p.symbol !== symbol),
+    history: [...state.history, historicalPosition],
+    lastCheckTime: Date.now()
+  };
+}
+
+/**
+ * Update check time for all portfolio positions
+ * @param {Object} state - State object
+ * @returns {Object} Updated state
+ */
+export function updatePortfolioCheckTime(state) {
+  const now = Date.now();
+
+  return {
+    ...state,
+    lastCheckTime: now,
+    positions: getPositions(state).map(p => ({ ...p, lastCheckTime: now }))
+  };
+}
+
+/**
+ * Shrink an open position after part of both legs was sold (see utils/liquidation-guard.js)
+ * Works for the single position and for portfolio positions.
+ * @param {Object} state - State object
+ * @param {string} symbol - Position symbol
+ * @param {Object} trim - { perpSize, spotSize } that was bought back / sold
+ * @returns {Object} Updated state (unchanged if no open position has that symbol)
+ */
+export function trimPosition(state, symbol, trim) {
+  const shrink = (position) => {
+    if (!position || position.symbol !== symbol) {
+      return position;
+    }
+
+    const perpSize = Math.max(0, position.perpSize - trim.perpSize);
+    return {
+      ...position,
+      perpSize,
+      spotSize: Math.max(0, position.spotSize - trim.spotSize),
+      positionValue: position.perpSize > 0 ? position.positionValue * perpSize / position.perpSize : position.positionValue
+    };
+  };
+
+  return {
+    ...state,
+    position: shrink(state.position ?? null),
+    ...(state.positions ? { positions: state.positions.map(shrink) } : {})
+  };
+}
+
+/**
+ * Operator controls: paused cycles and pinned/banned symbols
+ * @param {Object} state - State object
+ * @returns {Object} { paused, pinned, banned }
+ */
+export function getControls(state) {
+  return { paused: false, pinned: [], banned: [], ...(state.controls || {}) };
+}
+
+/**
+ * Change the operator controls
+ * @param {Object} state - State object
+ * @param {Object} changes - Any of { paused, pinned, banned }
+ * @returns {Object} Updated state
+ */
+export function updateControls(state, changes) {
+  return { ...state, controls: { ...getControls(state), ...changes } };
+}
+
 /**
  * Get position age in milliseconds
  * @param {Object} position - Position object
@@ -198,6 +508,8 @@ Position: ${position.symbol} Delta-Neutral
 
 /**
  * Get statistics from history
+ * totalPnl is the price PnL of the two legs at close (no fees or funding);
+ * attribution sums the fills-based breakdowns (utils/pnl.js) where recorded.
  * @param {Object} state - State object
  * @returns {Object} Statistics
  */
@@ -207,7 +519,8 @@ export function getHistoryStats(state) {
       totalPositions: 0,
       totalPnl: 0,
       avgDuration: 0,
-      avgFundingRate: 0
+      avgFundingRate: 0,
+      attribution: summarizePnl([])
     };
   }
 
@@ -221,6 +534,34 @@ export function getHistoryStats(state) {
     totalPnl,
     avgDuration,
     avgDurationDays: avgDuration / (1000 * 60 * 60 * 24),
-    avgFundingRate: avgFundingRate * 100  // Convert to percentage
+    avgFundingRate: avgFundingRate * 100,  // Convert to percentage
+    attribution: summarizePnl(state.history)
+  };
+}
+
+/**
+ * Journal an order before it is sent
+ * @param {Object} state - State object
+ * @param {Object} order - { cloid, coin, isSpot, side, size, price, tif, reduceOnly, time }
+ * @returns {Object} Updated state
+ */
+export function recordPendingOrder(state, order) {
+  return {
+    ...state,
+    pendingOrders: [...(state.pendingOrders || []).filter(o => o.cloid !== order.cloid), order]
+  };
+}
+
+/**
+ * Remove orders from the journal once their outcome is known
+ * @param {Object} state - State object
+ * @param {string|Array<string>} cloids - Cloid(s) to remove
+ * @returns {Object} Updated state
+ */
+export function clearPendingOrders(state, cloids) {
+  const done = new Set([].concat(cloids));
+  return {
+    ...state,
+    pendingOrders: (state.pendingOrders || []).filter(o => !done.has(o.cloid))
   };
 }
@@ -0,0 +1,288 @@
+import HyperliquidConnector from '../hyperliquid.js';
+import { estimateFill, getDepthMid } from './depth.js';
+import { isSignificantlyBetter, getRankingFundingRate } from './opportunity.js';
+
+/**
+ * Switching Decision
+ *
+ * Rotating from the held pair into a better one costs four taker fills: close
+ * (BUY PERP from the asks, SELL SPOT into the bids) and open (SELL PERP into the
+ * bids, BUY SPOT from the asks). Each fill pays the account's taker fee plus
+ * its slippage against the mid, and the rotation crystallizes the PERP-SPOT
+ * basis of both pairs instead of letting it converge.
+ *
+ * The switch is taken only when the extra funding the candidate is expected to
+ * earn over the horizon covers that cost by marginFactor. When books or fees
+ * can't be read, the flat improvementFactor rule decides instead.
+ */
+
+const BPS = 10000;
+const DAYS_PER_YEAR = 365;
+
+export const DEFAULT_SWITCHING = {
+  enabled: true,
+  horizonDays: 7,
+  marginFactor: 1.5
+};
+
+// Base-tier taker fees, used when the account's tier can't be read
+export const DEFAULT_TAKER_FEES = { perp: 0.00045, spot: 0.0007 };
+
+/**
+ * Read the switching settings from config
+ * @param {Object} config - Bot configuration
+ * @returns {Object} { enabled, horizonDays, marginFactor }
+ */
+export function getSwitchingConfig(config) {
+  return { ...DEFAULT_SWITCHING, ...(config?.switching || {}) };
+}
+
+/**
+ * Taker fee rates of the account's fee tier
+ * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+ * @returns {Promise<Object>} { perp, spot, source } with rates as fractions (0.00045 = 0.045%)
+ */
+export async function getTakerFees(hyperliquid) {
+  try {
+    const fees = await hyperliquid.getUserFees();
+    const perp = parseFloat(fees.userCrossRate);
+    const spot = parseFloat(fees.userSpotCrossRate);
+
+    if (Number.isFinite(perp) && Number.isFinite(spot)) {
+      return { perp, spot, source: 'account' };
+    }
+  } catch (error) {
+    // Fall back to the base tier
+  }
+
+  return { ...DEFAULT_TAKER_FEES, source: 'default' };
+}
+
+/**
+ * Cost of one taker fill
+ * @param {Object} depth - { bids, asks } from hyperliquid.getDepth()
+ * @param {string} side - 'buy' (walks the asks) or 'sell' (walks the bids)
+ * @param {number} size - Size in coins
+ * @param {number} feeRate - Taker fee as a fraction
+ * @returns {Object} { side, size, mid, vwap, notional, slippageUSD, feeUSD, fullyFilled }
+ */
+function estimateLeg(depth, side, size, feeRate) {
+  const mid = getDepthMid(depth);
+  if (!mid) {
+    throw new Error('Order book depth unavailable (empty bids or asks)');
+  }
+
+  const fill = estimateFill(side === 'buy' ? depth.asks : depth.bids, size, mid);
+  const notional = size * (fill.vwap ?? mid);
+
+  return {
+    side,
+    size,
+    mid,
+    vwap: fill.vwap,
+    notional,
+    slippageUSD: (fill.impactBps || 0) / BPS * size * mid,
+    feeUSD: notional * feeRate,
+    fullyFilled: fill.fullyFilled
+  };
+}
+
+/**
+ * Estimate the cost of closing one pair and opening another
+ * @param {Object} close - { perpDepth, spotDepth, perpSize, spotSize } of the held pair
+ * @param {Object} open - { perpDepth, spotDepth, size } of the candidate
+ * @param {Object} fees - Taker fees { perp, spot }
+ * @returns {Object} { legs, feesUSD, slippageUSD, basisUSD, totalUSD, fullyFilled }
+ */
+export function estimateSwitchCost(close, open, fees) {
+  const legs = {
+    closePerp: estimateLeg(close.perpDepth, 'buy', close.perpSize, fees.perp),
+    closeSpot: estimateLeg(close.spotDepth, 'sell', close.spotSize, fees.spot),
+    openPerp: estimateLeg(open.perpDepth, 'sell', open.size, fees.perp),
+    openSpot: estimateLeg(open.spotDepth, 'buy', open.size, fees.spot)
+  };
+  const all = Object.values(legs);
+
+  // Buying back a PERP that trades above SPOT, or buying SPOT above the PERP we short, is a cost
+  const closeBasis = (legs.closePerp.mid - legs.closeSpot.mid) * Math.min(close.perpSize, close.spotSize);
+  const openBasis = (legs.openSpot.mid - legs.openPerp.mid) * open.size;
+
+  const feesUSD = all.reduce((sum, leg) => sum + leg.feeUSD, 0);
+  const slippageUSD = all.reduce((sum, leg) => sum + leg.slippageUSD, 0);
+  const basisUSD = closeBasis + openBasis;
+
+  return {
+    legs,
+    feesUSD,
+    slippageUSD,
+    basisUSD,
+    totalUSD: feesUSD + slippageUSD + basisUSD,
+    fullyFilled: all.every(leg => leg.fullyFilled)
+  };
+}
+
+/**
+ * Funding income over a horizon
+ * @param {number} annualizedRate - Funding APY as a fraction (0.12 = 12%)
+ * @param {number} notional - Position notional in USD
+ * @param {number} horizonDays - Projection horizon
+ * @returns {number} Expected funding in USD
+ */
+export function projectFunding(annualizedRate, notional, horizonDays) {
+  return (annualizedRate || 0) * notional * horizonDays / DAYS_PER_YEAR;
+}
+
+/**
+ * Decide whether a switch pays for itself
+ * @param {Object} params - Parameters
+ * @param {number} params.currentRate - Held pair's funding APY (fraction)
+ * @param {number} params.candidateRate - Candidate's funding APY (fraction)
+ * @param {number} params.notional - Capital moved, in USD
+ * @param {Object} params.cost - Result from estimateSwitchCost()
+ * @param {number} params.horizonDays - Projection horizon
+ * @param {number} params.marginFactor - Required gain / cost ratio
+ * @returns {Object} { switch, currentIncome, candidateIncome, gainUSD, costUSD, netUSD, requiredUSD, reason }
+ */
+export function evaluateSwitch({ currentRate, candidateRate, notional, cost, horizonDays, marginFactor }) {
+  const currentIncome = projectFunding(currentRate, notional, horizonDays);
+  const candidateIncome = projectFunding(candidateRate, notional, horizonDays);
+  const gainUSD = candidateIncome - currentIncome;
+  const costUSD = Math.max(cost.totalUSD, 0);
+  const requiredUSD = costUSD * marginFactor;
+
+  let reason;
+  if (!cost.fullyFilled) {
+    reason = 'Order books too thin for the full size';
+  } else if (gainUSD <= 0) {
+    reason = 'Candidate earns no more funding';
+  } else if (gainUSD < requiredUSD) {
+    reason = `Gain $${gainUSD.toFixed(2)} < ${marginFactor}x cost $${costUSD.toFixed(2)}`;
+  } else {
+    reason = `Gain $${gainUSD.toFixed(2)} ≥ ${marginFactor}x cost $${costUSD.toFixed(2)}`;
+  }
+
+  return {
+    switch: cost.fullyFilled && gainUSD > 0 && gainUSD >= requiredUSD,
+    currentIncome,
+    candidateIncome,
+    gainUSD,
+    costUSD,
+    netUSD: gainUSD - costUSD,
+    requiredUSD,
+    reason
+  };
+}
+
+/**
+ * Order books of a pair
+ */
+async function fetchPairDepth(hyperliquid, perpSymbol, spotSymbol) {
+  const spotAssetId = await hyperliquid.getAssetId(spotSymbol, true);
+  const spotCoin = hyperliquid.getCoinForOrderbook(spotSymbol, spotAssetId);
+  const [perpDepth, spotDepth] = await Promise.all([
+    hyperliquid.fetchDepth(perpSymbol),
+    hyperliquid.fetchDepth(spotCoin)
+  ]);
+  return { perpDepth, spotDepth };
+}
+
+/**
+ * Assess switching a held position into a candidate opportunity
+ *
+ * Falls back to isSignificantlyBetter() with improvementFactor when switching
+ * is disabled or the cost can't be estimated (no book, no mid).
+ *
+ * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+ * @param {Object} position - Held position from state { symbol, spotSymbol, perpSize, spotSize, annualizedFunding }
+ * @param {Object} candidate - Opportunity from findBestOpportunities() { symbol, primaryFundingRate, expectedFundingRate }
+ * @param {Object} config - Bot configuration (switching, bot.improvementFactor)
+ * @param {Object} options - Options
+ * @param {Object} options.fees - Taker fees { perp, spot } (default: read from the account)
+ * @param {number} options.currentRate - Held pair's current funding APY (default: position.annualizedFunding)
+ * @returns {Promise<Object>} evaluateSwitch() result plus { symbol, candidate, model, cost, fees, horizonDays }
+ */
+export async function assessSwitch(hyperliquid, position, candidate, config, options = {}) {
+  const settings = getSwitchingConfig(config);
+  const currentRate = options.currentRate ?? position.annualizedFunding;
+  const candidateRate = getRankingFundingRate(candidate);
+  const improvementFactor = config?.bot?.improvementFactor || 2;
+
+  const flatRule = (why) => {
+    const better = isSignificantlyBetter({ avgFundingRate: currentRate }, { avgFundingRate: candidateRate }, improvementFactor);
+    return {
+      symbol: position.symbol,
+      candidate: candidate.symbol,
+      model: 'factor',
+      switch: better,
+      reason: `${why}; ${better ? '' : 'not '}${improvementFactor}x better funding`
+    };
+  };
+
+  if (!settings.enabled) {
+    return flatRule('Cost model disabled');
+  }
+
+  try {
+    const fees = options.fees || await getTakerFees(hyperliquid);
+    const spotSymbol = position.spotSymbol || HyperliquidConnector.perpToSpot(position.symbol);
+    const candidateSpot = HyperliquidConnector.perpToSpot(candidate.symbol);
+
+    const [held, next] = await Promise.all([
+      fetchPairDepth(hyperliquid, position.symbol, spotSymbol),
+      fetchPairDepth(hyperliquid, candidate.symbol, candidateSpot)
+    ]);
+
+    const notional = position.perpSize * getDepthMid(held.perpDepth);
+    const candidateMid = getDepthMid(next.perpDepth);
+    if (!notional || !candidateMid) {
+      throw new Error('Order book depth unavailable (empty bids or asks)');
+    }
+
+    const cost = estimateSwitchCost(
+      { ...held, perpSize: position.perpSize, spotSize: position.spotSize ?? position.perpSize },
+      { ...next, size: notional / candidateMid },
+      fees
+    );
+
+    return {
+      symbol: position.symbol,
+      candidate: candidate.symbol,
+      model: 'cost',
+      fees,
+      cost,
+      notional,
+      horizonDays: settings.horizonDays,
+      ...evaluateSwitch({
+        currentRate,
+        candidateRate,
+        notional,
+        cost,
+        horizonDays: settings.horizonDays,
+        marginFactor: settings.marginFactor
+      })
+    };
+  } catch (error) {
+    return flatRule(`Cost estimate unavailable (${error.message})`);
+  }
+}
+
+/**
+ * Format a switching decision for the cycle log
+ * @param {Object} decision - Result from assessSwitch()
+ * @returns {string} One-line summary, plus a cost breakdown for the cost model
+ */
+export function formatSwitchDecision(decision) {
+  const verdict = decision.switch ? '✅ switch' : '⏸️  hold';
+  const head = `${decision.symbol} → ${decision.candidate}: ${verdict} (${decision.reason})`;
+
+  if (decision.model !== 'cost') {
+    return head;
+  }
+
+  const { cost } = decision;
+  return `${head}\n` +
+    `  Funding over ${decision.horizonDays}d on $${decision.notional.toFixed(2)}: ` +
+    `$${decision.currentIncome.toFixed(2)} held vs $${decision.candidateIncome.toFixed(2)} candidate\n` +
+    `  Cost $${cost.totalUSD.toFixed(2)} = fees $${cost.feesUSD.toFixed(2)} (${decision.fees.source} tier) + ` +
+    `slippage $${cost.slippageUSD.toFixed(2)} + basis $${cost.basisUSD.toFixed(2)}`;
+}
@@ -1,23 +1,14 @@
+import HyperliquidConnector from '../hyperliquid.js';
+
 /**
  * Symbol mapping utilities for Hyperliquid PERP <-> SPOT conversions
+ *
+ * Reads the connector's mapping, so pairs registered by discovery
+ * (utils/pairs.js) or addMapping() are seen everywhere.
  */
 
-// Static mapping of PERP symbols to SPOT symbols
-const PERP_TO_SPOT_MAP = {
-  'BTC': 'UBTC',
-  'ETH': 'UETH',
-  'SOL': 'USOL',
-  'XPL': 'UXPL',
-  'PUMP': 'UPUMP',
-  'FARTCOIN': 'UFART',
-  'PURR': 'PURR',
-  'TRUMP': 'TRUMP'
-};
-
-// Reverse mapping
-const SPOT_TO_PERP_MAP = Object.fromEntries(
-  Object.entries(PERP_TO_SPOT_MAP).map(([k, v]) => [v, k])
-);
+const PERP_TO_SPOT_MAP = HyperliquidConnector.PERP_TO_SPOT_MAP;
+const SPOT_TO_PERP_MAP = HyperliquidConnector.SPOT_TO_PERP_MAP;
 
 /**
  * Convert PERP symbol to SPOT symbol
@@ -97,8 +88,7 @@ export function getMappings() {
  * @param {string} spotSymbol - SPOT symbol
  */
 export function addMapping(perpSymbol, spotSymbol) {
-  PERP_TO_SPOT_MAP[perpSymbol] = spotSymbol;
-  SPOT_TO_PERP_MAP[spotSymbol] = perpSymbol;
+  HyperliquidConnector.setSymbolMapping(perpSymbol, spotSymbol);
 }
 
 /**
@@ -1,13 +1,80 @@
 import HyperliquidConnector from '../hyperliquid.js';
-import { setLeverageTo1x } from './leverage.js';
+import { updateLeverage } from './leverage.js';
+import { calculateDepthLimitedSize, getDepthMid } from './depth.js';
+import { calculatePerpSpotSpreadPercent } from './arbitrage.js';
+import { createCloidSequence, makeCloid } from './cloid.js';
+import { buildPositionPnl, formatPnlAttribution } from './pnl.js';
+import { getCoinLeverage, planCapital, formatCapitalPlan } from './capital.js';
+import { notify } from './notifier.js';
 
 /**
  * Trading Utilities
  *
  * Open and close delta-neutral positions with parallel execution.
- * Position sizing is based on minimum order size requirements (minOrderSizeUSD).
+ * Position sizing is based on minimum order size requirements (minOrderSizeUSD),
+ * the PERP leverage planned by utils/capital.js, and order book depth when
+ * trading.maxPriceImpactBps is set.
+ * Large pairs can be worked in paired PERP/SPOT slices over time (config.twap).
+ * Every order carries a cloid from utils/cloid.js so a failed send can't be filled twice.
+ * Closes are attributed to funding, basis, fees and slippage from the account's
+ * fills (utils/pnl.js), using the mids recorded when the open and close were decided.
  */
 
+// Hyperliquid rejects orders below $10 notional
+const MIN_ORDER_NOTIONAL_USD = 10;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Calculate the notional that can be deployed into a delta-neutral pair
+ * @param {Object} balances - Balance information from getBalances()
+ * @param {Object} config - Configuration
+ * @param {number} leverage - PERP leverage (default: config.leverage.default)
+ * @returns {Object} Available PERP, SPOT and combined notional
+ */
+export function calculateAvailableNotional(balances, config, leverage = getCoinLeverage(config)) {
+  // Get utilization from config (default to 95%)
+  const utilization = config.trading?.balanceUtilizationPercent || 95;
+
+  // PERP margin carries leverage times its value in short notional
+  const perpBalance = leverage * balances.perpBalance;
+  const spotBalance = balances.spotBalance;
+
+  // Apply utilization percentage to each balance
+  const availablePerpNotional = perpBalance * (utilization / 100);
+  const availableSpotNotional = spotBalance * (utilization / 100);
+
+  return {
+    availablePerpNotional,
+    availableSpotNotional,
+    // Use the smaller of the two to ensure both sides can be filled
+    availableNotional: Math.min(availablePerpNotional, availableSpotNotional)
+  };
+}
+
+/**
+ * Pick the funding rates to record for a new position
+ * CRITICAL: Use PREDICTED funding rate (what will be paid NEXT), not historical
+ * @param {Object} opportunity - Opportunity object
+ * @returns {Object} { useFundingRate (hourly), useAnnualizedFunding }
+ */
+function selectFundingRates(opportunity) {
+  // Use predicted if available, otherwise fall back to current/historical
+  const predictedFundingRate = opportunity.predictedFunding?.predictedFundingRate;
+  const currentFundingRate = opportunity.funding.fundingRate;
+  const useFundingRate = predictedFundingRate !== null && predictedFundingRate !== undefined
+    ? predictedFundingRate
+    : currentFundingRate;
+
+  const predictedAnnualizedFunding = opportunity.predictedFundingRate;
+  const avgAnnualizedFunding = opportunity.avgFundingRate;
+  const useAnnualizedFunding = predictedAnnualizedFunding !== null && predictedAnnualizedFunding !== undefined
+    ? predictedAnnualizedFunding
+    : avgAnnualizedFunding;
+
+  return { useFundingRate, useAnnualizedFunding };
+}
+
 /**
  * Open delta-neutral position (SHORT PERP + LONG SPOT)
  * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
@@ -15,14 +82,21 @@ import { setLeverageTo1x } from './leverage.js';
  * @param {Object} balances - Balance information
  * @param {Object} config - Configuration
  * @param {Object} options - Options
+ * @param {boolean} options.verbose - Whether to log progress
+ * @param {number} options.maxNotional - Cap the position notional (USD), e.g. a portfolio allocation
+ * @param {number} options.maxPriceImpactBps - Combined PERP + SPOT impact budget (defaults to config.trading.maxPriceImpactBps)
+ * @param {Object} options.capitalPlan - planCapital() result to use instead of planning here
  * @returns {Promise<Object>} Position result
  */
 export async function openDeltaNeutralPosition(hyperliquid, opportunity, balances, config, options = {}) {
-  const { verbose = false } = options;
+  const { verbose = false, maxNotional = null } = options;
+  const maxPriceImpactBps = options.maxPriceImpactBps ?? config.trading?.maxPriceImpactBps ?? null;
 
   const symbol = opportunity.symbol;
   const perpSymbol = symbol;
   const spotSymbol = HyperliquidConnector.perpToSpot(symbol);
+  const cloids = options.cloids || createCloidSequence(`open:${symbol}:${Date.now()}`);
+  const entryStartTime = Date.now();
 
   if (verbose) {
     console.log(`[Trade] Opening delta-neutral position for ${symbol}...`);
@@ -40,22 +114,28 @@ export async function openDeltaNeutralPosition(hyperliquid, opportunity, balance
   // Get minimum notional from config (with fallback to 20 if not specified)
   const minNotional = config.trading?.minOrderSizeUSD?.[symbol] || 20;
 
-  // Get utilization from config (default to 95%)
-  const utilization = config.trading?.balanceUtilizationPercent || 95;
+  // Leverage for this coin, lowered if its volatility needs a wider liquidation buffer
+  const capitalPlan = options.capitalPlan || await planCapital(hyperliquid, symbol, balances, config);
+
+  if (verbose) {
+    console.log(formatCapitalPlan(capitalPlan));
+  }
 
   // Calculate available capital for position
-  const perpBalance = 3 * balances.perpBalance;
-  const spotBalance = balances.spotBalance;
+  const capital = calculateAvailableNotional(balances, config, capitalPlan.leverage);
+  const { availablePerpNotional, availableSpotNotional } = capital;
 
-  // Apply utilization percentage to each balance
-  const availablePerpNotional = perpBalance * (utilization / 100);
-  const availableSpotNotional = spotBalance * (utilization / 100);
-  // Use the smaller of the two to ensure both sides can be filled
-  const availableNotional = Math.min(availablePerpNotional, availableSpotNotional);
+  // In portfolio mode each position only gets its allocated share of capital
+  const availableNotional = maxNotional !== undefined && maxNotional !== null
+    ? Math.min(capital.availableNotional, maxNotional)
+    : capital.availableNotional;
 
   if (verbose) {
     console.log(`[Trade] Available capital:`);
     console.log(`[Trade]   PERP: $${availablePerpNotional.toFixed(2)}, SPOT: $${availableSpotNotional.toFixed(2)}`);
+    if (availableNotional < capital.availableNotional) {
+      console.log(`[Trade]   Allocation cap: $${maxNotional.toFixed(2)}`);
+    }
     console.log(`[Trade]   Available: $${availableNotional.toFixed(2)}, Minimum required: $${minNotional.toFixed(2)}`);
   }
 
@@ -73,7 +153,7 @@ export async function openDeltaNeutralPosition(hyperliquid, opportunity, balance
   }
 
   // Calculate position sizes based on available capital
-  const size = availableNotional / perpMid;
+  let size = availableNotional / perpMid;
   const notionalValue = size * perpMid;
 
   if (verbose) {
@@ -87,6 +167,46 @@ export async function openDeltaNeutralPosition(hyperliquid, opportunity, balance
   const perpAssetInfo = hyperliquid.getAssetInfo(perpSymbol, perpAssetId);
   const spotAssetInfo = hyperliquid.getAssetInfo(spotSymbol, spotAssetId);
 
+  // Cap size by order book depth: the PERP sell walks the bids, the SPOT buy walks the asks
+  let depthCheck = null;
+
+  if (maxPriceImpactBps) {
+    try {
+      const spotOrderbookCoin = hyperliquid.getCoinForOrderbook(spotSymbol, spotAssetId);
+      const [perpDepth, spotDepth] = await Promise.all([
+        hyperliquid.fetchDepth(perpSymbol),
+        hyperliquid.fetchDepth(spotOrderbookCoin)
+      ]);
+
+      depthCheck = calculateDepthLimitedSize(perpDepth, spotDepth, size, maxPriceImpactBps);
+
+      if (verbose) {
+        console.log(`[Trade] Expected fills - PERP: $${depthCheck.perp.vwap?.toFixed(4)} (${depthCheck.perp.impactBps?.toFixed(1)} bps), SPOT: $${depthCheck.spot.vwap?.toFixed(4)} (${depthCheck.spot.impactBps?.toFixed(1)} bps)`);
+      }
+
+      if (depthCheck.limited) {
+        console.warn(`[Trade] ⚠️  Depth limits ${symbol} to ${depthCheck.size.toFixed(6)} (from ${size.toFixed(6)}) to keep impact within ${maxPriceImpactBps} bps`);
+        size = depthCheck.size;
+      }
+    } catch (error) {
+      console.warn(`[Trade] ⚠️  Depth check failed for ${symbol}: ${error.message}`);
+      console.warn(`[Trade] Continuing with mid-price sizing...`);
+    }
+
+    if (size * perpMid < minNotional) {
+      const errorMsg = `Insufficient liquidity for ${symbol}: $${(size * perpMid).toFixed(2)} fits within ${maxPriceImpactBps} bps impact < $${minNotional.toFixed(2)} minimum required`;
+      console.error(`[Trade] ❌ ${errorMsg}`);
+      return {
+        success: false,
+        error: errorMsg,
+        symbol: symbol,
+        availableCapital: availableNotional,
+        minimumRequired: minNotional,
+        depth: depthCheck
+      };
+    }
+  }
+
   // Round sizes to proper lot sizes
   const perpSizeRounded = parseFloat(hyperliquid.roundSize(size, perpAssetInfo.szDecimals));
   const spotSizeRounded = parseFloat(hyperliquid.roundSize(size, spotAssetInfo.szDecimals));
@@ -107,21 +227,111 @@ export async function openDeltaNeutralPosition(hyperliquid, opportunity, balance
     // Continue anyway, this is normal for different lot sizes
   }
 
-  // Set leverage to 1x for this specific pair before opening position
+  // Set the planned leverage for this specific pair before opening position
   if (verbose) {
-    console.log(`[Trade] Setting leverage to 1x for ${symbol}...`);
+    console.log(`[Trade] Setting leverage to ${capitalPlan.leverage}x for ${symbol}...`);
   }
 
   try {
-    await setLeverageTo1x(hyperliquid, symbol, false, { verbose: false });
+    await updateLeverage(hyperliquid, symbol, capitalPlan.leverage, false, { verbose: false });
     if (verbose) {
-      console.log(`[Trade] ✅ Leverage set to 1x (isolated) for ${symbol}`);
+      console.log(`[Trade] ✅ Leverage set to ${capitalPlan.leverage}x (isolated) for ${symbol}`);
     }
   } catch (error) {
     console.warn(`[Trade] ⚠️  Failed to set leverage for ${symbol}: ${error.message}`);
     console.warn(`[Trade] Continuing anyway...`);
   }
 
+  // Maker entry: post the SPOT leg passively and hedge its fills with PERP IOCs.
+  // Otherwise large pairs are worked in paired slices instead of one IOC per leg.
+  const makerEntry = getMakerEntrySettings(config);
+  const twap = getTwapSettings(config);
+  let execution = null;
+  let entryLabel = null;
+
+  if (makerEntry.enabled) {
+    entryLabel = 'Maker';
+    execution = await executeMakerEntry(hyperliquid, {
+      perp: { symbol: perpSymbol, size: perpSizeRounded },
+      spot: { symbol: spotSymbol, size: spotSizeRounded }
+    }, config, { verbose, settings: makerEntry, cloids });
+  } else if (shouldUseTwap(perpSizeRounded * perpMid, twap)) {
+    entryLabel = 'Sliced';
+    execution = await executeSlicedPair(hyperliquid, {
+      perp: { symbol: perpSymbol, side: 'sell', size: perpSizeRounded },
+      spot: { symbol: spotSymbol, side: 'buy', size: spotSizeRounded }
+    }, config, { verbose, settings: twap, abortOnWideSpread: true, trimExcess: true, cloids });
+  }
+
+  if (execution) {
+    if (execution.perpFilled <= 0 && execution.spotFilled <= 0) {
+      const errorMsg = `${entryLabel} entry for ${symbol} filled nothing${execution.error ? `: ${execution.error}` : ''}`;
+      console.error(`[Trade] ❌ ${errorMsg}`);
+      throw new Error(errorMsg);
+    }
+
+    if (execution.perpFilled <= 0 || execution.spotFilled <= 0) {
+      // Only one leg filled (e.g. the SPOT Alo filled but every PERP hedge failed): close it
+      const leg = execution.spotFilled > 0
+        ? { symbol: spotSymbol, type: 'SPOT', side: 'sell', size: execution.spotFilled, price: execution.spotAvgPx }
+        : { symbol: perpSymbol, type: 'PERP', side: 'buy', size: execution.perpFilled, price: execution.perpAvgPx };
+      const failedType = leg.type === 'SPOT' ? 'PERP' : 'SPOT';
+      const legError = execution.error || `No ${failedType} fills`;
+
+      console.error(`[Trade] ❌ ${entryLabel} entry filled no ${failedType}, closing ${leg.type} position...`);
+      const rollback = await closeLeg(hyperliquid, leg, config, { verbose, intent: 'rollback' });
+
+      if (rollback.success) {
+        console.log(`[Trade] ✅ ${leg.type} position closed`);
+        notify({
+          severity: 'warning',
+          event: 'leg_failed',
+          title: `${symbol}: ${failedType} leg failed, ${leg.type} rolled back`,
+          message: legError,
+          data: { symbol, leg: failedType.toLowerCase(), rolledBack: true }
+        });
+      } else {
+        console.error(`[Trade] ⚠️  MANUAL ACTION REQUIRED: Close ${leg.type} position for`, leg.symbol);
+        notify({
+          severity: 'critical',
+          event: 'leg_failed',
+          title: `${symbol}: ${failedType} leg failed and ${leg.type} rollback failed`,
+          message: `MANUAL ACTION REQUIRED: close ${leg.type} ${leg.symbol} (${leg.size}). ${rollback.error}`,
+          data: { symbol, leg: failedType.toLowerCase(), rolledBack: false }
+        });
+      }
+
+      throw new Error(`${entryLabel} entry for ${symbol} filled no ${failedType}: ${legError}`);
+    }
+
+    if (!execution.completed) {
+      console.warn(`[Trade] ⚠️  ${entryLabel} entry for ${symbol} stopped early: ${execution.perpFilled} of ${perpSizeRounded} filled (${execution.error || 'partial fills'})`);
+    }
+
+    const { useFundingRate, useAnnualizedFunding } = selectFundingRates(opportunity);
+
+    return {
+      success: true,
+      symbol: symbol,
+      perpSymbol: perpSymbol,
+      spotSymbol: spotSymbol,
+      perpSize: execution.perpFilled,
+      spotSize: execution.spotFilled,
+      perpEntryPrice: execution.perpAvgPx,
+      spotEntryPrice: execution.spotAvgPx,
+      positionValue: execution.perpFilled * execution.perpAvgPx,
+      fundingRate: useFundingRate,
+      annualizedFunding: useAnnualizedFunding,
+      expectedImpactBps: depthCheck ? depthCheck.combinedImpactBps : null,
+      leverage: capitalPlan.leverage,
+      entryMids: { perp: perpMid, spot: spotMid },
+      entryStartTime,
+      execution: execution,
+      perpResult: execution.lastPerpResult,
+      spotResult: execution.lastSpotResult
+    };
+  }
+
   // Execute orders in parallel for speed
   if (verbose) {
     console.log('[Trade] Executing orders in parallel...');
@@ -133,14 +343,16 @@ export async function openDeltaNeutralPosition(hyperliquid, opportunity, balance
       hyperliquid.createMarketOrder(perpSymbol, 'sell', perpSizeRounded, {
         isSpot: false,
         slippage: config.trading.maxSlippagePercent,
-        overrideMidPrice: perpMid
+        overrideMidPrice: perpMid,
+        cloid: cloids('perp')
       }),
 
       // LONG SPOT (buy)
       hyperliquid.createMarketOrder(spotSymbol, 'buy', spotSizeRounded, {
         isSpot: true,
         slippage: config.trading.maxSlippagePercent,
-        overrideMidPrice: spotMid
+        overrideMidPrice: spotMid,
+        cloid: cloids('spot')
       })
     ]);
 
@@ -163,12 +375,27 @@ export async function openDeltaNeutralPosition(hyperliquid, opportunity, balance
         await hyperliquid.createMarketOrder(spotSymbol, 'sell', spotSizeRounded, {
           isSpot: true,
           reduceOnly: true,
-          slippage: config.trading.maxSlippagePercent
+          slippage: config.trading.maxSlippagePercent,
+          cloid: cloids('spot')
         });
         console.log('[Trade] ✅ SPOT position closed');
+        notify({
+          severity: 'warning',
+          event: 'leg_failed',
+          title: `${symbol}: PERP leg failed, SPOT rolled back`,
+          message: perpError || 'Unknown error',
+          data: { symbol, leg: 'perp', rolledBack: true }
+        });
       } catch (closeError) {
         console.error('[Trade] ❌ Failed to close SPOT position:', closeError.message);
         console.error('[Trade] ⚠️  MANUAL ACTION REQUIRED: Close SPOT position for', spotSymbol);
+        notify({
+          severity: 'critical',
+          event: 'leg_failed',
+          title: `${symbol}: PERP leg failed and SPOT rollback failed`,
+          message: `MANUAL ACTION REQUIRED: close SPOT ${spotSymbol} (${spotSizeRounded}). ${closeError.message}`,
+          data: { symbol, leg: 'perp', rolledBack: false }
+        });
       }
       throw new Error(`PERP order failed: ${perpError || 'Unknown error'}`);
     }
@@ -180,12 +407,27 @@ export async function openDeltaNeutralPosition(hyperliquid, opportunity, balance
         await hyperliquid.createMarketOrder(perpSymbol, 'buy', perpSizeRounded, {
           isSpot: false,
           reduceOnly: true,
-          slippage: config.trading.maxSlippagePercent
+          slippage: config.trading.maxSlippagePercent,
+          cloid: cloids('perp')
         });
         console.log('[Trade] ✅ PERP position closed');
+        notify({
+          severity: 'warning',
+          event: 'leg_failed',
+          title: `${symbol}: SPOT leg failed, PERP rolled back`,
+          message: spotError || 'Unknown error',
+          data: { symbol, leg: 'spot', rolledBack: true }
+        });
       } catch (closeError) {
         console.error('[Trade] ❌ Failed to close PERP position:', closeError.message);
         console.error('[Trade] ⚠️  MANUAL ACTION REQUIRED: Close PERP position for', perpSymbol);
+        notify({
+          severity: 'critical',
+          event: 'leg_failed',
+          title: `${symbol}: SPOT leg failed and PERP rollback failed`,
+          message: `MANUAL ACTION REQUIRED: close PERP short ${perpSymbol} (${perpSizeRounded}). ${closeError.message}`,
+          data: { symbol, leg: 'spot', rolledBack: false }
+        });
       }
       throw new Error(`SPOT order failed: ${spotError || 'Unknown error'}`);
     }
@@ -202,19 +444,7 @@ export async function openDeltaNeutralPosition(hyperliquid, opportunity, balance
       console.log(`[Trade]   SPOT: ${spotFillSz} @ $${spotFillPx.toFixed(2)}`);
     }
 
-    // CRITICAL: Use PREDICTED funding rate (what will be paid NEXT), not historical
-    // Use predicted if available, otherwise fall back to current/historical
-    const predictedFundingRate = opportunity.predictedFunding?.predictedFundingRate;
-    const currentFundingRate = opportunity.funding.fundingRate;
-    const useFundingRate = predictedFundingRate !== null && predictedFundingRate !== undefined
-      ? predictedFundingRate
-      : currentFundingRate;
-
-    const predictedAnnualizedFunding = opportunity.predictedFundingRate;
-    const avgAnnualizedFunding = opportunity.avgFundingRate;
-    const useAnnualizedFunding = predictedAnnualizedFunding !== null && predictedAnnualizedFunding !== undefined
-      ? predictedAnnualizedFunding
-      : avgAnnualizedFunding;
+    const { useFundingRate, useAnnualizedFunding } = selectFundingRates(opportunity);
 
     return {
       success: true,
@@ -228,6 +458,10 @@ export async function openDeltaNeutralPosition(hyperliquid, opportunity, balance
       positionValue: perpFillSz * perpFillPx,
       fundingRate: useFundingRate,  // Use predicted rate (hourly)
       annualizedFunding: useAnnualizedFunding,  // Use predicted annualized rate
+      expectedImpactBps: depthCheck ? depthCheck.combinedImpactBps : null,
+      leverage: capitalPlan.leverage,
+      entryMids: { perp: perpMid, spot: spotMid },
+      entryStartTime,
       perpResult: perpResult,
       spotResult: spotResult
     };
@@ -252,6 +486,7 @@ export async function closeDeltaNeutralPosition(hyperliquid, position, config, o
   const symbol = position.symbol;
   const perpSymbol = position.perpSymbol;
   const spotSymbol = position.spotSymbol;
+  const cloids = options.cloids || createCloidSequence(`close:${symbol}:${Date.now()}`);
 
   if (verbose) {
     console.log(`[Trade] Closing delta-neutral position for ${symbol}...`);
@@ -276,6 +511,8 @@ export async function closeDeltaNeutralPosition(hyperliquid, position, config, o
 
   const perpMid = (perpBidAsk.bid + perpBidAsk.ask) / 2;
   const spotMid = (spotBidAsk.bid + spotBidAsk.ask) / 2;
+  const exitMids = { perp: perpMid, spot: spotMid };
+  const exitStartTime = Date.now();
 
   if (verbose) {
     console.log(`[Trade] Current prices - PERP: $${perpMid.toFixed(2)}, SPOT: $${spotMid.toFixed(2)}`);
@@ -293,6 +530,51 @@ export async function closeDeltaNeutralPosition(hyperliquid, position, config, o
     console.log(`[Trade] PnL - PERP: $${perpPnl.toFixed(2)}, SPOT: $${spotPnl.toFixed(2)}, Total: $${totalPnl.toFixed(2)}`);
   }
 
+  // Large pairs: unwind in paired slices
+  const twap = getTwapSettings(config);
+
+  if (shouldUseTwap(position.perpSize * perpMid, twap)) {
+    // Closing must finish, so a wide PERP-SPOT spread only delays it (up to maxPauseSeconds)
+    const execution = await executeSlicedPair(hyperliquid, {
+      perp: { symbol: perpSymbol, side: 'buy', size: position.perpSize, reduceOnly: true },
+      spot: { symbol: spotSymbol, side: 'sell', size: position.spotSize }
+    }, config, { verbose, settings: twap, abortOnWideSpread: false, trimExcess: false, cloids });
+
+    if (!execution.completed) {
+      console.error(`[Trade] ❌ Sliced close left PERP ${execution.perpRemaining}, SPOT ${execution.spotRemaining} open`);
+      notify({
+        severity: 'critical',
+        event: 'leg_failed',
+        title: `${symbol}: close left legs open`,
+        message: `MANUAL ACTION REQUIRED: PERP ${execution.perpRemaining}, SPOT ${execution.spotRemaining} still open`,
+        data: { symbol, perpRemaining: execution.perpRemaining, spotRemaining: execution.spotRemaining }
+      });
+      throw new Error('Failed to close position completely. Manual intervention may be required.');
+    }
+
+    const actualPerpPnl = (position.perpEntryPrice - execution.perpAvgPx) * position.perpSize;
+    const actualSpotPnl = (execution.spotAvgPx - position.spotEntryPrice) * position.spotSize;
+
+    if (verbose) {
+      console.log(`[Trade] ✅ Position closed in ${execution.slices.length} slice(s), PnL: $${(actualPerpPnl + actualSpotPnl).toFixed(2)}`);
+    }
+
+    return await withPnlAttribution(hyperliquid, position, {
+      success: true,
+      reason: reason,
+      perpClosePrice: execution.perpAvgPx,
+      spotClosePrice: execution.spotAvgPx,
+      perpPnl: actualPerpPnl,
+      spotPnl: actualSpotPnl,
+      totalPnl: actualPerpPnl + actualSpotPnl,
+      exitMids,
+      exitStartTime,
+      execution: execution,
+      perpResult: execution.lastPerpResult,
+      spotResult: execution.lastSpotResult
+    }, verbose);
+  }
+
   // Execute close orders in parallel
   if (verbose) {
     console.log('[Trade] Executing close orders in parallel...');
@@ -305,14 +587,16 @@ export async function closeDeltaNeutralPosition(hyperliquid, position, config, o
         isSpot: false,
         reduceOnly: true,
         slippage: config.trading.maxSlippagePercent,
-        overrideMidPrice: perpMid
+        overrideMidPrice: perpMid,
+        cloid: cloids('perp')
       }),
 
       // Sell SPOT
       hyperliquid.createMarketOrder(spotSymbol, 'sell', position.spotSize, {
         isSpot: true,
         slippage: config.trading.maxSlippagePercent,
-        overrideMidPrice: spotMid
+        overrideMidPrice: spotMid,
+        cloid: cloids('spot')
       })
     ]);
 
@@ -331,6 +615,14 @@ export async function closeDeltaNeutralPosition(hyperliquid, position, config, o
     }
 
     if (!perpFilled || !spotFilled) {
+      const openLegs = [!perpFilled && `PERP ${perpSymbol}`, !spotFilled && `SPOT ${spotSymbol}`].filter(Boolean);
+      notify({
+        severity: 'critical',
+        event: 'leg_failed',
+        title: `${symbol}: close left ${openLegs.join(' and ')} open`,
+        message: 'MANUAL ACTION REQUIRED: check the account and close the remaining leg(s)',
+        data: { symbol, perpClosed: !!perpFilled, spotClosed: !!spotFilled }
+      });
       throw new Error('Failed to close position completely. Manual intervention may be required.');
     }
 
@@ -349,7 +641,7 @@ export async function closeDeltaNeutralPosition(hyperliquid, position, config, o
       console.log(`[Trade]   Total PnL: $${actualTotalPnl.toFixed(2)}`);
     }
 
-    return {
+    return await withPnlAttribution(hyperliquid, position, {
       success: true,
       reason: reason,
       perpClosePrice: perpClosePx,
@@ -357,9 +649,11 @@ export async function closeDeltaNeutralPosition(hyperliquid, position, config, o
       perpPnl: actualPerpPnl,
       spotPnl: actualSpotPnl,
       totalPnl: actualTotalPnl,
+      exitMids,
+      exitStartTime,
       perpResult: perpResult,
       spotResult: spotResult
-    };
+    }, verbose);
 
   } catch (error) {
     console.error('[Trade] ❌ Error closing position:', error.message);
@@ -367,3 +661,696 @@ export async function closeDeltaNeutralPosition(hyperliquid, position, config, o
   }
 }
 
+/**
+ * Add the fills-based PnL breakdown to a close result (result.pnl, null if it can't be built)
+ * The position is already closed at this point, so a failed lookup is only logged.
+ * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+ * @param {Object} position - Position that was closed
+ * @param {Object} result - Close result with exitMids and exitStartTime
+ * @param {boolean} verbose - Log the breakdown
+ * @returns {Promise<Object>} The close result
+ */
+async function withPnlAttribution(hyperliquid, position, result, verbose) {
+  try {
+    result.pnl = await buildPositionPnl(hyperliquid, position, result);
+    if (verbose) {
+      console.log(`[Trade]   ${formatPnlAttribution(result.pnl)}`);
+    }
+  } catch (error) {
+    console.warn(`[Trade] ⚠️  PnL attribution failed for ${position.symbol}: ${error.message}`);
+    result.pnl = null;
+  }
+
+  return result;
+}
+
+/**
+ * Close one leg from planAccountClose() with a market order
+ *
+ * Used for account-wide closes (emergency close, `hldn close`) where the legs
+ * aren't tracked pairs; PERP legs are reduce-only. Never throws.
+ *
+ * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+ * @param {Object} leg - { symbol, type, side, size, price } from planAccountClose()
+ * @param {Object} config - Configuration (trading.maxSlippagePercent)
+ * @param {Object} options - Options
+ * @param {string} options.intent - Cloid intent (default: 'close')
+ * @param {number} options.slippage - Max slippage in percent (default: trading.maxSlippagePercent)
+ * @returns {Promise<Object>} { success, symbol, type, size, price } or { success: false, symbol, type, error }
+ */
+export async function closeLeg(hyperliquid, leg, config, options = {}) {
+  const { verbose = false, intent = 'close' } = options;
+  const { symbol, type } = leg;
+  const isSpot = type === 'SPOT';
+
+  try {
+    if (!leg.price) {
+      throw new Error(`No price data available for ${symbol}`);
+    }
+
+    const assetId = await hyperliquid.getAssetId(symbol, isSpot);
+    const assetInfo = hyperliquid.getAssetInfo(symbol, assetId);
+    const sizeRounded = parseFloat(hyperliquid.roundSize(leg.size, assetInfo.szDecimals));
+
+    if (verbose) {
+      console.log(`[Trade] Closing ${type} ${symbol}: ${leg.side.toUpperCase()} ${sizeRounded}...`);
+    }
+
+    const result = await hyperliquid.createMarketOrder(symbol, leg.side, sizeRounded, {
+      isSpot,
+      reduceOnly: !isSpot, // reduceOnly only works for PERP
+      slippage: options.slippage ?? config.trading.maxSlippagePercent,
+      overrideMidPrice: leg.price,
+      cloid: makeCloid(intent, symbol, Date.now())
+    });
+
+    const status = result.response?.data?.statuses?.[0];
+    if (!status?.filled) {
+      throw new Error(status?.error || 'Unknown error');
+    }
+
+    const size = parseFloat(status.filled.totalSz || sizeRounded);
+    const price = parseFloat(status.filled.avgPx || 0);
+    if (verbose) {
+      console.log(`[Trade] ✅ ${type} ${symbol} closed: ${size} @ $${price.toFixed(2)}`);
+    }
+    return { success: true, symbol, type, size, price };
+  } catch (error) {
+    console.error(`[Trade] ❌ ${type} ${symbol} close failed: ${error.message}`);
+    return { success: false, symbol, type, error: error.message };
+  }
+}
+
+/**
+ * Get TWAP (sliced execution) settings from config, with defaults
+ * @param {Object} config - Configuration
+ * @returns {Object} Settings with durations in ms
+ */
+export function getTwapSettings(config) {
+  const twap = config.twap || {};
+
+  return {
+    enabled: twap.enabled === true,
+    minNotionalUSD: twap.minNotionalUSD ?? 2000,
+    slices: Math.max(1, Math.floor(twap.slices ?? 5)),
+    durationMs: (twap.durationSeconds ?? 60) * 1000,
+    minSliceNotionalUSD: Math.max(twap.minSliceNotionalUSD ?? 15, MIN_ORDER_NOTIONAL_USD),
+    maxPerpSpotSpreadPercent: twap.maxPerpSpotSpreadPercent ?? config.thresholds?.maxPerpSpotSpreadPercent ?? 0.5,
+    maxPauseMs: (twap.maxPauseSeconds ?? 120) * 1000,
+    pollMs: (twap.pausePollSeconds ?? 5) * 1000
+  };
+}
+
+/**
+ * Whether a pair of this notional should be executed in slices
+ * @param {number} notional - Pair notional (USD, one leg)
+ * @param {Object} settings - From getTwapSettings()
+ * @returns {boolean}
+ */
+export function shouldUseTwap(notional, settings) {
+  return settings.enabled && settings.slices > 1 && notional >= settings.minNotionalUSD;
+}
+
+/**
+ * Number of slices for a pair, so no child order drops below minSliceNotionalUSD
+ * @param {number} notional - Pair notional (USD, one leg)
+ * @param {Object} settings - From getTwapSettings()
+ * @returns {number} Slice count (at least 1)
+ */
+export function calculateSliceCount(notional, settings) {
+  const bySize = Math.floor(notional / settings.minSliceNotionalUSD);
+  return Math.max(1, Math.min(settings.slices, bySize));
+}
+
+/**
+ * Round a size down to the asset's lot size (never over-orders a remainder)
+ * @param {number} size - Size in coins
+ * @param {number} szDecimals - Size decimals
+ * @returns {number} Rounded size
+ */
+function floorSize(size, szDecimals) {
+  const factor = Math.pow(10, szDecimals);
+  return Math.floor(size * factor + 1e-9) / factor;
+}
+
+/**
+ * Execute a PERP/SPOT pair as paired child orders spread over settings.durationMs
+ *
+ * Each slice sends one PERP and one SPOT IOC order in parallel. Both legs
+ * target the same fraction of their total, and neither runs more than one
+ * slice ahead of the lagging leg, so partial fills don't build up a delta.
+ * Before every slice the PERP-SPOT spread is checked: while it is wider than
+ * maxPerpSpotSpreadPercent the schedule pauses, and after maxPauseMs it
+ * either stops (abortOnWideSpread) or carries on regardless.
+ *
+ * After the schedule the lagging leg is topped up once; with trimExcess any
+ * remaining excess on the leading leg is reversed.
+ *
+ * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+ * @param {Object} legs - { perp: { symbol, side, size, reduceOnly }, spot: { symbol, side, size } }
+ * @param {Object} config - Configuration (trading.maxSlippagePercent)
+ * @param {Object} options - Options
+ * @param {boolean} options.verbose - Whether to log progress
+ * @param {Object} options.settings - TWAP settings (defaults to getTwapSettings(config))
+ * @param {boolean} options.abortOnWideSpread - Stop instead of continuing when the pause times out
+ * @param {boolean} options.trimExcess - Reverse any unmatched excess on the leading leg
+ * @param {Function} options.cloids - Cloid sequence from createCloidSequence() (default: a new one)
+ * @returns {Promise<Object>} { perpFilled, spotFilled, perpAvgPx, spotAvgPx, perpRemaining, spotRemaining, completed, aborted, slices, pauses, pausedMs, error }
+ */
+export async function executeSlicedPair(hyperliquid, legs, config, options = {}) {
+  const { verbose = false, abortOnWideSpread = true, trimExcess = false } = options;
+  const settings = options.settings || getTwapSettings(config);
+  const cloids = options.cloids || createCloidSequence(`sliced:${legs.perp.symbol}:${Date.now()}`);
+  const { perp, spot } = legs;
+
+  const perpAssetId = await hyperliquid.getAssetId(perp.symbol, false);
+  const spotAssetId = await hyperliquid.getAssetId(spot.symbol, true);
+  const perpDecimals = hyperliquid.getAssetInfo(perp.symbol, perpAssetId).szDecimals;
+  const spotDecimals = hyperliquid.getAssetInfo(spot.symbol, spotAssetId).szDecimals;
+  const spotOrderbookCoin = hyperliquid.getCoinForOrderbook(spot.symbol, spotAssetId);
+  const bookMaxAgeMs = Math.min(1000, settings.pollMs);
+
+  const fills = {
+    perp: { filled: 0, notional: 0 },
+    spot: { filled: 0, notional: 0 }
+  };
+
+  const execution = {
+    slices: [],
+    pauses: 0,
+    pausedMs: 0,
+    aborted: false,
+    error: null,
+    lastPerpResult: null,
+    lastSpotResult: null
+  };
+
+  const readMids = async () => {
+    const [perpDepth, spotDepth] = await Promise.all([
+      hyperliquid.fetchDepth(perp.symbol, bookMaxAgeMs),
+      hyperliquid.fetchDepth(spotOrderbookCoin, bookMaxAgeMs)
+    ]);
+    const perpMid = getDepthMid(perpDepth);
+    const spotMid = getDepthMid(spotDepth);
+
+    if (!perpMid || !spotMid) {
+      throw new Error(`No order book for ${perp.symbol}/${spot.symbol}`);
+    }
+
+    return { perpMid, spotMid, spreadPercent: calculatePerpSpotSpreadPercent(perpMid, spotMid) };
+  };
+
+  // Set once a pause times out without aborting: the rest of the schedule no longer waits
+  let ignoreSpread = false;
+
+  // Returns current mids once the spread is acceptable, or null if the pause timed out and we abort
+  const waitForSpread = async () => {
+    let mids = await readMids();
+
+    if (ignoreSpread) {
+      return mids;
+    }
+    const pauseStart = Date.now();
+    let paused = false;
+
+    while (Math.abs(mids.spreadPercent) > settings.maxPerpSpotSpreadPercent) {
+      if (!paused) {
+        paused = true;
+        execution.pauses++;
+        console.warn(`[Trade] ⏸️  PERP-SPOT spread ${mids.spreadPercent.toFixed(3)}% > ${settings.maxPerpSpotSpreadPercent}%, pausing ${perp.symbol} execution...`);
+      }
+
+      if (Date.now() - pauseStart >= settings.maxPauseMs) {
+        if (abortOnWideSpread) {
+          execution.pausedMs += Date.now() - pauseStart;
+          return null;
+        }
+        console.warn(`[Trade] ⚠️  Spread still wide after ${settings.maxPauseMs / 1000}s, continuing ${perp.symbol} execution`);
+        ignoreSpread = true;
+        break;
+      }
+
+      await sleep(settings.pollMs);
+      mids = await readMids();
+    }
+
+    if (paused) {
+      execution.pausedMs += Date.now() - pauseStart;
+      if (verbose) {
+        console.log(`[Trade] ▶️  Resuming ${perp.symbol} execution (spread ${mids.spreadPercent.toFixed(3)}%)`);
+      }
+    }
+
+    return mids;
+  };
+
+  const placeChild = async (leg, isSpot, size, mid, overrides = {}) => {
+    const side = overrides.side || leg.side;
+    const reduceOnly = overrides.reduceOnly ?? (leg.reduceOnly || false);
+
+    if (size <= 0 || size * mid < MIN_ORDER_NOTIONAL_USD) {
+      return { size: 0, filledSz: 0, avgPx: null, error: null };
+    }
+
+    try {
+      const result = await hyperliquid.createMarketOrder(leg.symbol, side, size, {
+        isSpot,
+        reduceOnly,
+        slippage: config.trading.maxSlippagePercent,
+        overrideMidPrice: mid,
+        cloid: cloids(isSpot ? 'spot' : 'perp')
+      });
+      const status = result.response?.data?.statuses?.[0];
+      const filledSz = status?.filled ? parseFloat(status.filled.totalSz) : 0;
+      const avgPx = status?.filled ? parseFloat(status.filled.avgPx) : null;
+
+      if (isSpot) {
+        execution.lastSpotResult = result;
+      } else {
+        execution.lastPerpResult = result;
+      }
+
+      return { size, filledSz, avgPx, error: status?.error || null };
+    } catch (error) {
+      return { size, filledSz: 0, avgPx: null, error: error.message };
+    }
+  };
+
+  const record = (key, child) => {
+    if (child.filledSz > 0) {
+      fills[key].filled += child.filledSz;
+      fills[key].notional += child.filledSz * child.avgPx;
+    }
+  };
+
+  let mids = await readMids();
+  const sliceCount = calculateSliceCount(Math.min(perp.size, spot.size) * mids.perpMid, settings);
+  const interval = sliceCount > 1 ? settings.durationMs / (sliceCount - 1) : 0;
+
+  if (verbose) {
+    console.log(`[Trade] Sliced execution for ${perp.symbol}: ${sliceCount} slice(s) over ${(settings.durationMs / 1000).toFixed(0)}s`);
+  }
+
+  for (let i = 0; i < sliceCount; i++) {
+    mids = await waitForSpread();
+
+    if (!mids) {
+      execution.aborted = true;
+      execution.error = `PERP-SPOT spread above ${settings.maxPerpSpotSpreadPercent}% for ${settings.maxPauseMs / 1000}s`;
+      console.warn(`[Trade] ⏹️  Stopping ${perp.symbol} execution: ${execution.error}`);
+      break;
+    }
+
+    // Lockstep: neither leg may run more than one slice ahead of the lagging one
+    const progress = Math.min(fills.perp.filled / perp.size, fills.spot.filled / spot.size);
+    const target = Math.min((i + 1) / sliceCount, progress + 1 / sliceCount);
+
+    const perpChildSize = floorSize(target * perp.size - fills.perp.filled, perpDecimals);
+    const spotChildSize = floorSize(target * spot.size - fills.spot.filled, spotDecimals);
+
+    const [perpChild, spotChild] = await Promise.all([
+      placeChild(perp, false, perpChildSize, mids.perpMid),
+      placeChild(spot, true, spotChildSize, mids.spotMid)
+    ]);
+
+    record('perp', perpChild);
+    record('spot', spotChild);
+
+    execution.slices.push({
+      index: i + 1,
+      time: Date.now(),
+      spreadPercent: mids.spreadPercent,
+      perp: perpChild,
+      spot: spotChild
+    });
+
+    if (verbose) {
+      console.log(`[Trade]   Slice ${i + 1}/${sliceCount}: PERP ${perpChild.filledSz}/${perpChildSize}, SPOT ${spotChild.filledSz}/${spotChildSize} (spread ${mids.spreadPercent.toFixed(3)}%)`);
+    }
+
+    if (perpChild.error || spotChild.error) {
+      console.warn(`[Trade] ⚠️  Slice ${i + 1} errors - PERP: ${perpChild.error || 'none'}, SPOT: ${spotChild.error || 'none'}`);
+    }
+
+    if (i < sliceCount - 1) {
+      await sleep(interval);
+    }
+  }
+
+  // Top up the lagging leg (only up to the leading leg when we stopped early)
+  mids = await readMids();
+  const perpGoal = execution.aborted ? Math.min(perp.size, fills.spot.filled / spot.size * perp.size) : perp.size;
+  const spotGoal = execution.aborted ? Math.min(spot.size, fills.perp.filled / perp.size * spot.size) : spot.size;
+
+  const [perpTopUp, spotTopUp] = await Promise.all([
+    placeChild(perp, false, floorSize(perpGoal - fills.perp.filled, perpDecimals), mids.perpMid),
+    placeChild(spot, true, floorSize(spotGoal - fills.spot.filled, spotDecimals), mids.spotMid)
+  ]);
+  record('perp', perpTopUp);
+  record('spot', spotTopUp);
+
+  // Reverse whatever the leading leg still has over the lagging one
+  if (trimExcess) {
+    const excessPerp = floorSize(fills.perp.filled - fills.spot.filled / spot.size * perp.size, perpDecimals);
+    const excessSpot = floorSize(fills.spot.filled - fills.perp.filled / perp.size * spot.size, spotDecimals);
+
+    if (excessPerp > 0) {
+      const trim = await placeChild(perp, false, excessPerp, mids.perpMid, {
+        side: perp.side === 'buy' ? 'sell' : 'buy',
+        reduceOnly: true
+      });
+      fills.perp.filled -= trim.filledSz;
+      fills.perp.notional -= trim.filledSz * (fills.perp.notional / (fills.perp.filled + trim.filledSz));
+    } else if (excessSpot > 0) {
+      const trim = await placeChild(spot, true, excessSpot, mids.spotMid, {
+        side: spot.side === 'buy' ? 'sell' : 'buy'
+      });
+      fills.spot.filled -= trim.filledSz;
+      fills.spot.notional -= trim.filledSz * (fills.spot.notional / (fills.spot.filled + trim.filledSz));
+    }
+  }
+
+  const perpRemaining = Math.max(0, perp.size - fills.perp.filled);
+  const spotRemaining = Math.max(0, spot.size - fills.spot.filled);
+  // Dust below one lot (or below the exchange minimum) can't be ordered anyway
+  const isDone = (remaining, decimals, mid) =>
+    floorSize(remaining, decimals) === 0 || remaining * mid < MIN_ORDER_NOTIONAL_USD;
+
+  const result = {
+    perpFilled: fills.perp.filled,
+    spotFilled: fills.spot.filled,
+    perpAvgPx: fills.perp.filled > 0 ? fills.perp.notional / fills.perp.filled : null,
+    spotAvgPx: fills.spot.filled > 0 ? fills.spot.notional / fills.spot.filled : null,
+    perpRemaining,
+    spotRemaining,
+    completed: !execution.aborted &&
+      isDone(perpRemaining, perpDecimals, mids.perpMid) &&
+      isDone(spotRemaining, spotDecimals, mids.spotMid),
+    ...execution
+  };
+
+  if (verbose) {
+    console.log(`[Trade] Sliced execution done: PERP ${result.perpFilled}/${perp.size}, SPOT ${result.spotFilled}/${spot.size}, ${result.pauses} pause(s)`);
+  }
+
+  return result;
+}
+
+/**
+ * Get maker-entry settings from config, with defaults
+ * @param {Object} config - Configuration
+ * @returns {Object} Settings with durations in ms
+ */
+export function getMakerEntrySettings(config) {
+  const maker = config.makerEntry || {};
+
+  return {
+    enabled: maker.enabled === true,
+    timeoutMs: (maker.timeoutSeconds ?? 120) * 1000,
+    pollMs: (maker.pollSeconds ?? 2) * 1000,
+    repriceBps: maker.repriceBps ?? 5,
+    minHedgeNotionalUSD: Math.max(maker.minHedgeNotionalUSD ?? 12, MIN_ORDER_NOTIONAL_USD),
+    fallbackToTaker: maker.fallbackToTaker !== false
+  };
+}
+
+/**
+ * Open a pair by posting the SPOT buy passively (Alo at the best bid) and
+ * selling PERP with IOC orders as SPOT fills arrive, so the SPOT leg pays
+ * maker instead of taker fees.
+ *
+ * The resting order is re-posted at the new best bid when the bid moves up by
+ * more than repriceBps. PERP is hedged whenever unhedged SPOT reaches
+ * minHedgeNotionalUSD. After timeoutMs the order is canceled and, with
+ * fallbackToTaker, the rest of the pair is filled with IOC orders on both legs.
+ *
+ * @param {HyperliquidConnector} hyperliquid - Hyperliquid connector
+ * @param {Object} legs - { perp: { symbol, size }, spot: { symbol, size } }
+ * @param {Object} config - Configuration (trading.maxSlippagePercent)
+ * @param {Object} options - Options
+ * @param {boolean} options.verbose - Whether to log progress
+ * @param {Object} options.settings - Maker settings (defaults to getMakerEntrySettings(config))
+ * @param {Function} options.cloids - Cloid sequence from createCloidSequence() (default: a new one)
+ * @returns {Promise<Object>} { perpFilled, spotFilled, perpAvgPx, spotAvgPx, makerFilled, takerFilled, reprices, completed, error }
+ */
+export async function executeMakerEntry(hyperliquid, legs, config, options = {}) {
+  const { verbose = false } = options;
+  const settings = options.settings || getMakerEntrySettings(config);
+  const cloids = options.cloids || createCloidSequence(`maker:${legs.perp.symbol}:${Date.now()}`);
+  const { perp, spot } = legs;
+
+  const perpAssetId = await hyperliquid.getAssetId(perp.symbol, false);
+  const spotAssetId = await hyperliquid.getAssetId(spot.symbol, true);
+  const perpDecimals = hyperliquid.getAssetInfo(perp.symbol, perpAssetId).szDecimals;
+  const spotDecimals = hyperliquid.getAssetInfo(spot.symbol, spotAssetId).szDecimals;
+  const spotOrderbookCoin = hyperliquid.getCoinForOrderbook(spot.symbol, spotAssetId);
+
+  const fills = {
+    perp: { filled: 0, notional: 0 },
+    spot: { filled: 0, notional: 0 }
+  };
+
+  const execution = {
+    makerFilled: 0,
+    takerFilled: 0,
+    reprices: 0,
+    orders: [],
+    error: null,
+    lastPerpResult: null,
+    lastSpotResult: null
+  };
+
+  // The resting SPOT order: { oid, price, filled }
+  let resting = null;
+
+  const bestPrices = async () => {
+    const [perpDepth, spotDepth] = await Promise.all([
+      hyperliquid.fetchDepth(perp.symbol, 0),
+      hyperliquid.fetchDepth(spotOrderbookCoin, 0)
+    ]);
+    const perpMid = getDepthMid(perpDepth);
+    const spotBid = spotDepth?.bids?.[0]?.price;
+
+    if (!perpMid || !spotBid) {
+      throw new Error(`No order book for ${perp.symbol}/${spot.symbol}`);
+    }
+
+    return { perpMid, spotMid: getDepthMid(spotDepth), spotBid };
+  };
+
+  const ioc = async (leg, isSpot, side, size, mid) => {
+    if (size <= 0 || size * mid < MIN_ORDER_NOTIONAL_USD) {
+      return 0;
+    }
+
+    try {
+      const result = await hyperliquid.createMarketOrder(leg.symbol, side, size, {
+        isSpot,
+        slippage: config.trading.maxSlippagePercent,
+        overrideMidPrice: mid,
+        cloid: cloids(isSpot ? 'spot' : 'perp')
+      });
+      const filled = result.response?.data?.statuses?.[0]?.filled;
+
+      if (isSpot) {
+        execution.lastSpotResult = result;
+      } else {
+        execution.lastPerpResult = result;
+      }
+
+      if (!filled) {
+        return 0;
+      }
+
+      const filledSz = parseFloat(filled.totalSz);
+      const key = isSpot ? 'spot' : 'perp';
+      fills[key].filled += filledSz;
+      fills[key].notional += filledSz * parseFloat(filled.avgPx);
+      return filledSz;
+    } catch (error) {
+      console.warn(`[Trade] ⚠️  ${isSpot ? 'SPOT' : 'PERP'} IOC failed: ${error.message}`);
+      return 0;
+    }
+  };
+
+  const post = async (size, bid) => {
+    const price = parseFloat(hyperliquid.roundPrice(bid, spotDecimals, true));
+    const result = await hyperliquid.createLimitOrder(spot.symbol, 'buy', size, price, { isSpot: true, tif: 'Alo', cloid: cloids('spot') });
+    const status = result.response?.data?.statuses?.[0];
+    execution.lastSpotResult = result;
+
+    if (status?.resting) {
+      resting = { oid: status.resting.oid, price, filled: 0 };
+      execution.orders.push(resting.oid);
+      return true;
+    }
+
+    execution.error = status?.error || 'Order was not accepted';
+    return false;
+  };
+
+  // Pull fills of the resting order; returns its status ('open', 'filled', 'canceled', ...).
+  // With the user stream the ledger is current, otherwise (or when forced) ask orderStatus.
+  const syncResting = async (forceRest = false) => {
+    let filled;
+    let status;
+    const tracked = hyperliquid.hasUserStream() ? hyperliquid.orderLedger.get(resting.oid) : null;
+
+    if (tracked?.status && !forceRest) {
+      filled = tracked.filledSz;
+      status = tracked.status;
+    } else {
+      const response = await hyperliquid.getOrderStatus(resting.oid);
+
+      if (response.status !== 'order') {
+        return 'unknown';
+      }
+
+      filled = parseFloat(response.order.order.origSz) - parseFloat(response.order.order.sz);
+      status = response.order.status;
+    }
+
+    const delta = filled - resting.filled;
+
+    if (delta > 0) {
+      fills.spot.filled += delta;
+      fills.spot.notional += delta * resting.price;
+      execution.makerFilled += delta;
+      resting.filled = filled;
+    }
+
+    return status;
+  };
+
+  // Sell PERP against SPOT that isn't hedged yet
+  const hedge = async (perpMid, minNotional) => {
+    const unhedged = floorSize(fills.spot.filled / spot.size * perp.size - fills.perp.filled, perpDecimals);
+
+    if (unhedged * perpMid >= minNotional) {
+      const filled = await ioc(perp, false, 'sell', unhedged, perpMid);
+      if (verbose && filled > 0) {
+        console.log(`[Trade]   Hedged ${filled} ${perp.symbol} PERP (SPOT filled ${fills.spot.filled}/${spot.size})`);
+      }
+    }
+  };
+
+  const remainingSpot = () => floorSize(spot.size - fills.spot.filled, spotDecimals);
+
+  let prices = await bestPrices();
+
+  if (verbose) {
+    console.log(`[Trade] Maker entry for ${spot.symbol}: posting ${spot.size} @ $${prices.spotBid} (Alo), timeout ${settings.timeoutMs / 1000}s`);
+  }
+
+  if (await post(spot.size, prices.spotBid)) {
+    const deadline = Date.now() + settings.timeoutMs;
+
+    while (Date.now() < deadline) {
+      const wait = Math.min(settings.pollMs, Math.max(0, deadline - Date.now()));
+      if (hyperliquid.hasUserStream()) {
+        await hyperliquid.orderLedger.waitForUpdate(resting.oid, wait); // wakes early on a fill
+      } else {
+        await sleep(wait);
+      }
+
+      const status = await syncResting();
+      prices = await bestPrices();
+      await hedge(prices.perpMid, settings.minHedgeNotionalUSD);
+
+      if (status !== 'open') {
+        resting = status === 'filled' ? null : resting;
+        break;
+      }
+
+      // Bid ran away from us: re-post at the new best bid
+      const driftBps = (prices.spotBid - resting.price) / resting.price * 10000;
+
+      if (driftBps <= settings.repriceBps) {
+        continue;
+      }
+
+      // Size the replacement from the old order's latest fills, not the last poll
+      const current = await syncResting(true);
+      if (current !== 'open') {
+        resting = current === 'filled' ? null : resting;
+        break;
+      }
+
+      const left = remainingSpot();
+      if (left * prices.spotBid < MIN_ORDER_NOTIONAL_USD) {
+        continue;
+      }
+
+      const price = parseFloat(hyperliquid.roundPrice(prices.spotBid, spotDecimals, true));
+      const result = await hyperliquid.modifyOrder(resting.oid, spot.symbol, 'buy', left, price, { isSpot: true, tif: 'Alo', cloid: cloids('spot') });
+      const modified = result.response?.data?.statuses?.[0];
+
+      if (!modified?.resting) {
+        continue;
+      }
+
+      // The old order can still fill between that read and the modify
+      await syncResting(true);
+      resting = { oid: modified.resting.oid, price, filled: 0 };
+      execution.orders.push(resting.oid);
+      execution.reprices++;
+      if (verbose) {
+        console.log(`[Trade]   Re-posted ${left} ${spot.symbol} @ $${price} (bid moved ${driftBps.toFixed(1)} bps)`);
+      }
+
+      // If it did, the replacement is too big: post the true remainder instead
+      if (remainingSpot() < left) {
+        await hyperliquid.cancelOrder(spot.symbol, resting.oid, { isSpot: true });
+        await syncResting(true);
+        const rest = remainingSpot();
+
+        if (rest * prices.spotBid < MIN_ORDER_NOTIONAL_USD || !(await post(rest, prices.spotBid))) {
+          resting = null;
+          break;
+        }
+      }
+    }
+
+    // Stop the resting order and pick up anything that filled meanwhile
+    if (resting) {
+      await hyperliquid.cancelOrder(spot.symbol, resting.oid, { isSpot: true });
+      await syncResting(true);
+    }
+  } else if (verbose) {
+    console.warn(`[Trade] ⚠️  Maker order rejected: ${execution.error}`);
+  }
+
+  prices = await bestPrices();
+
+  // Take whatever the passive order didn't get
+  if (settings.fallbackToTaker && remainingSpot() * prices.spotMid >= MIN_ORDER_NOTIONAL_USD) {
+    const left = remainingSpot();
+
+    if (verbose) {
+      console.log(`[Trade] Maker timeout: taking remaining ${left} ${spot.symbol} with IOC`);
+    }
+
+    execution.takerFilled += await ioc(spot, true, 'buy', left, prices.spotMid);
+  }
+
+  // Final hedge down to the exchange minimum
+  await hedge(prices.perpMid, MIN_ORDER_NOTIONAL_USD);
+
+  const result = {
+    perpFilled: fills.perp.filled,
+    spotFilled: fills.spot.filled,
+    perpAvgPx: fills.perp.filled > 0 ? fills.perp.notional / fills.perp.filled : null,
+    spotAvgPx: fills.spot.filled > 0 ? fills.spot.notional / fills.spot.filled : null,
+    perpRemaining: Math.max(0, perp.size - fills.perp.filled),
+    spotRemaining: Math.max(0, spot.size - fills.spot.filled),
+    completed: remainingSpot() * prices.spotMid < MIN_ORDER_NOTIONAL_USD &&
+      floorSize(perp.size - fills.perp.filled, perpDecimals) * prices.perpMid < MIN_ORDER_NOTIONAL_USD,
+    ...execution
+  };
+
+  if (verbose) {
+    console.log(`[Trade] Maker entry done: SPOT ${result.spotFilled} (${result.makerFilled} maker, ${result.takerFilled} taker), PERP ${result.perpFilled}, ${result.reprices} re-post(s)`);
+  }
+
+  return result;
+}